@@ -0,0 +1,64 @@
+precision highp float;
+
+// Buffer A: Gray-Scott reaction-diffusion step
+// r = chemical A, g = chemical B, read back from the previous frame
+
+uniform float frame;
+uniform vec2 resolution;
+uniform sampler2D bufferA;
+uniform float feed;      // Feed rate of chemical A
+uniform float killRate;  // Kill rate of chemical B
+uniform bool reseed;     // Drop new spots of chemical B while on
+
+varying vec2 vUv;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+float spots(vec2 uv, float seed) {
+    vec2 cell = floor(uv * 12.0);
+    vec2 center = (cell + vec2(hash(cell + seed), hash(cell + seed + 17.0))) / 12.0;
+    float on = step(0.7, hash(cell + seed + 31.0));
+    return on * step(length((uv - center) * resolution) , 4.0);
+}
+
+void main() {
+    vec2 uv = vUv;
+
+    // Seed: chemical A everywhere, spots of chemical B
+    if (frame < 1.0) {
+        gl_FragColor = vec4(1.0, spots(uv, 0.0), 0.0, 1.0);
+        return;
+    }
+
+    vec2 texel = 1.0 / resolution;
+    vec2 state = texture2D(bufferA, uv).rg;
+
+    // 3x3 Laplacian
+    vec2 laplacian = -state;
+    laplacian += 0.2 * (texture2D(bufferA, uv + vec2(texel.x, 0.0)).rg +
+                        texture2D(bufferA, uv - vec2(texel.x, 0.0)).rg +
+                        texture2D(bufferA, uv + vec2(0.0, texel.y)).rg +
+                        texture2D(bufferA, uv - vec2(0.0, texel.y)).rg);
+    laplacian += 0.05 * (texture2D(bufferA, uv + texel).rg +
+                         texture2D(bufferA, uv - texel).rg +
+                         texture2D(bufferA, uv + vec2(texel.x, -texel.y)).rg +
+                         texture2D(bufferA, uv + vec2(-texel.x, texel.y)).rg);
+
+    // Remap the 0-1 controls to the interesting part of the parameter space
+    float f = mix(0.02, 0.06, feed);
+    float k = mix(0.055, 0.065, killRate);
+
+    float a = state.r;
+    float b = state.g;
+    float reaction = a * b * b;
+    a += 1.0 * laplacian.r - reaction + f * (1.0 - a);
+    b += 0.5 * laplacian.g + reaction - (k + f) * b;
+
+    if (reseed) {
+        b = max(b, spots(uv, floor(frame / 60.0) + 1.0));
+    }
+
+    gl_FragColor = vec4(clamp(a, 0.0, 1.0), clamp(b, 0.0, 1.0), 0.0, 1.0);
+}
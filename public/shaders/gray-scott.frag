@@ -0,0 +1,19 @@
+precision mediump float;
+
+// Image pass of the Gray-Scott preset, colors the simulation running in Buffer A
+
+uniform sampler2D bufferA;
+uniform float opacity;
+uniform vec3 colorA;     // Color where chemical A dominates
+uniform vec3 colorB;     // Color where chemical B dominates
+uniform float contrast;  // Sharpness of the boundary between the chemicals
+
+varying vec2 vUv;
+
+void main() {
+    vec2 state = texture2D(bufferA, vUv).rg;
+    float edge = mix(0.5, 0.05, contrast);
+    float mixAmount = smoothstep(0.5 - edge, 0.5 + edge, state.r - state.g);
+    vec3 color = mix(colorB, colorA, mixAmount);
+    gl_FragColor = vec4(color, opacity);
+}
@@ -205,9 +205,30 @@ export class AudioMappingControl {
         // Add shader parameters dynamically
         options += this.generateShaderOptions();
         
+        // Add parameters of other layers (e.g. feedback)
+        options += this.generateLayerOptions();
+        
         return options;
     }
     
+    generateLayerOptions() {
+        try {
+            const targets = this.app.getLayerParameterTargets ? this.app.getLayerParameterTargets() : [];
+            const groups = new Map();
+            targets.forEach(param => {
+                if (!groups.has(param.layerId)) groups.set(param.layerId, []);
+                groups.get(param.layerId).push(`<option value="${param.target}">${param.label}</option>`);
+            });
+            
+            return Array.from(groups.entries())
+                .map(([layerId, options]) => `<optgroup label="Layer: ${layerId}">${options.join('')}</optgroup>`)
+                .join('');
+        } catch (error) {
+            console.warn('Error generating layer options for audio mapping:', error);
+            return '';
+        }
+    }
+    
     generateP5Options() {
         try {
             const p5Layer = this.app.layerManager?.getLayer('p5');
@@ -846,6 +867,24 @@ export class AudioMappingManager {
         });
     }
     
+    /**
+     * Refresh layer parameter entries of the target dropdowns when layers are added
+     */
+    refreshLayerParameters() {
+        this.controls.forEach(control => {
+            const targetSelect = control.element?.querySelector('.target-select');
+            const config = AUDIO_MAPPING_CONFIGS[control.type];
+            if (targetSelect && config) {
+                const currentValue = targetSelect.value;
+                targetSelect.innerHTML = control.generateTargetOptions(config.targets);
+                // Restore the selection; the mapping keeps targets of layers that are not loaded yet
+                if (currentValue && targetSelect.querySelector(`option[value="${currentValue}"]`)) {
+                    targetSelect.value = currentValue;
+                }
+            }
+        });
+    }
+
     /**
      * Refresh Shader parameter dropdowns when shader uniforms change
      */
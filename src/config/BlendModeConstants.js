@@ -1,13 +1,13 @@
 /**
- * BlendModeConstants.js - Simplified Blend Mode Configuration
- * Defines blend modes using only native Three.js blending constants
- * for better performance and maintainability.
+ * BlendModeConstants.js - Blend Mode Configuration
+ * Defines layer blend modes, their native Three.js blending fallbacks, and the GLSL
+ * blend and mask functions used by the LayerCompositor when layers are blended as render targets.
  */
 
 import * as THREE from 'three';
 
 /**
- * Available blend modes for layers (native Three.js only)
+ * Available blend modes for layers
  */
 export const BLEND_MODES = {
     NORMAL: 'normal',
@@ -17,7 +17,13 @@ export const BLEND_MODES = {
     SCREEN: 'screen',
     DARKEN: 'darken',
     LIGHTEN: 'lighten',
-    DIFFERENCE: 'difference'
+    DIFFERENCE: 'difference',
+    OVERLAY: 'overlay',
+    SOFT_LIGHT: 'soft-light',
+    HARD_LIGHT: 'hard-light',
+    COLOR_DODGE: 'color-dodge',
+    COLOR_BURN: 'color-burn',
+    EXCLUSION: 'exclusion'
 };
 
 /**
@@ -63,12 +69,42 @@ export const BLEND_MODE_INFO = {
         label: 'Difference',
         description: 'Subtracts colors',
         category: 'special'
+    },
+    [BLEND_MODES.OVERLAY]: {
+        label: 'Overlay',
+        description: 'Multiplies darks and screens lights of the layer below',
+        category: 'contrast'
+    },
+    [BLEND_MODES.SOFT_LIGHT]: {
+        label: 'Soft Light',
+        description: 'Gentle contrast based on the blend layer',
+        category: 'contrast'
+    },
+    [BLEND_MODES.HARD_LIGHT]: {
+        label: 'Hard Light',
+        description: 'Overlay with the layers swapped',
+        category: 'contrast'
+    },
+    [BLEND_MODES.COLOR_DODGE]: {
+        label: 'Color Dodge',
+        description: 'Brightens the layer below to reflect the blend layer',
+        category: 'lighten'
+    },
+    [BLEND_MODES.COLOR_BURN]: {
+        label: 'Color Burn',
+        description: 'Darkens the layer below to reflect the blend layer',
+        category: 'darken'
+    },
+    [BLEND_MODES.EXCLUSION]: {
+        label: 'Exclusion',
+        description: 'Like difference, with lower contrast',
+        category: 'special'
     }
 };
 
 /**
  * Map blend modes to Three.js blending constants
- * All modes use native Three.js blending for better performance
+ * Used when a layer blends directly in the scene instead of through the compositor
  */
 export const THREE_BLEND_MAPPING = {
     [BLEND_MODES.NORMAL]: {
@@ -96,14 +132,59 @@ export const THREE_BLEND_MAPPING = {
     },
     [BLEND_MODES.DIFFERENCE]: {
         blending: THREE.SubtractiveBlending // Fallback to subtract
+    },
+    // Overlay-style modes have no fixed-function equivalent
+    [BLEND_MODES.OVERLAY]: {
+        blending: THREE.NormalBlending
+    },
+    [BLEND_MODES.SOFT_LIGHT]: {
+        blending: THREE.NormalBlending
+    },
+    [BLEND_MODES.HARD_LIGHT]: {
+        blending: THREE.NormalBlending
+    },
+    [BLEND_MODES.COLOR_DODGE]: {
+        blending: THREE.AdditiveBlending // Fallback to additive
+    },
+    [BLEND_MODES.COLOR_BURN]: {
+        blending: THREE.MultiplyBlending // Fallback to multiply
+    },
+    [BLEND_MODES.EXCLUSION]: {
+        blending: THREE.SubtractiveBlending // Fallback to subtract
     }
 };
 
 /**
- * All blend modes now use native Three.js blending
- * No custom shader implementation required
+ * Blend modes that can only be reproduced with shader blending
  */
-export const CUSTOM_SHADER_BLEND_MODES = new Set([]);
+export const CUSTOM_SHADER_BLEND_MODES = new Set([
+    BLEND_MODES.OVERLAY,
+    BLEND_MODES.SOFT_LIGHT,
+    BLEND_MODES.HARD_LIGHT,
+    BLEND_MODES.COLOR_DODGE,
+    BLEND_MODES.COLOR_BURN,
+    BLEND_MODES.EXCLUSION
+]);
+
+/**
+ * Integer ids for blend modes in the compositor blend shader
+ */
+export const BLEND_MODE_SHADER_IDS = {
+    [BLEND_MODES.NORMAL]: 0,
+    [BLEND_MODES.ADD]: 1,
+    [BLEND_MODES.SUBTRACT]: 2,
+    [BLEND_MODES.MULTIPLY]: 3,
+    [BLEND_MODES.SCREEN]: 4,
+    [BLEND_MODES.DARKEN]: 5,
+    [BLEND_MODES.LIGHTEN]: 6,
+    [BLEND_MODES.DIFFERENCE]: 7,
+    [BLEND_MODES.OVERLAY]: 8,
+    [BLEND_MODES.SOFT_LIGHT]: 9,
+    [BLEND_MODES.HARD_LIGHT]: 10,
+    [BLEND_MODES.COLOR_DODGE]: 11,
+    [BLEND_MODES.COLOR_BURN]: 12,
+    [BLEND_MODES.EXCLUSION]: 13
+};
 
 /**
  * Get all available blend modes grouped by category
@@ -148,6 +229,9 @@ export function applyBlendModeToMaterial(material, blendMode) {
         material.blending = mapping.blending;
         material.needsUpdate = true;
         console.log(`✅ Applied ${blendMode} blend mode using native Three.js blending`);
+        if (requiresCustomShader(blendMode)) {
+            console.log(`⚠️ Blend mode ${blendMode} needs the layer compositor - using closest native blending`);
+        }
     } else {
         console.log(`⚠️ Blend mode ${blendMode} not supported - using normal blending`);
         material.blending = THREE.NormalBlending;
@@ -156,32 +240,225 @@ export function applyBlendModeToMaterial(material, blendMode) {
 }
 
 /**
- * Create a simple blend material (simplified - no custom shaders needed)
- * All blend modes now use native Three.js blending
+ * Get the compositor shader id for a blend mode
+ * @param {string} blendMode - Blend mode name
+ * @returns {number} Shader id (normal if unknown)
+ */
+export function getBlendModeShaderId(blendMode) {
+    const id = BLEND_MODE_SHADER_IDS[blendMode];
+    return id !== undefined ? id : BLEND_MODE_SHADER_IDS[BLEND_MODES.NORMAL];
+}
+
+/**
+ * Create a shader material that blends a layer texture over a base texture
+ * The layer texture is expected to be premultiplied (as rendered into a cleared target).
+ * @param {string} blendMode - Initial blend mode
+ * @param {THREE.Texture} baseTexture - Texture of everything below the layer
+ * @param {THREE.Texture} blendTexture - Texture of the layer being blended
+ * @returns {THREE.ShaderMaterial} Blend material with tBase, tBlend, opacity, mode and mask uniforms
  */
 export function createCustomBlendMaterial(blendMode, baseTexture, blendTexture) {
-    // No custom shader materials needed - using native Three.js blending
-    console.log(`createCustomBlendMaterial: Using native Three.js blending for ${blendMode}`);
-    
-    return new THREE.MeshBasicMaterial({
-        map: baseTexture,
-        transparent: true,
-        blending: THREE_BLEND_MAPPING[blendMode]?.blending || THREE.NormalBlending
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            tBase: { value: baseTexture || null },
+            tBlend: { value: blendTexture || null },
+            opacity: { value: 1.0 },
+            mode: { value: getBlendModeShaderId(blendMode) },
+            tMask: { value: null },
+            maskMode: { value: 0 },
+            maskInvert: { value: false },
+            maskFeather: { value: 0.0 },
+            maskCenter: { value: new THREE.Vector2(0.5, 0.5) },
+            maskSize: { value: 0.5 },
+            maskAngle: { value: 0.0 },
+            maskAspect: { value: 1.0 }
+        },
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D tBase;
+            uniform sampler2D tBlend;
+            uniform float opacity;
+            uniform int mode;
+            varying vec2 vUv;
+
+            ${generateBlendShaderCode()}
+            ${generateMaskShaderCode()}
+
+            void main() {
+                vec4 base = texture2D(tBase, vUv);
+                vec4 layer = texture2D(tBlend, vUv) * getMaskValue(vUv);
+
+                // Layer targets hold premultiplied color
+                vec3 blendColor = layer.a > 0.0 ? layer.rgb / layer.a : vec3(0.0);
+                vec3 blended = applyBlendMode(mode, clamp(base.rgb, 0.0, 1.0), clamp(blendColor, 0.0, 1.0));
+
+                float alpha = layer.a * opacity;
+                gl_FragColor = vec4(mix(base.rgb, blended, alpha), alpha + base.a * (1.0 - alpha));
+            }
+        `,
+        depthTest: false,
+        depthWrite: false,
+        transparent: false
     });
 }
 
 /**
- * Generate GLSL blend function for custom shader blend modes
+ * Generate GLSL blend functions for all blend modes
+ * Defines applyBlendMode(int mode, vec3 base, vec3 blend) using BLEND_MODE_SHADER_IDS
+ * @returns {string} GLSL source
  */
+export function generateBlendShaderCode() {
+    return `
+        float blendOverlayChannel(float base, float blend) {
+            return base < 0.5 ? (2.0 * base * blend) : (1.0 - 2.0 * (1.0 - base) * (1.0 - blend));
+        }
+
+        float blendSoftLightChannel(float base, float blend) {
+            return blend < 0.5
+                ? (2.0 * base * blend + base * base * (1.0 - 2.0 * blend))
+                : (sqrt(base) * (2.0 * blend - 1.0) + 2.0 * base * (1.0 - blend));
+        }
+
+        float blendColorDodgeChannel(float base, float blend) {
+            return blend >= 1.0 ? 1.0 : min(base / (1.0 - blend), 1.0);
+        }
+
+        float blendColorBurnChannel(float base, float blend) {
+            return blend <= 0.0 ? 0.0 : max(1.0 - (1.0 - base) / blend, 0.0);
+        }
+
+        vec3 blendOverlay(vec3 base, vec3 blend) {
+            return vec3(
+                blendOverlayChannel(base.r, blend.r),
+                blendOverlayChannel(base.g, blend.g),
+                blendOverlayChannel(base.b, blend.b)
+            );
+        }
+
+        vec3 blendSoftLight(vec3 base, vec3 blend) {
+            return vec3(
+                blendSoftLightChannel(base.r, blend.r),
+                blendSoftLightChannel(base.g, blend.g),
+                blendSoftLightChannel(base.b, blend.b)
+            );
+        }
+
+        vec3 blendColorDodge(vec3 base, vec3 blend) {
+            return vec3(
+                blendColorDodgeChannel(base.r, blend.r),
+                blendColorDodgeChannel(base.g, blend.g),
+                blendColorDodgeChannel(base.b, blend.b)
+            );
+        }
+
+        vec3 blendColorBurn(vec3 base, vec3 blend) {
+            return vec3(
+                blendColorBurnChannel(base.r, blend.r),
+                blendColorBurnChannel(base.g, blend.g),
+                blendColorBurnChannel(base.b, blend.b)
+            );
+        }
+
+        vec3 applyBlendMode(int mode, vec3 base, vec3 blend) {
+            if (mode == 1) return min(base + blend, 1.0);
+            if (mode == 2) return max(base - blend, 0.0);
+            if (mode == 3) return base * blend;
+            if (mode == 4) return 1.0 - (1.0 - base) * (1.0 - blend);
+            if (mode == 5) return min(base, blend);
+            if (mode == 6) return max(base, blend);
+            if (mode == 7) return abs(base - blend);
+            if (mode == 8) return blendOverlay(base, blend);
+            if (mode == 9) return blendSoftLight(base, blend);
+            if (mode == 10) return blendOverlay(blend, base);
+            if (mode == 11) return blendColorDodge(base, blend);
+            if (mode == 12) return blendColorBurn(base, blend);
+            if (mode == 13) return base + blend - 2.0 * base * blend;
+            return blend;
+        }
+    `;
+}
+
 /**
- * Generate blend shader code (simplified - no custom shaders needed)
- * All blend modes now use native Three.js blending
+ * Generate GLSL mask functions
+ * Defines getMaskValue(vec2 uv) from the mask uniforms. maskMode 0 is no mask, 1 and 2 use the
+ * alpha or luminance of tMask, 3 and up are the generated shapes in LAYER_CONSTANTS.mask.shapes order.
+ * @returns {string} GLSL source
  */
-export function generateBlendShaderCode(blendMode) {
-    // No custom shader code needed - using native Three.js blending
+export function generateMaskShaderCode() {
     return `
-        vec3 blendNormal(vec3 base, vec3 blend) {
-            return blend;
+        uniform sampler2D tMask;
+        uniform int maskMode;
+        uniform bool maskInvert;
+        uniform float maskFeather;
+        uniform vec2 maskCenter;
+        uniform float maskSize;
+        uniform float maskAngle;
+        uniform float maskAspect;
+
+        float maskHash(vec2 p) {
+            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+
+        float maskNoise(vec2 p) {
+            vec2 i = floor(p);
+            vec2 f = fract(p);
+            vec2 u = f * f * (3.0 - 2.0 * f);
+            return mix(
+                mix(maskHash(i), maskHash(i + vec2(1.0, 0.0)), u.x),
+                mix(maskHash(i + vec2(0.0, 1.0)), maskHash(i + vec2(1.0, 1.0)), u.x),
+                u.y
+            );
+        }
+
+        // 1 inside (negative distance), 0 outside, soft over the feather width
+        float maskEdge(float distance) {
+            float width = max(maskFeather, 0.001);
+            return 1.0 - smoothstep(-width * 0.5, width * 0.5, distance);
+        }
+
+        float sampleMaskSource(vec2 uv) {
+            vec4 source = texture2D(tMask, uv);
+            return maskMode == 1 ? source.a : dot(source.rgb, vec3(0.2126, 0.7152, 0.0722));
+        }
+
+        float getMaskValue(vec2 uv) {
+            if (maskMode == 0) return 1.0;
+
+            float value = 1.0;
+            // Shape coordinates in view heights around the center
+            vec2 p = (uv - maskCenter) * vec2(maskAspect, 1.0);
+
+            if (maskMode <= 2) {
+                // 3x3 blur over the feather radius
+                value = 0.0;
+                for (int x = -1; x <= 1; x++) {
+                    for (int y = -1; y <= 1; y++) {
+                        vec2 offset = vec2(float(x) / maskAspect, float(y)) * maskFeather;
+                        float weight = (2.0 - abs(float(x))) * (2.0 - abs(float(y))) / 16.0;
+                        value += sampleMaskSource(uv + offset) * weight;
+                    }
+                }
+            } else if (maskMode == 3) {
+                value = maskEdge(length(p) - maskSize * 0.5);
+            } else if (maskMode == 4) {
+                vec2 q = abs(uv - maskCenter) - vec2(maskSize * 0.5);
+                value = maskEdge(max(q.x, q.y));
+            } else if (maskMode == 5) {
+                value = maskEdge(-dot(p, vec2(cos(maskAngle), sin(maskAngle))));
+            } else if (maskMode == 6) {
+                float n = maskNoise(p / max(maskSize * 0.25, 0.005));
+                float width = max(maskFeather, 0.001);
+                value = smoothstep(0.5 - width, 0.5 + width, n);
+            }
+
+            value = clamp(value, 0.0, 1.0);
+            return maskInvert ? 1.0 - value : value;
         }
     `;
 }
@@ -190,8 +467,7 @@ export function generateBlendShaderCode(blendMode) {
  * Check if blend mode requires custom shader implementation
  */
 export function requiresCustomShader(blendMode) {
-    // No custom shaders needed - all modes use native Three.js blending
-    return false;
+    return CUSTOM_SHADER_BLEND_MODES.has(blendMode);
 }
 
 /**
@@ -317,6 +317,8 @@ export const DEFAULT_SCENE_CONFIG = {
                                         // Purpose: Default MIDI CC mappings object
     noteMappings: {},                   // Connected to: StateManager.js fallback state, midi-controls.js
                                         // Purpose: Default MIDI note mappings object
+    programMap: {},                     // Connected to: StateManager.js fallback state, ProgramMapManager.js
+                                        // Purpose: Default program map (per-channel Program Change tables)
     stopStopsAnimation: false           // Connected to: StateManager.js fallback state
                                         // Purpose: Default behavior for MIDI stop messages
   },
@@ -347,6 +349,19 @@ export const DEFAULT_SCENE_CONFIG = {
                                         // Purpose: Enable isometric camera preset
   },
 
+  /**
+   * Render Resolution Configuration
+   * Output format of the scene, independent of the browser window
+   */
+  output: {
+    renderResolution: {                 // Connected to: StateManager.js fallback state, Scene.js onWindowResize()
+      mode: 'window',                   // Purpose: 'window' follows the window, 'fixed' renders width x height
+      width: 1920,                      // Purpose: Fixed render width in pixels
+      height: 1080,                     // Purpose: Fixed render height in pixels
+      fit: 'letterbox'                  // Purpose: Show the fixed frame letterboxed or cropped in the window
+    }
+  },
+
   /**
    * Layer Configuration
    * Default settings for layer management and spacing
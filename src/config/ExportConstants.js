@@ -0,0 +1,81 @@
+/**
+ * Export Constants
+ *
+ * Centralizes recording and export settings used by the output capture
+ * systems (video recording of the renderer canvas, offline frame rendering,
+ * high-resolution stills, vector export).
+ *
+ * These constants provide a single source of truth for capture formats,
+ * frame rates and musical alignment of recordings.
+ */
+
+export const EXPORT_CONSTANTS = {
+  /**
+   * Video Recording Configuration
+   * Used in RecordingManager.js and TransportBar.js
+   */
+  recording: {
+    fps: 60,                 // Frame rate requested from canvas.captureStream()
+                             // Connected to: RecordingManager.js startRecording()
+    videoBitsPerSecond: 16000000, // 16 Mbps - high quality for performance capture
+                             // Connected to: RecordingManager.js MediaRecorder options
+    timeslice: 1000,         // Collect recorded data every second to keep memory chunks small
+                             // Connected to: RecordingManager.js MediaRecorder.start()
+    mimeTypes: [             // Preferred WebM formats, first supported one is used
+      'video/webm;codecs=vp9',
+      'video/webm;codecs=vp8',
+      'video/webm'
+    ],
+    syncDivision: '1bar',    // Musical division an armed recording starts on
+                             // Connected to: RecordingManager.js arm(), BPMTimingManager.getNextSyncPoint()
+    barOptions: [0, 1, 2, 4, 8, 16, 32], // Stop-after-bars options (0 = record until stopped)
+                             // Connected to: TransportBar.js record length select
+    defaultBars: 0,          // Default recording length in bars (0 = manual stop)
+    filePrefix: 'rglr-recording' // Prefix for downloaded recording files
+  },
+
+  /**
+   * Offline Frame Rendering Configuration
+   * Used in OfflineRenderer.js and GUIManager.js export controls
+   */
+  offline: {
+    width: 1920,             // Default output width in pixels
+    height: 1080,            // Default output height in pixels
+    maxDimension: 8192,      // Largest supported output side (WebGL drawing buffer limits)
+    fps: 60,                 // Default fixed frame rate of the virtual clock
+    fpsOptions: [24, 25, 30, 50, 60],
+    bars: 4,                 // Default render length in bars
+    seed: 1,                 // Default random seed so repeated renders are frame-identical
+    outputOptions: ['zip', 'folder'], // zip download or File System Access API folder
+    frameDigits: 5,          // Zero padding of frame numbers (frame_00001.png)
+    filePrefix: 'rglr-frames' // Prefix for downloaded archives
+  },
+
+  /**
+   * High-Resolution Still Configuration
+   * Used in StillExporter.js and GUIManager.js export controls
+   */
+  still: {
+    minScale: 2,             // Smallest multiple of the window size
+    maxScale: 8,             // Largest multiple of the window size
+    defaultScale: 4,
+    maxTileSize: 8192,       // Upper bound for a single tile, further limited by the GPU. 8K renders
+                             // the default 4x of a 1080p window in one tile, with post-processing
+                             // Connected to: StillExporter.js getMaxTileSize()
+    sceneKeyword: 'rglr-scene', // PNG tEXt keyword holding the scene JSON
+    filePrefix: 'rglr-still' // Prefix for downloaded stills
+  },
+
+  /**
+   * SVG Export Configuration
+   * Used in SVGExporter.js and GUIManager.js export controls
+   */
+  svg: {
+    pixelsPerUnit: 100,      // Artboard size of one world unit (a cell of size 1 is 100px)
+    precision: 4,            // Decimal places of coordinates
+    gridLineWidth: 1,        // Grid line stroke width in artboard pixels
+    curveDivisions: 32,      // Samples for curve types without an exact SVG equivalent
+                             // Connected to: SVGExporter.js getPathData()
+    filePrefix: 'rglr-composition' // Prefix for downloaded SVG files
+  }
+};
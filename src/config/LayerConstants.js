@@ -0,0 +1,258 @@
+/**
+ * Layer Constants
+ *
+ * Centralizes defaults and parameter ranges of the layer types in
+ * src/modules/layers. The ranges are also used to map normalized MIDI
+ * and audio values onto layer parameters.
+ */
+
+export const LAYER_CONSTANTS = {
+  /**
+   * Shader Layer Buffer Pass Configuration
+   * Used in ShaderLayer.js and ShaderCodeEditor.js
+   */
+  shaderBuffers: {
+    names: ['bufferA', 'bufferB', 'bufferC', 'bufferD'], // Offered by the editor, Shadertoy style
+    maxPasses: 4,
+    defaultScale: 1,         // Buffer size as a fraction of the drawing buffer
+    minScale: 0.125,
+    maxScale: 1,
+    defaultIterations: 1,    // Simulation steps per frame
+    maxIterations: 32
+  },
+
+  /**
+   * Shader Layer Texture Input Configuration
+   * Used in ShaderTextureInputs.js and TextureInputSelector.js
+   */
+  shaderTextures: {
+    sourceTypes: ['none', 'image', 'video', 'layer', 'audio'],
+    maxEmbeddedVideoBytes: 16 * 1024 * 1024, // Larger videos are not saved in the scene and must be re-selected
+    audioRows: 2                             // Row 0: FFT spectrum, row 1: waveform (Shadertoy layout)
+  },
+
+  /**
+   * Shader Import Configuration
+   * Used in ShaderImporter.js and ShaderCodeEditor.js
+   */
+  shaderImport: {
+    assumedFrameRate: 60,          // For iTimeDelta, iFrameRate and TIMEDELTA
+    mouseUniform: 'mousePosition', // vec2 parameter standing in for iMouse.xy
+    presetCategory: 'imported',
+    archivePrefix: 'shader-preset'
+  },
+
+  /**
+   * Feedback Layer Configuration
+   * Used in FeedbackLayer.js and LayerManager.js
+   * All transforms are applied once per frame, so they accumulate over the trail
+   */
+  feedback: {
+    defaultId: 'feedback',
+    zoom: {
+      default: 1.01,         // Scale per frame, > 1 grows the trail outwards
+      min: 0.9,
+      max: 1.1
+    },
+    rotation: {
+      default: 0.5,          // Degrees per frame
+      min: -10,
+      max: 10
+    },
+    offset: {
+      default: 0,            // Drift per frame as a fraction of the view
+      min: -0.05,
+      max: 0.05
+    },
+    hueShift: {
+      default: 2,            // Degrees per frame
+      min: -30,
+      max: 30
+    },
+    decay: {
+      default: 0.05,         // Fraction of the trail that fades per frame
+      min: 0,
+      max: 1
+    }
+  },
+
+  /**
+   * Video Layer Configuration
+   * Used in VideoLayer.js, LayerManager.js and LayerPanel.js
+   * Loop points and the scrub position are fractions of the clip duration
+   */
+  video: {
+    defaultId: 'video',
+    speed: {
+      default: 1,            // Playback rate
+      min: 0.1,
+      max: 4
+    },
+    loopIn: {
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    loopOut: {
+      default: 1,
+      min: 0,
+      max: 1
+    },
+    position: {
+      default: 0,            // Scrub position
+      min: 0,
+      max: 1
+    },
+    fitModes: ['contain', 'cover', 'stretch'],
+    defaultFitMode: 'cover',
+    retriggerDivisions: ['off', '16th', '8th', 'quarter', 'half', 'whole', '2bars', '4bars', '8bars'],
+    defaultRetrigger: 'off',
+    minLoopLength: 0.01,                     // Smallest gap between loop in and out
+    maxEmbeddedBytes: 16 * 1024 * 1024       // Larger files are not saved in the scene and must be re-selected
+  },
+
+  /**
+   * Image Layer Configuration
+   * Used in ImageLayer.js, LayerManager.js and LayerPanel.js
+   * Sprite sheets are read left to right, top to bottom
+   */
+  image: {
+    defaultId: 'image',
+    acceptedTypes: 'image/png,image/jpeg,image/svg+xml',
+    modes: ['full', 'tiled'],                // Full frame, or one copy per GridManager cell
+    defaultMode: 'full',
+    fitModes: ['contain', 'cover', 'stretch'],
+    defaultFitMode: 'contain',
+    tileScale: {
+      default: 1,            // Image size as a fraction of its grid cell
+      min: 0.1,
+      max: 1
+    },
+    maxSheetColumns: 32,
+    maxSheetRows: 32,
+    frameDivisions: ['off', '64th', '32nd', '16th', '8th', 'quarter', 'half', 'whole', '2bars', '4bars'],
+    defaultFrameDivision: 'quarter'
+  },
+
+  /**
+   * Text Layer Configuration
+   * Used in TextLayer.js, LayerManager.js and LayerPanel.js
+   * Sizes are fractions of the canvas height, spacing and jitter are fractions of the font size
+   */
+  text: {
+    defaultId: 'text',
+    defaultPhrases: ['HELLO', 'WORLD'],
+    canvasHeight: 1024,                      // Texture height, the width follows the view aspect
+    fonts: ['sans-serif', 'serif', 'monospace', 'Impact', 'Georgia', 'Courier New'],
+    defaultFont: 'sans-serif',
+    fontFileTypes: '.woff,.woff2,.ttf,.otf',
+    fontWeights: ['normal', 'bold'],
+    defaultColor: '#ffffff',
+    aligns: ['left', 'center', 'right'],
+    revealModes: ['all', 'word', 'character'],
+    defaultRevealMode: 'all',
+    revealDivisions: ['64th', '32nd', '16th', '8th', 'quarter', 'half', 'whole'],
+    defaultRevealDivision: '8th',
+    maxWidth: 0.9,                           // Lines wrap at this fraction of the canvas width
+    lineHeight: 1.2,
+    fontSize: {
+      default: 0.15,
+      min: 0.02,
+      max: 0.5
+    },
+    letterSpacing: {
+      default: 0,
+      min: -0.2,
+      max: 1
+    },
+    jitter: {
+      default: 0,            // Offset per character at full audio level
+      min: 0,
+      max: 1
+    },
+    audioScale: {
+      default: 0,            // Extra character scale at full audio level
+      min: 0,
+      max: 2
+    }
+  },
+
+  /**
+   * Particle Layer Configuration
+   * Used in ParticleLayer.js, LayerManager.js and LayerPanel.js
+   * Distances, speeds and forces are fractions of the view height (per second)
+   */
+  particles: {
+    defaultId: 'particles',
+    maxParticles: 20000,
+    maxDelta: 0.1,                           // Longest simulation step in seconds (after stalls)
+    emitterShapes: ['point', 'circle', 'grid'],
+    defaultEmitterShape: 'point',
+    emissionModes: ['continuous', 'beat'],
+    defaultEmissionMode: 'continuous',
+    divisions: ['off', '16th', '8th', 'quarter', 'half', 'whole', '2bars', '4bars'],
+    defaultBeatDivision: 'quarter',
+    defaultStartColor: '#66ccff',
+    defaultEndColor: '#ff3366',
+    rate: { default: 200, min: 0, max: 5000 },            // Particles per second
+    beatCount: { default: 200, min: 1, max: 2000 },       // Particles per beat division
+    burstCount: { default: 500, min: 1, max: 5000 },      // Particles per audio/note burst
+    burstThreshold: { default: 0.6, min: 0, max: 1 },     // Audio level that fires a burst
+    lifetime: { default: 2, min: 0.1, max: 10 },          // Seconds
+    lifetimeVariation: { default: 0.3, min: 0, max: 1 },  // Random fraction taken off the lifetime
+    speed: { default: 0.3, min: 0, max: 2 },
+    spread: { default: 1, min: 0, max: 1 },               // 0 = straight up, 1 = all directions
+    emitterX: { default: 0, min: -0.5, max: 0.5 },        // Emitter center, 0 = view center
+    emitterY: { default: 0, min: -0.5, max: 0.5 },
+    radius: { default: 0.25, min: 0, max: 1 },            // Circle emitter radius
+    gravity: { default: -0.2, min: -2, max: 2 },
+    curlStrength: { default: 0.3, min: 0, max: 3 },
+    curlScale: { default: 3, min: 0.1, max: 20 },         // Noise cells per view height
+    attraction: { default: 0, min: -3, max: 3 },          // Pull towards the center (negative pushes)
+    drag: { default: 0.5, min: 0, max: 5 },
+    startSize: { default: 0.015, min: 0.001, max: 0.1 },
+    endSize: { default: 0.002, min: 0, max: 0.1 }
+  },
+
+  /**
+   * Model Layer Configuration
+   * Used in ModelLayer.js, LayerManager.js and LayerPanel.js
+   */
+  model: {
+    defaultId: 'model',
+    fileTypes: '.glb,.gltf,.obj',            // glTF files must embed their buffers and textures
+    materialModes: ['original', 'shape', 'sphere'], // File materials, shape color, refractive sphere
+    defaultMaterialMode: 'original',
+    layouts: ['single', 'grid'],             // One model, or one copy per GridManager cell
+    defaultLayout: 'single',
+    maxInstances: 400,                       // Grid copies are capped, each one is a full clone
+    animationModes: ['off', 'free', 'bpm'],  // Clip playback: stopped, at its own speed, stretched to the beat
+    defaultAnimationMode: 'bpm',
+    clipLengths: ['quarter', 'half', 'whole', '2bars', '4bars', '8bars', '16bars'],
+    defaultClipLength: 'whole',
+    size: { default: 0.6, min: 0.05, max: 2 },         // Single: fraction of the view height, grid: of a cell
+    spin: { default: 0, min: -180, max: 180 },         // Degrees per beat around the vertical axis
+    tilt: { default: 0, min: -90, max: 90 },           // Degrees towards the camera
+    animationSpeed: { default: 1, min: 0, max: 4 },    // Free playback rate
+    stagger: { default: 0, min: 0, max: 1 }            // Clip offset between grid copies, fraction of the clip
+  },
+
+  /**
+   * Layer Mask Configuration
+   * Used in LayerBase.js, LayerCompositor.js and LayerPanel.js
+   * Masks are applied by the LayerCompositor when a layer is blended; positions are fractions of the view
+   */
+  mask: {
+    sources: ['none', 'layer', 'shape'],     // Another layer's output (track matte) or a generated shape
+    channels: ['alpha', 'luminance'],        // What of the source layer masks
+    shapes: ['circle', 'rectangle', 'gradient', 'noise'],
+    defaultSource: 'none',
+    defaultChannel: 'alpha',
+    defaultShape: 'circle',
+    feather: { default: 0, min: 0, max: 0.5 },      // Shape edge width, blur radius of layer masks
+    size: { default: 0.5, min: 0, max: 2 },         // Circle diameter (of the view height), rectangle extent, noise scale
+    x: { default: 0.5, min: 0, max: 1 },            // Shape center, also scrolls the noise
+    y: { default: 0.5, min: 0, max: 1 },
+    angle: { default: 0, min: -180, max: 180 }      // Gradient direction in degrees, 0 reveals the right side
+  }
+};
@@ -69,6 +69,10 @@ export const MIDI_CONSTANTS = {
                           // Purpose: Pitch bend message type
     systemExclusive: 0xF0, // Connected to: system exclusive message handling
                           // Purpose: System exclusive message type
+    timecodeQuarterFrame: 0xF1, // Connected to: MIDITimecodeSync.js MTC chase
+                          // Purpose: MIDI Time Code quarter frame (one nibble of the SMPTE time)
+    songPosition: 0xF2,   // Connected to: MIDIClockManager.js transport chase
+                          // Purpose: Song Position Pointer (position in MIDI beats of 6 clock pulses)
     midiClock: 0xF8,      // Connected to: MIDIClockManager.js clock handling
                           // Purpose: MIDI timing clock message
     midiStart: 0xFA,      // Connected to: MIDIClockManager.js transport control
@@ -84,6 +88,8 @@ export const MIDI_CONSTANTS = {
    * Common MIDI CC numbers for standard controllers
    */
   controllers: {
+    bankSelect: 0,        // Connected to: ProgramMapManager.js bank tracking
+                          // Purpose: Bank select MSB controller
     modulation: 1,        // Connected to: midi-controls.js modulation mapping
                           // Purpose: Modulation wheel controller
     breath: 2,            // Purpose: Breath controller
@@ -94,6 +100,8 @@ export const MIDI_CONSTANTS = {
                           // Purpose: Pan controller
     expression: 11,       // Connected to: expression control mapping
                           // Purpose: Expression controller
+    bankSelectLSB: 32,    // Connected to: ProgramMapManager.js bank tracking
+                          // Purpose: Bank select LSB controller
     sustain: 64,          // Connected to: sustain pedal handling
                           // Purpose: Sustain pedal controller
     portamento: 65,       // Purpose: Portamento on/off controller
@@ -140,6 +148,47 @@ export const MIDI_CONSTANTS = {
                                // Purpose: Tolerance for MIDI clock synchronization (ms)
   },
 
+  /**
+   * MIDI Clock Output Configuration
+   * Constants for sending clock and transport to other gear (master mode)
+   */
+  clockOutput: {
+    lookAhead: 100,            // Connected to: MIDIClockOutput.js scheduling
+                               // Purpose: Time ahead that pulses are sent with MIDI timestamps (ms)
+    scheduleInterval: 25,      // Connected to: MIDIClockOutput.js scheduling
+                               // Purpose: Interval of the scheduler timer, well below the look-ahead (ms)
+    pulsesPerSongPosition: 6   // Connected to: MIDIClockOutput.js Song Position Pointer
+                               // Purpose: Clock pulses per Song Position Pointer unit (a 16th note)
+  },
+
+  /**
+   * Program Map Configuration
+   * Constants for recalling scenes and presets with Program Change and Bank Select
+   */
+  programMap: {
+    quantizeTolerance: 6,      // Connected to: ProgramMapManager.js bar quantize
+                               // Purpose: Clock pulses after a bar line that still count as on the bar (a 16th note)
+    defaultQuantize: 'none'    // Connected to: ProgramMapManager.js new entries
+                               // Purpose: Quantize of new program map entries ('none' or 'bar')
+  },
+
+  /**
+   * MIDI Time Code Configuration
+   * Constants for chasing MTC quarter frames (SMPTE time)
+   */
+  timecode: {
+    frameRates: [24, 25, 29.97, 30], // Connected to: MIDITimecodeSync.js quarter frame decoding
+                               // Purpose: Frame rates by the rate code in quarter frame piece 7 (29.97 is drop-frame)
+    dropoutTimeout: 100,       // Connected to: MIDITimecodeSync.js dropout detection
+                               // Purpose: Time without quarter frames before freewheeling (ms)
+    freewheelDuration: 2000,   // Connected to: MIDITimecodeSync.js dropout detection
+                               // Purpose: Time the position keeps running after a dropout before stopping (ms)
+    watchdogInterval: 25,      // Connected to: MIDITimecodeSync.js dropout detection
+                               // Purpose: Interval of the dropout check timer (ms)
+    jumpThreshold: 0.25        // Connected to: MIDITimecodeSync.js locate detection
+                               // Purpose: Difference to the running position that counts as a jump (s)
+  },
+
   /**
    * MIDI Device Configuration
    * Constants for MIDI device handling and identification
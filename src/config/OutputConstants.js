@@ -0,0 +1,97 @@
+/**
+ * Output Constants
+ *
+ * Centralizes settings of the performance output path: the render
+ * resolution presets, the dedicated
+ * output window that shows only the rendered image (e.g. on a projector)
+ * while the main window keeps the controls, the projection mapping
+ * stage that fits the output to the projection surface and the slicing
+ * stage that splits the frame across several projectors or LED outputs.
+ *
+ * These constants provide a single source of truth for output window
+ * placement and behaviour.
+ */
+
+export const OUTPUT_CONSTANTS = {
+  /**
+   * Render Resolution Configuration
+   * Used in Scene.js and GUIManager.js
+   */
+  resolution: {
+    presets: {               // Fixed formats offered in the GUI, [width, height]
+      'HD 16:9': [1920, 1080],
+      'UHD 16:9': [3840, 2160],
+      'Vertical 9:16': [1080, 1920],
+      'Square 1:1': [1080, 1080],
+      'Portrait 4:5': [1080, 1350],
+      'Cinema 2.39:1': [2048, 858],
+      'HD Ready 16:9': [1280, 720]
+    },
+    fits: ['letterbox', 'crop'],
+    minSize: 16,             // Fixed render size limits in pixels
+    maxSize: 8192,
+    referenceShortSide: 1080 // Short side of a fixed format shows the view of a window this tall
+                             // Connected to: Scene.js getViewHalfHeight()
+  },
+
+  /**
+   * Output Window Configuration
+   * Used in OutputWindowManager.js and TransportBar.js
+   */
+  window: {
+    name: 'rglr-output',     // Window name, reopening focuses the existing window
+    title: 'RGLR Output',    // Document title of the output window
+    width: 1280,             // Popup size before it is moved or made fullscreen
+    height: 720,
+    hintDuration: 4000,      // ms the fullscreen hint stays visible
+                             // Connected to: OutputWindowManager.js showHint()
+    fullscreenKey: 'f'       // Key in the output window that toggles fullscreen
+  },
+
+  /**
+   * Projection Mapping Configuration
+   * Used in ProjectionMapper.js and ProjectionMappingOverlay.js
+   */
+  projectionMapping: {
+    subdivisions: 32,        // Segments per side of the rendered warp mesh
+                             // Connected to: ProjectionMapper.js updateGeometry()
+    defaultMeshColumns: 3,   // Bezier warp degree (control points per side - 1)
+    defaultMeshRows: 3,
+    minMeshSize: 1,          // 1 = bilinear warp
+    maxMeshSize: 6,
+    guideColor: '#00ffff',   // Warp outline and control grid shown in edit mode
+    handleRadius: 7,         // Handle size in CSS pixels
+                             // Connected to: ProjectionMappingOverlay.js
+    nudgeStep: 1,            // Arrow key nudge in CSS pixels (Shift = x10)
+    nudgeMultiplier: 10
+  },
+
+  /**
+   * Output Slicing Configuration
+   * Used in OutputSlicer.js and GUIManager.js
+   */
+  slicing: {
+    defaultLayoutName: 'Default', // Layout created on startup
+    defaultSliceCount: 2,
+    maxSlices: 8,
+    defaultOverlap: 0.1,     // Part of a slice's width shared with the next slice
+    maxOverlap: 0.5,
+    defaultGamma: 2.2,       // Projector gamma the blend ramps are corrected for
+    minGamma: 1,
+    maxGamma: 3,
+    defaultBlendCurve: 2,    // Ramp steepness, 1 = linear
+                             // Connected to: OutputSlicer.js SliceShader
+    minBlendCurve: 1,
+    maxBlendCurve: 4
+  },
+
+  /**
+   * Venue Profile Configuration
+   * Used in VenueProfileManager.js
+   */
+  venueProfile: {
+    type: 'rglr-venue-profile', // Marks profile files, scene files have no type
+    version: '1.0',
+    filePrefix: 'rglr-venue' // Prefix for downloaded venue profiles
+  }
+};
@@ -20,6 +20,9 @@ import { LIGHTING_PRESETS } from './LightingPresets.js';
 import { DEFAULT_SCENE_CONFIG } from './DefaultSceneConfig.js';
 import { MIDI_CONSTANTS } from './MidiConstants.js';
 import { MATERIAL_CONSTANTS } from './MaterialConstants.js';
+import { EXPORT_CONSTANTS } from './ExportConstants.js';
+import { OUTPUT_CONSTANTS } from './OutputConstants.js';
+import { LAYER_CONSTANTS } from './LayerConstants.js';
 import { 
     BLEND_MODES, 
     BLEND_MODE_INFO, 
@@ -42,6 +45,9 @@ export {
     DEFAULT_SCENE_CONFIG,
     MIDI_CONSTANTS,
     MATERIAL_CONSTANTS,
+    EXPORT_CONSTANTS,
+    OUTPUT_CONSTANTS,
+    LAYER_CONSTANTS,
     BLEND_MODES,
     BLEND_MODE_INFO,
     THREE_BLEND_MAPPING,
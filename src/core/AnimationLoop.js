@@ -7,6 +7,7 @@
  */
 
 import * as THREE from 'three';
+import { gsap } from 'gsap';
 
 export class AnimationLoop {
     constructor(scene, state, midiClockManager = null) {
@@ -17,14 +18,27 @@ export class AnimationLoop {
         this.clock = new THREE.Clock();
         this.animationTime = 0;
         this.pulseTime = 0;
+        // Beats elapsed on the internal transport, runs whether or not shape animations are enabled
+        this.beatTime = 0;
         this.isRunning = false;
         this.animationId = null;
         
+        // Window whose requestAnimationFrame drives the loop (the output window while it is open)
+        this.frameWindow = window;
+        
         // Clock sync properties
         this.lastClockTime = 0;
         this.clockDelta = 0;
         this.syncMode = 'auto'; // 'auto', 'manual', 'off'
         this.useExternalClock = false;
+        this.lastTimecodeTime = 0; // MIDI Time Code position of the previous frame (seconds)
+        
+        // Fixed timestep for offline rendering (null = use real/MIDI clock)
+        this.fixedTimestep = null;
+        this.fixedTime = 0;
+        
+        // Delta of the frame being rendered (reading the clock again would return ~0)
+        this.frameDelta = 0;
         
         // Manual FPS calculation
         this.frameCount = 0;
@@ -83,13 +97,39 @@ export class AnimationLoop {
         
         this.isRunning = false;
         if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
+            this.frameWindow.cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
         this.clock.stop();
     }
 
+    /**
+     * Schedule frames from another window. Browsers pause requestAnimationFrame in hidden
+     * windows, so the loop follows the window that shows the output.
+     * @param {Window|null} targetWindow - Window to schedule frames from (null = this window)
+     */
+    setFrameWindow(targetWindow) {
+        const nextWindow = targetWindow || window;
+        if (nextWindow === this.frameWindow) return;
+        
+        // A closed window never delivers its pending frame, so there is nothing to cancel
+        if (this.animationId && !this.frameWindow.closed) {
+            this.frameWindow.cancelAnimationFrame(this.animationId);
+        }
+        this.animationId = null;
+        this.frameWindow = nextWindow;
+        
+        if (this.isRunning) {
+            this.animationId = this.frameWindow.requestAnimationFrame(() => this.animate());
+        }
+    }
+
     getClockDelta() {
+        // Offline rendering drives the loop with a fixed timestep
+        if (this.fixedTimestep !== null) {
+            return this.fixedTimestep;
+        }
+        
         // Determine timing source based on clock manager state
         if (this.midiClockManager) {
             const clockManager = this.midiClockManager;
@@ -104,6 +144,25 @@ export class AnimationLoop {
                 this.useExternalClock = clockManager.isExternalClockActive() && clockManager.isPlaying;
             }
             
+            // MIDI Time Code is an absolute position and takes precedence over MIDI clock
+            if (this.syncMode !== 'off' && clockManager.isTimecodeActive()) {
+                this.useExternalClock = true;
+                this.clock.getDelta(); // Keep the internal clock current for when timecode stops
+                
+                const seconds = clockManager.getTimecodeSeconds();
+                const deltaSeconds = seconds - this.lastTimecodeTime;
+                // A realigned position slightly behind holds the time instead of running backwards
+                if (deltaSeconds <= 0) return 0;
+                // A lock or locate the loop missed (e.g. while sync was off) jumps instead of racing ahead
+                if (deltaSeconds > 1) {
+                    this.setTimecodeTime(seconds);
+                    return 0;
+                }
+                
+                this.lastTimecodeTime = seconds;
+                return deltaSeconds;
+            }
+            
             if (this.useExternalClock && clockManager.isExternalClockActive()) {
                 // Use MIDI clock timing
                 const currentClockTime = clockManager.getClockTime();
@@ -144,7 +203,12 @@ export class AnimationLoop {
     animate() {
         if (!this.isRunning) return;
         
-        this.animationId = requestAnimationFrame(() => this.animate());
+        this.animationId = this.frameWindow.requestAnimationFrame(() => this.animate());
+        
+        // The GSAP ticker runs on this window's frames, keep tweens moving while it is hidden
+        if (this.frameWindow !== window && document.hidden) {
+            gsap.ticker.tick();
+        }
         
         // Update FPS calculation
         this.frameCount++;
@@ -156,7 +220,20 @@ export class AnimationLoop {
         }
         
         // Get clock-aware delta time
-        const deltaTime = this.getClockDelta();
+        this.step(this.getClockDelta());
+    }
+
+    /**
+     * Advance animations by a time step and render one frame
+     * @param {number} deltaTime - Time step in seconds
+     */
+    step(deltaTime) {
+        this.frameDelta = deltaTime;
+        if (this.fixedTimestep !== null) {
+            this.fixedTime += deltaTime;
+        }
+        
+        this.beatTime += deltaTime * (this.state.get('globalBPM') || 120) / 60;
         
         // Update animation time using BPM-based timing
         if (this.state.get('enableShapeCycling') || this.state.get('enableMovementAnimation') || this.state.get('enableRotationAnimation') || this.state.get('enableScaleAnimation') || this.state.get('centerScalingEnabled')) {
@@ -183,18 +260,84 @@ export class AnimationLoop {
         
         // Render the scene
         this.scene.render();
+        
+        // Mirror the frame to the output window
+        const outputWindowManager = this.scene.app ? this.scene.app.outputWindowManager : null;
+        if (outputWindowManager) {
+            outputWindowManager.present();
+        }
+    }
+
+    /**
+     * Drive the loop with a fixed timestep instead of the real/MIDI clock
+     * @param {number|null} timestep - Seconds per frame, or null to return to real time
+     */
+    setFixedTimestep(timestep) {
+        this.fixedTimestep = timestep;
+        this.fixedTime = 0;
+    }
+
+    isFixedTimestep() {
+        return this.fixedTimestep !== null;
+    }
+
+    /**
+     * Get the virtual time accumulated since the fixed timestep was enabled
+     * @returns {number} Time in seconds
+     */
+    getFixedTime() {
+        return this.fixedTime;
+    }
+
+    /**
+     * Get the delta time of the current frame
+     * @returns {number} Seconds since the previous frame
+     */
+    getFrameDelta() {
+        return this.frameDelta;
     }
 
     resetAnimationTime() {
         this.animationTime = 0;
+        this.beatTime = 0;
         this.pulseTime = 0;
         this.lastClockTime = 0;
     }
 
+    /**
+     * Jump to a musical position (MIDI Song Position Pointer or Continue)
+     * @param {number} beats - Position in beats (quarter notes)
+     */
+    setAnimationTime(beats) {
+        this.animationTime = beats;
+        this.beatTime = beats;
+        // The external clock delta continues from the new position instead of covering the jump
+        this.lastClockTime = beats;
+    }
+
+    /**
+     * Jump to a MIDI Time Code position, the animation time is the position in beats at the global BPM
+     * @param {number} seconds - Timecode position in seconds
+     */
+    setTimecodeTime(seconds) {
+        const globalBPM = this.state.get('globalBPM') || 120;
+        this.animationTime = seconds * globalBPM / 60;
+        this.beatTime = this.animationTime;
+        this.lastTimecodeTime = seconds;
+    }
+
     getAnimationTime() {
         return this.animationTime;
     }
 
+    /**
+     * Get the internal transport position, which advances every frame
+     * @returns {number} Position in beats (quarter notes)
+     */
+    getBeatTime() {
+        return this.beatTime;
+    }
+
     getPulseTime() {
         return this.pulseTime;
     }
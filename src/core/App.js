@@ -23,11 +23,20 @@ import { MIDIEventHandler } from '../modules/MIDIEventHandler.js';
 import { DrawerManager } from '../modules/DrawerManager.js';
 import { PresetManager } from '../modules/PresetManager.js';
 import { SceneManager } from '../modules/SceneManager.js';
+import { ProgramMapManager } from '../modules/ProgramMapManager.js';
 import { LayerManager } from '../modules/LayerManager.js';
 import { CameraAnimationManager } from '../modules/CameraAnimationManager.js';
 import { LayerPanel } from '../ui/LayerPanel.js';
 import { P5CodeEditor } from '../ui/P5CodeEditor.js';
 import { ShaderCodeEditor } from '../ui/ShaderCodeEditor.js';
+import { OfflineRenderer } from '../modules/OfflineRenderer.js';
+import { StillExporter } from '../modules/StillExporter.js';
+import { SVGExporter } from '../modules/SVGExporter.js';
+import { OutputWindowManager } from '../modules/OutputWindowManager.js';
+import { ProjectionMapper } from '../modules/ProjectionMapper.js';
+import { OutputSlicer } from '../modules/OutputSlicer.js';
+import { VenueProfileManager } from '../modules/VenueProfileManager.js';
+import { ProjectionMappingOverlay } from '../ui/ProjectionMappingOverlay.js';
 
 export class App {
     constructor() {
@@ -85,6 +94,9 @@ export class App {
         // Initialize scene manager
         this.sceneManager = new SceneManager(this);
         
+        // Initialize program map (Program Change recall of scenes and presets)
+        this.programMapManager = new ProgramMapManager(this);
+        
         // Initialize layer manager
         this.layerManager = new LayerManager(this);
         
@@ -100,6 +112,28 @@ export class App {
         // Initialize Shader Code Editor
         this.shaderCodeEditor = new ShaderCodeEditor(this);
         
+        // Initialize offline frame renderer
+        this.offlineRenderer = new OfflineRenderer(this);
+        
+        // Initialize high-resolution still exporter
+        this.stillExporter = new StillExporter(this);
+        
+        // Initialize SVG exporter
+        this.svgExporter = new SVGExporter(this);
+        
+        // Initialize output window manager (projector output separate from the controls)
+        this.outputWindowManager = new OutputWindowManager(this);
+        
+        // Initialize projection mapping output stage and its edit handles
+        this.projectionMapper = new ProjectionMapper(this);
+        this.projectionMappingOverlay = new ProjectionMappingOverlay(this);
+        
+        // Initialize output slicing (multi-projector edge blending, LED pixel maps)
+        this.outputSlicer = new OutputSlicer(this);
+        
+        // Initialize venue profile manager
+        this.venueProfileManager = new VenueProfileManager(this);
+        
         this.init();
     }
 
@@ -146,6 +180,9 @@ export class App {
             // Add layerManager to state so StateManager can access it for scene export/import
             this.state.set('layerManager', this.layerManager);
             
+            // Add projectionMapper to state so the warp is saved with scenes
+            this.state.set('projectionMapper', this.projectionMapper);
+            
             // Initialize camera animation manager
             this.cameraAnimationManager.initialize();
             
@@ -163,6 +200,15 @@ export class App {
             // Initialize layer panel
             this.layerPanel.init();
             
+            // Initialize projection mapping edit handles
+            this.projectionMappingOverlay.init();
+            
+            // Slicing changes the aspect the content is shown at
+            this.outputSlicer.addListener(() => this.scene.updateContentAspect());
+            
+            // Reflect the output window state in the transport bar
+            this.outputWindowManager.addListener(status => this.midiClockManager.transportBar.updateOutputDisplay(status));
+            
             // Initialize DOM cache after GUI is ready
             this.domCache.initializeCache();
             
@@ -217,6 +263,9 @@ export class App {
         // Set up scene management
         this.sceneManager.setupSceneManagement();
         
+        // Set up the program map
+        this.programMapManager.setupProgramMap();
+        
         // Set up MIDI UI event listeners using cached DOM elements
         this.domCache.getElement('midi-connect').addEventListener('click', () => {
             this.midiManager.connect();
@@ -285,6 +334,9 @@ export class App {
             });
         }
         
+        // MIDI clock output list
+        this.updateMIDIClockOutputList();
+        
         // Scene management buttons are now handled by SceneManager
         
 
@@ -378,6 +430,7 @@ export class App {
     onMIDIConnected() {
         this.state.set('midiEnabled', true);
         this.midiManager.updateDeviceStatus();
+        this.updateMIDIClockOutputList();
         
         // Update drawer connection status if a mapping drawer is open
         if (this.drawerManager && this.drawerManager.isAnyDrawerOpen()) {
@@ -387,6 +440,7 @@ export class App {
 
     onMIDIDisconnected() {
         this.state.set('midiEnabled', false);
+        this.updateMIDIClockOutputList();
         
         // Update drawer connection status if a mapping drawer is open
         if (this.drawerManager && this.drawerManager.isAnyDrawerOpen()) {
@@ -394,11 +448,69 @@ export class App {
         }
     }
 
+    /**
+     * Render a checkbox per MIDI output to choose where clock master mode sends clock
+     */
+    updateMIDIClockOutputList() {
+        const container = this.domCache.getElement('midi-clock-outputs');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const outputs = this.midiManager.getAvailableOutputs();
+        if (outputs.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'text-xs text-gray-500';
+            message.textContent = this.midiManager.midiAccess ? 'No MIDI outputs found' : 'Connect MIDI to list outputs';
+            container.appendChild(message);
+            return;
+        }
+        
+        outputs.forEach(output => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2 text-xs text-gray-300';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'w-4 h-4 text-purple-400 bg-black bg-opacity-30 border border-gray-600 rounded focus:ring-purple-500 focus:ring-2 focus:ring-offset-0';
+            checkbox.checked = this.midiManager.isClockOutputSelected(output.name);
+            checkbox.addEventListener('change', (e) => {
+                this.midiManager.setClockOutputSelected(output.name, e.target.checked);
+            });
+            
+            const name = document.createElement('span');
+            name.textContent = output.name;
+            
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            container.appendChild(label);
+        });
+    }
+
     onMIDICC(controller, value, channel) {
+        // Bank Select is tracked for the program map and still reaches CC mappings
+        this.programMapManager.onControlChange(controller, value, channel);
+        
         // Delegate to the new MIDIEventHandler
         this.midiEventHandler.onMIDICC(controller, value, channel);
     }
 
+    onMIDIPitchBend(value, channel) {
+        this.midiEventHandler.onMIDIPitchBend(value, channel);
+    }
+
+    onMIDIChannelPressure(pressure, channel) {
+        this.midiEventHandler.onMIDIChannelPressure(pressure, channel);
+    }
+
+    onMIDIPolyAftertouch(note, pressure, channel) {
+        this.midiEventHandler.onMIDIPolyAftertouch(note, pressure, channel);
+    }
+
+    onMIDIProgramChange(program, channel) {
+        this.programMapManager.onProgramChange(program, channel);
+    }
+
     onMIDINote(note, velocity, isNoteOn, channel) {
         // Delegate to the new MIDIEventHandler
         this.midiEventHandler.onMIDINote(note, velocity, isNoteOn, channel);
@@ -454,6 +566,13 @@ export class App {
             return;
         }
         
+        // Handle generic layer parameters (layer:<layerId>:<parameter>)
+        if (target.startsWith('layer:')) {
+            this.setLayerParameterNormalized(target, value);
+            this.forceRenderWhenPaused();
+            return;
+        }
+        
         // Use the unified ParameterMapper to handle all other parameter updates
         ParameterMapper.handleParameterUpdate(target, value, this.state, this.scene, 'animation');
         
@@ -506,10 +625,96 @@ export class App {
             return 0.0;
         }
         
+        // Handle generic layer parameters (layer:<layerId>:<parameter>)
+        if (target.startsWith('layer:')) {
+            return this.getLayerParameterNormalized(target);
+        }
+        
         // For other parameters, try to get from state
         return this.state.get(target) || 0.0;
     }
 
+    /**
+     * Resolve a layer:<layerId>:<parameter> target
+     * @param {string} target - Mapping target
+     * @returns {{layer: LayerBase, name: string, meta: Object}|null} Layer, parameter and its metadata
+     */
+    resolveLayerTarget(target) {
+        const parts = target.split(':');
+        if (parts.length !== 3 || !this.layerManager) return null;
+        
+        const [, layerId, name] = parts;
+        const layer = this.layerManager.getLayer(layerId);
+        if (!layer) return null;
+        
+        const meta = layer.getExposedParameters()[name];
+        return meta ? { layer, name, meta } : null;
+    }
+
+    /**
+     * Set a layer parameter from a normalized 0-1 mapping value, scaled to its exposed range
+     * @param {string} target - layer:<layerId>:<parameter>
+     * @param {number} value - Normalized value
+     */
+    setLayerParameterNormalized(target, value) {
+        const resolved = this.resolveLayerTarget(target);
+        if (!resolved) {
+            console.warn(`App: Layer parameter ${target} not found`);
+            return;
+        }
+        
+        const { layer, name, meta } = resolved;
+        const normalized = Math.max(0, Math.min(1, Number(value) || 0));
+        if (meta.type === 'boolean') {
+            layer.setParameter(name, normalized > 0.5);
+        } else if (meta.type === 'number') {
+            const min = meta.min !== undefined ? meta.min : 0;
+            const max = meta.max !== undefined ? meta.max : 1;
+            layer.setParameter(name, min + normalized * (max - min));
+        }
+    }
+
+    /**
+     * Get a layer parameter as a normalized 0-1 mapping value
+     * @param {string} target - layer:<layerId>:<parameter>
+     * @returns {number} Normalized value
+     */
+    getLayerParameterNormalized(target) {
+        const resolved = this.resolveLayerTarget(target);
+        if (!resolved) return 0.0;
+        
+        const { layer, name, meta } = resolved;
+        const current = layer.getParameter(name);
+        if (meta.type === 'boolean') {
+            return current ? 1.0 : 0.0;
+        }
+        
+        const min = meta.min !== undefined ? meta.min : 0;
+        const max = meta.max !== undefined ? meta.max : 1;
+        return max > min ? Math.max(0, Math.min(1, (Number(current) - min) / (max - min))) : 0.0;
+    }
+
+    /**
+     * Fire a layer:<layerId>:<parameter> target from a note: trigger parameters fire once,
+     * boolean parameters toggle
+     * @param {string} target - layer:<layerId>:<parameter>
+     */
+    triggerLayerParameter(target) {
+        const resolved = this.resolveLayerTarget(target);
+        if (!resolved) {
+            console.warn(`App: Layer parameter ${target} not found`);
+            return;
+        }
+        
+        const { layer, name, meta } = resolved;
+        if (meta.type === 'trigger') {
+            layer.setParameter(name, true);
+        } else if (meta.type === 'boolean') {
+            layer.setParameter(name, !layer.getParameter(name));
+        }
+        this.forceRenderWhenPaused();
+    }
+
     handleNoteMapping(target) {
         // Delegate to the new MIDIEventHandler
         this.midiEventHandler.triggerNoteAction(target, 127); // Default velocity
@@ -538,6 +743,157 @@ export class App {
         return await this.layerManager.addShaderLayer('shader', config);
     }
 
+    /**
+     * Add a feedback layer to the layer system
+     * @param {Object} config - Feedback layer configuration
+     * @returns {Promise<FeedbackLayer>} The created feedback layer
+     */
+    async addFeedbackLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        const layer = await this.layerManager.addFeedbackLayer('feedback', config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Add a video layer to the layer system
+     * @param {Object} config - Video layer configuration
+     * @returns {Promise<VideoLayer>} The created video layer
+     */
+    async addVideoLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        const layer = await this.layerManager.addVideoLayer('video', config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Add an image layer to the layer system
+     * @param {Object} config - Image layer configuration
+     * @returns {Promise<ImageLayer>} The created image layer
+     */
+    async addImageLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        const layer = await this.layerManager.addImageLayer('image', config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Add a text layer to the layer system
+     * @param {Object} config - Text layer configuration
+     * @returns {Promise<TextLayer>} The created text layer
+     */
+    async addTextLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        const layer = await this.layerManager.addTextLayer('text', config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Add a particle layer to the layer system
+     * @param {Object} config - Particle layer configuration
+     * @returns {Promise<ParticleLayer>} The created particle layer
+     */
+    async addParticleLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        const layer = await this.layerManager.addParticleLayer('particles', config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Add a 3D model layer to the layer system
+     * @param {Object} config - Model layer configuration
+     * @returns {Promise<ModelLayer>} The created model layer
+     */
+    async addModelLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        const layer = await this.layerManager.addModelLayer('model', config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Add a group layer with the next free ID (group, group2, ...)
+     * @param {Object} config - Layer configuration
+     * @returns {Promise<GroupLayer>} The new group layer
+     */
+    async addGroupLayer(config = {}) {
+        if (!this.isReady) {
+            throw new Error('Application not ready. Please wait for initialization to complete.');
+        }
+        
+        let layerId = 'group';
+        for (let index = 2; this.layerManager.getLayer(layerId); index++) {
+            layerId = `group${index}`;
+        }
+        
+        const layer = await this.layerManager.addGroupLayer(layerId, config);
+        this.refreshLayerParameterTargets();
+        return layer;
+    }
+
+    /**
+     * Rebuild the layer parameter entries of the MIDI and audio mapping dropdowns
+     */
+    refreshLayerParameterTargets() {
+        try { this.controlManager?.refreshLayerParameters?.(); } catch (_) {}
+        try { this.audioMappingManager?.refreshLayerParameters?.(); } catch (_) {}
+    }
+
+    /**
+     * Get parameters of layers without a dedicated mapping route (p5:, shader: and grid: have
+     * their own) as layer:<layerId>:<parameter> targets
+     * @param {string[]} types - Parameter types to include (note controls use 'trigger' and 'boolean')
+     * @returns {Array} Array of layer parameter targets
+     */
+    getLayerParameterTargets(types = ['number', 'boolean']) {
+        if (!this.layerManager) return [];
+        
+        const dedicatedLayers = ['p5', 'shader', 'grid', 'grid-lines'];
+        const targets = [];
+        this.layerManager.getLayerOrder().forEach(layerId => {
+            if (dedicatedLayers.includes(layerId)) return;
+            const layer = this.layerManager.getLayer(layerId);
+            if (!layer) return;
+            
+            const params = layer.getExposedParameters();
+            Object.entries(params).forEach(([name, param]) => {
+                if (!types.includes(param.type) || name === 'zOffset') return;
+                targets.push({
+                    target: `layer:${layerId}:${name}`,
+                    layerId,
+                    label: param.label || this.generateFriendlyLabel(name),
+                    description: param.description,
+                    min: param.min !== undefined ? param.min : 0,
+                    max: param.max !== undefined ? param.max : 1,
+                    type: param.type
+                });
+            });
+        });
+        return targets;
+    }
+
     /**
      * Get P5 layer parameters for MIDI/audio mapping
      * @returns {Array} Array of P5 parameter targets
@@ -636,6 +992,17 @@ export class App {
             allParams.push(...p5Params);
         }
         
+        // Add parameters of other layers (e.g. feedback)
+        const layerParams = this.getLayerParameterTargets();
+        if (layerParams.length > 0) {
+            allParams.push({
+                isSection: true,
+                label: '🔷 Other Layer Parameters',
+                icon: '🔷'
+            });
+            allParams.push(...layerParams);
+        }
+        
         // Add grid parameters
         const gridParams = this.getGridParameters();
         if (gridParams.length > 0) {
@@ -1134,6 +1501,20 @@ export class App {
             case 'morphAllToSameSimultaneously':
                 this.triggerMorphAllToSameSimultaneously();
                 break;
+            // Recording triggers
+            case 'toggleRecording':
+                // Arm on the next bar, or stop the current take
+                if (this.scene) this.scene.recordingManager.toggleRecording(true);
+                break;
+            case 'toggleRecordingImmediate':
+                if (this.scene) this.scene.recordingManager.toggleRecording(false);
+                break;
+            default:
+                // Layer triggers and toggles (layer:<layerId>:<parameter>)
+                if (target.startsWith('layer:')) {
+                    this.triggerLayerParameter(target);
+                }
+                break;
         }
     }
 
@@ -1715,6 +2096,14 @@ History: ${summary.historySize} entries`;
         this.midiClockManager.onMIDIContinue();
     }
 
+    onMIDISongPosition(pulses) {
+        this.midiClockManager.onMIDISongPosition(pulses);
+    }
+
+    onMIDITimecodeQuarterFrame(dataByte) {
+        this.midiClockManager.onMIDITimecodeQuarterFrame(dataByte);
+    }
+
     // MIDI Tempo Change Handler
     onMIDITempoChange(newBPM) {
         this.midiClockManager.onMIDITempoChange(newBPM);
@@ -1768,6 +2157,11 @@ History: ${summary.historySize} entries`;
             this.midiManager.disconnect();
         }
         
+        // Stop MIDI clock timers
+        if (this.midiClockManager) {
+            this.midiClockManager.dispose();
+        }
+        
         // Stop audio manager
         if (this.audioManager) {
             this.audioManager.stopAudioCapture();
@@ -16,6 +16,10 @@ import { GridManager } from '../modules/GridManager.js';
 import { LightingManager } from '../modules/LightingManager.js';
 import { PerformanceManager } from '../modules/PerformanceManager.js';
 import { PostProcessingManager } from '../modules/PostProcessingManager.js';
+import { RecordingManager } from '../modules/RecordingManager.js';
+import { OUTPUT_CONSTANTS } from '../config/index.js';
+
+const RESOLUTION_CONFIG = OUTPUT_CONSTANTS.resolution;
 
 export class Scene {
     constructor(state, app = null) {
@@ -57,6 +61,10 @@ export class Scene {
         this.bpmTimingManager = null;
         
         this.postProcessingManager = null;
+        // Set while exporting tiles - full-frame effects would show seams between tiles
+        this.postProcessingSuspended = false;
+        // Set while exporting - files get the content, not the venue's warp and slicing
+        this.outputStageSuspended = false;
         
         // Performance-related properties are now managed by PerformanceManager
         // Keep references for backward compatibility
@@ -68,6 +76,9 @@ export class Scene {
         this.setupCamera();
         this.setupRenderer();
         
+        // Initialize recording manager (captures the renderer canvas)
+        this.recordingManager = new RecordingManager(this);
+        
         // Light references are now managed by LightingManager
         // Keep reference for backward compatibility
         this.lights = {};
@@ -91,6 +102,11 @@ export class Scene {
             
             // Apply initial post-processing settings
             this.updatePostProcessing();
+            
+            // Apply a fixed render resolution from the loaded scene
+            if (this.getFixedRenderResolution()) {
+                this.onWindowResize();
+            }
         } catch (error) {
             console.error('Error during Scene initialization:', error);
         }
@@ -251,6 +267,7 @@ export class Scene {
     setupEventListeners() {
         // Subscribe to state changes
         this.state.subscribe('backgroundColor', () => this.updateBackgroundColor());
+        this.state.subscribe('renderResolution', () => this.applyRenderResolution());
         this.state.subscribe('gridWidth', () => this.createGrid());
         this.state.subscribe('gridHeight', () => this.createGrid());
         this.state.subscribe('compositionWidth', () => this.createGrid());
@@ -309,9 +326,13 @@ export class Scene {
         this.renderer.setClearColor(new THREE.Color(backgroundColor));
     }
 
-    createGrid() {
+    /**
+     * Build the shape grid
+     * @param {string[]|null} composition - Shape names to rebuild, null generates a new composition
+     */
+    createGrid(composition = null) {
         // Delegate to grid manager
-        this.gridManager.createGrid();
+        this.gridManager.createGrid(composition);
         
         // Update local references for backward compatibility
         this.shapes = this.gridManager.getAllShapes();
@@ -768,12 +789,35 @@ export class Scene {
     }
 
     onWindowResize() {
+        // A fixed render resolution or an open output window determine the render size,
+        // this canvas fills the window and shows the frame letterboxed or cropped
+        const outputWindowManager = this.app ? this.app.outputWindowManager : null;
+        const outputSize = outputWindowManager ? outputWindowManager.getOutputSize() : null;
+        const fixedResolution = this.getFixedRenderResolution();
+        const canvas = this.renderer.domElement;
+        if (fixedResolution || outputSize) {
+            const objectFit = fixedResolution && fixedResolution.fit === 'crop' ? 'cover' : 'contain';
+            canvas.style.width = `${window.innerWidth}px`;
+            canvas.style.height = `${window.innerHeight}px`;
+            canvas.style.objectFit = objectFit;
+            if (outputWindowManager) {
+                outputWindowManager.setCanvasFit(objectFit);
+            }
+            
+            const size = fixedResolution || outputSize;
+            this.setRenderSize(size.width, size.height);
+            this.updateContentAspect();
+            return;
+        }
+        
+        canvas.style.objectFit = '';
         this.camera.left = window.innerWidth / -200;
         this.camera.right = window.innerWidth / 200;
         this.camera.top = window.innerHeight / 200;
         this.camera.bottom = window.innerHeight / -200;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.updateContentAspect();
         
         // Update post-processing on resize
         if (this.postProcessingManager) {
@@ -783,6 +827,149 @@ export class Scene {
         // Removed this.createGrid() - grid should not be regenerated on window resize
     }
 
+    /**
+     * Fixed render resolution of the scene
+     * @returns {{width: number, height: number, fit: string}|null} Resolution, or null when the
+     *   render follows the window
+     */
+    getFixedRenderResolution() {
+        const setting = this.state.get('renderResolution');
+        if (!setting || setting.mode !== 'fixed') return null;
+        
+        const clampSize = value => Math.max(RESOLUTION_CONFIG.minSize, Math.min(RESOLUTION_CONFIG.maxSize, Math.round(value) || RESOLUTION_CONFIG.minSize));
+        return {
+            width: clampSize(setting.width),
+            height: clampSize(setting.height),
+            fit: RESOLUTION_CONFIG.fits.includes(setting.fit) ? setting.fit : RESOLUTION_CONFIG.fits[0]
+        };
+    }
+
+    /**
+     * Size of the frame the scene is composed for (the fixed resolution or the window)
+     * @returns {{width: number, height: number}} Size in pixels
+     */
+    getRenderResolution() {
+        const fixedResolution = this.getFixedRenderResolution();
+        return fixedResolution
+            ? { width: fixedResolution.width, height: fixedResolution.height }
+            : { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    /**
+     * Half the vertical view extent in world units. A fixed format shows the same view on any
+     * window; its short side spans what a window of the reference height shows.
+     * @returns {number} Half height in world units
+     */
+    getViewHalfHeight() {
+        const fixedResolution = this.getFixedRenderResolution();
+        if (!fixedResolution) {
+            return window.innerHeight / 200;
+        }
+        const shortSide = Math.min(fixedResolution.width, fixedResolution.height);
+        return fixedResolution.height / 200 * (RESOLUTION_CONFIG.referenceShortSide / shortSide);
+    }
+
+    /**
+     * Apply a changed render resolution setting to the renderer, effects and layers
+     */
+    applyRenderResolution() {
+        this.onWindowResize();
+        if (this.app && this.app.layerManager) {
+            this.app.layerManager.onWindowResize();
+        }
+    }
+
+    /**
+     * Render at an explicit resolution independent of the window (fixed resolution, offline
+     * rendering/export). The vertical view extent is kept, the horizontal extent follows the aspect.
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     */
+    setRenderSize(width, height) {
+        this.setCameraAspect(width / height);
+        this.setDrawingBufferSize(width, height);
+    }
+
+    /**
+     * Fit the camera frustum to an output aspect ratio, keeping the vertical view extent of the
+     * window (or of the fixed render resolution)
+     * @param {number} aspect - Output width / height
+     */
+    setCameraAspect(aspect) {
+        const halfHeight = this.getViewHalfHeight();
+        const halfWidth = halfHeight * aspect;
+        this.camera.left = -halfWidth;
+        this.camera.right = halfWidth;
+        this.camera.top = halfHeight;
+        this.camera.bottom = -halfHeight;
+        this.camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Fit the camera to the aspect the content is shown at. Output slicing shows parts of the
+     * frame at a different aspect than the canvas, the content is rendered to match.
+     */
+    updateContentAspect() {
+        // Exports set their own aspect
+        if (this.outputStageSuspended) return;
+        
+        const outputSlicer = this.app ? this.app.outputSlicer : null;
+        const factor = outputSlicer && outputSlicer.isActive() ? outputSlicer.getContentAspectFactor() : 1;
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.setCameraAspect(size.x / size.y * factor);
+    }
+
+    /**
+     * Check whether the output passes (projection mapping, slicing) run this frame
+     * @returns {boolean} True if any output pass is active
+     */
+    isOutputStageActive() {
+        if (this.outputStageSuspended || !this.app) return false;
+        
+        const { projectionMapper, outputSlicer } = this.app;
+        return !!((projectionMapper && projectionMapper.isActive()) || (outputSlicer && outputSlicer.isActive()));
+    }
+
+    /**
+     * Draw the finished frame to the screen through the output passes: the projection warp,
+     * then the slicing with its edge blends
+     * @param {THREE.Texture} texture - Finished frame
+     * @param {boolean} applyOutputTransform - The frame comes straight from the compositor
+     */
+    renderOutputStage(texture, applyOutputTransform) {
+        const startTime = performance.now();
+        const { projectionMapper, outputSlicer } = this.app;
+        const useSlicing = outputSlicer && outputSlicer.isActive();
+        let frame = texture;
+        let passCount = 0;
+        
+        if (projectionMapper && projectionMapper.isActive()) {
+            // Into a texture when the slicing follows
+            frame = projectionMapper.render(this.renderer, frame, applyOutputTransform, useSlicing);
+            passCount++;
+        }
+        
+        if (useSlicing) {
+            outputSlicer.render(this.renderer, frame, applyOutputTransform);
+            passCount += outputSlicer.getPassCount();
+        }
+        
+        this.performanceManager.recordOutputStage(passCount, performance.now() - startTime);
+    }
+
+    /**
+     * Resize the drawing buffer and effect chain without changing the on-screen canvas size
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    setDrawingBufferSize(width, height) {
+        this.renderer.setSize(width, height, false);
+        
+        if (this.postProcessingManager) {
+            this.postProcessingManager.setSize(width, height);
+        }
+    }
+
     updateFrustumCulling() {
         // Delegate to performance manager
         this.performanceManager.updateFrustumCulling();
@@ -839,7 +1026,12 @@ export class Scene {
         }
     }
 
-    render() {
+    /**
+     * Render a frame
+     * @param {boolean} holdFrame - Draw the current state again without advancing layers or
+     * recordings (the tiles of a still export)
+     */
+    render(holdFrame = false) {
         if (this.renderer && this.scene && this.camera) {
             // Delegate performance optimization to performance manager
             this.performanceManager.optimizeRendering();
@@ -847,16 +1039,57 @@ export class Scene {
             // Update local reference for backward compatibility
             this.visibleShapes = this.performanceManager.getVisibleShapes();
             
-            // Use post-processing if enabled
-            if (this.postProcessingManager && this.state.get('postProcessingEnabled')) {
+            // Start armed recordings on the bar and stop timed recordings
+            if (!holdFrame) {
+                this.recordingManager.update();
+            }
+            
+            const layerManager = this.app ? this.app.layerManager : null;
+            const usePostProcessing = this.postProcessingManager && this.state.get('postProcessingEnabled') && !this.postProcessingSuspended;
+            
+            // Composite all layers first so post-processing applies to every layer
+            const compositeTexture = layerManager && layerManager.compositor
+                ? layerManager.render(this.renderer, this.camera, holdFrame)
+                : null;
+            
+            if (compositeTexture) {
+                // Projection mapping and slicing are the final output passes, after post-processing
+                const useOutputStage = this.isOutputStageActive();
+                
+                if (usePostProcessing && this.postProcessingManager.getEnabledEffects().length > 0) {
+                    this.postProcessingManager.setInputTexture(compositeTexture);
+                    this.postProcessingManager.setRenderToScreen(!useOutputStage);
+                    this.postProcessingManager.render();
+                    if (useOutputStage) {
+                        this.renderOutputStage(this.postProcessingManager.getOutputTexture(), false);
+                    }
+                } else if (useOutputStage) {
+                    this.renderOutputStage(compositeTexture, true);
+                } else {
+                    layerManager.compositor.present(compositeTexture);
+                }
+                
+                if (!useOutputStage) {
+                    this.performanceManager.recordOutputStage(0, 0);
+                }
+                return;
+            }
+            
+            if (this.postProcessingManager) {
+                this.postProcessingManager.setInputTexture(null);
+            }
+            
+            // Use post-processing if enabled (the output passes need the layer compositor)
+            if (usePostProcessing) {
+                this.postProcessingManager.setRenderToScreen(true);
                 this.postProcessingManager.render();
             } else {
                 this.renderer.render(this.scene, this.camera);
             }
             
-            // Render additional layers on top if LayerManager has any
-            if (this.app && this.app.layerManager && this.app.layerManager.layers.size > 0) {
-                this.app.layerManager.render(this.renderer, this.camera);
+            // Update additional layers if LayerManager has any
+            if (layerManager && layerManager.layers.size > 0) {
+                layerManager.render(this.renderer, this.camera, holdFrame);
             }
         } else {
             console.error('Cannot render: renderer, scene, or camera is null');
@@ -78,6 +78,7 @@ export class StateManager {
                 initialState.midiChannel = 0;
                 initialState.midiCCMappings = {};
                 initialState.midiNoteMappings = {};
+                initialState.midiProgramMap = {};
                 initialState.midiStopStopsAnimation = false;
                 initialState.audioMappings = {};
                 
@@ -86,6 +87,11 @@ export class StateManager {
                     initialState.sphereDistortionStrength = DEFAULT_SCENE_CONFIG.sphere.distortionStrength;
                 }
                 
+                // Add renderResolution if not present (follow the window)
+                if (!initialState.hasOwnProperty('renderResolution')) {
+                    initialState.renderResolution = { ...DEFAULT_SCENE_CONFIG.output.renderResolution };
+                }
+                
 
                 
                 return initialState;
@@ -213,6 +219,7 @@ export class StateManager {
             "midiChannel": DEFAULT_SCENE_CONFIG.midi.channel,
             "midiCCMappings": DEFAULT_SCENE_CONFIG.midi.ccMappings,
             "midiNoteMappings": DEFAULT_SCENE_CONFIG.midi.noteMappings,
+            "midiProgramMap": DEFAULT_SCENE_CONFIG.midi.programMap,
             "midiStopStopsAnimation": DEFAULT_SCENE_CONFIG.midi.stopStopsAnimation,
             "audioMappings": DEFAULT_SCENE_CONFIG.audio.mappings,
             
@@ -251,7 +258,10 @@ export class StateManager {
             // Layer Configuration
             "layerSpacing": DEFAULT_SCENE_CONFIG.layers.spacing,
             "maxLayers": DEFAULT_SCENE_CONFIG.layers.maxLayers,
-            "autoArrangeLayers": DEFAULT_SCENE_CONFIG.layers.autoArrange
+            "autoArrangeLayers": DEFAULT_SCENE_CONFIG.layers.autoArrange,
+
+            // Render Resolution
+            "renderResolution": { ...DEFAULT_SCENE_CONFIG.output.renderResolution }
         };
     }
 
@@ -566,7 +576,10 @@ export class StateManager {
                 centerScalingAnimationType: this.state.centerScalingAnimationType,
 
                 // Additional animation parameters
-                enableSizeAnimation: this.state.enableSizeAnimation
+                enableSizeAnimation: this.state.enableSizeAnimation,
+                
+                // Output format
+                renderResolution: this.state.renderResolution ? { ...this.state.renderResolution } : undefined
             }
         };
 
@@ -587,6 +600,11 @@ export class StateManager {
             console.log('- typeof getConfig:', this.state.layerManager ? typeof this.state.layerManager.getConfig : 'undefined');
         }
         
+        // Add projection mapping warp if the projection mapper exists
+        if (this.state.projectionMapper && typeof this.state.projectionMapper.getConfig === 'function') {
+            sceneData.projectionMapping = this.state.projectionMapper.getConfig();
+        }
+        
         return sceneData;
     }
     
@@ -794,6 +812,9 @@ export class StateManager {
             // Sphere distortion parameter
             addInterpolation('sphereDistortionStrength', settings.sphereDistortionStrength, currentState.sphereDistortionStrength);
             
+            // Output format switches immediately (scenes saved before it existed followed the window)
+            addInterpolation('renderResolution', settings.renderResolution || { ...DEFAULT_SCENE_CONFIG.output.renderResolution }, currentState.renderResolution);
+            
             // Load layer configuration if present
             if (sceneData.layers && this.state.layerManager && typeof this.state.layerManager.setConfig === 'function') {
                 try {
@@ -804,6 +825,15 @@ export class StateManager {
                 }
             }
             
+            // Load projection mapping warp if present
+            if (sceneData.projectionMapping && this.state.projectionMapper && typeof this.state.projectionMapper.setConfig === 'function') {
+                try {
+                    this.state.projectionMapper.setConfig(sceneData.projectionMapping);
+                } catch (error) {
+                    console.warn('Failed to load projection mapping:', error);
+                }
+            }
+            
             // Create the interpolation animation
             if (!this.interpolationTimeline) {
                 console.warn('Interpolation timeline is null, creating a new one');
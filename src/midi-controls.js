@@ -1,7 +1,8 @@
 /**
  * midi-controls.js - MIDI Control Mapping and Configuration
  * This module manages MIDI control mapping, preset management, and dynamic control creation for
- * the application. It handles CC (Continuous Controller) and Note message routing, provides
+ * the application. It handles CC (Continuous Controller) and Note message routing (CC controls can
+ * also follow pitch bend, channel pressure or polyphonic aftertouch as their source), provides
  * preset configurations for different MIDI controllers, manages control element creation and
  * removal, and ensures proper parameter binding between MIDI inputs and application features.
  */
@@ -19,6 +20,13 @@ const CONTROL_CONFIGS = {
         defaultValue: MIDI_CONSTANTS.defaults.controller,
         inputType: 'CC',
         inputPlaceholder: 'CC',
+        // Continuous sources a CC control can follow; channel-wide sources have no number
+        sources: [
+            { value: 'cc', label: 'CC', placeholder: 'CC', hasNumber: true },
+            { value: 'pitchBend', label: 'Bend', placeholder: '-', hasNumber: false },
+            { value: 'channelPressure', label: 'Press', placeholder: '-', hasNumber: false },
+            { value: 'polyAftertouch', label: 'Poly AT', placeholder: 'Note', hasNumber: true }
+        ],
         targets: [
             // Shape Controls
             { value: 'gridWidth', label: 'Grid Width' },
@@ -206,6 +214,10 @@ const CONTROL_CONFIGS = {
             { value: 'morphAllSimultaneously', label: 'Morph All Simultaneously' },
             { value: 'morphAllToSameSimultaneously', label: 'Morph All to Same Simultaneously' },
 
+            // Recording triggers
+            { value: 'toggleRecording', label: 'Record on Next Bar / Stop' },
+            { value: 'toggleRecordingImmediate', label: 'Record Now / Stop' },
+
             // Camera toggles
             { value: 'isometricEnabled', label: 'Toggle Isometric View' },
             { value: 'resetCamera', label: 'Reset Camera' },
@@ -223,6 +235,9 @@ const CONTROL_TEMPLATES = {
             <div class="flex items-center gap-2">
                 <label class="text-xs font-medium text-gray-300 min-w-8 flex-shrink-0">{index}:</label>
                 <div class="flex gap-1 items-center flex-1">
+                    <select id="midi-{controlId}-source" class="w-16 px-1 py-0.5 bg-black bg-opacity-30 border border-gray-600 text-white rounded text-xs transition-all duration-300 focus:border-midi-green focus:outline-none" title="Source: CC, pitch bend, channel pressure or polyphonic aftertouch" data-drawer-interactive>
+                        {sourceOptions}
+                    </select>
                     <input type="number" id="midi-{controlId}-channel" value="1" min="1" max="16" class="w-10 px-1 py-0.5 bg-midi-green bg-opacity-10 border border-midi-green border-opacity-30 text-purple-400 rounded text-xs text-center transition-all duration-300 focus:border-opacity-50 focus:outline-none" placeholder="Ch" data-drawer-interactive>
                     <input type="number" id="midi-{controlId}-value" value="{defaultValue}" min="{minValue}" max="{maxValue}" class="w-12 px-1 py-0.5 bg-black bg-opacity-30 border border-gray-600 text-white rounded text-xs text-center transition-all duration-300 focus:border-opacity-50 focus:outline-none" placeholder="{inputPlaceholder}" data-drawer-interactive>
                     <select id="midi-{controlId}-target" class="flex-1 px-1 py-0.5 bg-black bg-opacity-30 border border-gray-600 text-white rounded text-xs transition-all duration-300 focus:border-midi-green focus:outline-none" data-drawer-interactive>
@@ -318,10 +333,7 @@ export class MIDIControl {
     }
     
     interpolateTemplate(template) {
-        const targetOptions = `<option value="">Select a target</option>` + 
-            this.config.targets
-                .map(target => `<option value="${target.value}">${target.label}</option>`)
-                .join('');
+        const targetOptions = this.generateTargetOptions();
         
         const p5TargetOptions = this.generateP5Options();
         const shaderTargetOptions = this.generateShaderOptions();
@@ -337,11 +349,73 @@ export class MIDIControl {
             .replace(/{inputPlaceholder}/g, this.config.inputPlaceholder)
             .replace(/{minValue}/g, minValue)
             .replace(/{maxValue}/g, maxValue)
+            .replace(/{sourceOptions}/g, this.generateSourceOptions())
             .replace(/{targetOptions}/g, targetOptions)
             .replace(/{p5TargetOptions}/g, p5TargetOptions)
             .replace(/{shaderTargetOptions}/g, shaderTargetOptions);
     }
     
+    generateSourceOptions() {
+        return (this.config.sources || [])
+            .map(source => `<option value="${source.value}">${source.label}</option>`)
+            .join('');
+    }
+    
+    /**
+     * Get the configuration of the control's source
+     * @returns {Object|null} Source configuration (CC controls only)
+     */
+    getSourceConfig() {
+        const sources = this.config.sources;
+        if (!sources) return null;
+        return sources.find(source => source.value === this.getMapping().source) || sources[0];
+    }
+    
+    /**
+     * Show the number input only for sources addressed by number (CC, poly aftertouch note)
+     */
+    updateSourceUI() {
+        const sourceConfig = this.getSourceConfig();
+        const sourceSelect = document.getElementById(`midi-${this.controlId}-source`);
+        const valueInput = document.getElementById(`midi-${this.controlId}-value`);
+        if (!sourceConfig || !valueInput) return;
+        
+        if (sourceSelect) {
+            sourceSelect.value = sourceConfig.value;
+        }
+        valueInput.disabled = !sourceConfig.hasNumber;
+        valueInput.placeholder = sourceConfig.placeholder;
+        valueInput.classList.toggle('opacity-40', !sourceConfig.hasNumber);
+    }
+    
+    generateTargetOptions() {
+        return `<option value="">Select a target</option>` + 
+            this.config.targets
+                .map(target => `<option value="${target.value}">${target.label}</option>`)
+                .join('') +
+            this.generateLayerOptions();
+    }
+    
+    generateLayerOptions() {
+        try {
+            // Notes fire triggers and toggle booleans, CCs set numbers and booleans
+            const types = this.type === 'note' ? ['trigger', 'boolean'] : ['number', 'boolean'];
+            const targets = this.app.getLayerParameterTargets ? this.app.getLayerParameterTargets(types) : [];
+            const groups = new Map();
+            targets.forEach(param => {
+                if (!groups.has(param.layerId)) groups.set(param.layerId, []);
+                groups.get(param.layerId).push(`<option value="${param.target}">${param.label}</option>`);
+            });
+            
+            return Array.from(groups.entries())
+                .map(([layerId, options]) => `<optgroup label="Layer: ${layerId}">${options.join('')}</optgroup>`)
+                .join('');
+        } catch (error) {
+            console.warn('Error generating layer options:', error);
+            return '';
+        }
+    }
+    
     generateP5Options() {
         try {
             const p5Layer = this.app.layerManager?.getLayer('p5');
@@ -428,6 +502,7 @@ export class MIDIControl {
         const targetSelect = document.getElementById(`midi-${this.controlId}-target`);
         const p5TargetSelect = document.getElementById(`midi-${this.controlId}-p5-target`);
         const shaderTargetSelect = document.getElementById(`midi-${this.controlId}-shader-target`);
+        const sourceSelect = document.getElementById(`midi-${this.controlId}-source`);
         const learnButton = document.getElementById(`midi-${this.controlId}-learn`);
         const removeButton = document.getElementById(`midi-${this.controlId}-remove`);
         
@@ -440,6 +515,7 @@ export class MIDIControl {
         channelInput.value = mapping.channel + 1;
         valueInput.value = mapping.value;
         targetSelect.value = mapping.target || ''; // Handle empty target
+        this.updateSourceUI();
         
         // Set P5 target if available
         if (p5TargetSelect) {
@@ -451,6 +527,13 @@ export class MIDIControl {
         }
         
         // Event listeners
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', (e) => {
+                this.updateMapping({ source: e.target.value });
+                this.updateSourceUI();
+            });
+        }
+        
         channelInput.addEventListener('change', (e) => {
             this.updateMapping({ channel: parseInt(e.target.value) - 1 });
         });
@@ -490,7 +573,8 @@ export class MIDIControl {
     setupMIDIHandling() {
         if (this.type === 'cc') {
             this.midiHandler = (controller, value, channel) => {
-                if (this.matchesControl(controller, channel)) {
+                // Other sources are routed by the MIDIEventHandler mappings
+                if (this.getMapping().source === 'cc' && this.matchesControl(controller, channel)) {
                     this.updateParameter(value);
                 }
             };
@@ -607,16 +691,23 @@ export class MIDIControl {
         learnButton.textContent = 'Learning';
         
         if (this.type === 'cc') {
-            const onMIDI = (controller, value, channel) => {
-                this.updateMapping({ value: controller, channel });
+            // Learns whichever continuous source moves first: CC, pitch bend, pressure or poly aftertouch
+            const onMIDI = (source, number, channel) => {
+                const sourceConfig = this.config.sources.find(config => config.value === source);
+                const updates = { source, channel };
+                if (sourceConfig && sourceConfig.hasNumber) {
+                    updates.value = number;
+                }
+                this.updateMapping(updates);
                 
                 const channelInput = document.getElementById(`midi-${this.controlId}-channel`);
                 const valueInput = document.getElementById(`midi-${this.controlId}-value`);
                 
                 if (channelInput && valueInput) {
                     channelInput.value = channel + 1;
-                    valueInput.value = controller;
+                    valueInput.value = this.getMapping().value;
                 }
+                this.updateSourceUI();
                 
                 // Remove learning state and add learned state
                 learnButton.classList.remove('btn-learn-learning');
@@ -631,7 +722,7 @@ export class MIDIControl {
                 
                 // Remove the temporary listener
                 if (this.app.midiEventHandler) {
-                    this.app.midiEventHandler.removeLearnCCListener(onMIDI);
+                    this.app.midiEventHandler.removeLearnSourceListener(onMIDI);
                 }
             };
             
@@ -639,7 +730,7 @@ export class MIDIControl {
             this.tempMIDIHandler = onMIDI;
             // Use the new MIDIEventHandler for learning
             if (this.app.midiEventHandler) {
-                this.app.midiEventHandler.addLearnCCListener(onMIDI);
+                this.app.midiEventHandler.addLearnSourceListener(onMIDI);
             }
         } else {
             // For notes, the callback signature is (note, velocity, isNoteOn, channel)
@@ -690,7 +781,7 @@ export class MIDIControl {
         if (this.tempMIDIHandler) {
             if (this.type === 'cc') {
                 if (this.app.midiEventHandler) {
-                    this.app.midiEventHandler.removeLearnCCListener(this.tempMIDIHandler);
+                    this.app.midiEventHandler.removeLearnSourceListener(this.tempMIDIHandler);
                 }
             } else {
                 if (this.app.midiEventHandler) {
@@ -710,12 +801,17 @@ export class MIDIControl {
             p5Target: '', // Always start with empty P5 target
             shaderTarget: '' // Always start with empty Shader target
         };
+        // CC controls start as CC, mappings saved before other sources existed are CC as well
+        if (this.type === 'cc') {
+            defaultMapping.source = 'cc';
+        }
         
         // If there's an existing mapping, use it but ensure targets are empty if not explicitly set
         const existingMapping = mappings[this.controlId];
         if (existingMapping) {
             return {
                 ...existingMapping,
+                ...(this.type === 'cc' ? { source: existingMapping.source || 'cc' } : {}),
                 target: existingMapping.target || '', // Ensure target is empty if not set
                 p5Target: existingMapping.p5Target || '', // Ensure P5 target is empty if not set
                 shaderTarget: existingMapping.shaderTarget || '' // Ensure Shader target is empty if not set
@@ -765,6 +861,7 @@ export class MIDIControl {
             if (valueInput) valueInput.value = data.config.value;
             if (targetSelect) targetSelect.value = data.config.target || ''; // Handle empty target
             if (p5TargetSelect) p5TargetSelect.value = data.config.p5Target || ''; // Handle empty P5 target
+            this.updateSourceUI();
         }
     }
     
@@ -941,6 +1038,25 @@ export class MIDIControlManager {
         });
     }
 
+    /**
+     * Refresh layer parameter entries of the CC and note target dropdowns when layers are added
+     */
+    refreshLayerParameters() {
+        this.controls.forEach(control => {
+            if (control.type !== 'cc' && control.type !== 'note') return;
+            
+            const targetSelect = document.getElementById(`midi-${control.controlId}-target`);
+            if (targetSelect) {
+                const currentValue = targetSelect.value;
+                targetSelect.innerHTML = control.generateTargetOptions();
+                // Restore the selection; the mapping keeps targets of layers that are not loaded yet
+                if (currentValue && targetSelect.querySelector(`option[value="${currentValue}"]`)) {
+                    targetSelect.value = currentValue;
+                }
+            }
+        });
+    }
+
     /**
      * Refresh Shader parameter dropdowns when shader uniforms change
      */
@@ -21,6 +21,8 @@ export class MIDIManager {
             inputs: [], // Array to remember multiple selected inputs
             output: null
         };
+        // Names of the outputs that receive MIDI clock in master mode (kept across reconnects)
+        this.clockOutputNames = new Set();
         this._learnCCListeners = new Set();
         this._learnNoteListeners = new Set();
         this.checkMIDISupport();
@@ -320,13 +322,15 @@ export class MIDIManager {
                     messageCategory = 'system';
                     break;
 
-                case 0xF1: // MIDI Time Code Quarter Frame
+                case MIDI_CONSTANTS.messageTypes.timecodeQuarterFrame: // MIDI Time Code Quarter Frame
+                    this.app.onMIDITimecodeQuarterFrame(data[1]);
                     messageType = 'MTC Quarter Frame';
                     messageCategory = 'system';
                     break;
 
-                case 0xF2: // Song Position Pointer
-                    const songPosition = ((data[2] << 7) | data[1]) * 6; // Convert to MIDI clock pulses
+                case MIDI_CONSTANTS.messageTypes.songPosition: // Song Position Pointer
+                    const songPosition = ((data[2] << 7) | data[1]) * MIDI_CONSTANTS.clock.pulsesPerSixteenthNote; // Convert to MIDI clock pulses
+                    this.app.onMIDISongPosition(songPosition);
                     messageType = `Song Position: ${songPosition}`;
                     messageCategory = 'system';
                     break;
@@ -392,6 +396,42 @@ export class MIDIManager {
                     }
                     break;
 
+                case MIDI_CONSTANTS.messageTypes.aftertouch: // Polyphonic Aftertouch
+                    {
+                        const note = data[1];
+                        const pressure = data[2];
+                        this.app.onMIDIPolyAftertouch(note, pressure, channel);
+                        messageType = `Poly Aftertouch: ${note} = ${pressure} (Ch:${channel + 1})`;
+                        messageCategory = 'cc';
+                    }
+                    break;
+
+                case MIDI_CONSTANTS.messageTypes.channelPressure: // Channel Pressure
+                    {
+                        const pressure = data[1];
+                        this.app.onMIDIChannelPressure(pressure, channel);
+                        messageType = `Channel Pressure: ${pressure} (Ch:${channel + 1})`;
+                        messageCategory = 'cc';
+                    }
+                    break;
+
+                case MIDI_CONSTANTS.messageTypes.pitchBend: // Pitch Bend (14-bit, LSB first)
+                    {
+                        const bend = (data[2] << 7) | data[1];
+                        this.app.onMIDIPitchBend(bend, channel);
+                        messageType = `Pitch Bend: ${bend} (Ch:${channel + 1})`;
+                        messageCategory = 'pitch';
+                    }
+                    break;
+
+                case MIDI_CONSTANTS.messageTypes.programChange: // Program Change
+                    {
+                        const program = data[1];
+                        this.app.onMIDIProgramChange(program, channel);
+                        messageType = `Program Change: ${program + 1} (Ch:${channel + 1})`;
+                        messageCategory = 'system';
+                    }
+                    break;
 
 
                 default:
@@ -465,13 +505,58 @@ export class MIDIManager {
         }
     }
 
-    // Send MIDI message to output (if available)
-    sendMIDI(data) {
+    // Send MIDI message to output (if available), optionally at a performance.now() timestamp
+    sendMIDI(data, timestamp) {
         if (this.midiOutput) {
-            this.midiOutput.send(data);
+            this.midiOutput.send(data, timestamp);
         }
     }
 
+    /**
+     * Send a message to every selected clock output
+     * @param {number[]} data - MIDI message bytes
+     * @param {number} timestamp - performance.now() time to send at
+     */
+    sendToClockOutputs(data, timestamp) {
+        this.getClockOutputs().forEach(output => {
+            try {
+                output.send(data, timestamp);
+            } catch (error) {
+                console.warn(`MIDIManager: Failed to send to ${output.name}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Get the connected outputs selected for MIDI clock
+     * @returns {MIDIOutput[]} Clock outputs
+     */
+    getClockOutputs() {
+        return this.getAvailableOutputs().filter(output => this.clockOutputNames.has(output.name));
+    }
+
+    /**
+     * Select or deselect an output for MIDI clock
+     * @param {string} outputName - Output name
+     * @param {boolean} selected - Whether the output receives clock
+     */
+    setClockOutputSelected(outputName, selected) {
+        if (selected) {
+            this.clockOutputNames.add(outputName);
+        } else {
+            this.clockOutputNames.delete(outputName);
+        }
+    }
+
+    /**
+     * Check whether an output is selected for MIDI clock
+     * @param {string} outputName - Output name
+     * @returns {boolean} Whether the output receives clock
+     */
+    isClockOutputSelected(outputName) {
+        return this.clockOutputNames.has(outputName);
+    }
+
     // Utility methods for sending specific MIDI messages
     sendNoteOn(note, velocity, channel = 0) {
         this.sendMIDI([MIDI_CONSTANTS.messageTypes.noteOn + channel, note, velocity]);
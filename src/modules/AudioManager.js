@@ -466,6 +466,7 @@ export class AudioManager {
     getRawFrequencyData() {
         return {
             frequencyData: this.frequencyData,
+            timeData: this.timeData,
             sampleRate: this.audioContext?.sampleRate,
             fftSize: this.fftSize
         };
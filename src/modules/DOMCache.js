@@ -56,6 +56,7 @@ export class DOMCache {
             'add-cc-control',
             'add-note-control',
             'add-audio-mapping-control',
+            'add-program-mapping',
             'mapping-test',
             'mapping-save',
             'mapping-load',
@@ -63,6 +64,7 @@ export class DOMCache {
             'cc-controls-container',
             'note-controls-container',
             'audio-mapping-controls-container',
+            'program-map-container',
             'cc-connect-midi',
             'note-connect-midi',
             'audio-mapping-connect-audio',
@@ -88,7 +90,10 @@ export class DOMCache {
             'debug-interpolation',
             
             // Animation controls
-            'midi-stop-animation'
+            'midi-stop-animation',
+            
+            // MIDI clock output
+            'midi-clock-outputs'
         ];
     }
 
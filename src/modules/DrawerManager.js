@@ -789,8 +789,8 @@ export class DrawerManager {
      * Set up mapping drawer tabs
      */
     setupMappingTabs() {
-        const tabs = ['cc', 'note', 'audio'];
-        const sections = ['cc-mapping-section', 'note-mapping-section', 'audio-mapping-section'];
+        const tabs = ['cc', 'note', 'audio', 'program'];
+        const sections = ['cc-mapping-section', 'note-mapping-section', 'audio-mapping-section', 'program-mapping-section'];
         
         tabs.forEach((tab, index) => {
             const tabButton = this.domCache.getElement(`tab-${tab}`);
@@ -811,8 +811,8 @@ export class DrawerManager {
      * Switch mapping tab
      */
     switchMappingTab(activeTab) {
-        const tabs = ['cc', 'note', 'audio'];
-        const sections = ['cc-mapping-section', 'note-mapping-section', 'audio-mapping-section'];
+        const tabs = ['cc', 'note', 'audio', 'program'];
+        const sections = ['cc-mapping-section', 'note-mapping-section', 'audio-mapping-section', 'program-mapping-section'];
         
         tabs.forEach((tab, index) => {
             const tabButton = this.domCache.getElement(`tab-${tab}`);
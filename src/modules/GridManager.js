@@ -33,13 +33,18 @@ export class GridManager {
 
     /**
      * Create the entire grid including composition and shapes
+     * @param {string[]|null} composition - Shape names of a saved composition (e.g. getComposition()), null generates a new one
      */
-    createGrid() {
+    createGrid(composition = null) {
         // Return old shapes to pool
         this.clearExistingShapes();
         
-        // Create the composition first
-        this.generateComposition();
+        // Create the composition first, or reuse the saved one
+        if (composition) {
+            this.composition = [...composition];
+        } else {
+            this.generateComposition();
+        }
 
         // Now create the display grid
         this.createDisplayGrid();
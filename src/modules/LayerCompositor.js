@@ -0,0 +1,505 @@
+/**
+ * LayerCompositor.js - Render Target Layer Compositing
+ * This module renders every layer of the LayerManager into its own render target and blends the
+ * targets in layer order using the shader blend modes from BlendModeConstants. Scene objects are
+ * separated per layer through Three.js layer channels, so the existing layers keep adding their
+ * meshes to the main scene: a layer's objects move to the active channel for its own pass and are
+ * parked otherwise, so any number of layers can be composited. The composited texture is handed to the post-processing chain (or
+ * presented directly) so global effects apply to all layers. While a layer that samples the previous
+ * frame is visible (e.g. FeedbackLayer), the composited frame is also copied to a history target.
+ * Group layers (isGroup) blend their children into a group target first, which is then blended
+ * with the group's own opacity and blend mode. Layer masks (LayerBase.mask) are applied while a
+ * layer is blended; layers used as a mask are rendered before the others, even while hidden.
+ */
+
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import {
+    createCustomBlendMaterial,
+    getBlendModeShaderId
+} from '../config/BlendModeConstants.js';
+import { LAYER_CONSTANTS } from '../config/LayerConstants.js';
+
+// Channel 0 holds objects not owned by any layer (background pass)
+const BASE_CHANNEL = 0;
+// Channel of the layer being rendered
+const ACTIVE_CHANNEL = 1;
+// Channel for layer objects outside of their own pass - never rendered
+const PARKED_CHANNEL = 31;
+
+// Mask shader modes (see generateMaskShaderCode): layer mattes, then the generated shapes
+const MASK_MODE_NONE = 0;
+const MASK_MODE_ALPHA = 1;
+const MASK_MODE_LUMINANCE = 2;
+const MASK_MODE_SHAPE = 3;
+
+const PresentShader = {
+    uniforms: {
+        tDiffuse: { value: null }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        varying vec2 vUv;
+
+        void main() {
+            gl_FragColor = texture2D(tDiffuse, vUv);
+
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+export class LayerCompositor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Three.js renderer
+     * @param {THREE.Scene} scene - Main scene containing all layer objects
+     * @param {THREE.Camera} camera - Camera used for every layer pass
+     * @param {Map<string, THREE.WebGLRenderTarget>} renderTargets - Per-layer render target registry
+     */
+    constructor(renderer, scene, camera, renderTargets = new Map()) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.renderTargets = renderTargets;
+
+        // Ping-pong accumulation targets for the blended result
+        this.accumulationTargets = [this.createRenderTarget(1, 1), this.createRenderTarget(1, 1)];
+        this.readIndex = 0;
+
+        // Ping-pong targets per group nesting depth: { targets, readIndex }
+        this.groupLevels = [];
+        // Targets of the layers already rendered this frame, by layer ID
+        this.renderedTargets = new Map();
+
+        // Copy of the last composited frame for layers that sample it (e.g. FeedbackLayer).
+        // Only kept while such a layer is visible; stale after a frame without one.
+        this.historyTarget = this.createRenderTarget(1, 1);
+        this.hasHistory = false;
+
+        this.width = 0;
+        this.height = 0;
+
+        // Full-screen blend and present passes
+        this.blendMaterial = createCustomBlendMaterial('normal', null, null);
+        this.presentMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(PresentShader.uniforms),
+            vertexShader: PresentShader.vertexShader,
+            fragmentShader: PresentShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.fsQuad = new FullScreenQuad(this.blendMaterial);
+
+        // Reusable objects to avoid per-frame allocations
+        this.drawingBufferSize = new THREE.Vector2();
+        this.savedClearColor = new THREE.Color();
+
+        // Number of render passes in the last frame (for performance metrics)
+        this.lastPassCount = 0;
+    }
+
+    /**
+     * Create a render target matching the compositor format
+     * @param {number} width - Target width in pixels
+     * @param {number} height - Target height in pixels
+     * @returns {THREE.WebGLRenderTarget} Render target
+     */
+    createRenderTarget(width, height) {
+        return new THREE.WebGLRenderTarget(width, height, {
+            format: THREE.RGBAFormat,
+            type: THREE.HalfFloatType,
+            generateMipmaps: false,
+            depthBuffer: true
+        });
+    }
+
+    /**
+     * Get the render target of a layer, creating it on first use
+     * @param {string} layerId - Layer ID
+     * @returns {THREE.WebGLRenderTarget} Layer render target
+     */
+    getRenderTarget(layerId) {
+        let renderTarget = this.renderTargets.get(layerId);
+        if (!renderTarget) {
+            renderTarget = this.createRenderTarget(this.width || 1, this.height || 1);
+            this.renderTargets.set(layerId, renderTarget);
+        }
+        return renderTarget;
+    }
+
+    /**
+     * Dispose the render target of a removed layer
+     * @param {string} layerId - Layer ID
+     */
+    releaseRenderTarget(layerId) {
+        const renderTarget = this.renderTargets.get(layerId);
+        if (renderTarget) {
+            renderTarget.dispose();
+            this.renderTargets.delete(layerId);
+        }
+    }
+
+    /**
+     * Match all targets to the renderer's drawing buffer size
+     */
+    updateSize() {
+        this.renderer.getDrawingBufferSize(this.drawingBufferSize);
+        const width = Math.max(1, Math.floor(this.drawingBufferSize.x));
+        const height = Math.max(1, Math.floor(this.drawingBufferSize.y));
+
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+        this.accumulationTargets.forEach(target => target.setSize(width, height));
+        this.groupLevels.forEach(level => level.targets.forEach(target => target.setSize(width, height)));
+        this.renderTargets.forEach(target => target.setSize(width, height));
+        this.historyTarget.setSize(width, height);
+        this.hasHistory = false;
+    }
+
+    /**
+     * Move a layer's objects out of every pass but its own
+     * @param {LayerBase} layer - Layer to park
+     */
+    parkLayer(layer) {
+        this.assignLayerChannel(layer, PARKED_CHANNEL);
+    }
+
+    /**
+     * Expand groups into the layers they hold
+     * @param {LayerBase[]} layers - Layers and groups in layer order
+     * @returns {LayerBase[]} Layers without groups, in layer order
+     */
+    flattenLayers(layers) {
+        const flattened = [];
+        layers.forEach(layer => {
+            if (layer.isGroup) {
+                flattened.push(...this.flattenLayers(layer.getChildLayers()));
+            } else {
+                flattened.push(layer);
+            }
+        });
+        return flattened;
+    }
+
+    /**
+     * Get the accumulation targets of a group nesting depth, creating them on first use
+     * @param {number} depth - Nesting depth (1 for top-level groups)
+     * @returns {{targets: THREE.WebGLRenderTarget[], readIndex: number}} Group level
+     */
+    getGroupLevel(depth) {
+        while (this.groupLevels.length < depth) {
+            const width = this.width || 1;
+            const height = this.height || 1;
+            this.groupLevels.push({
+                targets: [this.createRenderTarget(width, height), this.createRenderTarget(width, height)],
+                readIndex: 0
+            });
+        }
+        return this.groupLevels[depth - 1];
+    }
+
+    /**
+     * Move a layer's objects onto a channel so only its pass renders them
+     * @param {LayerBase} layer - Layer instance
+     * @param {number} channel - Three.js layer channel
+     */
+    assignLayerChannel(layer, channel) {
+        const objects = layer.getRenderObjects ? layer.getRenderObjects() : [];
+        for (let i = 0; i < objects.length; i++) {
+            const object = objects[i];
+            if (object && object.layers) {
+                object.layers.set(channel);
+            }
+        }
+    }
+
+    /**
+     * Render and blend all layers
+     * @param {LayerBase[]} orderedLayers - Top-level layers and groups in layer order (index 0 is front)
+     * @param {Set<LayerBase>} visibleLayers - Layers that should be composited this frame
+     * @param {Set<LayerBase>} maskLayers - Layers used as a mask by another layer
+     * @param {boolean} holdFrame - Keep the previous frame history (the frame is drawn again, not advanced)
+     * @returns {THREE.Texture} Composited texture
+     */
+    render(orderedLayers, visibleLayers, maskLayers = new Set(), holdFrame = false) {
+        const renderer = this.renderer;
+        this.updateSize();
+
+        // Park every layer, each layer pass renders only the layer it is for
+        const layers = this.flattenLayers(orderedLayers);
+        this.renderedTargets.clear();
+        layers.forEach(layer => this.parkLayer(layer));
+
+        const previousTarget = renderer.getRenderTarget();
+        const previousMask = this.camera.layers.mask;
+        const previousAutoClear = renderer.autoClear;
+        const previousClearAlpha = renderer.getClearAlpha();
+        renderer.getClearColor(this.savedClearColor);
+        renderer.autoClear = false;
+
+        let passCount = 0;
+
+        // Base pass: background color and objects not owned by a layer
+        this.readIndex = 0;
+        this.camera.layers.set(BASE_CHANNEL);
+        renderer.setRenderTarget(this.accumulationTargets[this.readIndex]);
+        renderer.clear();
+        renderer.render(this.scene, this.camera);
+        passCount++;
+
+        // Mask layers first, so a layer can be masked by one in front of it
+        renderer.setClearColor(0x000000, 0);
+        layers.forEach(layer => {
+            if (maskLayers.has(layer)) {
+                this.renderLayer(layer, !visibleLayers.has(layer));
+                passCount++;
+            }
+        });
+
+        // Layer passes from back (end of order) to front (start of order)
+        passCount += this.compositeLayers(orderedLayers, visibleLayers, 0);
+
+        // Keep this frame for layers that sample the previous frame, a held frame is drawn again
+        // and leaves the history as it was
+        if (!holdFrame) {
+            if (layers.some(layer => layer.usesPreviousFrame && visibleLayers.has(layer))) {
+                this.copyTexture(this.getOutputTexture(), this.historyTarget);
+                this.hasHistory = true;
+                passCount++;
+            } else {
+                this.hasHistory = false;
+            }
+        }
+
+        // Restore renderer and camera state
+        renderer.setClearColor(this.savedClearColor, previousClearAlpha);
+        renderer.autoClear = previousAutoClear;
+        renderer.setRenderTarget(previousTarget);
+        this.camera.layers.mask = previousMask;
+
+        this.lastPassCount = passCount;
+        return this.getOutputTexture();
+    }
+
+    /**
+     * Render and blend layers back to front into the accumulation of a nesting depth
+     * @param {LayerBase[]} layers - Layers and groups in layer order
+     * @param {Set<LayerBase>} visibleLayers - Layers that should be composited this frame
+     * @param {number} depth - Nesting depth (0 for the top level)
+     * @returns {number} Number of render passes
+     */
+    compositeLayers(layers, visibleLayers, depth) {
+        const renderer = this.renderer;
+        const level = depth > 0 ? this.groupLevels[depth - 1] : null;
+        let passCount = 0;
+
+        for (let index = layers.length - 1; index >= 0; index--) {
+            const layer = layers[index];
+
+            if (layer.isGroup) {
+                const children = layer.getChildLayers();
+                if (!this.flattenLayers(children).some(child => visibleLayers.has(child))) continue;
+
+                // Blend the children over a transparent group target, then the group over its parent
+                const groupLevel = this.getGroupLevel(depth + 1);
+                groupLevel.readIndex = 0;
+                renderer.setRenderTarget(groupLevel.targets[0]);
+                renderer.clear();
+                passCount += this.compositeLayers(children, visibleLayers, depth + 1) + 1;
+
+                this.blendLayer(layer, groupLevel.targets[groupLevel.readIndex], level);
+                passCount++;
+                continue;
+            }
+
+            if (!visibleLayers.has(layer)) continue;
+
+            // Mask layers were rendered before the layer passes
+            let layerTarget = this.renderedTargets.get(layer.id);
+            if (!layerTarget) {
+                layerTarget = this.renderLayer(layer);
+                passCount++;
+            }
+
+            this.blendLayer(layer, layerTarget, level);
+            passCount++;
+        }
+
+        return passCount;
+    }
+
+    /**
+     * Render a layer's objects into its own target
+     * @param {LayerBase} layer - Layer to render
+     * @param {boolean} showHidden - Show the mesh hidden with the layer (a hidden mask layer)
+     * @returns {THREE.WebGLRenderTarget} Layer target
+     */
+    renderLayer(layer, showHidden = false) {
+        const renderer = this.renderer;
+        const layerTarget = this.getRenderTarget(layer.id);
+        this.assignLayerChannel(layer, ACTIVE_CHANNEL);
+        this.camera.layers.set(ACTIVE_CHANNEL);
+        renderer.setRenderTarget(layerTarget);
+        renderer.clear();
+
+        // Hiding a layer hides its mesh, show it for the mask pass only
+        const mesh = showHidden ? layer.mesh : null;
+        const meshVisible = mesh ? mesh.visible : true;
+        if (mesh) {
+            mesh.visible = true;
+        }
+        renderer.render(this.scene, this.camera);
+        if (mesh) {
+            mesh.visible = meshVisible;
+        }
+        this.parkLayer(layer);
+
+        this.renderedTargets.set(layer.id, layerTarget);
+        return layerTarget;
+    }
+
+    /**
+     * Set the mask uniforms of the blend material for a layer
+     * @param {LayerBase} layer - Layer being blended
+     */
+    applyMaskUniforms(layer) {
+        const uniforms = this.blendMaterial.uniforms;
+        const mask = layer.mask;
+        let mode = MASK_MODE_NONE;
+
+        if (mask && mask.source === 'layer') {
+            // A mask layer that was not rendered this frame (removed, a group) leaves the layer unmasked
+            const maskTarget = this.renderedTargets.get(layer.getMaskLayerId());
+            if (maskTarget) {
+                mode = mask.channel === 'luminance' ? MASK_MODE_LUMINANCE : MASK_MODE_ALPHA;
+                uniforms.tMask.value = maskTarget.texture;
+            }
+        } else if (mask && mask.source === 'shape') {
+            mode = MASK_MODE_SHAPE + Math.max(0, LAYER_CONSTANTS.mask.shapes.indexOf(mask.shape));
+        }
+
+        uniforms.maskMode.value = mode;
+        if (mode === MASK_MODE_NONE) {
+            uniforms.tMask.value = null;
+            return;
+        }
+
+        uniforms.maskInvert.value = mask.invert;
+        uniforms.maskFeather.value = mask.feather;
+        uniforms.maskCenter.value.set(mask.x, mask.y);
+        uniforms.maskSize.value = mask.size;
+        uniforms.maskAngle.value = THREE.MathUtils.degToRad(mask.angle);
+        uniforms.maskAspect.value = this.height > 0 ? this.width / this.height : 1;
+    }
+
+    /**
+     * Blend a layer target over the accumulated result
+     * @param {LayerBase} layer - Layer being blended
+     * @param {THREE.WebGLRenderTarget} layerTarget - Target holding the layer pass
+     * @param {Object|null} level - Group level to blend into, null for the top level
+     */
+    blendLayer(layer, layerTarget, level = null) {
+        const targets = level ? level.targets : this.accumulationTargets;
+        const readIndex = level ? level.readIndex : this.readIndex;
+        const writeIndex = 1 - readIndex;
+        const uniforms = this.blendMaterial.uniforms;
+
+        uniforms.tBase.value = targets[readIndex].texture;
+        uniforms.tBlend.value = layerTarget.texture;
+        uniforms.opacity.value = layer.opacity;
+        uniforms.mode.value = getBlendModeShaderId(layer.blendMode);
+        this.applyMaskUniforms(layer);
+
+        this.fsQuad.material = this.blendMaterial;
+        this.renderer.setRenderTarget(targets[writeIndex]);
+        this.fsQuad.render(this.renderer);
+
+        if (level) {
+            level.readIndex = writeIndex;
+        } else {
+            this.readIndex = writeIndex;
+        }
+    }
+
+    /**
+     * Copy a texture into a render target
+     * The present shader only tone maps and converts color space when drawing to the screen,
+     * so rendering it into a target is a plain copy.
+     * @param {THREE.Texture} texture - Source texture
+     * @param {THREE.WebGLRenderTarget} target - Destination target
+     */
+    copyTexture(texture, target) {
+        this.presentMaterial.uniforms.tDiffuse.value = texture;
+        this.fsQuad.material = this.presentMaterial;
+        this.renderer.setRenderTarget(target);
+        this.fsQuad.render(this.renderer);
+    }
+
+    /**
+     * Get the texture holding the latest composited frame
+     * @returns {THREE.Texture} Composited texture
+     */
+    getOutputTexture() {
+        return this.accumulationTargets[this.readIndex].texture;
+    }
+
+    /**
+     * Get the composited frame of the previous render
+     * Read it before render() - the copy is updated at the end of each frame.
+     * @returns {THREE.Texture|null} Previous frame, or null if it was not kept last frame
+     */
+    getPreviousFrameTexture() {
+        return this.hasHistory ? this.historyTarget.texture : null;
+    }
+
+    /**
+     * Draw the composited frame to the screen with tone mapping and output color space
+     * @param {THREE.Texture} texture - Composited texture
+     */
+    present(texture = this.getOutputTexture()) {
+        this.presentMaterial.uniforms.tDiffuse.value = texture;
+        this.fsQuad.material = this.presentMaterial;
+        this.renderer.setRenderTarget(null);
+        this.fsQuad.render(this.renderer);
+    }
+
+    /**
+     * Get compositor performance metrics
+     * @returns {Object} Metrics
+     */
+    getPerformanceMetrics() {
+        return {
+            passCount: this.lastPassCount,
+            renderTargetCount: this.renderTargets.size + this.accumulationTargets.length + this.groupLevels.length * 2 + 1,
+            width: this.width,
+            height: this.height
+        };
+    }
+
+    /**
+     * Dispose all GPU resources owned by the compositor
+     */
+    dispose() {
+        this.renderTargets.forEach(target => target.dispose());
+        this.renderTargets.clear();
+        this.accumulationTargets.forEach(target => target.dispose());
+        this.accumulationTargets = [];
+        this.groupLevels.forEach(level => level.targets.forEach(target => target.dispose()));
+        this.groupLevels = [];
+        this.historyTarget.dispose();
+        this.hasHistory = false;
+        this.blendMaterial.dispose();
+        this.presentMaterial.dispose();
+        this.fsQuad.dispose();
+    }
+}
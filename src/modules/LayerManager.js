@@ -6,6 +6,7 @@
  */
 
 import { LayerBase } from './layers/LayerBase.js';
+import { LayerCompositor } from './LayerCompositor.js';
 import * as THREE from 'three';
 
 export class LayerManager {
@@ -94,10 +95,21 @@ export class LayerManager {
 
     /**
      * Initialize the compositor for layer blending
+     * Each layer is rendered into its own render target and blended in layer order
      */
     initializeCompositor() {
-        // Remove custom compositor - use Three.js native features
-        this.compositor = null;
+        if (!this.context || !this.context.renderer || !this.context.scene || !this.context.camera) {
+            console.warn('LayerManager: Missing renderer, scene or camera, compositor disabled');
+            this.compositor = null;
+            return;
+        }
+        
+        this.compositor = new LayerCompositor(
+            this.context.renderer,
+            this.context.scene,
+            this.context.camera,
+            this.renderTargets
+        );
     }
 
     /**
@@ -232,6 +244,156 @@ export class LayerManager {
         return shaderLayer;
     }
 
+    /**
+     * Add a feedback layer
+     * New feedback layers go to the back so they draw under the current frame
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addFeedbackLayer(layerId = 'feedback', config = {}) {
+        if (!this.compositor) {
+            console.warn('LayerManager: Feedback layers need the compositor to sample the previous frame');
+        }
+
+        const isNew = !this.layerOrder.includes(layerId);
+        const { FeedbackLayer } = await import('./layers/FeedbackLayer.js');
+
+        const feedbackLayer = new FeedbackLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(feedbackLayer);
+
+        if (isNew) {
+            this.setLayerOrder([...this.layerOrder.filter(id => id !== layerId), layerId]);
+        }
+
+        return feedbackLayer;
+    }
+
+    /**
+     * Add a video layer
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addVideoLayer(layerId = 'video', config = {}) {
+        const { VideoLayer } = await import('./layers/VideoLayer.js');
+
+        const videoLayer = new VideoLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(videoLayer);
+
+        return videoLayer;
+    }
+
+    /**
+     * Add an image layer
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addImageLayer(layerId = 'image', config = {}) {
+        const { ImageLayer } = await import('./layers/ImageLayer.js');
+
+        const imageLayer = new ImageLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(imageLayer);
+
+        return imageLayer;
+    }
+
+    /**
+     * Add a text layer
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addTextLayer(layerId = 'text', config = {}) {
+        const { TextLayer } = await import('./layers/TextLayer.js');
+
+        const textLayer = new TextLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(textLayer);
+
+        return textLayer;
+    }
+
+    /**
+     * Add a particle layer
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addParticleLayer(layerId = 'particles', config = {}) {
+        const { ParticleLayer } = await import('./layers/ParticleLayer.js');
+
+        const particleLayer = new ParticleLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(particleLayer);
+
+        return particleLayer;
+    }
+
+    /**
+     * Add a 3D model layer
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addModelLayer(layerId = 'model', config = {}) {
+        const { ModelLayer } = await import('./layers/ModelLayer.js');
+
+        const modelLayer = new ModelLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(modelLayer);
+
+        return modelLayer;
+    }
+
+    /**
+     * Add a group layer
+     * @param {string} layerId - Layer ID
+     * @param {Object} config - Layer configuration
+     */
+    async addGroupLayer(layerId = 'group', config = {}) {
+        const { GroupLayer } = await import('./layers/GroupLayer.js');
+
+        const groupLayer = new GroupLayer(layerId, {
+            visible: true,
+            opacity: 1.0,
+            blendMode: 'normal',
+            ...config
+        });
+
+        await this.addLayer(groupLayer);
+
+        return groupLayer;
+    }
+
     /**
      * Add a sphere layer
      * @param {string} layerId - Layer ID
@@ -346,11 +508,18 @@ export class LayerManager {
             console.log(`LayerManager: Removed layer ${layerId} mesh from layer scene`);
         }
         
+        // Children of a removed group move up to the top level, a removed child leaves its group
+        const group = this.getLayerGroup(layerId);
+        if (group) {
+            group.removeChild(layerId);
+        }
+        
         // Dispose the layer
         layer.dispose();
         
         // Remove from registry
         this.layers.delete(layerId);
+        this.needsVisibilityUpdate = true;
         
         // Remove from order
         const orderIndex = this.layerOrder.indexOf(layerId);
@@ -362,7 +531,9 @@ export class LayerManager {
         this.updateLayerPositions();
         
         // Clean up render target
-        if (this.renderTargets.has(layerId)) {
+        if (this.compositor) {
+            this.compositor.releaseRenderTarget(layerId);
+        } else if (this.renderTargets.has(layerId)) {
             const renderTarget = this.renderTargets.get(layerId);
             renderTarget.dispose();
             this.renderTargets.delete(layerId);
@@ -483,6 +654,150 @@ export class LayerManager {
         return [...this.layerOrder];
     }
 
+    /**
+     * Get the group holding a layer
+     * @param {string} layerId - Layer ID
+     * @returns {GroupLayer|null} Parent group, or null for top-level layers
+     */
+    getLayerGroup(layerId) {
+        for (const layer of this.layers.values()) {
+            if (layer.isGroup && layer.hasChild(layerId)) {
+                return layer;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the layers held by a group
+     * @param {string} groupId - Group layer ID
+     * @returns {LayerBase[]} Child layers in layer order
+     */
+    getGroupChildren(groupId) {
+        const group = this.layers.get(groupId);
+        if (!group || !group.isGroup) return [];
+
+        return this.layerOrder
+            .filter(id => group.hasChild(id))
+            .map(id => this.layers.get(id))
+            .filter(layer => layer);
+    }
+
+    /**
+     * Get the layers and groups that are not inside a group
+     * @returns {LayerBase[]} Top-level layers in layer order
+     */
+    getTopLevelLayers() {
+        return this.layerOrder
+            .filter(id => !this.getLayerGroup(id))
+            .map(id => this.layers.get(id))
+            .filter(layer => layer);
+    }
+
+    /**
+     * Get all drawing layers in the order they stack, groups expanded in place
+     * @returns {LayerBase[]} Layers without groups, index 0 is front
+     */
+    getFlattenedLayers() {
+        const flatten = layers => layers.flatMap(layer =>
+            layer.isGroup ? flatten(this.getGroupChildren(layer.id)) : [layer]);
+        return flatten(this.getTopLevelLayers());
+    }
+
+    /**
+     * Get the groups holding a layer, innermost first
+     * @param {string} layerId - Layer ID
+     * @returns {GroupLayer[]} Ancestor groups
+     */
+    getLayerAncestors(layerId) {
+        const ancestors = [];
+        let group = this.getLayerGroup(layerId);
+        while (group && !ancestors.includes(group)) {
+            ancestors.push(group);
+            group = this.getLayerGroup(group.id);
+        }
+        return ancestors;
+    }
+
+    /**
+     * Move a layer into a group or back to the top level
+     * @param {string} layerId - Layer ID
+     * @param {string|null} groupId - Target group ID, or null for the top level
+     * @returns {boolean} Whether the layer was moved
+     */
+    setLayerGroup(layerId, groupId = null) {
+        const layer = this.layers.get(layerId);
+        if (!layer) {
+            console.warn(`LayerManager: Layer ${layerId} not found`);
+            return false;
+        }
+
+        const targetGroup = groupId ? this.layers.get(groupId) : null;
+        if (groupId && (!targetGroup || !targetGroup.isGroup)) {
+            console.warn(`LayerManager: Group ${groupId} not found`);
+            return false;
+        }
+
+        // A group cannot be moved into itself or into one of its own children
+        if (targetGroup && (targetGroup === layer ||
+            this.getLayerAncestors(targetGroup.id).includes(layer))) {
+            console.warn(`LayerManager: Cannot move group ${layerId} into ${groupId}`);
+            return false;
+        }
+
+        const currentGroup = this.getLayerGroup(layerId);
+        if (currentGroup === targetGroup) return true;
+
+        if (currentGroup) {
+            currentGroup.removeChild(layerId);
+        }
+        if (targetGroup) {
+            targetGroup.addChild(layerId);
+        }
+
+        this.needsOrderUpdate = true;
+        this.needsVisibilityUpdate = true;
+        this.updateLayerPositions();
+
+        console.log(`LayerManager: Moved layer ${layerId} to ${groupId || 'top level'}`);
+        return true;
+    }
+
+    /**
+     * Move a layer one step among the layers that share its group
+     * @param {string} layerId - Layer ID
+     * @param {number} direction - -1 to move towards the front, 1 towards the back
+     */
+    moveLayer(layerId, direction) {
+        const group = this.getLayerGroup(layerId);
+        const siblings = group ? this.getGroupChildren(group.id) : this.getTopLevelLayers();
+        const index = siblings.findIndex(layer => layer.id === layerId);
+        const other = siblings[index + direction];
+        if (index === -1 || !other) return;
+
+        // Swap the two layers in the flat order, the rest keeps its place
+        const newOrder = [...this.layerOrder];
+        const from = newOrder.indexOf(layerId);
+        const to = newOrder.indexOf(other.id);
+        newOrder[from] = other.id;
+        newOrder[to] = layerId;
+        this.setLayerOrder(newOrder);
+    }
+
+    /**
+     * Check whether the groups holding a layer let it be drawn
+     * @param {LayerBase} layer - Layer instance
+     * @param {boolean} soloActive - Whether any group is soloed
+     * @returns {boolean} Whether no hidden or muted group hides the layer
+     */
+    isLayerEnabledByGroups(layer, soloActive) {
+        const ancestors = this.getLayerAncestors(layer.id);
+        if (ancestors.some(group => !group.visible || group.opacity <= 0 || group.muted)) {
+            return false;
+        }
+        return !soloActive || ancestors.some(group => group.solo);
+    }
+
     /**
      * Set layer parameter
      * @param {string} layerId - Layer ID
@@ -602,11 +917,13 @@ export class LayerManager {
     }
 
     /**
-     * Render all layers using simplified approach - maintain compatibility while simplifying
+     * Update all visible layers and composite them into a single texture
      * @param {THREE.WebGLRenderer} renderer - Three.js renderer
      * @param {THREE.Camera} camera - Three.js camera
+     * @param {boolean} holdFrame - Composite the layers as they are, without updating them
+     * @returns {THREE.Texture|null} Composited texture, or null without a compositor
      */
-    render(renderer, camera) {
+    render(renderer, camera, holdFrame = false) {
         const startTime = performance.now();
         
         // Process any batched operations first
@@ -615,35 +932,71 @@ export class LayerManager {
         // Get layers to render using cached results when possible
         const layersToRender = this.getCachedVisibleLayers();
         
-        if (layersToRender.length === 0) {
+        if (layersToRender.length === 0 && !this.compositor) {
             this.totalRenderTime = performance.now() - startTime;
-            return;
+            return null;
         }
         
-        // Update only layers that need updating
-        const deltaTime = this.app.animationLoop ? this.app.animationLoop.getClockDelta() : 0.016;
-        for (let i = 0; i < layersToRender.length; i++) {
-            const layer = layersToRender[i];
+        // Layers masking another layer are drawn even while hidden themselves
+        const maskLayers = this.compositor ? this.getMaskLayers(layersToRender) : new Set();
+        const hiddenMaskLayers = Array.from(maskLayers).filter(layer => !layersToRender.includes(layer));
+        this.layers.forEach(layer => {
+            layer.drawnAsMask = hiddenMaskLayers.includes(layer);
+        });
+        
+        // Update only layers that need updating, a held frame keeps every layer as it is
+        const deltaTime = this.app.animationLoop ? this.app.animationLoop.getFrameDelta() : 0.016;
+        const layersToUpdate = holdFrame ? [] : (hiddenMaskLayers.length > 0 ? [...layersToRender, ...hiddenMaskLayers] : layersToRender);
+        for (let i = 0; i < layersToUpdate.length; i++) {
+            const layer = layersToUpdate[i];
             if (layer.needsUpdate || layer.isAnimated) {
                 layer.update(deltaTime);
             }
         }
         
-        // Simplified approach: Call layer-specific render methods for all layers
-        // This maintains compatibility while removing the complex compositor
-        layersToRender.forEach(layer => {
-            if (layer.visible && layer.opacity > 0 && layer.render2D) {
+        // Let each layer prepare its materials and uniforms for this frame
+        layersToUpdate.forEach(layer => {
+            if (((layer.visible && layer.opacity > 0) || layer.drawnAsMask) && layer.render2D) {
                 try {
-                    layer.render2D(renderer, camera, deltaTime);
+                    layer.render2D(renderer, camera, deltaTime, layer.drawnAsMask);
                 } catch (error) {
                     console.warn(`Error in layer ${layer.id} render2D:`, error);
                 }
             }
         });
         
+        // Render every layer into its own target and blend them in layer order
+        let output = null;
+        if (this.compositor) {
+            output = this.compositor.render(this.getTopLevelLayers(), new Set(layersToRender), maskLayers, holdFrame);
+        }
+        
         // Track performance with moving average
         const renderTime = performance.now() - startTime;
         this.totalRenderTime = this.totalRenderTime * 0.9 + renderTime * 0.1;
+        
+        return output;
+    }
+    
+    /**
+     * Get the layers whose output masks one of the drawn layers or groups
+     * @param {LayerBase[]} layersToRender - Layers drawn this frame
+     * @returns {Set<LayerBase>} Mask layers (groups cannot be used as a mask)
+     */
+    getMaskLayers(layersToRender) {
+        const maskLayers = new Set();
+        const addMaskLayer = layer => {
+            const maskLayer = this.layers.get(layer.getMaskLayerId());
+            if (maskLayer && !maskLayer.isGroup) {
+                maskLayers.add(maskLayer);
+            }
+        };
+        
+        layersToRender.forEach(layer => {
+            addMaskLayer(layer);
+            this.getLayerAncestors(layer.id).forEach(addMaskLayer);
+        });
+        return maskLayers;
     }
     
     /**
@@ -657,9 +1010,11 @@ export class LayerManager {
         if (this.needsOrderUpdate || this.needsVisibilityUpdate || 
             now - this.lastVisibilityCheck > 100) { // Check every 100ms
             
-            this.cachedVisibleLayers = this.layerOrder
-                .map(id => this.layers.get(id))
-                .filter(layer => layer && layer.visible && layer.opacity > 0);
+            // Groups are drawn through their children, which hidden, muted or non-soloed groups hide
+            const soloActive = Array.from(this.layers.values()).some(layer => layer.isGroup && layer.solo);
+            this.cachedVisibleLayers = this.getFlattenedLayers()
+                .filter(layer => layer.visible && layer.opacity > 0 &&
+                    this.isLayerEnabledByGroups(layer, soloActive));
             
             this.lastVisibilityCheck = now;
             this.needsVisibilityUpdate = false;
@@ -849,6 +1204,7 @@ export class LayerManager {
         const metrics = {
             totalRenderTime: this.totalRenderTime,
             layerCount: this.layers.size,
+            compositor: this.compositor ? this.compositor.getPerformanceMetrics() : null,
             layers: {}
         };
         
@@ -921,15 +1277,83 @@ export class LayerManager {
                         } catch (error) {
                             console.error(`Failed to create Shader layer ${layerId}:`, error);
                         }
+                    } else if (layerConfig.type === 'FeedbackLayer') {
+                        try {
+                            layer = await this.addFeedbackLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Feedback layer ${layerId}:`, error);
+                        }
+                    } else if (layerConfig.type === 'VideoLayer') {
+                        try {
+                            layer = await this.addVideoLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Video layer ${layerId}:`, error);
+                        }
+                    } else if (layerConfig.type === 'ImageLayer') {
+                        try {
+                            layer = await this.addImageLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Image layer ${layerId}:`, error);
+                        }
+                    } else if (layerConfig.type === 'TextLayer') {
+                        try {
+                            layer = await this.addTextLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Text layer ${layerId}:`, error);
+                        }
+                    } else if (layerConfig.type === 'ParticleLayer') {
+                        try {
+                            layer = await this.addParticleLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Particle layer ${layerId}:`, error);
+                        }
+                    } else if (layerConfig.type === 'ModelLayer') {
+                        try {
+                            layer = await this.addModelLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Model layer ${layerId}:`, error);
+                        }
+                    } else if (layerConfig.type === 'GroupLayer') {
+                        try {
+                            layer = await this.addGroupLayer(layerId, layerConfig);
+                        } catch (error) {
+                            console.error(`Failed to create Group layer ${layerId}:`, error);
+                        }
                     }
                     // Add other layer types here as they're implemented
                     // else if (layerConfig.type === 'ShaderLayer') { ... }
                 }
             }
+
+            // Layers created above were put in front, restore the saved order
+            if (config.layerOrder) {
+                this.setLayerOrder(config.layerOrder);
+            }
+            
+            // Offer parameters of created layers in the mapping dropdowns
+            if (this.app.refreshLayerParameterTargets) {
+                this.app.refreshLayerParameterTargets();
+            }
         }
         this.isSettingConfig = false;
     }
 
+    /**
+     * Make layers with their own draw loop (P5) draw once per rendered frame
+     * @param {boolean} enabled - True while rendering offline with a fixed timestep
+     */
+    setFrameStepping(enabled) {
+        this.layers.forEach(layer => {
+            if (typeof layer.setFrameStepping === 'function') {
+                try {
+                    layer.setFrameStepping(enabled);
+                } catch (error) {
+                    console.warn(`Error in layer ${layer.id} frame stepping:`, error);
+                }
+            }
+        });
+    }
+
     /**
      * Handle window resize events for all layers
      */
@@ -1002,6 +1426,12 @@ export class LayerManager {
             this.layerScene = null;
         }
         
+        // Dispose compositor (also disposes the layer render targets it shares)
+        if (this.compositor) {
+            this.compositor.dispose();
+            this.compositor = null;
+        }
+        
         // Dispose render targets with error handling
         this.renderTargets.forEach((renderTarget, key) => {
             try {
@@ -1133,41 +1563,44 @@ export class LayerManager {
         // Update spacing from state first
         this.updateLayerSpacing();
         
-        const layerCount = this.layerOrder.length;
+        // Groups are not positioned themselves, their children stack in place of the group
+        const layers = this.getFlattenedLayers();
+        const layerCount = layers.length;
         if (layerCount === 0) return;
         
         console.log(`LayerManager: Updating positions for ${layerCount} layers with spacing ${this.layerSpacing}`);
         console.log(`LayerManager: Layer order:`, this.layerOrder);
         
-        this.layerOrder.forEach((layerId, index) => {
-            const layer = this.layers.get(layerId);
-            if (layer) {
-                // Calculate z-position centered around z=0
-                // For even number of layers: center between middle two layers
-                // For odd number of layers: center on the middle layer
-                const centerOffset = (layerCount - 1) * this.layerSpacing / 2;
-                const zPosition = centerOffset - (index * this.layerSpacing);
-                
-                console.log(`LayerManager: Processing layer ${layerId} (index ${index}) -> z = ${zPosition} (centered)`);
-                
-                // Use the layer's setZOffset method for proper positioning
-                // This works for all layer types (GridLayer, ShaderLayer, etc.)
-                layer.setZOffset(zPosition);
+        layers.forEach((layer, index) => {
+            const layerId = layer.id;
+            
+            // Calculate z-position centered around z=0
+            // For even number of layers: center between middle two layers
+            // For odd number of layers: center on the middle layer
+            const centerOffset = (layerCount - 1) * this.layerSpacing / 2;
+            const groupOffset = this.getLayerAncestors(layerId)
+                .reduce((sum, group) => sum + group.zOffset, 0);
+            const zPosition = centerOffset - (index * this.layerSpacing) + groupOffset;
+            
+            console.log(`LayerManager: Processing layer ${layerId} (index ${index}) -> z = ${zPosition} (centered)`);
+            
+            // Use the layer's setZOffset method for proper positioning
+            // This works for all layer types (GridLayer, ShaderLayer, etc.)
+            layer.setZOffset(zPosition);
+            
+            // If the layer has a mesh, also set renderOrder and layers
+            if (layer.mesh) {
+                // Use Three.js native renderOrder for proper layering
+                // Higher renderOrder renders on top (in front)
+                layer.mesh.renderOrder = index;
                 
-                // If the layer has a mesh, also set renderOrder and layers
-                if (layer.mesh) {
-                    // Use Three.js native renderOrder for proper layering
-                    // Higher renderOrder renders on top (in front)
-                    layer.mesh.renderOrder = index;
-                    
-                    // Use Three.js layers system for efficient layer management
-                    layer.mesh.layers.set(index);
+                // Use Three.js layers system so the compositor can render each layer on its own
+                if (this.compositor) {
+                    this.compositor.parkLayer(layer);
                 }
-                
-                console.log(`LayerManager: Updated layer ${layerId} z-offset = ${zPosition}, renderOrder = ${index}`);
-            } else {
-                console.warn(`LayerManager: Layer ${layerId} not found in registry`);
             }
+            
+            console.log(`LayerManager: Updated layer ${layerId} z-offset = ${zPosition}, renderOrder = ${index}`);
         });
     }
 
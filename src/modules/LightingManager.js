@@ -264,6 +264,9 @@ export class LightingManager {
      * @param {string} key - Light key for storage
      */
     addLightToScene(light, key) {
+        // Lights illuminate every layer pass of the LayerCompositor
+        light.layers.enableAll();
+        
         if (this.scene) {
             this.scene.add(light);
         }
@@ -1,10 +1,14 @@
 /**
  * MIDIClockManager.js - MIDI Clock Synchronization and Transport Controls
  * This module handles MIDI clock messages, calculates BPM, manages transport state,
- * and provides clock-based timing for animations and effects.
+ * and provides clock-based timing for animations and effects. In master mode the internal
+ * clock and transport are sent to other gear through MIDIClockOutput instead. MIDI Time Code
+ * is chased through MIDITimecodeSync.
  */
 
 import { BPMTimingManager } from './BPMTimingManager.js';
+import { MIDIClockOutput } from './MIDIClockOutput.js';
+import { MIDITimecodeSync } from './MIDITimecodeSync.js';
 import { MIDI_CONSTANTS } from '../config/index.js';
 import { TransportBar } from '../ui/TransportBar.js';
 
@@ -28,6 +32,13 @@ export class MIDIClockManager {
         
         this.syncMode = 'auto'; // 'auto', 'manual', 'off'
         
+        // Master mode: send the internal clock and transport instead of following external clock
+        this.isMaster = false;
+        this.clockOutput = new MIDIClockOutput(this);
+        
+        // MIDI Time Code chase (SMPTE position for the AnimationLoop)
+        this.timecodeSync = new MIDITimecodeSync(this);
+        
         // Clock subdivisions using MIDI constants
         this.quarterNotePulses = MIDI_CONSTANTS.clock.pulsesPerQuarterNote; // Standard MIDI clock
         this.eighthNotePulses = MIDI_CONSTANTS.clock.pulsesPerEighthNote;
@@ -51,6 +62,9 @@ export class MIDIClockManager {
     }
 
     onMIDIClock() {
+        // A master does not follow other clocks (this also breaks loops through routed outputs)
+        if (this.isMaster) return;
+        
         const now = performance.now();
         
         if (this.lastClockTime > 0) {
@@ -109,19 +123,25 @@ export class MIDIClockManager {
     }
 
     onMIDIStart() {
+        if (this.isMaster) return;
+        
         this.clockPulses = 0;
+        this.lastClockTime = 0;
         this.isClockActive = true;
         this.clockSource = 'external';
         this.isPlaying = true;
         this.isStopped = false;
         this.isPaused = false;
         
+        this.updateSyncPoints();
         this.app.animationLoop.resetAnimationTime();
         this.transportBar.updateAllDisplays();
         console.log('MIDI Start received');
     }
 
     onMIDIStop() {
+        if (this.isMaster) return;
+        
         this.isClockActive = false;
         this.clockSource = 'internal';
         this.isPlaying = false;
@@ -133,14 +153,103 @@ export class MIDIClockManager {
     }
 
     onMIDIContinue() {
+        if (this.isMaster) return;
+        
         this.isClockActive = true;
         this.clockSource = 'external';
         this.isPlaying = true;
         this.isStopped = false;
         this.isPaused = false;
         
+        // Resume from the stopped or Song Position Pointer position, not the internal time
+        this.chaseClockPosition();
+        console.log(`MIDI Continue received at ${this.formatSongPosition()}`);
+    }
+
+    /**
+     * Jump to the position of a Song Position Pointer (e.g. the DAW locating to another bar)
+     * @param {number} pulses - Position in MIDI clock pulses
+     */
+    onMIDISongPosition(pulses) {
+        if (this.isMaster || !Number.isFinite(pulses) || pulses < 0) return;
+        
+        this.clockPulses = pulses;
+        this.chaseClockPosition();
+        console.log(`MIDI Song Position: ${this.formatSongPosition()}`);
+    }
+
+    /**
+     * Re-align the sync points, the animation time and the transport bar with clockPulses
+     */
+    chaseClockPosition() {
+        // The next pulse must not measure the tempo across the jump
+        this.lastClockTime = 0;
+        this.bpmSamples = [];
+        
+        this.updateSyncPoints();
+        
+        // With sync off the animation keeps its own time
+        if (this.syncMode !== 'off' && this.app.animationLoop) {
+            this.app.animationLoop.setAnimationTime(this.clockPulses / MIDI_CONSTANTS.clock.pulsesPerQuarterNote);
+        }
+        
         this.transportBar.updateAllDisplays();
-        console.log('MIDI Continue received');
+    }
+
+    /**
+     * Get the transport position in clock pulses: the MIDI clock position while it runs or after
+     * it stopped, the animation loop's beat time while the internal clock plays
+     * @returns {number} Position in clock pulses
+     */
+    getSongPositionPulses() {
+        if (this.clockOutput.isRunning) {
+            return this.clockOutput.getPosition();
+        }
+        
+        const useClockPulses = this.isExternalClockActive() || !this.isPlaying || !this.app.animationLoop;
+        return useClockPulses
+            ? this.clockPulses
+            : Math.floor(this.app.animationLoop.getBeatTime() * MIDI_CONSTANTS.clock.pulsesPerQuarterNote);
+    }
+
+    /**
+     * Get the transport position as bar, beat and sixteenth
+     * @returns {{bar: number, beat: number, sixteenth: number}} 1-based musical position (4/4)
+     */
+    getSongPosition() {
+        const pulsesPerQuarter = MIDI_CONSTANTS.clock.pulsesPerQuarterNote;
+        const pulses = this.getSongPositionPulses();
+        
+        return {
+            bar: Math.floor(pulses / MIDI_CONSTANTS.clock.pulsesPerBar) + 1,
+            beat: Math.floor((pulses % MIDI_CONSTANTS.clock.pulsesPerBar) / pulsesPerQuarter) + 1,
+            sixteenth: Math.floor((pulses % pulsesPerQuarter) / MIDI_CONSTANTS.clock.pulsesPerSixteenthNote) + 1
+        };
+    }
+
+    /**
+     * Format the transport position as bar.beat.sixteenth
+     * @returns {string} Position, e.g. "33.1.1"
+     */
+    formatSongPosition() {
+        const position = this.getSongPosition();
+        return `${position.bar}.${position.beat}.${position.sixteenth}`;
+    }
+
+    /**
+     * Time until the transport reaches the next bar line
+     * @param {number} tolerance - Clock pulses after a bar line that still count as on the bar
+     * @returns {number|null} Milliseconds to the next bar, null while the transport is not running
+     */
+    getTimeToNextBar(tolerance = 0) {
+        if (!this.isPlaying && !this.isExternalClockActive()) return null;
+        
+        const pulsesPerBar = MIDI_CONSTANTS.clock.pulsesPerBar;
+        const pulsesIntoBar = this.getSongPositionPulses() % pulsesPerBar;
+        if (pulsesIntoBar <= tolerance) return 0;
+        
+        const pulseInterval = 60000 / (this.bpm * MIDI_CONSTANTS.clock.pulsesPerQuarterNote);
+        return (pulsesPerBar - pulsesIntoBar) * pulseInterval;
     }
 
     updateSyncPoints() {
@@ -204,6 +313,37 @@ export class MIDIClockManager {
 
 
 
+    /**
+     * Handle an MTC quarter frame
+     * @param {number} dataByte - Quarter frame data byte
+     */
+    onMIDITimecodeQuarterFrame(dataByte) {
+        this.timecodeSync.onQuarterFrame(dataByte);
+    }
+
+    /**
+     * Move the animation to the timecode position after a lock or locate
+     */
+    chaseTimecode() {
+        // With sync off the animation keeps its own time
+        if (this.syncMode !== 'off' && this.app.animationLoop) {
+            this.app.animationLoop.setTimecodeTime(this.timecodeSync.getSeconds());
+        }
+        this.transportBar.updateAllDisplays();
+    }
+
+    /**
+     * Whether MIDI Time Code drives the position (locked or freewheeling)
+     * @returns {boolean} True while chasing timecode
+     */
+    isTimecodeActive() {
+        return this.timecodeSync.isActive();
+    }
+
+    getTimecodeSeconds() {
+        return this.timecodeSync.getSeconds();
+    }
+
     isExternalClockActive() {
         return this.isClockActive && this.clockSource === 'external';
     }
@@ -213,6 +353,13 @@ export class MIDIClockManager {
         this.isStopped = false;
         this.isPaused = false;
         this.clockSource = 'internal';
+        
+        // Followers start from the stopped position, the visuals jump there with them
+        if (this.isMaster) {
+            this.clockPulses = this.clockOutput.start(this.clockPulses);
+            this.chaseClockPosition();
+        }
+        
         this.transportBar.updateAllDisplays();
         console.log('Internal clock started');
     }
@@ -221,17 +368,65 @@ export class MIDIClockManager {
         this.isPlaying = false;
         this.isStopped = true;
         this.isPaused = false;
+        
+        if (this.clockOutput.isRunning) {
+            this.clockPulses = this.clockOutput.stop();
+            this.updateSyncPoints();
+        }
+        
         this.transportBar.updateAllDisplays();
         console.log('Internal clock stopped');
     }
 
     resetClock() {
         this.clockPulses = 0;
+        this.updateSyncPoints();
         this.app.animationLoop.resetAnimationTime();
+        
+        // Followers restart from the beginning, or are located there while stopped
+        if (this.clockOutput.isRunning) {
+            this.clockOutput.start(0);
+        } else if (this.isMaster) {
+            this.clockOutput.locate(0);
+        }
+        
         this.transportBar.updateAllDisplays();
         console.log('Clock reset');
     }
 
+    /**
+     * Switch between following external clock and sending the internal clock (master)
+     * @param {boolean} enabled - Whether to run as clock master
+     */
+    setMasterMode(enabled) {
+        enabled = Boolean(enabled);
+        if (enabled === this.isMaster) return;
+        
+        if (enabled) {
+            // The internal clock takes over from any external clock
+            this.isClockActive = false;
+            this.clockSource = 'internal';
+            this.isMaster = true;
+            if (this.isPlaying) {
+                this.clockPulses = this.clockOutput.start(this.clockPulses);
+                this.chaseClockPosition();
+            }
+        } else {
+            if (this.clockOutput.isRunning) {
+                this.clockPulses = this.clockOutput.stop();
+                this.updateSyncPoints();
+            }
+            this.isMaster = false;
+        }
+        
+        this.transportBar.updateAllDisplays();
+        console.log(`MIDI clock master mode ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    toggleMasterMode() {
+        this.setMasterMode(!this.isMaster);
+    }
+
 
 
     toggleSyncMode() {
@@ -350,7 +545,12 @@ export class MIDIClockManager {
         }
     }
 
-
-
-
-} 
\ No newline at end of file
+    /**
+     * Stop the clock output, the timecode watchdog and the transport bar timer
+     */
+    dispose() {
+        this.clockOutput.dispose();
+        this.timecodeSync.dispose();
+        this.transportBar.dispose();
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * MIDIClockOutput.js - MIDI Clock Master Output
+ * This module sends 24 PPQN MIDI clock and Start/Stop/Continue/Song Position Pointer messages
+ * to the clock outputs selected in the MIDIManager while the MIDIClockManager runs as master.
+ * Pulses are scheduled ahead on a timer and sent with MIDI timestamps, so the timer's jitter
+ * does not reach the receiving gear. The tempo is read from the MIDIClockManager for every
+ * pulse, so BPM changes from the transport bar or tap tempo apply within the look-ahead.
+ */
+
+import { MIDI_CONSTANTS } from '../config/index.js';
+
+export class MIDIClockOutput {
+    constructor(midiClockManager) {
+        this.midiClockManager = midiClockManager;
+        this.isRunning = false;
+        this.timer = null;
+
+        // Song position and send time of the next pulse
+        this.nextPulse = 0;
+        this.nextPulseTime = 0;
+    }
+
+    /**
+     * Send a message to the selected clock outputs
+     * @param {number[]} data - MIDI message bytes
+     * @param {number} timestamp - performance.now() time to send at
+     */
+    send(data, timestamp) {
+        const midiManager = this.midiClockManager.app.midiManager;
+        if (midiManager) {
+            midiManager.sendToClockOutputs(data, timestamp);
+        }
+    }
+
+    /**
+     * Time between pulses at the current tempo
+     * @returns {number} Interval in milliseconds
+     */
+    getPulseInterval() {
+        return 60000 / (this.midiClockManager.getBPM() * MIDI_CONSTANTS.clock.pulsesPerQuarterNote);
+    }
+
+    /**
+     * Start sending clock: Start from the beginning, or Song Position Pointer and Continue from
+     * another position (rounded down to the 16th note the pointer can express)
+     * @param {number} pulses - Song position in clock pulses
+     * @returns {number} Position the output starts from
+     */
+    start(pulses = 0) {
+        if (this.isRunning) {
+            this.stop();
+        }
+
+        const now = performance.now();
+        const position = this.quantizePosition(pulses);
+        if (position === 0) {
+            this.send([MIDI_CONSTANTS.messageTypes.midiStart], now);
+        } else {
+            this.sendSongPosition(position, now);
+            this.send([MIDI_CONSTANTS.messageTypes.midiContinue], now);
+        }
+
+        this.nextPulse = position;
+        this.nextPulseTime = now;
+        this.isRunning = true;
+        this.schedule();
+        this.timer = setInterval(() => this.schedule(), MIDI_CONSTANTS.clockOutput.scheduleInterval);
+
+        console.log(`MIDIClockOutput: Started at pulse ${position}`);
+        return position;
+    }
+
+    /**
+     * Stop sending clock and send Stop
+     * @returns {number} Song position in clock pulses when stopped
+     */
+    stop() {
+        if (!this.isRunning) return this.nextPulse;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isRunning = false;
+
+        // Pulses already scheduled still go out, Stop follows the last one and the followers
+        // stop at the position after it
+        this.send([MIDI_CONSTANTS.messageTypes.midiStop], Math.max(performance.now(), this.nextPulseTime - this.getPulseInterval()));
+
+        console.log(`MIDIClockOutput: Stopped at pulse ${this.nextPulse}`);
+        return this.nextPulse;
+    }
+
+    /**
+     * Move the followers to a position while stopped
+     * @param {number} pulses - Song position in clock pulses
+     */
+    locate(pulses) {
+        if (this.isRunning) return;
+        this.nextPulse = this.quantizePosition(pulses);
+        this.sendSongPosition(this.nextPulse, performance.now());
+    }
+
+    /**
+     * Round a position down to what a Song Position Pointer can express (16th notes, 14 bits)
+     * @param {number} pulses - Song position in clock pulses
+     * @returns {number} Position in clock pulses
+     */
+    quantizePosition(pulses) {
+        const unit = MIDI_CONSTANTS.clockOutput.pulsesPerSongPosition;
+        return Math.min(0x3FFF, Math.max(0, Math.floor(pulses / unit))) * unit;
+    }
+
+    /**
+     * Send a Song Position Pointer
+     * @param {number} pulses - Song position in clock pulses, a multiple of a 16th note
+     * @param {number} timestamp - performance.now() time to send at
+     */
+    sendSongPosition(pulses, timestamp) {
+        const sixteenths = pulses / MIDI_CONSTANTS.clockOutput.pulsesPerSongPosition;
+        this.send([MIDI_CONSTANTS.messageTypes.songPosition, sixteenths & 0x7F, (sixteenths >> 7) & 0x7F], timestamp);
+    }
+
+    /**
+     * Send every pulse due before the look-ahead horizon. Pulses that fell behind (a throttled
+     * background timer) go out right away, so followers keep their position.
+     */
+    schedule() {
+        const horizon = performance.now() + MIDI_CONSTANTS.clockOutput.lookAhead;
+        while (this.nextPulseTime < horizon) {
+            this.send([MIDI_CONSTANTS.messageTypes.midiClock], this.nextPulseTime);
+            this.nextPulse++;
+            this.nextPulseTime += this.getPulseInterval();
+        }
+    }
+
+    /**
+     * Song position of the pulses sent so far, without those still waiting in the look-ahead
+     * @returns {number} Position in clock pulses
+     */
+    getPosition() {
+        if (!this.isRunning) return this.nextPulse;
+
+        const pending = Math.ceil((this.nextPulseTime - performance.now()) / this.getPulseInterval());
+        return Math.max(0, this.nextPulse - Math.max(0, pending));
+    }
+
+    dispose() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.isRunning = false;
+    }
+}
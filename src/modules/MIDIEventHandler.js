@@ -1,6 +1,8 @@
 /**
  * MIDIEventHandler.js - Centralized MIDI Event Processing
  * This module handles all MIDI event processing, including CC (Continuous Controller) and Note messages.
+ * Pitch bend (14-bit), channel pressure and polyphonic aftertouch are continuous sources like CC: they
+ * reach the CC mappings whose source matches, normalized to 0-1.
  * It provides a unified interface for MIDI event handling, parameter mapping, and action triggering.
  * Extracted from the scattered MIDI handling logic in App.js and midi-controls.js to improve modularity.
  */
@@ -13,6 +15,7 @@ export class MIDIEventHandler {
         this.app = app;
         this.learnCCListeners = new Set();
         this.learnNoteListeners = new Set();
+        this.learnSourceListeners = new Set(); // (source, number, channel) for any continuous source
         this.ccHandlers = new Map(); // controller -> handler
         this.noteHandlers = new Map(); // note -> handler
         this.tempHandlers = new Map(); // temporary handlers for learning
@@ -35,6 +38,7 @@ export class MIDIEventHandler {
                 }
             });
         }
+        this.notifySourceLearnListeners('cc', controller, channel);
 
         // Call registered CC handlers
         const handler = this.ccHandlers.get(controller);
@@ -83,6 +87,71 @@ export class MIDIEventHandler {
         this.processNoteMappings(note, velocity, isNoteOn, channel);
     }
 
+    /**
+     * Handle MIDI pitch bend events
+     * @param {number} value - 14-bit bend value (0-16383, 8192 = center)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    onMIDIPitchBend(value, channel) {
+        this.onMIDISource('pitchBend', 0, value / MIDI_CONSTANTS.ranges.pitchBend.max, channel);
+    }
+
+    /**
+     * Handle MIDI channel pressure (mono aftertouch) events
+     * @param {number} pressure - Pressure (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    onMIDIChannelPressure(pressure, channel) {
+        this.onMIDISource('channelPressure', 0, pressure / MIDI_CONSTANTS.ranges.aftertouch.max, channel);
+    }
+
+    /**
+     * Handle MIDI polyphonic aftertouch events
+     * @param {number} note - Note number (0-127)
+     * @param {number} pressure - Pressure (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    onMIDIPolyAftertouch(note, pressure, channel) {
+        this.onMIDISource('polyAftertouch', note, pressure / MIDI_CONSTANTS.ranges.aftertouch.max, channel);
+    }
+
+    /**
+     * Handle a continuous source other than CC
+     * @param {string} source - 'pitchBend', 'channelPressure' or 'polyAftertouch'
+     * @param {number} number - Note number for polyphonic aftertouch, 0 otherwise
+     * @param {number} normalizedValue - Value (0-1)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    onMIDISource(source, number, normalizedValue, channel) {
+        this.notifySourceLearnListeners(source, number, channel);
+        
+        const ccMappings = this.app.state.get('midiCCMappings') || {};
+        
+        Object.entries(ccMappings).forEach(([controlId, mapping]) => {
+            // Only polyphonic aftertouch is addressed per note
+            if (mapping && mapping.source === source && mapping.channel === channel &&
+                (source !== 'polyAftertouch' || mapping.value === number)) {
+                this.handleContinuousMapping(controlId, mapping, normalizedValue);
+            }
+        });
+    }
+
+    /**
+     * Call the learn listeners for continuous sources
+     * @param {string} source - Source type
+     * @param {number} number - Controller or note number (0 for channel-wide sources)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    notifySourceLearnListeners(source, number, channel) {
+        this.learnSourceListeners.forEach(callback => {
+            try {
+                callback(source, number, channel);
+            } catch (error) {
+                console.error('Error in source learn listener:', error);
+            }
+        });
+    }
+
     /**
      * Process CC mappings from the application state
      * @param {number} controller - CC controller number
@@ -93,7 +162,8 @@ export class MIDIEventHandler {
         const ccMappings = this.app.state.get('midiCCMappings') || {};
         
         Object.entries(ccMappings).forEach(([controlId, mapping]) => {
-            if (mapping && mapping.channel === channel && mapping.value === controller) {
+            // Mappings without a source predate the other sources and are CC mappings
+            if (mapping && (mapping.source || 'cc') === 'cc' && mapping.channel === channel && mapping.value === controller) {
                 this.handleCCMapping(controlId, mapping, value);
             }
         });
@@ -123,48 +193,51 @@ export class MIDIEventHandler {
      * @param {number} midiValue - Raw MIDI value (0-127)
      */
     handleCCMapping(controlId, mapping, midiValue) {
+        console.log(`MIDIEventHandler: CC${controlId} Raw=${midiValue}`);
+        this.handleContinuousMapping(controlId, mapping, this.normalizeValue(midiValue, mapping.target));
+    }
+
+    /**
+     * Route a normalized value of a continuous source to the targets of a mapping
+     * @param {string} controlId - Control identifier
+     * @param {Object} mapping - Mapping configuration
+     * @param {number} normalizedValue - Value (0-1)
+     */
+    handleContinuousMapping(controlId, mapping, normalizedValue) {
         try {
-            console.log(`MIDIEventHandler: CC${controlId} Raw=${midiValue}`);
-            
             // Handle primary target
             if (mapping.target && mapping.target.trim() !== '') {
                 console.log(`→ Primary target: ${mapping.target}`);
                 
-                // Use existing normalization for grid parameters
-                const normalizedValue = this.normalizeValue(midiValue, mapping.target);
-                
-                // Use ParameterMapper for grid parameters
-                ParameterMapper.handleParameterUpdate(
-                    mapping.target, 
-                    normalizedValue, 
-                    this.app.state, 
-                    this.app.scene, 
-                    'midi'
-                );
+                if (mapping.target.startsWith('layer:')) {
+                    // Layer parameters are scaled to their exposed range by the App
+                    this.app.updateAnimationParameter(mapping.target, normalizedValue);
+                } else {
+                    // Use ParameterMapper for grid parameters
+                    ParameterMapper.handleParameterUpdate(
+                        mapping.target, 
+                        normalizedValue, 
+                        this.app.state, 
+                        this.app.scene, 
+                        'midi'
+                    );
+                }
             }
             
             // Handle P5 target
             if (mapping.p5Target && mapping.p5Target.trim() !== '') {
-                console.log(`→ P5 target: ${mapping.p5Target}`);
-                
-                // Simple 0-1 normalization for P5 parameters
-                const normalizedP5Value = midiValue / MIDI_CONSTANTS.ranges.controllers.max;
-                console.log(`→ P5 normalized: ${normalizedP5Value.toFixed(3)}`);
+                console.log(`→ P5 target: ${mapping.p5Target} = ${normalizedValue.toFixed(3)}`);
                 
                 // Use App's updateAnimationParameter for P5 parameters
-                this.app.updateAnimationParameter(mapping.p5Target, normalizedP5Value);
+                this.app.updateAnimationParameter(mapping.p5Target, normalizedValue);
             }
 
             // Handle Shader target
             if (mapping.shaderTarget && mapping.shaderTarget.trim() !== '') {
-                console.log(`→ Shader target: ${mapping.shaderTarget}`);
-                
-                // Simple 0-1 normalization for Shader parameters
-                const normalizedShaderValue = midiValue / MIDI_CONSTANTS.ranges.controllers.max;
-                console.log(`→ Shader normalized: ${normalizedShaderValue.toFixed(3)}`);
+                console.log(`→ Shader target: ${mapping.shaderTarget} = ${normalizedValue.toFixed(3)}`);
                 
                 // Use App's updateAnimationParameter for Shader parameters
-                this.app.updateAnimationParameter(mapping.shaderTarget, normalizedShaderValue);
+                this.app.updateAnimationParameter(mapping.shaderTarget, normalizedValue);
             }
 
             // Ensure changes are visible even when animation is paused
@@ -334,12 +407,29 @@ export class MIDIEventHandler {
         this.learnNoteListeners.delete(callback);
     }
 
+    /**
+     * Add a learn listener for any continuous source (CC, pitch bend, channel pressure, poly aftertouch)
+     * @param {Function} callback - Learn callback function (source, number, channel)
+     */
+    addLearnSourceListener(callback) {
+        this.learnSourceListeners.add(callback);
+    }
+
+    /**
+     * Remove a learn listener for continuous sources
+     * @param {Function} callback - Learn callback function
+     */
+    removeLearnSourceListener(callback) {
+        this.learnSourceListeners.delete(callback);
+    }
+
     /**
      * Clear all learn listeners
      */
     clearLearnListeners() {
         this.learnCCListeners.clear();
         this.learnNoteListeners.clear();
+        this.learnSourceListeners.clear();
     }
 
     /**
@@ -0,0 +1,237 @@
+/**
+ * MIDITimecodeSync.js - MIDI Time Code (MTC) Chase
+ * This module assembles MTC quarter frames into SMPTE time (24, 25, 29.97 drop-frame and
+ * 30 fps) and keeps a running position in seconds for the AnimationLoop. Every quarter frame
+ * advances the position by a quarter of a frame, every completed set of eight realigns it to the
+ * received time. When quarter frames stop arriving the position freewheels for a while before
+ * the chase stops. Full-frame SysEx locate messages need SysEx access, which is not requested,
+ * so after a jump the position is picked up from the next eight quarter frames.
+ */
+
+import { MIDI_CONSTANTS } from '../config/index.js';
+
+export class MIDITimecodeSync {
+    constructor(midiClockManager) {
+        this.midiClockManager = midiClockManager;
+        this.status = 'stopped'; // 'stopped', 'locking', 'locked', 'freewheel'
+        this.watchdog = null;
+
+        // Quarter frame assembly
+        this.pieces = new Array(8).fill(0);
+        this.lastPiece = -1;
+        this.piecesReceived = 0;
+        this.lastQuarterFrameTime = 0;
+
+        // Frame rate code from piece 7: 0 = 24, 1 = 25, 2 = 29.97 drop-frame, 3 = 30
+        this.rateCode = 1;
+
+        // Running position: seconds at the anchor time (performance.now())
+        this.anchorSeconds = 0;
+        this.anchorTime = 0;
+    }
+
+    /**
+     * Handle an MTC quarter frame
+     * @param {number} dataByte - Data byte: piece number in bits 4-6, value nibble in bits 0-3
+     */
+    onQuarterFrame(dataByte) {
+        const now = performance.now();
+        const piece = (dataByte >> 4) & 0x07;
+        this.pieces[piece] = dataByte & 0x0F;
+        this.lastQuarterFrameTime = now;
+
+        if (this.status === 'stopped') {
+            this.status = 'locking';
+            this.startWatchdog();
+            this.midiClockManager.transportBar.updateAllDisplays();
+        }
+
+        // Only a forward run of pieces assembles a time (reverse playback is not chased)
+        if (piece === (this.lastPiece + 1) % 8) {
+            this.piecesReceived++;
+        } else {
+            this.piecesReceived = piece === 0 ? 1 : 0;
+        }
+        this.lastPiece = piece;
+
+        // Between full frames every quarter frame moves the position by a quarter frame
+        if (this.status === 'locked') {
+            this.anchorSeconds += 1 / (4 * this.getFrameRate());
+            this.anchorTime = now;
+        }
+
+        if (piece === 7 && this.piecesReceived >= 8) {
+            this.onFullFrame(now);
+        }
+    }
+
+    /**
+     * Realign the position with a completed set of quarter frames
+     * @param {number} now - Receive time of piece 7
+     */
+    onFullFrame(now) {
+        const [frameLow, frameHigh, secondsLow, secondsHigh, minutesLow, minutesHigh, hoursLow, hoursHigh] = this.pieces;
+        this.rateCode = (hoursHigh >> 1) & 0x03;
+
+        const frames = frameLow | ((frameHigh & 0x01) << 4);
+        const seconds = secondsLow | ((secondsHigh & 0x03) << 4);
+        const minutes = minutesLow | ((minutesHigh & 0x03) << 4);
+        const hours = hoursLow | ((hoursHigh & 0x01) << 4);
+
+        // The time was sent from piece 0 on, piece 7 arrives 1.75 frames later
+        const position = this.toSeconds(hours, minutes, seconds, frames) + 1.75 / this.getFrameRate();
+
+        const wasLocked = this.status === 'locked' || this.status === 'freewheel';
+        const jumped = !wasLocked || Math.abs(position - this.getSeconds()) > MIDI_CONSTANTS.timecode.jumpThreshold;
+
+        this.anchorSeconds = position;
+        this.anchorTime = now;
+
+        if (!wasLocked) {
+            console.log(`MIDITimecodeSync: Locked at ${this.formatTimecode()} (${this.getFrameRateLabel()} fps)`);
+        }
+        this.status = 'locked';
+
+        // A locate (or the first lock) moves the animation to the new position
+        if (jumped) {
+            this.midiClockManager.chaseTimecode();
+        }
+    }
+
+    startWatchdog() {
+        if (this.watchdog) return;
+        this.watchdog = setInterval(() => this.checkDropout(), MIDI_CONSTANTS.timecode.watchdogInterval);
+    }
+
+    stopWatchdog() {
+        if (this.watchdog) {
+            clearInterval(this.watchdog);
+            this.watchdog = null;
+        }
+    }
+
+    /**
+     * Freewheel when quarter frames stop arriving, stop when they stay away
+     */
+    checkDropout() {
+        const silence = performance.now() - this.lastQuarterFrameTime;
+
+        if (silence > MIDI_CONSTANTS.timecode.freewheelDuration || (this.status === 'locking' && silence > MIDI_CONSTANTS.timecode.dropoutTimeout)) {
+            // Keep the position where the freewheel ended
+            this.anchorSeconds = this.getSeconds();
+            this.anchorTime = performance.now();
+            this.stop();
+        } else if (this.status === 'locked' && silence > MIDI_CONSTANTS.timecode.dropoutTimeout) {
+            this.status = 'freewheel';
+            this.midiClockManager.transportBar.updateAllDisplays();
+            console.log(`MIDITimecodeSync: Timecode dropout at ${this.formatTimecode()}, freewheeling`);
+        }
+    }
+
+    stop() {
+        const wasRunning = this.status === 'locked' || this.status === 'freewheel';
+
+        this.stopWatchdog();
+        this.status = 'stopped';
+        this.lastPiece = -1;
+        this.piecesReceived = 0;
+        this.midiClockManager.transportBar.updateAllDisplays();
+
+        if (wasRunning) {
+            console.log(`MIDITimecodeSync: Timecode stopped at ${this.formatTimecode()}`);
+        }
+    }
+
+    /**
+     * Whether the position is running from timecode (locked or freewheeling)
+     * @returns {boolean} True while chasing
+     */
+    isActive() {
+        return this.status === 'locked' || this.status === 'freewheel';
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    /**
+     * Current position
+     * @returns {number} Timecode position in seconds
+     */
+    getSeconds() {
+        if (!this.isActive()) return this.anchorSeconds;
+        return this.anchorSeconds + (performance.now() - this.anchorTime) / 1000;
+    }
+
+    getFrameRate() {
+        return MIDI_CONSTANTS.timecode.frameRates[this.rateCode];
+    }
+
+    getFrameRateLabel() {
+        return this.isDropFrame() ? `${this.getFrameRate()} DF` : String(this.getFrameRate());
+    }
+
+    isDropFrame() {
+        return this.rateCode === 2;
+    }
+
+    /**
+     * Convert a SMPTE time to seconds
+     * @param {number} hours - Hours
+     * @param {number} minutes - Minutes
+     * @param {number} seconds - Seconds
+     * @param {number} frames - Frames
+     * @returns {number} Position in seconds
+     */
+    toSeconds(hours, minutes, seconds, frames) {
+        const nominalRate = Math.round(this.getFrameRate());
+        let frameCount = ((hours * 60 + minutes) * 60 + seconds) * nominalRate + frames;
+
+        // Drop-frame skips frame numbers 0 and 1 of every minute except every tenth
+        if (this.isDropFrame()) {
+            const totalMinutes = hours * 60 + minutes;
+            frameCount -= 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+        }
+
+        return frameCount / this.getFrameRate();
+    }
+
+    /**
+     * Convert seconds to a SMPTE time
+     * @param {number} position - Position in seconds
+     * @returns {{hours: number, minutes: number, seconds: number, frames: number}} SMPTE time
+     */
+    toSMPTE(position) {
+        const nominalRate = Math.round(this.getFrameRate());
+        let frameCount = Math.floor(Math.max(0, position) * this.getFrameRate() + 1e-6);
+
+        // Add back the frame numbers drop-frame skips (17982 frames per ten minutes)
+        if (this.isDropFrame()) {
+            const tenMinutes = Math.floor(frameCount / 17982);
+            const remainder = frameCount % 17982;
+            frameCount += 18 * tenMinutes + (remainder < 2 ? 0 : 2 * Math.floor((remainder - 2) / 1798));
+        }
+
+        return {
+            hours: Math.floor(frameCount / (nominalRate * 3600)) % 24,
+            minutes: Math.floor(frameCount / (nominalRate * 60)) % 60,
+            seconds: Math.floor(frameCount / nominalRate) % 60,
+            frames: frameCount % nominalRate
+        };
+    }
+
+    /**
+     * Format the current position as SMPTE time
+     * @returns {string} "hh:mm:ss:ff", with ";" before the frames for drop-frame
+     */
+    formatTimecode() {
+        const { hours, minutes, seconds, frames } = this.toSMPTE(this.getSeconds());
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${this.isDropFrame() ? ';' : ':'}${pad(frames)}`;
+    }
+
+    dispose() {
+        this.stopWatchdog();
+        this.status = 'stopped';
+    }
+}
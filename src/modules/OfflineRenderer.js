@@ -0,0 +1,312 @@
+/**
+ * OfflineRenderer.js - Deterministic Offline Frame Rendering
+ * This module renders PNG frame sequences independent of realtime performance. The AnimationLoop is
+ * driven with a fixed timestep, the GSAP root timeline is advanced on the same virtual clock (so
+ * ShapeAnimationManager, CameraAnimationManager and StateManager interpolations follow it), and
+ * Math.random is seeded for the duration of the render. Rendering the same scene with the same
+ * settings therefore produces identical frames at any resolution.
+ */
+
+import { gsap } from 'gsap';
+import { EXPORT_CONSTANTS } from '../config/index.js';
+import { ZipWriter } from './ZipWriter.js';
+
+const OFFLINE_CONFIG = EXPORT_CONSTANTS.offline;
+
+/**
+ * Create a seeded pseudo random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Random function returning values in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let value = seed >>> 0;
+    return function random() {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class OfflineRenderer {
+    constructor(app) {
+        this.app = app;
+
+        this.isRendering = false;
+        this.cancelRequested = false;
+
+        // Virtual clock origin on the GSAP ticker timescale
+        this.virtualStart = 0;
+    }
+
+    /**
+     * Get default render settings
+     * @returns {Object} Render settings
+     */
+    getDefaultSettings() {
+        // A scene with a fixed render resolution renders at that format
+        const fixedResolution = this.app.scene ? this.app.scene.getFixedRenderResolution() : null;
+        return {
+            width: fixedResolution ? fixedResolution.width : OFFLINE_CONFIG.width,
+            height: fixedResolution ? fixedResolution.height : OFFLINE_CONFIG.height,
+            fps: OFFLINE_CONFIG.fps,
+            bars: OFFLINE_CONFIG.bars,
+            bpm: this.app.midiClockManager ? Math.round(this.app.midiClockManager.getBPM()) : 120,
+            seed: OFFLINE_CONFIG.seed,
+            output: 'zip'
+        };
+    }
+
+    /**
+     * Validate and complete render settings
+     * @param {Object} options - Partial render settings
+     * @returns {Object} Validated settings
+     */
+    resolveSettings(options) {
+        const settings = { ...this.getDefaultSettings(), ...options };
+        const clampDimension = value => Math.max(1, Math.min(OFFLINE_CONFIG.maxDimension, Math.round(value)));
+
+        settings.width = clampDimension(settings.width);
+        settings.height = clampDimension(settings.height);
+        settings.fps = Math.max(1, Math.round(settings.fps));
+        settings.bars = Math.max(1, Math.round(settings.bars));
+        settings.seed = Math.round(settings.seed) || 0;
+
+        if (!isFinite(settings.bpm) || settings.bpm <= 0) {
+            throw new Error(`Invalid BPM: ${settings.bpm}`);
+        }
+        if (!OFFLINE_CONFIG.outputOptions.includes(settings.output)) {
+            throw new Error(`Unknown output type: ${settings.output}`);
+        }
+        if (settings.output === 'folder' && typeof window.showDirectoryPicker !== 'function') {
+            throw new Error('Saving to a folder requires the File System Access API (Chrome/Edge)');
+        }
+
+        return settings;
+    }
+
+    /**
+     * Render a PNG sequence
+     * @param {Object} options - Render settings
+     * @param {number} options.width - Output width in pixels
+     * @param {number} options.height - Output height in pixels
+     * @param {number} options.fps - Frames per second of the virtual clock
+     * @param {number} options.bars - Length of the render in bars
+     * @param {number} options.bpm - Tempo used for the render
+     * @param {number} options.seed - Random seed
+     * @param {string} options.output - 'zip' (download) or 'folder' (File System Access API)
+     * @param {Function} [options.onProgress] - Called with { frame, frameCount }
+     * @returns {Promise<Object>} Render summary
+     */
+    async render(options = {}) {
+        if (this.isRendering) {
+            throw new Error('An offline render is already running');
+        }
+
+        const settings = this.resolveSettings(options);
+
+        // Claim the renderer before the folder picker opens, so a second click cannot start another render
+        this.isRendering = true;
+        this.cancelRequested = false;
+
+        // Ask for the folder first, the picker needs the user gesture that started the render
+        let output;
+        try {
+            output = await this.createOutput(settings);
+        } catch (error) {
+            this.isRendering = false;
+            throw error;
+        }
+
+        const savedState = this.enterOfflineMode(settings);
+
+        const startTime = performance.now();
+        let framesWritten = 0;
+        let frameCount = 0;
+
+        try {
+            const bpmTimingManager = this.app.midiClockManager.getBPMTimingManager();
+            const duration = bpmTimingManager.getTimeForBarLength(settings.bars);
+            const timestep = 1 / settings.fps;
+            frameCount = Math.max(1, Math.round(duration * settings.fps));
+
+            console.log(`OfflineRenderer: Rendering ${frameCount} frames at ${settings.width}x${settings.height}, ${settings.fps} fps, ${settings.bpm} BPM`);
+
+            for (let frame = 0; frame < frameCount; frame++) {
+                if (this.cancelRequested) {
+                    console.log('OfflineRenderer: Render cancelled');
+                    break;
+                }
+
+                // Frame 0 shows time 0, every following frame advances exactly one timestep
+                gsap.updateRoot(this.virtualStart + frame * timestep);
+                this.app.animationLoop.step(frame === 0 ? 0 : timestep);
+
+                const blob = await this.captureFrame();
+                const frameName = `frame_${String(frame + 1).padStart(OFFLINE_CONFIG.frameDigits, '0')}.png`;
+                await output.write(frameName, blob);
+                framesWritten++;
+
+                if (typeof options.onProgress === 'function') {
+                    options.onProgress({ frame: frame + 1, frameCount });
+                }
+            }
+
+            if (framesWritten > 0) {
+                await output.close(settings);
+            }
+        } finally {
+            this.exitOfflineMode(savedState);
+            this.isRendering = false;
+        }
+
+        const elapsed = (performance.now() - startTime) / 1000;
+        console.log(`OfflineRenderer: Wrote ${framesWritten}/${frameCount} frames in ${elapsed.toFixed(1)}s`);
+
+        return {
+            framesWritten,
+            frameCount,
+            cancelled: framesWritten < frameCount,
+            elapsed
+        };
+    }
+
+    /**
+     * Request cancellation of the running render (finishes the current frame)
+     */
+    cancel() {
+        if (this.isRendering) {
+            this.cancelRequested = true;
+        }
+    }
+
+    /**
+     * Create the frame writer for the chosen output
+     * @param {Object} settings - Render settings
+     * @returns {Promise<Object>} Writer with write(name, blob) and close(settings)
+     */
+    async createOutput(settings) {
+        if (settings.output === 'folder') {
+            const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            return {
+                write: async (name, blob) => {
+                    const fileHandle = await directory.getFileHandle(name, { create: true });
+                    const writable = await fileHandle.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                },
+                close: async () => {}
+            };
+        }
+
+        const zip = new ZipWriter();
+        return {
+            write: (name, blob) => zip.addFile(name, blob),
+            close: async (renderSettings) => {
+                const archive = zip.finalize();
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(archive);
+                link.download = `${OFFLINE_CONFIG.filePrefix}-${renderSettings.width}x${renderSettings.height}-${renderSettings.fps}fps-${Date.now()}.zip`;
+                link.click();
+
+                // Clean up the URL object
+                setTimeout(() => URL.revokeObjectURL(link.href), 100);
+            }
+        };
+    }
+
+    /**
+     * Encode the frame that was just rendered
+     * @returns {Promise<Blob>} PNG data
+     */
+    captureFrame() {
+        const canvas = this.app.scene.renderer.domElement;
+        // toBlob snapshots the drawing buffer synchronously, so it must run right after rendering
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode frame as PNG'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Stop realtime rendering and switch every clock to the virtual clock
+     * @param {Object} settings - Render settings
+     * @returns {Object} State needed to restore realtime rendering
+     */
+    enterOfflineMode(settings) {
+        const { animationLoop, midiClockManager, scene, layerManager } = this.app;
+
+        const savedState = {
+            wasRunning: animationLoop.getRunningState(),
+            bpm: midiClockManager.getBPM(),
+            random: Math.random,
+            // The performer's grid layout, the render rebuilds it with the seeded generator
+            composition: scene.gridManager.getComposition()
+        };
+
+        animationLoop.stop();
+
+        // Take the GSAP root timeline off the realtime ticker
+        gsap.ticker.remove(gsap.updateRoot);
+        this.virtualStart = gsap.ticker.time;
+        gsap.updateRoot(this.virtualStart);
+
+        // Seed randomness (grid layout, shape cycling, morph targets)
+        Math.random = createSeededRandom(settings.seed);
+
+        // Render at the requested resolution, without the venue's projection warp and slicing
+        scene.outputStageSuspended = true;
+        scene.setRenderSize(settings.width, settings.height);
+        if (layerManager) {
+            layerManager.onWindowResize();
+            layerManager.setFrameStepping(true);
+        }
+
+        // Setting the BPM restarts camera animations, now on the virtual clock
+        midiClockManager.setBPM(settings.bpm);
+
+        animationLoop.setFixedTimestep(1 / settings.fps);
+        animationLoop.resetAnimationTime();
+
+        // Rebuild the grid with the seeded generator so the layout is reproducible
+        scene.createGrid();
+
+        return savedState;
+    }
+
+    /**
+     * Restore realtime rendering after an offline render
+     * @param {Object} savedState - State returned by enterOfflineMode()
+     */
+    exitOfflineMode(savedState) {
+        const { animationLoop, midiClockManager, scene, layerManager } = this.app;
+
+        animationLoop.setFixedTimestep(null);
+        Math.random = savedState.random;
+
+        // Bring back the layout from before the render
+        scene.createGrid(savedState.composition);
+
+        if (layerManager) {
+            layerManager.setFrameStepping(false);
+        }
+        scene.outputStageSuspended = false;
+        scene.onWindowResize();
+        if (layerManager) {
+            layerManager.onWindowResize();
+        }
+
+        gsap.ticker.add(gsap.updateRoot);
+        midiClockManager.setBPM(savedState.bpm);
+
+        if (savedState.wasRunning) {
+            animationLoop.start();
+        }
+    }
+}
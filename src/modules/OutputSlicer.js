@@ -0,0 +1,567 @@
+/**
+ * OutputSlicer.js - Multi-Projector Output Slicing
+ * This module is the last output pass. The finished frame (after post-processing and projection
+ * mapping) is split into N slices side by side (horizontal) or top to bottom (vertical). Neighbouring
+ * slices share an overlap band that fades out on one slice while it fades in on the other, with
+ * gamma corrected soft-edge ramps so the light of two overlapping projectors adds up evenly.
+ *
+ * Each slice is drawn into its own area of the output canvas: 'matching' keeps the slices in the
+ * same direction as the split (a wide canvas spanned across projectors), 'stacked' places them
+ * along the other axis (pixel maps of LED processors). Slices can also be given explicit output
+ * rectangles. Slice layouts are named so a venue profile can carry several of them.
+ *
+ * All rectangles are normalized: x to the right, y up, 0-1 across the frame.
+ */
+
+import * as THREE from 'three';
+import { OUTPUT_CONSTANTS } from '../config/index.js';
+
+const SLICING_CONFIG = OUTPUT_CONSTANTS.slicing;
+
+const DIRECTIONS = ['horizontal', 'vertical'];
+const ARRANGEMENTS = ['matching', 'stacked'];
+
+const SliceShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        sourceRect: { value: new THREE.Vector4(0, 0, 1, 1) },
+        vertical: { value: 0 },
+        rampStart: { value: 0 },
+        rampEnd: { value: 0 },
+        gamma: { value: SLICING_CONFIG.defaultGamma },
+        blendCurve: { value: SLICING_CONFIG.defaultBlendCurve }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec4 sourceRect;
+        uniform float vertical;
+        uniform float rampStart;
+        uniform float rampEnd;
+        uniform float gamma;
+        uniform float blendCurve;
+        varying vec2 vUv;
+
+        // Ramp from 0 at the slice edge to 1 inside; blend(x) + blend(1 - x) = 1 in light output
+        float blend(float x) {
+            float f = x < 0.5
+                ? 0.5 * pow(2.0 * x, blendCurve)
+                : 1.0 - 0.5 * pow(2.0 * (1.0 - x), blendCurve);
+            return pow(clamp(f, 0.0, 1.0), 1.0 / gamma);
+        }
+
+        void main() {
+            gl_FragColor = texture2D(tDiffuse, sourceRect.xy + vUv * sourceRect.zw);
+
+            #ifdef OUTPUT_TRANSFORM
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+            #endif
+
+            // Position along the slice order (vertical slices run top to bottom)
+            float t = vertical > 0.5 ? 1.0 - vUv.y : vUv.x;
+            float weight = 1.0;
+            if (rampStart > 0.0 && t < rampStart) weight *= blend(t / rampStart);
+            if (rampEnd > 0.0 && t > 1.0 - rampEnd) weight *= blend((1.0 - t) / rampEnd);
+
+            // Applied to the encoded output, the projector's gamma turns it back into linear light
+            gl_FragColor.rgb *= weight;
+        }
+    `
+};
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function clampNumber(value, min, max, fallback) {
+    return typeof value === 'number' && isFinite(value) ? clamp(value, min, max) : fallback;
+}
+
+function clampSliceCount(value) {
+    return clamp(Math.round(value) || 1, 1, SLICING_CONFIG.maxSlices);
+}
+
+function isRect(rect) {
+    return !!rect && typeof rect === 'object' &&
+        ['x', 'y', 'width', 'height'].every(key => typeof rect[key] === 'number' && isFinite(rect[key])) &&
+        rect.width > 0 && rect.height > 0;
+}
+
+function createSlice() {
+    return {
+        overlap: SLICING_CONFIG.defaultOverlap,
+        gamma: SLICING_CONFIG.defaultGamma,
+        output: null
+    };
+}
+
+function createLayout(count = SLICING_CONFIG.defaultSliceCount) {
+    return {
+        direction: 'horizontal',
+        arrangement: 'matching',
+        blendCurve: SLICING_CONFIG.defaultBlendCurve,
+        slices: Array.from({ length: clampSliceCount(count) }, createSlice)
+    };
+}
+
+/**
+ * Validate a saved layout, falling back to defaults for anything missing
+ * @param {Object} layout - Saved layout
+ * @returns {Object} Clean layout
+ */
+function sanitizeLayout(layout) {
+    const defaults = createLayout();
+    if (!layout || typeof layout !== 'object') return defaults;
+
+    const slices = Array.isArray(layout.slices) && layout.slices.length > 0
+        ? layout.slices.slice(0, SLICING_CONFIG.maxSlices).map(slice => ({
+            overlap: clampNumber(slice && slice.overlap, 0, SLICING_CONFIG.maxOverlap, SLICING_CONFIG.defaultOverlap),
+            gamma: clampNumber(slice && slice.gamma, SLICING_CONFIG.minGamma, SLICING_CONFIG.maxGamma, SLICING_CONFIG.defaultGamma),
+            output: slice && isRect(slice.output) ? { ...slice.output } : null
+        }))
+        : defaults.slices;
+
+    return {
+        direction: DIRECTIONS.includes(layout.direction) ? layout.direction : defaults.direction,
+        arrangement: ARRANGEMENTS.includes(layout.arrangement) ? layout.arrangement : defaults.arrangement,
+        blendCurve: clampNumber(layout.blendCurve, SLICING_CONFIG.minBlendCurve, SLICING_CONFIG.maxBlendCurve, defaults.blendCurve),
+        slices
+    };
+}
+
+export class OutputSlicer {
+    constructor(app) {
+        this.app = app;
+
+        this.enabled = false;
+        this.layouts = new Map([[SLICING_CONFIG.defaultLayoutName, createLayout()]]);
+        this.activeLayoutName = SLICING_CONFIG.defaultLayoutName;
+
+        // GPU resources are created on first use, one quad per slice
+        this.sliceScene = null;
+        this.sliceCamera = null;
+        this.sliceGeometry = null;
+        this.sliceMeshes = [];
+        this.meshesDirty = true;
+
+        // Change listeners (GUI, Scene, edit overlay)
+        this.listeners = new Set();
+    }
+
+    /**
+     * Layout being shown and edited
+     * @returns {Object} Active layout
+     */
+    get layout() {
+        return this.layouts.get(this.activeLayoutName);
+    }
+
+    /**
+     * Check whether the slicing pass has to run this frame
+     * @returns {boolean} True if enabled
+     */
+    isActive() {
+        return this.enabled;
+    }
+
+    /**
+     * Number of draw passes the slicing adds to a frame
+     * @returns {number} Pass count
+     */
+    getPassCount() {
+        return this.isActive() ? this.layout.slices.length : 0;
+    }
+
+    getLayoutNames() {
+        return Array.from(this.layouts.keys());
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.notifyListeners();
+    }
+
+    setDirection(direction) {
+        if (!DIRECTIONS.includes(direction)) return;
+        this.layout.direction = direction;
+        this.markChanged();
+    }
+
+    setArrangement(arrangement) {
+        if (!ARRANGEMENTS.includes(arrangement)) return;
+        this.layout.arrangement = arrangement;
+        this.markChanged();
+    }
+
+    /**
+     * Change the number of slices, keeping the settings of the remaining slices
+     * @param {number} count - Slice count
+     */
+    setSliceCount(count) {
+        const slices = this.layout.slices;
+        const nextCount = clampSliceCount(count);
+        if (nextCount === slices.length) return;
+
+        slices.length = Math.min(slices.length, nextCount);
+        while (slices.length < nextCount) {
+            slices.push(createSlice());
+        }
+        this.markChanged();
+    }
+
+    setBlendCurve(value) {
+        this.layout.blendCurve = clampNumber(value, SLICING_CONFIG.minBlendCurve, SLICING_CONFIG.maxBlendCurve, SLICING_CONFIG.defaultBlendCurve);
+        this.markChanged();
+    }
+
+    /**
+     * Set the overlap between a slice and the next one
+     * @param {number} index - Slice index, or -1 for every slice
+     * @param {number} overlap - Part of the slice width shared with the next slice
+     */
+    setSliceOverlap(index, overlap) {
+        this.updateSlices(index, slice => {
+            slice.overlap = clampNumber(overlap, 0, SLICING_CONFIG.maxOverlap, SLICING_CONFIG.defaultOverlap);
+        });
+    }
+
+    /**
+     * Set the gamma the blend ramps of a slice are corrected for
+     * @param {number} index - Slice index, or -1 for every slice
+     * @param {number} gamma - Projector gamma
+     */
+    setSliceGamma(index, gamma) {
+        this.updateSlices(index, slice => {
+            slice.gamma = clampNumber(gamma, SLICING_CONFIG.minGamma, SLICING_CONFIG.maxGamma, SLICING_CONFIG.defaultGamma);
+        });
+    }
+
+    /**
+     * Place a slice at an explicit area of the output canvas (e.g. an LED processor pixel map)
+     * @param {number} index - Slice index
+     * @param {Object|null} rect - Normalized {x, y, width, height}, or null for the arrangement default
+     */
+    setSliceOutputRect(index, rect) {
+        this.updateSlices(index, slice => {
+            slice.output = isRect(rect) ? { ...rect } : null;
+        });
+    }
+
+    updateSlices(index, update) {
+        const slices = this.layout.slices;
+        if (index === -1) {
+            slices.forEach(update);
+        } else if (slices[index]) {
+            update(slices[index]);
+        } else {
+            return;
+        }
+        this.markChanged();
+    }
+
+    /**
+     * Show a saved layout
+     * @param {string} name - Layout name
+     */
+    selectLayout(name) {
+        if (!this.layouts.has(name) || name === this.activeLayoutName) return;
+        this.activeLayoutName = name;
+        this.markChanged();
+    }
+
+    /**
+     * Store a copy of the current layout under a new name and switch to it
+     * @param {string} name - Layout name
+     */
+    saveLayoutAs(name) {
+        const layoutName = String(name || '').trim();
+        if (!layoutName) return;
+
+        this.layouts.set(layoutName, sanitizeLayout(JSON.parse(JSON.stringify(this.layout))));
+        this.activeLayoutName = layoutName;
+        console.log(`OutputSlicer: Saved layout "${layoutName}"`);
+        this.markChanged();
+    }
+
+    /**
+     * Remove a layout (the last one is kept)
+     * @param {string} name - Layout name
+     */
+    deleteLayout(name) {
+        if (!this.layouts.has(name) || this.layouts.size === 1) return;
+
+        this.layouts.delete(name);
+        if (this.activeLayoutName === name) {
+            this.activeLayoutName = this.layouts.keys().next().value;
+        }
+        this.markChanged();
+    }
+
+    markChanged() {
+        this.meshesDirty = true;
+        this.notifyListeners();
+    }
+
+    /**
+     * Source and output areas of every slice in the active layout
+     * @returns {Object[]} Per slice: { source, output, rampStart, rampEnd, gamma } with
+     *   normalized rectangles and ramp widths as parts of the slice
+     */
+    getSliceRegions() {
+        const { direction, arrangement, slices } = this.layout;
+        const count = slices.length;
+        const vertical = direction === 'vertical';
+
+        // Overlaps repeat content, so each slice covers more than 1/N of the frame
+        const overlaps = slices.map((slice, index) => (index < count - 1 ? slice.overlap : 0));
+        const size = 1 / (count - overlaps.reduce((sum, overlap) => sum + overlap, 0));
+
+        let start = 0;
+        return slices.map((slice, index) => {
+            // Slices run left to right or top to bottom
+            const source = vertical
+                ? { x: 0, y: 1 - start - size, width: 1, height: size }
+                : { x: start, y: 0, width: size, height: 1 };
+            start += size * (1 - overlaps[index]);
+
+            // Matching keeps the split direction, stacked turns it by 90 degrees
+            const alongX = vertical === (arrangement === 'stacked');
+            const output = slice.output
+                ? { ...slice.output }
+                : alongX
+                    ? { x: index / count, y: 0, width: 1 / count, height: 1 }
+                    : { x: 0, y: 1 - (index + 1) / count, width: 1, height: 1 / count };
+
+            return {
+                source,
+                output,
+                rampStart: index > 0 ? overlaps[index - 1] : 0,
+                rampEnd: overlaps[index],
+                gamma: slice.gamma
+            };
+        });
+    }
+
+    /**
+     * Aspect of the content relative to the output canvas. Slices show their part of the frame
+     * at a different aspect than it has in the canvas, so the content is rendered wider or
+     * narrower to keep shapes undistorted (taken from the first slice).
+     * @returns {number} Content aspect / canvas aspect
+     */
+    getContentAspectFactor() {
+        const { source, output } = this.getSliceRegions()[0];
+        return (output.width / output.height) * (source.height / source.width);
+    }
+
+    /**
+     * Output canvas position of a point on the frame (first slice showing it)
+     * @param {number[]} point - Normalized frame [x, y]
+     * @returns {number[]} Normalized output [x, y]
+     */
+    mapSourceToOutput(point) {
+        const regions = this.getSliceRegions();
+        const probe = [clamp(point[0], 0, 1), clamp(point[1], 0, 1)];
+        const region = regions.find(({ source }) => this.containsPoint(source, probe)) || regions[0];
+        return this.transferPoint(point, region.source, region.output);
+    }
+
+    /**
+     * Frame position shown at a point of the output canvas
+     * @param {number[]} point - Normalized output [x, y]
+     * @returns {number[]} Normalized frame [x, y]
+     */
+    mapOutputToSource(point) {
+        const regions = this.getSliceRegions();
+        const region = regions.find(({ output }) => this.containsPoint(output, point)) ||
+            this.findNearestRegion(regions, point);
+        return this.transferPoint(point, region.output, region.source);
+    }
+
+    containsPoint(rect, point) {
+        return point[0] >= rect.x && point[0] <= rect.x + rect.width &&
+            point[1] >= rect.y && point[1] <= rect.y + rect.height;
+    }
+
+    findNearestRegion(regions, point) {
+        const distance = ({ output }) => Math.hypot(
+            point[0] - (output.x + output.width / 2),
+            point[1] - (output.y + output.height / 2)
+        );
+        return regions.reduce((nearest, region) => (distance(region) < distance(nearest) ? region : nearest));
+    }
+
+    transferPoint(point, from, to) {
+        return [
+            to.x + (point[0] - from.x) / from.width * to.width,
+            to.y + (point[1] - from.y) / from.height * to.height
+        ];
+    }
+
+    /**
+     * Create the output scene on first use
+     */
+    ensureResources() {
+        if (this.sliceScene) return;
+
+        this.sliceScene = new THREE.Scene();
+        // Canvas areas without a slice stay black
+        this.sliceScene.background = new THREE.Color(0x000000);
+        this.sliceCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 2);
+        this.sliceCamera.position.z = 1;
+        this.sliceGeometry = new THREE.PlaneGeometry(1, 1);
+    }
+
+    /**
+     * Rebuild the slice quads for the active layout
+     */
+    updateMeshes() {
+        const regions = this.getSliceRegions();
+
+        while (this.sliceMeshes.length > regions.length) {
+            const mesh = this.sliceMeshes.pop();
+            this.sliceScene.remove(mesh);
+            mesh.material.dispose();
+        }
+        while (this.sliceMeshes.length < regions.length) {
+            const material = new THREE.ShaderMaterial({
+                uniforms: THREE.UniformsUtils.clone(SliceShader.uniforms),
+                vertexShader: SliceShader.vertexShader,
+                fragmentShader: SliceShader.fragmentShader,
+                depthTest: false,
+                depthWrite: false
+            });
+            const mesh = new THREE.Mesh(this.sliceGeometry, material);
+            mesh.frustumCulled = false;
+            this.sliceMeshes.push(mesh);
+            this.sliceScene.add(mesh);
+        }
+
+        const vertical = this.layout.direction === 'vertical' ? 1 : 0;
+        regions.forEach((region, index) => {
+            const mesh = this.sliceMeshes[index];
+            const { source, output } = region;
+
+            // Normalized output rectangle to clip space
+            mesh.position.set((output.x + output.width / 2) * 2 - 1, (output.y + output.height / 2) * 2 - 1, 0);
+            mesh.scale.set(output.width * 2, output.height * 2, 1);
+
+            const uniforms = mesh.material.uniforms;
+            uniforms.sourceRect.value.set(source.x, source.y, source.width, source.height);
+            uniforms.vertical.value = vertical;
+            uniforms.rampStart.value = region.rampStart;
+            uniforms.rampEnd.value = region.rampEnd;
+            uniforms.gamma.value = region.gamma;
+            uniforms.blendCurve.value = this.layout.blendCurve;
+        });
+
+        this.meshesDirty = false;
+    }
+
+    /**
+     * Draw a finished frame to the screen as slices
+     * @param {THREE.WebGLRenderer} renderer - Renderer
+     * @param {THREE.Texture} texture - Finished frame
+     * @param {boolean} applyOutputTransform - Apply tone mapping and output color space (the
+     *   frame comes straight from the compositor); post-processing output is drawn unchanged
+     */
+    render(renderer, texture, applyOutputTransform) {
+        this.ensureResources();
+        if (this.meshesDirty) {
+            this.updateMeshes();
+        }
+
+        this.sliceMeshes.forEach(({ material }) => {
+            const hasOutputTransform = material.defines.OUTPUT_TRANSFORM !== undefined;
+            if (hasOutputTransform !== applyOutputTransform) {
+                if (applyOutputTransform) {
+                    material.defines.OUTPUT_TRANSFORM = '';
+                } else {
+                    delete material.defines.OUTPUT_TRANSFORM;
+                }
+                material.needsUpdate = true;
+            }
+            material.uniforms.tDiffuse.value = texture;
+        });
+
+        renderer.setRenderTarget(null);
+        renderer.render(this.sliceScene, this.sliceCamera);
+    }
+
+    /**
+     * Get the slicing configuration (saved with venue profiles)
+     * @returns {Object} Copy of the configuration
+     */
+    getConfig() {
+        const layouts = {};
+        this.layouts.forEach((layout, name) => {
+            layouts[name] = JSON.parse(JSON.stringify(layout));
+        });
+        return {
+            enabled: this.enabled,
+            activeLayout: this.activeLayoutName,
+            layouts
+        };
+    }
+
+    /**
+     * Apply a saved slicing configuration
+     * @param {Object} config - Configuration from getConfig()
+     */
+    setConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new Error('Invalid output slicing configuration');
+        }
+
+        const layouts = new Map();
+        if (config.layouts && typeof config.layouts === 'object') {
+            Object.entries(config.layouts).forEach(([name, layout]) => {
+                layouts.set(name, sanitizeLayout(layout));
+            });
+        }
+        if (layouts.size === 0) {
+            layouts.set(SLICING_CONFIG.defaultLayoutName, createLayout());
+        }
+
+        this.layouts = layouts;
+        this.activeLayoutName = layouts.has(config.activeLayout) ? config.activeLayout : layouts.keys().next().value;
+        this.enabled = !!config.enabled;
+        this.markChanged();
+    }
+
+    /**
+     * Subscribe to configuration changes
+     * @param {Function} listener - Called with the slicer on each change
+     * @returns {Function} Unsubscribe function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('OutputSlicer: Error in change listener:', error);
+            }
+        });
+    }
+
+    dispose() {
+        if (this.sliceScene) {
+            this.sliceMeshes.forEach(mesh => mesh.material.dispose());
+            this.sliceGeometry.dispose();
+            this.sliceMeshes = [];
+            this.sliceScene = null;
+        }
+        this.listeners.clear();
+    }
+}
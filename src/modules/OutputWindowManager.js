@@ -0,0 +1,325 @@
+/**
+ * OutputWindowManager.js - Dedicated Output Window
+ * This module opens a second browser window that shows only the rendered output (e.g. fullscreen
+ * on a projector) while the main window keeps the drawers, layer panel, GUI and editors. There is
+ * still a single renderer: every frame is copied from the renderer canvas into the output window,
+ * so StateManager changes made in the control window show up on the next frame. While the output
+ * window is open the render size follows it and the animation loop runs on its frames, so the
+ * output keeps rendering when the control window is hidden.
+ */
+
+import { OUTPUT_CONSTANTS } from '../config/index.js';
+
+const WINDOW_CONFIG = OUTPUT_CONSTANTS.window;
+
+export class OutputWindowManager {
+    constructor(app) {
+        this.app = app;
+
+        this.outputWindow = null;
+        this.outputCanvas = null;
+        this.outputContext = null;
+        this.hintElement = null;
+        this.hintTimer = null;
+        this.unsubscribeBackground = null;
+
+        // Status listeners (e.g. TransportBar)
+        this.listeners = new Set();
+
+        // The output window is useless without the controls that drive it
+        this.handleControlWindowUnload = () => this.close();
+        window.addEventListener('beforeunload', this.handleControlWindowUnload);
+    }
+
+    /**
+     * Check whether the output window is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !!this.outputWindow && !this.outputWindow.closed;
+    }
+
+    /**
+     * Open the output window (or focus it if it is already open). Must be called from a
+     * user gesture, otherwise the browser blocks the popup.
+     * @returns {boolean} True if the window is open
+     */
+    open() {
+        if (this.isOpen()) {
+            this.outputWindow.focus();
+            return true;
+        }
+
+        const features = `popup,width=${WINDOW_CONFIG.width},height=${WINDOW_CONFIG.height}`;
+        const outputWindow = window.open('', WINDOW_CONFIG.name, features);
+        if (!outputWindow) {
+            console.error('OutputWindowManager: The output window was blocked, allow popups for this site');
+            return false;
+        }
+
+        this.outputWindow = outputWindow;
+        this.buildDocument(outputWindow.document);
+
+        outputWindow.addEventListener('resize', () => this.onOutputResize());
+        outputWindow.addEventListener('pagehide', () => this.handleClosed());
+        outputWindow.addEventListener('dblclick', () => this.toggleFullscreen());
+        outputWindow.addEventListener('keydown', (event) => {
+            if (event.key.toLowerCase() === WINDOW_CONFIG.fullscreenKey) {
+                this.toggleFullscreen();
+            } else if (event.key === 'Escape' && !outputWindow.document.fullscreenElement) {
+                this.close();
+            }
+        });
+
+        // Keep the letterbox area in the scene background color
+        this.unsubscribeBackground = this.app.state.subscribe('backgroundColor', () => this.updateBackground());
+        this.updateBackground();
+
+        this.app.animationLoop.setFrameWindow(outputWindow);
+        this.onOutputResize();
+        this.moveToSecondaryScreen();
+        this.showHint();
+
+        console.log('OutputWindowManager: Output window opened');
+        this.notifyListeners();
+        return true;
+    }
+
+    /**
+     * Close the output window and render for the control window again
+     */
+    close() {
+        if (!this.outputWindow) return;
+
+        const outputWindow = this.outputWindow;
+        this.handleClosed();
+        if (!outputWindow.closed) {
+            outputWindow.close();
+        }
+    }
+
+    /**
+     * Toggle the output window
+     * @returns {boolean} True if the window is open afterwards
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+            return false;
+        }
+        return this.open();
+    }
+
+    /**
+     * Release the output window after it was closed (by us or by the user)
+     */
+    handleClosed() {
+        if (!this.outputWindow) return;
+
+        this.outputWindow = null;
+        this.outputCanvas = null;
+        this.outputContext = null;
+        this.hintElement = null;
+        if (this.hintTimer) {
+            clearTimeout(this.hintTimer);
+            this.hintTimer = null;
+        }
+        if (this.unsubscribeBackground) {
+            this.unsubscribeBackground();
+            this.unsubscribeBackground = null;
+        }
+
+        this.app.animationLoop.setFrameWindow(null);
+        this.app.scene.onWindowResize();
+
+        console.log('OutputWindowManager: Output window closed');
+        this.notifyListeners();
+    }
+
+    /**
+     * Fill the output window document with a single canvas
+     * @param {Document} doc - Output window document
+     */
+    buildDocument(doc) {
+        doc.title = WINDOW_CONFIG.title;
+        doc.documentElement.style.cssText = 'width: 100%; height: 100%; margin: 0; background: #000;';
+        doc.body.replaceChildren();
+        doc.body.style.cssText = 'width: 100%; height: 100%; margin: 0; overflow: hidden; cursor: none;';
+
+        this.outputCanvas = doc.createElement('canvas');
+        this.outputCanvas.style.cssText = 'display: block; width: 100%; height: 100%; object-fit: contain;';
+        this.outputContext = this.outputCanvas.getContext('2d', { alpha: false });
+        doc.body.appendChild(this.outputCanvas);
+
+        this.hintElement = doc.createElement('div');
+        this.hintElement.textContent = `Double-click or press ${WINDOW_CONFIG.fullscreenKey.toUpperCase()} for fullscreen`;
+        this.hintElement.style.cssText = `
+            position: fixed;
+            bottom: 24px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 8px 16px;
+            background: rgba(0, 0, 0, 0.7);
+            color: #fff;
+            font: 13px sans-serif;
+            border-radius: 4px;
+            pointer-events: none;
+            transition: opacity 0.5s;
+        `;
+        doc.body.appendChild(this.hintElement);
+    }
+
+    /**
+     * Show the fullscreen hint for a few seconds
+     */
+    showHint() {
+        if (!this.hintElement) return;
+
+        this.hintElement.style.opacity = '1';
+        if (this.hintTimer) {
+            clearTimeout(this.hintTimer);
+        }
+        this.hintTimer = setTimeout(() => {
+            if (this.hintElement) {
+                this.hintElement.style.opacity = '0';
+            }
+            this.hintTimer = null;
+        }, WINDOW_CONFIG.hintDuration);
+    }
+
+    updateBackground() {
+        if (!this.isOpen()) return;
+        const background = this.app.state.get('backgroundColor') || '#000000';
+        this.outputWindow.document.documentElement.style.background = background;
+    }
+
+    /**
+     * Toggle fullscreen of the output window. Browsers only allow this from a user gesture
+     * inside the output window itself (double-click or key press).
+     */
+    toggleFullscreen() {
+        if (!this.isOpen()) return;
+
+        const doc = this.outputWindow.document;
+        const request = doc.fullscreenElement ? doc.exitFullscreen() : doc.documentElement.requestFullscreen();
+        request.catch(error => {
+            console.warn('OutputWindowManager: Fullscreen request failed:', error.message);
+            this.showHint();
+        });
+    }
+
+    /**
+     * Move the output window to another screen when the Window Management API is available
+     */
+    async moveToSecondaryScreen() {
+        if (typeof window.getScreenDetails !== 'function') return;
+
+        try {
+            const screenDetails = await window.getScreenDetails();
+            const target = screenDetails.screens.find(screen => screen !== screenDetails.currentScreen);
+            if (target && this.isOpen()) {
+                this.outputWindow.moveTo(target.availLeft, target.availTop);
+                this.outputWindow.resizeTo(target.availWidth, target.availHeight);
+            }
+        } catch (error) {
+            console.warn('OutputWindowManager: Screen placement not available:', error.message);
+        }
+    }
+
+    /**
+     * Render size of the output window in device pixels
+     * @returns {{width: number, height: number}|null} Size, or null if the window is closed
+     */
+    getOutputSize() {
+        if (!this.isOpen()) return null;
+
+        const pixelRatio = this.outputWindow.devicePixelRatio || 1;
+        return {
+            width: Math.max(1, Math.round(this.outputWindow.innerWidth * pixelRatio)),
+            height: Math.max(1, Math.round(this.outputWindow.innerHeight * pixelRatio))
+        };
+    }
+
+    /**
+     * Show the frame letterboxed or cropped in the output window
+     * @param {string} objectFit - CSS object-fit ('contain' or 'cover')
+     */
+    setCanvasFit(objectFit) {
+        if (this.outputCanvas) {
+            this.outputCanvas.style.objectFit = objectFit;
+        }
+    }
+
+    onOutputResize() {
+        if (!this.isOpen()) return;
+
+        // Scene.onWindowResize() sizes the render to the output window while it is open
+        // (unless the scene has a fixed render resolution)
+        this.app.scene.onWindowResize();
+        if (this.app.layerManager) {
+            this.app.layerManager.onWindowResize();
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Copy the frame that was just rendered into the output window
+     */
+    present() {
+        if (!this.outputWindow) return;
+        if (this.outputWindow.closed) {
+            this.handleClosed();
+            return;
+        }
+
+        const source = this.app.scene.renderer.domElement;
+        if (this.outputCanvas.width !== source.width || this.outputCanvas.height !== source.height) {
+            this.outputCanvas.width = source.width;
+            this.outputCanvas.height = source.height;
+        }
+
+        // The drawing buffer is still valid within the task that rendered it
+        this.outputContext.drawImage(source, 0, 0);
+    }
+
+    /**
+     * Get the current output window status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            open: this.isOpen(),
+            size: this.getOutputSize()
+        };
+    }
+
+    /**
+     * Subscribe to open/close changes
+     * @param {Function} listener - Called with getStatus() on each change
+     * @returns {Function} Unsubscribe function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('OutputWindowManager: Error in status listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Close the output window and remove listeners
+     */
+    dispose() {
+        this.close();
+        window.removeEventListener('beforeunload', this.handleControlWindowUnload);
+        this.listeners.clear();
+    }
+}
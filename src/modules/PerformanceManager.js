@@ -34,6 +34,10 @@ export class PerformanceManager {
         this.frameTime = 0;
         this.renderTime = 0;
         
+        // Output stage (projection mapping, slicing) cost of the last frame
+        this.outputPassCount = 0;
+        this.outputStageTime = 0;
+        
         // Culling configuration using performance constants
         this.cullingConfig = {
             enabled: PERFORMANCE_CONSTANTS.culling.enabled,
@@ -232,6 +236,16 @@ export class PerformanceManager {
         return result;
     }
 
+    /**
+     * Record the cost of the output passes drawn after compositing
+     * @param {number} passCount - Full-frame draw passes (warp, one per slice)
+     * @param {number} duration - CPU time spent issuing them in ms
+     */
+    recordOutputStage(passCount, duration) {
+        this.outputPassCount = passCount;
+        this.outputStageTime = duration;
+    }
+
     /**
      * Get comprehensive performance metrics
      * @returns {Object} Performance metrics object
@@ -244,6 +258,8 @@ export class PerformanceManager {
             fps: this.fps,
             frameTime: this.frameTime,
             renderTime: this.renderTime,
+            outputPasses: this.outputPassCount,
+            outputStageTime: this.outputStageTime,
             poolStats,
             cullingEnabled: this.cullingConfig.enabled,
             cullingMargin: this.cullingConfig.margin,
@@ -395,6 +411,11 @@ export class PerformanceManager {
             if (analysis.severity === 'good') analysis.severity = PERFORMANCE_CONSTANTS.severity.WARNING;
         }
         
+        // Every output pass redraws the full frame
+        if (metrics.outputPasses > 1 && metrics.fps < PERFORMANCE_CONSTANTS.fps.warning) {
+            analysis.recommendations.push('Reduce output slices or disable the projection warp');
+        }
+        
         // Culling efficiency analysis using performance constants
         if (metrics.cullingRatio > PERFORMANCE_CONSTANTS.culling.efficiencyThreshold && metrics.cullingEnabled) {
             analysis.recommendations.push('Frustum culling may not be beneficial with current viewport');
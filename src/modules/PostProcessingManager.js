@@ -11,6 +11,7 @@ import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { TexturePass } from 'three/examples/jsm/postprocessing/TexturePass.js';
 import { FXAAShader } from 'three/examples/jsm/shaders/FXAAShader.js';
 
 // Custom shaders for additional effects
@@ -186,6 +187,11 @@ export class PostProcessingManager {
         this.enabledEffects = new Set();
         this.effectOrder = [];
         
+        // Input passes: render the scene directly, or start from a composited texture
+        this.renderPass = null;
+        this.texturePass = null;
+        this.inputTexture = null;
+        
         this.init();
     }
 
@@ -193,9 +199,9 @@ export class PostProcessingManager {
         // Create effect composer
         this.composer = new EffectComposer(this.renderer);
         
-        // Add render pass
-        const renderPass = new RenderPass(this.scene, this.camera);
-        this.composer.addPass(renderPass);
+        // Create input passes
+        this.renderPass = new RenderPass(this.scene, this.camera);
+        this.texturePass = new TexturePass(null);
         
         // Initialize effects
         this.setupEffects();
@@ -252,11 +258,14 @@ export class PostProcessingManager {
     }
 
     updateEffectChain() {
-        // Clear all passes except render pass
-        while (this.composer.passes.length > 1) {
-            this.composer.removePass(this.composer.passes[1]);
+        // Clear all passes
+        while (this.composer.passes.length > 0) {
+            this.composer.removePass(this.composer.passes[0]);
         }
         
+        // Start from the composited layers if available, otherwise render the scene
+        this.composer.addPass(this.inputTexture ? this.texturePass : this.renderPass);
+        
         // Add enabled effects in order
         for (const effectName of this.effectOrder) {
             if (this.enabledEffects.has(effectName)) {
@@ -268,6 +277,20 @@ export class PostProcessingManager {
         }
     }
 
+    /**
+     * Use a texture (e.g. the LayerCompositor output) as the input of the effect chain
+     * @param {THREE.Texture|null} texture - Input texture, or null to render the scene directly
+     */
+    setInputTexture(texture) {
+        const inputChanged = !!texture !== !!this.inputTexture;
+        this.inputTexture = texture;
+        this.texturePass.map = texture;
+        
+        if (inputChanged) {
+            this.updateEffectChain();
+        }
+    }
+
     enableEffect(effectName) {
         if (this.effects.has(effectName)) {
             this.enabledEffects.add(effectName);
@@ -352,15 +375,24 @@ export class PostProcessingManager {
     }
 
     onWindowResize() {
+        this.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    /**
+     * Resize the effect chain to an explicit output size
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    setSize(width, height) {
         if (this.composer) {
-            this.composer.setSize(window.innerWidth, window.innerHeight);
+            this.composer.setSize(width, height);
         }
         
         // Update FXAA resolution
         const fxaaPass = this.effects.get('fxaa');
         if (fxaaPass) {
-            fxaaPass.material.uniforms['resolution'].value.x = 1 / (window.innerWidth * this.renderer.getPixelRatio());
-            fxaaPass.material.uniforms['resolution'].value.y = 1 / (window.innerHeight * this.renderer.getPixelRatio());
+            fxaaPass.material.uniforms['resolution'].value.x = 1 / (width * this.renderer.getPixelRatio());
+            fxaaPass.material.uniforms['resolution'].value.y = 1 / (height * this.renderer.getPixelRatio());
         }
     }
 
@@ -370,6 +402,25 @@ export class PostProcessingManager {
         }
     }
 
+    /**
+     * Render the effect chain to the screen, or keep the result in the composer so a final
+     * output pass (projection mapping) can read it
+     * @param {boolean} enabled - True to render the last pass to the screen
+     */
+    setRenderToScreen(enabled) {
+        if (this.composer) {
+            this.composer.renderToScreen = enabled;
+        }
+    }
+
+    /**
+     * Result of the last render when rendering off screen
+     * @returns {THREE.Texture|null} Effect chain output
+     */
+    getOutputTexture() {
+        return this.composer ? this.composer.readBuffer.texture : null;
+    }
+
     getComposer() {
         return this.composer;
     }
@@ -34,6 +34,9 @@ export class PresetManager {
             'shape-controls': 'Shape Controls',
             'morphing-transitions': 'Morphing & Transitions'
         };
+        
+        // Presets found on the server (for the preset selector and the program map)
+        this.availablePresets = [...this.knownPresets];
     }
 
     /**
@@ -101,13 +104,15 @@ export class PresetManager {
         const ccMappings = this.state.get('midiCCMappings') || {};
         const noteMappings = this.state.get('midiNoteMappings') || {};
         const audioMappings = this.state.get('audioMappings') || {};
+        const programMap = this.state.get('midiProgramMap') || {};
         
         const preset = {
             version: '1.0',
             timestamp: Date.now(),
             midiCCMappings: ccMappings,
             midiNoteMappings: noteMappings,
-            audioMappings: audioMappings
+            audioMappings: audioMappings,
+            midiProgramMap: programMap
         };
         
         const dataStr = JSON.stringify(preset, null, 2);
@@ -180,7 +185,8 @@ export class PresetManager {
                preset.midiNoteMappings &&
                (typeof preset.midiCCMappings === 'object') &&
                (typeof preset.midiNoteMappings === 'object') &&
-               (preset.audioMappings === undefined || typeof preset.audioMappings === 'object');
+               (preset.audioMappings === undefined || typeof preset.audioMappings === 'object') &&
+               (preset.midiProgramMap === undefined || typeof preset.midiProgramMap === 'object');
     }
 
     /**
@@ -197,6 +203,10 @@ export class PresetManager {
         if (preset.audioMappings) {
             this.state.set('audioMappings', preset.audioMappings);
         }
+        // Presets without a program map keep the current one (a program change may have recalled them)
+        if (preset.midiProgramMap && this.app.programMapManager) {
+            this.app.programMapManager.setProgramMap(preset.midiProgramMap);
+        }
         
         // Pass the preset data directly to recreateControlsFromPreset
         this.recreateControlsFromPreset(preset);
@@ -387,6 +397,11 @@ export class PresetManager {
      * @param {string[]} availablePresets - Array of available preset names
      */
     updatePresetDropdown(availablePresets) {
+        this.availablePresets = [...availablePresets];
+        if (this.app.programMapManager) {
+            this.app.programMapManager.renderProgramMap();
+        }
+        
         const select = this.domCache.getElement('midi-preset-select');
         if (!select) return;
         
@@ -459,7 +474,8 @@ export class PresetManager {
             timestamp: Date.now(),
             midiCCMappings: this.state.get('midiCCMappings') || {},
             midiNoteMappings: this.state.get('midiNoteMappings') || {},
-            audioMappings: this.state.get('audioMappings') || {}
+            audioMappings: this.state.get('audioMappings') || {},
+            midiProgramMap: this.state.get('midiProgramMap') || {}
         };
     }
 
@@ -518,6 +534,9 @@ export class PresetManager {
         this.state.set('midiCCMappings', {});
         this.state.set('midiNoteMappings', {});
         this.state.set('audioMappings', {});
+        if (this.app.programMapManager) {
+            this.app.programMapManager.setProgramMap({});
+        }
         this.recreateControlsFromPreset();
     }
 
@@ -0,0 +1,395 @@
+/**
+ * ProgramMapManager.js - Program Change Scene and Preset Recall
+ * This module maps MIDI Program Change messages (with an optional Bank Select MSB/LSB) to scene
+ * presets from the SceneManager or MIDI presets from the PresetManager. The map is kept in the
+ * state as per-channel tables ({ [channel]: [entry] }) and saved in the preset JSON. Entries can
+ * override the scene interpolation duration and wait for the next bar of the transport.
+ */
+
+import { MIDI_CONSTANTS } from '../config/index.js';
+
+export class ProgramMapManager {
+    constructor(app) {
+        this.app = app;
+        this.domCache = app.domCache;
+        this.state = app.state;
+
+        // Last Bank Select per channel, applied to the following program changes
+        this.bankMSB = new Array(16).fill(0);
+        this.bankLSB = new Array(16).fill(0);
+
+        // Bar-quantized recalls waiting per channel (a newer program change replaces them)
+        this.pendingRecalls = new Map();
+    }
+
+    /**
+     * Initialize the program map UI
+     */
+    setupProgramMap() {
+        const addButton = this.domCache.getElement('add-program-mapping');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                this.addEntry();
+            });
+        }
+
+        this.renderProgramMap();
+    }
+
+    /**
+     * Track Bank Select controllers
+     * @param {number} controller - CC controller number
+     * @param {number} value - CC value
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    onControlChange(controller, value, channel) {
+        if (controller === MIDI_CONSTANTS.controllers.bankSelect) {
+            this.bankMSB[channel] = value;
+        } else if (controller === MIDI_CONSTANTS.controllers.bankSelectLSB) {
+            this.bankLSB[channel] = value;
+        }
+    }
+
+    /**
+     * Recall the entry mapped to a program change
+     * @param {number} program - Program number (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    onProgramChange(program, channel) {
+        const entry = this.findEntry(program, channel);
+        if (!entry) return;
+
+        if (this.pendingRecalls.has(channel)) {
+            clearTimeout(this.pendingRecalls.get(channel));
+            this.pendingRecalls.delete(channel);
+        }
+
+        const delay = entry.quantize === 'bar' && this.app.midiClockManager
+            ? this.app.midiClockManager.getTimeToNextBar(MIDI_CONSTANTS.programMap.quantizeTolerance)
+            : null;
+
+        if (delay) {
+            console.log(`ProgramMapManager: Program ${program + 1} (Ch:${channel + 1}) recalls ${entry.name} in ${Math.round(delay)}ms`);
+            this.pendingRecalls.set(channel, setTimeout(() => {
+                this.pendingRecalls.delete(channel);
+                this.recallEntry(entry);
+            }, delay));
+        } else {
+            this.recallEntry(entry);
+        }
+    }
+
+    /**
+     * Find the entry for a program change, entries for the current bank win over entries for any bank
+     * @param {number} program - Program number (0-127)
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {Object|null} Matching entry
+     */
+    findEntry(program, channel) {
+        const table = this.getProgramMap()[channel] || [];
+        const matches = table.filter(entry =>
+            entry.program === program &&
+            entry.name &&
+            (entry.bankMSB === null || entry.bankMSB === this.bankMSB[channel]) &&
+            (entry.bankLSB === null || entry.bankLSB === this.bankLSB[channel])
+        );
+        if (matches.length === 0) return null;
+
+        const specificity = entry => (entry.bankMSB !== null ? 2 : 0) + (entry.bankLSB !== null ? 1 : 0);
+        return matches.reduce((best, entry) => specificity(entry) > specificity(best) ? entry : best);
+    }
+
+    /**
+     * Recall a scene or MIDI preset
+     * @param {Object} entry - Program map entry
+     */
+    recallEntry(entry) {
+        console.log(`ProgramMapManager: Recalling ${entry.type} ${entry.name}`);
+
+        if (entry.type === 'preset') {
+            this.app.presetManager.applyCCPreset(entry.name);
+            this.setSelectValue('midi-preset-select', entry.name);
+        } else {
+            this.app.sceneManager.applyScenePreset(entry.name, entry.duration);
+            this.setSelectValue('scene-preset-select', entry.name);
+        }
+    }
+
+    /**
+     * Show the recalled entry in its selector (without triggering it again)
+     * @param {string} id - Select element ID
+     * @param {string} value - Option value
+     */
+    setSelectValue(id, value) {
+        const select = this.domCache.getElement(id);
+        if (select && [...select.options].some(option => option.value === value)) {
+            select.value = value;
+        }
+    }
+
+    /**
+     * Get the program map
+     * @returns {Object} Per-channel tables of entries
+     */
+    getProgramMap() {
+        return this.state.get('midiProgramMap') || {};
+    }
+
+    /**
+     * Replace the program map (e.g. from a loaded preset)
+     * @param {Object} programMap - Per-channel tables of entries
+     */
+    setProgramMap(programMap) {
+        const normalized = {};
+        Object.entries(programMap || {}).forEach(([channel, entries]) => {
+            if (Array.isArray(entries) && entries.length > 0) {
+                normalized[channel] = entries.map(entry => this.normalizeEntry(entry));
+            }
+        });
+
+        this.state.set('midiProgramMap', normalized);
+        this.renderProgramMap();
+    }
+
+    /**
+     * Fill in defaults and clamp the values of an entry
+     * @param {Object} entry - Program map entry
+     * @returns {Object} Normalized entry
+     */
+    normalizeEntry(entry = {}) {
+        const toByte = (value, fallback) => {
+            const number = parseInt(value, 10);
+            return Number.isFinite(number) ? Math.max(0, Math.min(127, number)) : fallback;
+        };
+        const duration = parseFloat(entry.duration);
+
+        return {
+            program: toByte(entry.program, 0),
+            bankMSB: toByte(entry.bankMSB, null),
+            bankLSB: toByte(entry.bankLSB, null),
+            type: entry.type === 'preset' ? 'preset' : 'scene',
+            name: typeof entry.name === 'string' ? entry.name : '',
+            duration: Number.isFinite(duration) && duration >= 0 ? duration : null,
+            quantize: entry.quantize === 'bar' ? 'bar' : 'none'
+        };
+    }
+
+    /**
+     * Get all entries with their channel and index, ordered by channel and program
+     * @returns {Array<{channel: number, index: number, entry: Object}>} Entries
+     */
+    getEntries() {
+        const entries = [];
+        Object.entries(this.getProgramMap()).forEach(([channel, table]) => {
+            table.forEach((entry, index) => {
+                entries.push({ channel: parseInt(channel, 10), index, entry });
+            });
+        });
+        return entries.sort((a, b) => a.channel - b.channel || a.entry.program - b.entry.program);
+    }
+
+    /**
+     * Add an entry for the next free program on channel 1
+     */
+    addEntry() {
+        const programMap = this.getProgramMap();
+        const table = programMap[0] || [];
+        const usedPrograms = new Set(table.map(entry => entry.program));
+        let program = 0;
+        while (usedPrograms.has(program) && program < 127) {
+            program++;
+        }
+
+        const entry = this.normalizeEntry({
+            program,
+            name: this.app.sceneManager.availableScenePresets[0] || '',
+            quantize: MIDI_CONSTANTS.programMap.defaultQuantize
+        });
+        this.setProgramMap({ ...programMap, 0: [...table, entry] });
+    }
+
+    /**
+     * Change an entry, moving it to another channel table if its channel changed
+     * @param {number} channel - Current channel of the entry
+     * @param {number} index - Index in the channel table
+     * @param {Object} changes - Changed fields (channel included)
+     */
+    updateEntry(channel, index, changes) {
+        const programMap = { ...this.getProgramMap() };
+        const table = [...(programMap[channel] || [])];
+        if (!table[index]) return;
+
+        const { channel: newChannel = channel, ...fields } = changes;
+        const entry = this.normalizeEntry({ ...table[index], ...fields });
+
+        // A different list of targets, pick the first one of the new type
+        if (fields.type && fields.type !== table[index].type) {
+            entry.name = this.getTargets(entry.type)[0] || '';
+        }
+
+        table.splice(index, 1);
+        programMap[channel] = table;
+        programMap[newChannel] = [...(newChannel === channel ? table : programMap[newChannel] || []), entry];
+        this.setProgramMap(programMap);
+    }
+
+    /**
+     * Remove an entry
+     * @param {number} channel - Channel of the entry
+     * @param {number} index - Index in the channel table
+     */
+    removeEntry(channel, index) {
+        const programMap = { ...this.getProgramMap() };
+        programMap[channel] = (programMap[channel] || []).filter((entry, i) => i !== index);
+        this.setProgramMap(programMap);
+    }
+
+    /**
+     * Scenes or MIDI presets an entry can recall
+     * @param {string} type - 'scene' or 'preset'
+     * @returns {string[]} Scene or preset names
+     */
+    getTargets(type) {
+        return type === 'preset'
+            ? this.app.presetManager.availablePresets
+            : this.app.sceneManager.availableScenePresets;
+    }
+
+    getTargetDisplayName(type, name) {
+        return type === 'preset'
+            ? this.app.presetManager.getPresetDisplayName(name)
+            : this.app.sceneManager.formatScenePresetName(name);
+    }
+
+    /**
+     * Render the program map rows
+     */
+    renderProgramMap() {
+        const container = this.domCache.getElement('program-map-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const entries = this.getEntries();
+        if (entries.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'text-xs text-gray-500';
+            message.textContent = 'No program changes mapped';
+            container.appendChild(message);
+            return;
+        }
+
+        entries.forEach(({ channel, index, entry }) => {
+            container.appendChild(this.createEntryRow(channel, index, entry));
+        });
+    }
+
+    /**
+     * Create the controls for one entry
+     * @param {number} channel - Channel of the entry
+     * @param {number} index - Index in the channel table
+     * @param {Object} entry - Program map entry
+     * @returns {HTMLElement} Row element
+     */
+    createEntryRow(channel, index, entry) {
+        const inputClass = 'px-1 py-0.5 bg-black bg-opacity-30 text-white border border-gray-600 rounded text-xs focus:border-purple-500 focus:outline-none';
+        const update = changes => this.updateEntry(channel, index, changes);
+
+        const row = document.createElement('div');
+        row.className = 'mb-2 p-2 bg-black bg-opacity-20 border border-gray-700 rounded space-y-1';
+
+        const createLabel = text => {
+            const label = document.createElement('span');
+            label.className = 'text-xs text-gray-400';
+            label.textContent = text;
+            return label;
+        };
+
+        const createSelect = (options, value, onChange) => {
+            const select = document.createElement('select');
+            select.className = inputClass;
+            select.setAttribute('data-drawer-interactive', '');
+            options.forEach(([optionValue, text]) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = value;
+            select.addEventListener('change', (e) => onChange(e.target.value));
+            return select;
+        };
+
+        // Numbers are shown 1-based like DAWs show programs, empty banks match any bank
+        const createNumber = (value, min, max, placeholder, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = min;
+            input.max = max;
+            input.placeholder = placeholder;
+            input.className = `${inputClass} w-12`;
+            input.setAttribute('data-drawer-interactive', '');
+            input.value = value === null ? '' : value;
+            input.addEventListener('change', (e) => onChange(e.target.value === '' ? null : e.target.value));
+            return input;
+        };
+
+        const trigger = document.createElement('div');
+        trigger.className = 'flex items-center gap-1';
+
+        const channels = Array.from({ length: 16 }, (_, i) => [i, String(i + 1)]);
+        trigger.appendChild(createLabel('Ch'));
+        trigger.appendChild(createSelect(channels, channel, value => update({ channel: parseInt(value, 10) })));
+        trigger.appendChild(createLabel('Prog'));
+        trigger.appendChild(createNumber(entry.program + 1, 1, 128, '', value => update({ program: value === null ? 0 : value - 1 })));
+        trigger.appendChild(createLabel('Bank'));
+        trigger.appendChild(createNumber(entry.bankMSB, 0, 127, 'any', value => update({ bankMSB: value })));
+        trigger.appendChild(createNumber(entry.bankLSB, 0, 127, 'any', value => update({ bankLSB: value })));
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-danger btn-xs ml-auto';
+        removeButton.setAttribute('data-drawer-interactive', '');
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove program mapping';
+        removeButton.addEventListener('click', () => this.removeEntry(channel, index));
+        trigger.appendChild(removeButton);
+
+        const recall = document.createElement('div');
+        recall.className = 'flex items-center gap-1';
+
+        recall.appendChild(createSelect([['scene', 'Scene'], ['preset', 'Preset']], entry.type, value => update({ type: value })));
+
+        const targets = this.getTargets(entry.type).map(name => [name, this.getTargetDisplayName(entry.type, name)]);
+        if (entry.name && !this.getTargets(entry.type).includes(entry.name)) {
+            targets.unshift([entry.name, this.getTargetDisplayName(entry.type, entry.name)]);
+        }
+        if (targets.length === 0) {
+            targets.push(['', 'None available']);
+        }
+        const targetSelect = createSelect(targets, entry.name, value => update({ name: value }));
+        targetSelect.classList.add('flex-1', 'min-w-0');
+        recall.appendChild(targetSelect);
+
+        // Presets only swap mappings, there is nothing to interpolate
+        if (entry.type === 'scene') {
+            const durationInput = createNumber(entry.duration, 0, 30, 'fade', value => update({ duration: value }));
+            durationInput.step = 0.1;
+            durationInput.title = 'Interpolation duration in seconds (empty uses the scene drawer setting)';
+            recall.appendChild(durationInput);
+        }
+
+        recall.appendChild(createSelect([['none', 'Now'], ['bar', 'Next bar']], entry.quantize, value => update({ quantize: value })));
+
+        row.appendChild(trigger);
+        row.appendChild(recall);
+        return row;
+    }
+
+    /**
+     * Clean up pending recalls
+     */
+    destroy() {
+        this.pendingRecalls.forEach(timer => clearTimeout(timer));
+        this.pendingRecalls.clear();
+    }
+}
@@ -0,0 +1,572 @@
+/**
+ * ProjectionMapper.js - Projection Mapping Output Stage
+ * This module is the final output pass after post-processing. The finished frame is drawn onto a
+ * subdivided mesh that is first shaped by a bezier warp surface and then corner pinned with a
+ * homography, so the image can be fitted to angled or curved projection surfaces. Corner pinning
+ * is perspective correct (the homography is applied per vertex in homogeneous coordinates).
+ *
+ * All positions are normalized output coordinates: x to the right, y up, 0-1 across the frame.
+ */
+
+import * as THREE from 'three';
+import { OUTPUT_CONSTANTS } from '../config/index.js';
+
+const MAPPING_CONFIG = OUTPUT_CONSTANTS.projectionMapping;
+
+// Corner order: bottom-left, bottom-right, top-right, top-left
+const DEFAULT_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+const WarpShader = {
+    uniforms: {
+        tDiffuse: { value: null }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            // position holds clip space x, y and w of the corner pin homography
+            gl_Position = vec4(position.xy, 0.0, position.z);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        varying vec2 vUv;
+
+        void main() {
+            gl_FragColor = texture2D(tDiffuse, vUv);
+
+            #ifdef OUTPUT_TRANSFORM
+            #include <tonemapping_fragment>
+            #include <colorspace_fragment>
+            #endif
+        }
+    `
+};
+
+/**
+ * Binomial coefficient
+ * @param {number} n - Degree
+ * @param {number} k - Index
+ * @returns {number} n choose k
+ */
+function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+/**
+ * Bernstein basis polynomial
+ * @param {number} n - Degree
+ * @param {number} i - Index
+ * @param {number} t - Parameter (0-1)
+ * @returns {number} Basis value
+ */
+function bernstein(n, i, t) {
+    return binomial(n, i) * Math.pow(t, i) * Math.pow(1 - t, n - i);
+}
+
+/**
+ * Control points of an undistorted mesh warp (evenly spaced points reproduce the identity)
+ * @param {number} columns - Mesh columns
+ * @param {number} rows - Mesh rows
+ * @returns {number[][]} Control points, row by row from the bottom
+ */
+function createIdentityMesh(columns, rows) {
+    const points = [];
+    for (let j = 0; j <= rows; j++) {
+        for (let i = 0; i <= columns; i++) {
+            points.push([i / columns, j / rows]);
+        }
+    }
+    return points;
+}
+
+function clampMeshSize(value) {
+    return Math.max(MAPPING_CONFIG.minMeshSize, Math.min(MAPPING_CONFIG.maxMeshSize, Math.round(value) || 1));
+}
+
+function isPoint(point) {
+    return Array.isArray(point) && point.length === 2 && point.every(value => typeof value === 'number' && isFinite(value));
+}
+
+export class ProjectionMapper {
+    constructor(app) {
+        this.app = app;
+
+        this.config = this.createDefaultConfig();
+
+        // Edit mode shows the warp guides and the drag handles (not saved)
+        this.editMode = false;
+
+        // GPU resources are created on first use
+        this.warpScene = null;
+        this.warpCamera = null;
+        this.warpMaterial = null;
+        this.warpGeometry = null;
+        this.guides = null;
+        this.renderTarget = null;
+        this.geometryDirty = true;
+
+        // Change listeners (GUI, edit overlay)
+        this.listeners = new Set();
+    }
+
+    createDefaultConfig() {
+        const columns = MAPPING_CONFIG.defaultMeshColumns;
+        const rows = MAPPING_CONFIG.defaultMeshRows;
+        return {
+            enabled: false,
+            corners: DEFAULT_CORNERS.map(corner => [...corner]),
+            meshWarp: {
+                enabled: false,
+                columns,
+                rows,
+                points: createIdentityMesh(columns, rows)
+            }
+        };
+    }
+
+    /**
+     * Check whether the output pass has to run this frame
+     * @returns {boolean} True if mapping is enabled or being edited
+     */
+    isActive() {
+        return this.config.enabled || this.editMode;
+    }
+
+    setEnabled(enabled) {
+        this.config.enabled = !!enabled;
+        this.notifyListeners();
+    }
+
+    setEditMode(enabled) {
+        this.editMode = !!enabled;
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    setMeshWarpEnabled(enabled) {
+        this.config.meshWarp.enabled = !!enabled;
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    /**
+     * Change the mesh warp resolution. The current warp is resampled at the new control
+     * point positions, so its overall shape is kept approximately.
+     * @param {number} columns - Mesh columns
+     * @param {number} rows - Mesh rows
+     */
+    setMeshSize(columns, rows) {
+        const nextColumns = clampMeshSize(columns);
+        const nextRows = clampMeshSize(rows);
+        const meshWarp = this.config.meshWarp;
+        if (nextColumns === meshWarp.columns && nextRows === meshWarp.rows) return;
+
+        const points = [];
+        for (let j = 0; j <= nextRows; j++) {
+            for (let i = 0; i <= nextColumns; i++) {
+                points.push(this.evaluateMesh(i / nextColumns, j / nextRows));
+            }
+        }
+
+        meshWarp.columns = nextColumns;
+        meshWarp.rows = nextRows;
+        meshWarp.points = points;
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    /**
+     * Move a corner pin corner
+     * @param {number} index - Corner index (0 bottom-left, 1 bottom-right, 2 top-right, 3 top-left)
+     * @param {number} x - Normalized x
+     * @param {number} y - Normalized y
+     */
+    setCorner(index, x, y) {
+        if (!this.config.corners[index]) return;
+        this.config.corners[index] = [x, y];
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    /**
+     * Move a mesh warp control point
+     * @param {number} index - Control point index (row by row from the bottom)
+     * @param {number} x - Normalized x before corner pinning
+     * @param {number} y - Normalized y before corner pinning
+     */
+    setMeshPoint(index, x, y) {
+        if (!this.config.meshWarp.points[index]) return;
+        this.config.meshWarp.points[index] = [x, y];
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    resetCorners() {
+        this.config.corners = DEFAULT_CORNERS.map(corner => [...corner]);
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    resetMesh() {
+        const meshWarp = this.config.meshWarp;
+        meshWarp.points = createIdentityMesh(meshWarp.columns, meshWarp.rows);
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    /**
+     * Homography mapping the unit square onto the corner pin quad
+     * @returns {number[]} Coefficients [a, b, c, d, e, f, g, h] with
+     *   x = (a*u + b*v + c) / w, y = (d*u + e*v + f) / w, w = g*u + h*v + 1
+     */
+    getHomography() {
+        const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = this.config.corners;
+
+        const dx1 = x1 - x2;
+        const dx2 = x3 - x2;
+        const dx3 = x0 - x1 + x2 - x3;
+        const dy1 = y1 - y2;
+        const dy2 = y3 - y2;
+        const dy3 = y0 - y1 + y2 - y3;
+
+        let g = 0;
+        let h = 0;
+        const det = dx1 * dy2 - dx2 * dy1;
+        // A parallelogram (or a degenerate quad) needs no perspective terms
+        if ((dx3 !== 0 || dy3 !== 0) && det !== 0) {
+            g = (dx3 * dy2 - dx2 * dy3) / det;
+            h = (dx1 * dy3 - dx3 * dy1) / det;
+        }
+
+        return [
+            x1 - x0 + g * x1, x3 - x0 + h * x3, x0,
+            y1 - y0 + g * y1, y3 - y0 + h * y3, y0,
+            g, h
+        ];
+    }
+
+    /**
+     * Evaluate the bezier warp surface
+     * @param {number} u - Horizontal parameter (0-1)
+     * @param {number} v - Vertical parameter (0-1)
+     * @returns {number[]} Warped [x, y] before corner pinning
+     */
+    evaluateMesh(u, v) {
+        const { enabled, columns, rows, points } = this.config.meshWarp;
+        if (!enabled) return [u, v];
+
+        let x = 0;
+        let y = 0;
+        for (let j = 0; j <= rows; j++) {
+            const weightV = bernstein(rows, j, v);
+            for (let i = 0; i <= columns; i++) {
+                const weight = weightV * bernstein(columns, i, u);
+                const point = points[j * (columns + 1) + i];
+                x += weight * point[0];
+                y += weight * point[1];
+            }
+        }
+        return [x, y];
+    }
+
+    /**
+     * Apply the corner pin to a point
+     * @param {number} x - Normalized x before corner pinning
+     * @param {number} y - Normalized y before corner pinning
+     * @param {number[]} [homography] - Precomputed homography
+     * @returns {number[]} Output [x, y]
+     */
+    pinPoint(x, y, homography = this.getHomography()) {
+        const [a, b, c, d, e, f, g, h] = homography;
+        const w = g * x + h * y + 1;
+        return [(a * x + b * y + c) / w, (d * x + e * y + f) / w];
+    }
+
+    /**
+     * Undo the corner pin for an output position (used when dragging mesh points)
+     * @param {number} x - Output x
+     * @param {number} y - Output y
+     * @returns {number[]|null} [x, y] before corner pinning, or null for a degenerate pin
+     */
+    unpinPoint(x, y) {
+        const [a, b, c, d, e, f, g, h] = this.getHomography();
+        const matrix = new THREE.Matrix3().set(a, b, c, d, e, f, g, h, 1);
+        if (matrix.determinant() === 0) return null;
+
+        const point = new THREE.Vector3(x, y, 1).applyMatrix3(matrix.invert());
+        return [point.x / point.z, point.y / point.z];
+    }
+
+    /**
+     * Final output position of a point on the source frame
+     * @param {number} u - Horizontal source position (0-1)
+     * @param {number} v - Vertical source position (0-1)
+     * @returns {number[]} Output [x, y]
+     */
+    mapPoint(u, v) {
+        const [x, y] = this.evaluateMesh(u, v);
+        return this.pinPoint(x, y);
+    }
+
+    /**
+     * Create the output scene on first use
+     */
+    ensureResources() {
+        if (this.warpScene) return;
+
+        this.warpScene = new THREE.Scene();
+        // Area outside the warped image stays black on the projection surface
+        this.warpScene.background = new THREE.Color(0x000000);
+        this.warpCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 2);
+        this.warpCamera.position.z = 1;
+
+        const segments = MAPPING_CONFIG.subdivisions;
+        const vertexCount = (segments + 1) * (segments + 1);
+        const uvs = new Float32Array(vertexCount * 2);
+        const indices = [];
+        for (let j = 0; j <= segments; j++) {
+            for (let i = 0; i <= segments; i++) {
+                const vertex = j * (segments + 1) + i;
+                uvs[vertex * 2] = i / segments;
+                uvs[vertex * 2 + 1] = j / segments;
+
+                if (i < segments && j < segments) {
+                    const next = vertex + segments + 1;
+                    indices.push(vertex, vertex + 1, next, vertex + 1, next + 1, next);
+                }
+            }
+        }
+
+        this.warpGeometry = new THREE.BufferGeometry();
+        this.warpGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        this.warpGeometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        this.warpGeometry.setIndex(indices);
+
+        this.warpMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(WarpShader.uniforms),
+            vertexShader: WarpShader.vertexShader,
+            fragmentShader: WarpShader.fragmentShader,
+            // Mirrored corner pins (rear projection) flip the triangle winding
+            side: THREE.DoubleSide,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const warpMesh = new THREE.Mesh(this.warpGeometry, this.warpMaterial);
+        // Positions are in clip space, the bounding sphere means nothing here
+        warpMesh.frustumCulled = false;
+        this.warpScene.add(warpMesh);
+
+        this.guides = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: MAPPING_CONFIG.guideColor, depthTest: false })
+        );
+        this.guides.frustumCulled = false;
+        this.warpScene.add(this.guides);
+    }
+
+    /**
+     * Recompute the warp mesh and the edit guides
+     */
+    updateGeometry() {
+        const homography = this.getHomography();
+        const [a, b, c, d, e, f, g, h] = homography;
+        const segments = MAPPING_CONFIG.subdivisions;
+        const positions = this.warpGeometry.attributes.position.array;
+
+        for (let j = 0; j <= segments; j++) {
+            for (let i = 0; i <= segments; i++) {
+                const [x, y] = this.evaluateMesh(i / segments, j / segments);
+                const X = a * x + b * y + c;
+                const Y = d * x + e * y + f;
+                const W = g * x + h * y + 1;
+
+                // Normalized (0-1) to clip space, kept homogeneous for perspective correct texturing
+                const offset = (j * (segments + 1) + i) * 3;
+                positions[offset] = 2 * X - W;
+                positions[offset + 1] = 2 * Y - W;
+                positions[offset + 2] = W;
+            }
+        }
+        this.warpGeometry.attributes.position.needsUpdate = true;
+
+        this.updateGuides(homography);
+        this.geometryDirty = false;
+    }
+
+    /**
+     * Outline of the warped frame, plus the mesh control grid when the mesh warp is on
+     * @param {number[]} homography - Corner pin homography
+     */
+    updateGuides(homography) {
+        const segments = MAPPING_CONFIG.subdivisions;
+        const vertices = [];
+        const addLine = (from, to) => {
+            vertices.push(from[0] * 2 - 1, from[1] * 2 - 1, 0, to[0] * 2 - 1, to[1] * 2 - 1, 0);
+        };
+
+        // Outline along the four edges of the warped frame
+        const edges = [
+            t => [t, 0], t => [1, t], t => [1 - t, 1], t => [0, 1 - t]
+        ];
+        edges.forEach(edge => {
+            for (let s = 0; s < segments; s++) {
+                addLine(this.mapPoint(...edge(s / segments)), this.mapPoint(...edge((s + 1) / segments)));
+            }
+        });
+
+        const { enabled, columns, rows, points } = this.config.meshWarp;
+        if (enabled) {
+            const pinned = points.map(point => this.pinPoint(point[0], point[1], homography));
+            for (let j = 0; j <= rows; j++) {
+                for (let i = 0; i <= columns; i++) {
+                    const index = j * (columns + 1) + i;
+                    if (i < columns) addLine(pinned[index], pinned[index + 1]);
+                    if (j < rows) addLine(pinned[index], pinned[index + columns + 1]);
+                }
+            }
+        }
+
+        this.guides.geometry.dispose();
+        this.guides.geometry = new THREE.BufferGeometry();
+        this.guides.geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    }
+
+    /**
+     * Draw a finished frame through the warp
+     * @param {THREE.WebGLRenderer} renderer - Renderer
+     * @param {THREE.Texture} texture - Finished frame
+     * @param {boolean} applyOutputTransform - Apply tone mapping and output color space (the
+     *   frame comes straight from the compositor); post-processing output is drawn unchanged
+     * @param {boolean} toTexture - Render into a texture for a following output pass (slicing)
+     *   instead of to the screen; the output transform is then left to that pass
+     * @returns {THREE.Texture|null} Warped frame when rendering to a texture
+     */
+    render(renderer, texture, applyOutputTransform, toTexture = false) {
+        this.ensureResources();
+        if (this.geometryDirty) {
+            this.updateGeometry();
+        }
+
+        const outputTransform = applyOutputTransform && !toTexture;
+        const hasOutputTransform = this.warpMaterial.defines.OUTPUT_TRANSFORM !== undefined;
+        if (hasOutputTransform !== outputTransform) {
+            if (outputTransform) {
+                this.warpMaterial.defines.OUTPUT_TRANSFORM = '';
+            } else {
+                delete this.warpMaterial.defines.OUTPUT_TRANSFORM;
+            }
+            this.warpMaterial.needsUpdate = true;
+        }
+
+        this.warpMaterial.uniforms.tDiffuse.value = texture;
+        this.guides.visible = this.editMode;
+
+        const target = toTexture ? this.getRenderTarget(renderer) : null;
+        renderer.setRenderTarget(target);
+        renderer.render(this.warpScene, this.warpCamera);
+        renderer.setRenderTarget(null);
+        return target ? target.texture : null;
+    }
+
+    /**
+     * Render target for the warped frame, sized to the drawing buffer
+     * @param {THREE.WebGLRenderer} renderer - Renderer
+     * @returns {THREE.WebGLRenderTarget} Render target
+     */
+    getRenderTarget(renderer) {
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (!this.renderTarget) {
+            // Same format as the compositor, the frame is still linear at this point
+            this.renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
+                format: THREE.RGBAFormat,
+                type: THREE.HalfFloatType,
+                generateMipmaps: false,
+                depthBuffer: false
+            });
+        } else if (this.renderTarget.width !== size.x || this.renderTarget.height !== size.y) {
+            this.renderTarget.setSize(size.x, size.y);
+        }
+        return this.renderTarget;
+    }
+
+    /**
+     * Get the warp configuration (saved with scenes and venue profiles)
+     * @returns {Object} Copy of the configuration
+     */
+    getConfig() {
+        return JSON.parse(JSON.stringify(this.config));
+    }
+
+    /**
+     * Apply a saved warp configuration
+     * @param {Object} config - Configuration from getConfig()
+     */
+    setConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new Error('Invalid projection mapping configuration');
+        }
+
+        const defaults = this.createDefaultConfig();
+        const corners = Array.isArray(config.corners) && config.corners.length === 4 && config.corners.every(isPoint)
+            ? config.corners.map(corner => [...corner])
+            : defaults.corners;
+
+        const meshWarp = defaults.meshWarp;
+        if (config.meshWarp && typeof config.meshWarp === 'object') {
+            const columns = clampMeshSize(config.meshWarp.columns);
+            const rows = clampMeshSize(config.meshWarp.rows);
+            const points = config.meshWarp.points;
+            const validPoints = Array.isArray(points) && points.length === (columns + 1) * (rows + 1) && points.every(isPoint);
+
+            meshWarp.enabled = !!config.meshWarp.enabled;
+            meshWarp.columns = columns;
+            meshWarp.rows = rows;
+            meshWarp.points = validPoints ? points.map(point => [...point]) : createIdentityMesh(columns, rows);
+        }
+
+        this.config = { enabled: !!config.enabled, corners, meshWarp };
+        this.geometryDirty = true;
+        this.notifyListeners();
+    }
+
+    /**
+     * Subscribe to configuration and edit mode changes
+     * @param {Function} listener - Called with the mapper on each change
+     * @returns {Function} Unsubscribe function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('ProjectionMapper: Error in change listener:', error);
+            }
+        });
+    }
+
+    dispose() {
+        if (this.warpScene) {
+            this.warpGeometry.dispose();
+            this.warpMaterial.dispose();
+            this.guides.geometry.dispose();
+            this.guides.material.dispose();
+            this.warpScene = null;
+        }
+        if (this.renderTarget) {
+            this.renderTarget.dispose();
+            this.renderTarget = null;
+        }
+        this.listeners.clear();
+    }
+}
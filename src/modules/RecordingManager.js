@@ -0,0 +1,358 @@
+/**
+ * RecordingManager.js - Output Canvas Video Recording
+ * This module records the renderer canvas to WebM using MediaRecorder. Recordings can start
+ * immediately or be armed to start on the next bar (via BPMTimingManager.getNextSyncPoint()),
+ * and can stop automatically after a number of bars. Finished takes are downloaded as files.
+ */
+
+import { EXPORT_CONSTANTS } from '../config/index.js';
+
+const RECORDING_CONFIG = EXPORT_CONSTANTS.recording;
+
+// Transport jumps larger than this (in seconds) are treated as resets, not elapsed time
+const MAX_TRANSPORT_STEP = 1;
+
+export class RecordingManager {
+    /**
+     * @param {Scene} scene - Scene owning the renderer canvas
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        // 'idle', 'armed' or 'recording'
+        this.status = 'idle';
+        this.stopAfterBars = RECORDING_CONFIG.defaultBars;
+
+        // Capture objects
+        this.mediaRecorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.mimeType = null;
+
+        // Musical timing (seconds on the recorder clock)
+        this.clockTime = 0;
+        this.lastTransportTime = null;
+        this.lastWallTime = 0;
+        this.armedStartTime = 0;
+        this.recordingStartTime = 0;
+
+        // Status listeners (e.g. TransportBar)
+        this.listeners = new Set();
+    }
+
+    /**
+     * Check whether the browser can record the canvas
+     * @returns {boolean} True if MediaRecorder and canvas capture are available
+     */
+    isSupported() {
+        const canvas = this.getCanvas();
+        return typeof MediaRecorder !== 'undefined' && !!canvas && typeof canvas.captureStream === 'function';
+    }
+
+    /**
+     * Get the canvas being recorded
+     * @returns {HTMLCanvasElement|null} Renderer canvas
+     */
+    getCanvas() {
+        return this.scene.renderer ? this.scene.renderer.domElement : null;
+    }
+
+    /**
+     * Get the first supported WebM mime type
+     * @returns {string} Mime type, or empty string to let the browser choose
+     */
+    getSupportedMimeType() {
+        const supported = RECORDING_CONFIG.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+        return supported || '';
+    }
+
+    /**
+     * Set the number of bars after which a recording stops (0 = record until stopped)
+     * @param {number} bars - Recording length in bars
+     */
+    setStopAfterBars(bars) {
+        this.stopAfterBars = Math.max(0, parseInt(bars, 10) || 0);
+        this.notifyListeners();
+    }
+
+    /**
+     * Current transport position in seconds, following the same clock as the animations
+     * @returns {number} Transport time in seconds
+     */
+    getTransportTime() {
+        const app = this.scene.app;
+        const clockManager = app ? app.midiClockManager : null;
+
+        if (clockManager && clockManager.isExternalClockActive()) {
+            return clockManager.getClockTimeInSeconds();
+        }
+
+        // Internal animation time is counted in beats
+        if (app && app.animationLoop && this.scene.bpmTimingManager) {
+            return app.animationLoop.getAnimationTime() * 60 / this.scene.bpmTimingManager.getBPM();
+        }
+
+        return performance.now() / 1000;
+    }
+
+    /**
+     * Advance the recorder clock. It follows the transport, and falls back to wall time
+     * when the transport is paused or jumps (so armed/timed takes never hang).
+     */
+    advanceClock() {
+        const transportTime = this.getTransportTime();
+        const wallTime = performance.now() / 1000;
+
+        if (this.lastTransportTime === null) {
+            this.clockTime = transportTime;
+        } else {
+            const transportStep = transportTime - this.lastTransportTime;
+            const wallStep = wallTime - this.lastWallTime;
+
+            if (transportStep > 0 && transportStep < MAX_TRANSPORT_STEP) {
+                this.clockTime += transportStep;
+            } else {
+                this.clockTime += wallStep;
+            }
+        }
+
+        this.lastTransportTime = transportTime;
+        this.lastWallTime = wallTime;
+    }
+
+    /**
+     * Arm a recording to start on the next bar
+     * @returns {boolean} True if armed
+     */
+    arm() {
+        if (this.status !== 'idle') return false;
+
+        const bpmTimingManager = this.scene.bpmTimingManager;
+        if (!bpmTimingManager) {
+            console.warn('RecordingManager: BPM timing not available, starting recording immediately');
+            return this.startRecording();
+        }
+
+        if (!this.isSupported()) {
+            console.error('RecordingManager: Canvas recording is not supported in this browser');
+            return false;
+        }
+
+        this.lastTransportTime = null;
+        this.advanceClock();
+        this.armedStartTime = bpmTimingManager.getNextSyncPoint(this.clockTime, RECORDING_CONFIG.syncDivision);
+        this.status = 'armed';
+
+        console.log(`RecordingManager: Armed, starting in ${(this.armedStartTime - this.clockTime).toFixed(2)}s`);
+        this.notifyListeners();
+        return true;
+    }
+
+    /**
+     * Start recording the canvas immediately
+     * @returns {boolean} True if recording started
+     */
+    startRecording() {
+        if (this.status === 'recording') return false;
+
+        if (!this.isSupported()) {
+            console.error('RecordingManager: Canvas recording is not supported in this browser');
+            this.status = 'idle';
+            this.notifyListeners();
+            return false;
+        }
+
+        try {
+            this.stream = this.getCanvas().captureStream(RECORDING_CONFIG.fps);
+            this.mimeType = this.getSupportedMimeType();
+
+            const options = { videoBitsPerSecond: RECORDING_CONFIG.videoBitsPerSecond };
+            if (this.mimeType) {
+                options.mimeType = this.mimeType;
+            }
+
+            this.chunks = [];
+            this.mediaRecorder = new MediaRecorder(this.stream, options);
+            this.mediaRecorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    this.chunks.push(event.data);
+                }
+            };
+            this.mediaRecorder.onstop = () => this.finalizeRecording();
+            this.mediaRecorder.onerror = (event) => {
+                console.error('RecordingManager: Recording error:', event.error);
+                this.stopRecording();
+            };
+
+            this.mediaRecorder.start(RECORDING_CONFIG.timeslice);
+        } catch (error) {
+            console.error('RecordingManager: Failed to start recording:', error);
+            this.releaseStream();
+            this.status = 'idle';
+            this.notifyListeners();
+            return false;
+        }
+
+        if (this.lastTransportTime === null) {
+            this.advanceClock();
+        }
+        this.recordingStartTime = this.clockTime;
+        this.status = 'recording';
+
+        console.log(`RecordingManager: Recording started (${this.mimeType || 'browser default format'})`);
+        this.notifyListeners();
+        return true;
+    }
+
+    /**
+     * Stop recording (or disarm an armed recording)
+     */
+    stopRecording() {
+        if (this.status === 'armed') {
+            this.status = 'idle';
+            this.lastTransportTime = null;
+            console.log('RecordingManager: Disarmed');
+            this.notifyListeners();
+            return;
+        }
+
+        if (this.status !== 'recording') return;
+
+        this.status = 'idle';
+        this.lastTransportTime = null;
+
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            // finalizeRecording() runs from the onstop handler once the last chunk is delivered
+            this.mediaRecorder.stop();
+        } else {
+            this.finalizeRecording();
+        }
+
+        console.log('RecordingManager: Recording stopped');
+        this.notifyListeners();
+    }
+
+    /**
+     * Toggle recording: arm (or start) when idle, stop when armed or recording
+     * @param {boolean} alignToBar - Arm on the next bar instead of starting immediately
+     */
+    toggleRecording(alignToBar = true) {
+        if (this.status === 'idle') {
+            if (alignToBar) {
+                this.arm();
+            } else {
+                this.startRecording();
+            }
+        } else {
+            this.stopRecording();
+        }
+    }
+
+    /**
+     * Per-frame update - starts armed recordings on the bar and stops timed recordings
+     */
+    update() {
+        if (this.status === 'idle') return;
+
+        this.advanceClock();
+
+        if (this.status === 'armed' && this.clockTime >= this.armedStartTime) {
+            this.startRecording();
+            // Start exactly on the bar so the stop point stays bar aligned
+            this.recordingStartTime = this.armedStartTime;
+        } else if (this.status === 'recording' && this.stopAfterBars > 0 && this.scene.bpmTimingManager) {
+            const duration = this.scene.bpmTimingManager.getTimeForBarLength(this.stopAfterBars);
+            if (this.clockTime - this.recordingStartTime >= duration) {
+                this.stopRecording();
+            }
+        }
+    }
+
+    /**
+     * Build the recorded file and download it
+     */
+    finalizeRecording() {
+        const chunks = this.chunks;
+        this.chunks = [];
+        this.mediaRecorder = null;
+        this.releaseStream();
+
+        if (chunks.length === 0) {
+            console.warn('RecordingManager: No video data recorded');
+            return;
+        }
+
+        const blob = new Blob(chunks, { type: this.mimeType || 'video/webm' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${RECORDING_CONFIG.filePrefix}-${Date.now()}.webm`;
+        link.click();
+
+        // Clean up the URL object
+        setTimeout(() => URL.revokeObjectURL(link.href), 100);
+
+        console.log(`RecordingManager: Saved recording (${(blob.size / (1024 * 1024)).toFixed(1)} MB)`);
+    }
+
+    /**
+     * Stop all capture tracks
+     */
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Get the current recorder status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        let elapsed = 0;
+        let remaining = 0;
+
+        if (this.status === 'recording') {
+            elapsed = Math.max(0, this.clockTime - this.recordingStartTime);
+        } else if (this.status === 'armed') {
+            remaining = Math.max(0, this.armedStartTime - this.clockTime);
+        }
+
+        return {
+            status: this.status,
+            stopAfterBars: this.stopAfterBars,
+            elapsed,
+            remaining
+        };
+    }
+
+    /**
+     * Subscribe to status changes
+     * @param {Function} listener - Called with getStatus() on each change
+     * @returns {Function} Unsubscribe function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyListeners() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                console.error('RecordingManager: Error in status listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Stop any recording and release resources
+     */
+    dispose() {
+        this.stopRecording();
+        this.listeners.clear();
+    }
+}
@@ -0,0 +1,338 @@
+/**
+ * SVGExporter.js - Vector Export of the Grid Composition
+ * This module writes the current grid as an SVG document. Every shape is rebuilt from its
+ * THREE.Shape definition in ShapeGenerator (lines and exact arcs, holes via the even-odd fill
+ * rule) and placed with its mesh transform and color, so the file opens as clean vector artwork
+ * in Illustrator. Spheres are written as circles in their material color. The shapes group
+ * carries the grid layer's opacity and blend mode.
+ */
+
+import * as THREE from 'three';
+import { EXPORT_CONSTANTS, BLEND_MODES } from '../config/index.js';
+
+const SVG_CONFIG = EXPORT_CONSTANTS.svg;
+
+// Arcs are split into segments of at most a quarter turn so the SVG arc flags are unambiguous
+const MAX_ARC_SEGMENT = Math.PI / 2;
+
+// Layer blend modes with a CSS mix-blend-mode of the same name (add and subtract have none)
+const CSS_BLEND_MODES = new Set([
+    BLEND_MODES.MULTIPLY,
+    BLEND_MODES.SCREEN,
+    BLEND_MODES.DARKEN,
+    BLEND_MODES.LIGHTEN,
+    BLEND_MODES.DIFFERENCE,
+    BLEND_MODES.OVERLAY,
+    BLEND_MODES.SOFT_LIGHT,
+    BLEND_MODES.HARD_LIGHT,
+    BLEND_MODES.COLOR_DODGE,
+    BLEND_MODES.COLOR_BURN,
+    BLEND_MODES.EXCLUSION
+]);
+
+/**
+ * Format a number for SVG output
+ * @param {number} value - Number to format
+ * @returns {string} Compact decimal representation
+ */
+function formatNumber(value) {
+    const rounded = Number(value.toFixed(SVG_CONFIG.precision));
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Escape text for use in an XML attribute
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Signed sweep of an ellipse curve, matching THREE.EllipseCurve.getPoint()
+ * @param {THREE.EllipseCurve} curve - Arc curve
+ * @returns {number} Sweep angle in radians (negative for clockwise)
+ */
+function getArcSweep(curve) {
+    const twoPi = Math.PI * 2;
+    let deltaAngle = curve.aEndAngle - curve.aStartAngle;
+    const samePoints = Math.abs(deltaAngle) < Number.EPSILON;
+
+    while (deltaAngle < 0) deltaAngle += twoPi;
+    while (deltaAngle > twoPi) deltaAngle -= twoPi;
+
+    if (deltaAngle < Number.EPSILON) {
+        deltaAngle = samePoints ? 0 : twoPi;
+    }
+
+    if (curve.aClockwise === true && !samePoints) {
+        deltaAngle = deltaAngle === twoPi ? -twoPi : deltaAngle - twoPi;
+    }
+
+    return deltaAngle;
+}
+
+export class SVGExporter {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Get default export options from the current state
+     * @returns {Object} Export options
+     */
+    getDefaultOptions() {
+        return {
+            includeGridLines: !!this.app.state.get('showGrid'),
+            includeBackground: true,
+            pixelsPerUnit: SVG_CONFIG.pixelsPerUnit
+        };
+    }
+
+    /**
+     * Build the SVG and download it
+     * @param {Object} options - Export options (see buildSVG)
+     * @returns {Object} Export summary
+     */
+    exportSVG(options = {}) {
+        const { svg, shapeCount, width, height } = this.buildSVG(options);
+        const blob = new Blob([svg], { type: 'image/svg+xml' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${SVG_CONFIG.filePrefix}-${Date.now()}.svg`;
+        link.click();
+
+        // Clean up the URL object
+        setTimeout(() => URL.revokeObjectURL(link.href), 100);
+
+        console.log(`SVGExporter: Exported ${shapeCount} shapes (${width}x${height})`);
+        return { shapeCount, width, height, size: blob.size };
+    }
+
+    /**
+     * Build the SVG document for the current grid
+     * @param {Object} options - Export options
+     * @param {boolean} options.includeGridLines - Draw grid lines in the grid color
+     * @param {boolean} options.includeBackground - Fill the artboard with the background color
+     * @param {number} options.pixelsPerUnit - Output size of one world unit
+     * @returns {{svg: string, shapeCount: number, width: number, height: number}} SVG text and summary
+     */
+    buildSVG(options = {}) {
+        const settings = { ...this.getDefaultOptions(), ...options };
+        const state = this.app.state;
+        const scene = this.app.scene;
+
+        const gridWidth = state.get('gridWidth');
+        const gridHeight = state.get('gridHeight');
+        const cellSize = state.get('cellSize');
+        const unit = settings.pixelsPerUnit;
+
+        // Artboard covers the grid, world origin at its center
+        const halfWidth = gridWidth * cellSize / 2;
+        const halfHeight = gridHeight * cellSize / 2;
+        const width = Math.round(gridWidth * cellSize * unit);
+        const height = Math.round(gridHeight * cellSize * unit);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        ];
+
+        if (settings.includeBackground) {
+            const background = new THREE.Color(state.get('backgroundColor'));
+            lines.push(`  <rect id="background" width="${width}" height="${height}" fill="#${background.getHexString()}"/>`);
+        }
+
+        // World (y up) to artboard (y down) for a world position
+        const toArtboard = (x, y) => [(x + halfWidth) * unit, (halfHeight - y) * unit];
+
+        let shapeCount = 0;
+        const layerAttributes = this.getGridLayerAttributes();
+        if (layerAttributes !== null) {
+            lines.push(`  <g id="shapes"${layerAttributes}>`);
+            scene.gridManager.getAllShapes().forEach(mesh => {
+                const element = this.createShapeElement(mesh, toArtboard, unit);
+                if (element) {
+                    lines.push(`    ${element}`);
+                    shapeCount++;
+                }
+            });
+            lines.push('  </g>');
+        }
+
+        if (settings.includeGridLines) {
+            lines.push(this.createGridLines(gridWidth, gridHeight, cellSize, toArtboard));
+        }
+
+        lines.push('</svg>');
+
+        return { svg: lines.join('\n') + '\n', shapeCount, width, height };
+    }
+
+    /**
+     * Create the SVG element for one grid mesh
+     * @param {THREE.Mesh} mesh - Grid shape mesh
+     * @param {Function} toArtboard - World to artboard position mapping
+     * @param {number} unit - Output size of one world unit
+     * @returns {string|null} SVG element, or null if the mesh is not drawn
+     */
+    createShapeElement(mesh, toArtboard, unit) {
+        const shapeName = mesh && mesh.userData ? mesh.userData.shapeName : null;
+        if (!shapeName || !mesh.visible) return null;
+
+        const paint = this.getPaintAttributes(mesh.material);
+        if (paint === null) return null;
+
+        const [x, y] = toArtboard(mesh.position.x, mesh.position.y);
+        const name = escapeAttribute(shapeName);
+
+        if (shapeName.startsWith('sphere_')) {
+            const geometry = mesh.geometry;
+            const radius = (geometry && geometry.parameters ? geometry.parameters.radius : 0.5) * mesh.scale.x * unit;
+            return `<circle data-shape="${name}" cx="${formatNumber(x)}" cy="${formatNumber(y)}" r="${formatNumber(radius)}"${paint}/>`;
+        }
+
+        const shape = this.app.scene.shapeGenerator.generateShape(shapeName);
+        if (!(shape instanceof THREE.Shape)) return null;
+
+        const pathData = [this.getPathData(shape), ...shape.holes.map(hole => this.getPathData(hole))].join(' ');
+
+        // Local shape space (y up, unit cell) to artboard: translate, flip, rotate, scale
+        const rotation = THREE.MathUtils.radToDeg(mesh.rotation.z);
+        const transform = `translate(${formatNumber(x)} ${formatNumber(y)}) scale(${formatNumber(unit)} ${formatNumber(-unit)}) ` +
+            `rotate(${formatNumber(rotation)}) scale(${formatNumber(mesh.scale.x)} ${formatNumber(mesh.scale.y)})`;
+
+        return `<path data-shape="${name}" d="${pathData}" fill-rule="evenodd" transform="${transform}"${paint}/>`;
+    }
+
+    /**
+     * Group attributes for the grid layer. Composited layers keep their materials opaque and
+     * get opacity and blend mode from the LayerCompositor, so they are read from the layer.
+     * @returns {string|null} Attribute string, or null when the grid layer is not drawn
+     */
+    getGridLayerAttributes() {
+        const layerManager = this.app.layerManager;
+        const layer = layerManager ? layerManager.layers.get('grid') : null;
+        if (!layer) return '';
+        if (!layer.visible || layer.opacity <= 0) return null;
+
+        let attributes = '';
+        if (layer.opacity < 1) {
+            attributes += ` opacity="${formatNumber(layer.opacity)}"`;
+        }
+        if (CSS_BLEND_MODES.has(layer.blendMode)) {
+            attributes += ` style="mix-blend-mode: ${layer.blendMode}"`;
+        }
+        return attributes;
+    }
+
+    /**
+     * Fill attributes for a mesh material
+     * @param {THREE.Material} material - Mesh material
+     * @returns {string|null} Attribute string, or null for invisible materials
+     */
+    getPaintAttributes(material) {
+        if (!material || !material.visible || !material.color) return null;
+
+        let attributes = ` fill="#${material.color.getHexString()}"`;
+        if (material.transparent && material.opacity < 1) {
+            if (material.opacity <= 0) return null;
+            attributes += ` fill-opacity="${formatNumber(material.opacity)}"`;
+        }
+        return attributes;
+    }
+
+    /**
+     * Convert a THREE.Path (or Shape) into SVG path data in its local coordinates
+     * @param {THREE.Path} path - Path made of line and arc curves
+     * @returns {string} SVG path data
+     */
+    getPathData(path) {
+        if (path.curves.length === 0) return '';
+
+        const point = (vector) => `${formatNumber(vector.x)} ${formatNumber(vector.y)}`;
+        const commands = [`M ${point(path.curves[0].getPoint(0))}`];
+
+        path.curves.forEach(curve => {
+            if (curve.isLineCurve) {
+                commands.push(`L ${point(curve.v2)}`);
+            } else if (curve.isEllipseCurve) {
+                commands.push(...this.getArcCommands(curve, point));
+            } else {
+                // Any other curve type is approximated by its sampled points
+                curve.getPoints(SVG_CONFIG.curveDivisions).slice(1).forEach(vector => {
+                    commands.push(`L ${point(vector)}`);
+                });
+            }
+        });
+
+        commands.push('Z');
+        return commands.join(' ');
+    }
+
+    /**
+     * Exact SVG arc commands for an ellipse curve
+     * @param {THREE.EllipseCurve} curve - Arc curve
+     * @param {Function} point - Point formatter
+     * @returns {string[]} Arc commands
+     */
+    getArcCommands(curve, point) {
+        const sweep = getArcSweep(curve);
+        if (sweep === 0) return [];
+
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / MAX_ARC_SEGMENT - 1e-9));
+        const radii = `${formatNumber(curve.xRadius)} ${formatNumber(curve.yRadius)}`;
+        const rotation = formatNumber(THREE.MathUtils.radToDeg(curve.aRotation));
+        // Shape space is y up, so a counterclockwise arc runs in the positive angle direction
+        const sweepFlag = sweep > 0 ? 1 : 0;
+
+        const commands = [];
+        for (let i = 1; i <= segments; i++) {
+            commands.push(`A ${radii} ${rotation} 0 ${sweepFlag} ${point(curve.getPoint(i / segments))}`);
+        }
+        return commands;
+    }
+
+    /**
+     * Grid lines along the cell borders in the grid color
+     * @param {number} gridWidth - Grid width in cells
+     * @param {number} gridHeight - Grid height in cells
+     * @param {number} cellSize - Cell size in world units
+     * @param {Function} toArtboard - World to artboard position mapping
+     * @returns {string} SVG group
+     */
+    createGridLines(gridWidth, gridHeight, cellSize, toArtboard) {
+        const color = new THREE.Color(this.app.state.get('gridColor'));
+        const halfGridW = gridWidth / 2;
+        const halfGridH = gridHeight / 2;
+        const lines = [];
+
+        const addLine = (x1, y1, x2, y2) => {
+            const [ax, ay] = toArtboard(x1, y1);
+            const [bx, by] = toArtboard(x2, y2);
+            lines.push(`    <line x1="${formatNumber(ax)}" y1="${formatNumber(ay)}" x2="${formatNumber(bx)}" y2="${formatNumber(by)}"/>`);
+        };
+
+        // Same line positions as the on-screen grid
+        for (let i = 0; i <= gridWidth; i++) {
+            const x = (i - halfGridW) * cellSize;
+            addLine(x, -halfGridH * cellSize, x, halfGridH * cellSize);
+        }
+        for (let i = 0; i <= gridHeight; i++) {
+            const y = (i - halfGridH) * cellSize;
+            addLine(-halfGridW * cellSize, y, halfGridW * cellSize, y);
+        }
+
+        return [
+            `  <g id="grid-lines" fill="none" stroke="#${color.getHexString()}" stroke-width="${SVG_CONFIG.gridLineWidth}">`,
+            ...lines,
+            '  </g>'
+        ].join('\n');
+    }
+}
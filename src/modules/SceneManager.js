@@ -17,6 +17,9 @@ export class SceneManager {
         // Initialize randomization manager
         this.randomizationManager = new RandomizationManager(app);
         
+        // Scene presets found on the server (for the scene selector and the program map)
+        this.availableScenePresets = [];
+        
         // Known scene files for fallback discovery
         this.knownSceneFiles = [
             'ambient-dream', 
@@ -140,8 +143,9 @@ export class SceneManager {
     /**
      * Apply a scene preset from the server
      * @param {string} presetName - Name of the scene preset to apply
+     * @param {number|null} duration - Interpolation duration in seconds (null = the drawer setting)
      */
-    async applyScenePreset(presetName) {
+    async applyScenePreset(presetName, duration = null) {
         if (!presetName) {
             return;
         }
@@ -160,9 +164,11 @@ export class SceneManager {
                 throw new Error('Invalid scene preset format');
             }
             
-            // Get interpolation duration from UI
-            const interpolationDurationInput = this.domCache.getElement('interpolation-duration');
-            const duration = interpolationDurationInput ? parseFloat(interpolationDurationInput.value) : 2.0;
+            // Get interpolation duration from UI unless the caller chose one
+            if (duration === null) {
+                const interpolationDurationInput = this.domCache.getElement('interpolation-duration');
+                duration = interpolationDurationInput ? parseFloat(interpolationDurationInput.value) : 2.0;
+            }
             
             // Get interpolation easing from UI
             const interpolationEasingSelect = this.domCache.getElement('interpolation-easing');
@@ -481,6 +487,11 @@ export class SceneManager {
      * @param {string[]} availableScenePresets - Array of available scene preset names
      */
     async updateScenePresetDropdown(availableScenePresets) {
+        this.availableScenePresets = [...availableScenePresets];
+        if (this.app.programMapManager) {
+            this.app.programMapManager.renderProgramMap();
+        }
+        
         const select = this.domCache.getElement('scene-preset-select');
         if (!select) return;
         
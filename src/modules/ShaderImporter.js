@@ -0,0 +1,345 @@
+/**
+ * ShaderImporter.js - Shadertoy and ISF Shader Import
+ * This module converts Shadertoy `mainImage` code and ISF (Interactive Shader Format) `.fs` files
+ * into fragment shaders for the ShaderLayer. Shadertoy and ISF built-ins are mapped onto the layer
+ * uniforms (time, resolution, frame), iChannelN and ISF image inputs become sampler2D texture
+ * inputs, and ISF INPUTS become uniforms whose range and default are written as comment hints
+ * (`// Label [min..max] default value`) that ShaderLayer uniform discovery reads. Features that
+ * cannot be mapped are collected in a report instead of failing the import.
+ */
+
+import { LAYER_CONSTANTS } from '../config/index.js';
+
+const IMPORT_CONFIG = LAYER_CONSTANTS.shaderImport;
+
+export class ShaderImporter {
+    /**
+     * Detect the format of shader source code
+     * @param {string} code - Shader source
+     * @returns {string} 'isf', 'shadertoy' or 'glsl'
+     */
+    detectFormat(code) {
+        if (/^\s*\/\*\s*\{/.test(code)) return 'isf';
+        if (/void\s+mainImage\s*\(/.test(code)) return 'shadertoy';
+        return 'glsl';
+    }
+
+    /**
+     * Convert Shadertoy or ISF source into a ShaderLayer fragment shader
+     * @param {string} code - Shader source
+     * @param {string} name - Shader name (e.g. the file name)
+     * @returns {{format: string, name: string, description: string, fragmentShader: string,
+     *   report: Array<{level: string, message: string}>}} Import result
+     */
+    import(code, name = 'Imported Shader') {
+        const format = this.detectFormat(code);
+        if (format === 'isf') return this.importISF(code, name);
+        if (format === 'shadertoy') return this.importShadertoy(code, name);
+        throw new Error('Not a Shadertoy (mainImage) or ISF (JSON header) shader');
+    }
+
+    /**
+     * Convert Shadertoy code: mainImage() is called from main() with fragCoord = vUv * resolution
+     */
+    importShadertoy(code, name) {
+        const report = [];
+        const uses = (pattern) => pattern.test(code);
+
+        if (uses(/void\s+mainSound\s*\(/)) {
+            throw new Error('Shadertoy sound shaders (mainSound) cannot be imported');
+        }
+
+        const uniforms = [
+            'uniform float time;',
+            'uniform vec2 resolution;',
+            'uniform float opacity;'
+        ];
+        const defines = [
+            '#define iTime time',
+            '#define iResolution vec3(resolution, 1.0)'
+        ];
+
+        if (uses(/\biFrame\b/)) {
+            uniforms.push('uniform float frame;');
+            defines.push('#define iFrame int(frame)');
+        }
+        if (uses(/\biMouse\b/)) {
+            uniforms.push(`uniform vec2 ${IMPORT_CONFIG.mouseUniform}; // Mouse position for iMouse.xy (0-1) default 0.5, 0.5`);
+            defines.push(`#define iMouse vec4(${IMPORT_CONFIG.mouseUniform} * resolution, 0.0, 0.0)`);
+            report.push({ level: 'info', message: `iMouse.xy follows the "${IMPORT_CONFIG.mouseUniform}" parameter, click state (iMouse.zw) is always 0` });
+        }
+        if (uses(/\biTimeDelta\b/) || uses(/\biFrameRate\b/)) {
+            defines.push(`#define iTimeDelta ${(1 / IMPORT_CONFIG.assumedFrameRate).toFixed(6)}`);
+            defines.push(`#define iFrameRate ${IMPORT_CONFIG.assumedFrameRate.toFixed(1)}`);
+            report.push({ level: 'warning', message: `iTimeDelta/iFrameRate assume a constant ${IMPORT_CONFIG.assumedFrameRate} fps` });
+        }
+        if (uses(/\biDate\b/)) {
+            defines.push('#define iDate vec4(0.0)');
+            report.push({ level: 'warning', message: 'iDate is not available and is always 0' });
+        }
+        if (uses(/\biSampleRate\b/)) {
+            defines.push('#define iSampleRate 44100.0');
+        }
+        if (uses(/\biChannelTime\b/)) {
+            uniforms.push('uniform float iChannelTime[4];');
+            report.push({ level: 'warning', message: 'iChannelTime is not set and is always 0' });
+        }
+        if (uses(/\biChannelResolution\b/)) {
+            uniforms.push('uniform vec3 iChannelResolution[4];');
+            report.push({ level: 'warning', message: 'iChannelResolution is not set and is always 0' });
+        }
+
+        for (let channel = 0; channel < 4; channel++) {
+            if (uses(new RegExp(`\\biChannel${channel}\\b`))) {
+                uniforms.push(`uniform sampler2D iChannel${channel};`);
+                report.push({ level: 'info', message: `iChannel${channel} is a texture input, pick its source in the parameter panel` });
+            }
+        }
+        if (uses(/\bsamplerCube\b/)) {
+            report.push({ level: 'warning', message: 'Cube map channels are not supported, the shader will not compile' });
+        }
+        if (uses(/\bmainVR\s*\(/)) {
+            report.push({ level: 'warning', message: 'mainVR() is ignored' });
+        }
+        report.push({ level: 'info', message: 'Multipass shaders: paste the Common tab above the code, import buffer tabs as buffer passes (Buffer A-D)' });
+
+        const fragmentShader = [
+            `// ${name} - imported from Shadertoy`,
+            'precision highp float;',
+            '',
+            ...uniforms,
+            '',
+            'varying vec2 vUv;',
+            '',
+            ...defines,
+            '',
+            code.trim(),
+            '',
+            'void main() {',
+            '    vec4 color = vec4(0.0, 0.0, 0.0, 1.0);',
+            '    mainImage(color, vUv * resolution);',
+            '    gl_FragColor = vec4(color.rgb, opacity);',
+            '}',
+            ''
+        ].join('\n');
+
+        return { format: 'shadertoy', name, description: 'Imported from Shadertoy', fragmentShader, report };
+    }
+
+    /**
+     * Split an ISF file into its JSON header and GLSL body
+     * @param {string} code - ISF source
+     * @returns {{header: Object, body: string}} Parsed file
+     */
+    parseISF(code) {
+        const match = code.match(/^\s*\/\*([\s\S]*?)\*\//);
+        if (!match) {
+            throw new Error('ISF file has no JSON header comment');
+        }
+
+        let header;
+        try {
+            header = JSON.parse(match[1]);
+        } catch (error) {
+            throw new Error(`ISF header is not valid JSON: ${error.message}`);
+        }
+        return { header, body: code.slice(match[0].length) };
+    }
+
+    /**
+     * Convert an ISF file: INPUTS become uniforms with range/default hints, built-ins are macros
+     */
+    importISF(code, name) {
+        const { header, body } = this.parseISF(code);
+        const report = [];
+        const uniforms = [
+            'uniform float time;',
+            'uniform vec2 resolution;',
+            'uniform float opacity;'
+        ];
+        const defines = [];
+
+        (header.INPUTS || []).forEach(input => {
+            const declaration = this.createISFInput(input, report);
+            if (declaration) {
+                uniforms.push(...declaration.uniforms);
+                defines.push(...declaration.defines);
+            }
+        });
+
+        Object.keys(header.IMPORTED || {}).forEach(imageName => {
+            uniforms.push(`uniform sampler2D ${imageName};`);
+            report.push({ level: 'info', message: `Imported image "${imageName}" is a texture input, pick the file in the parameter panel` });
+        });
+
+        const passes = header.PASSES || [];
+        if (passes.length > 1 || passes.some(pass => pass.PERSISTENT)) {
+            report.push({ level: 'warning', message: 'Multiple or persistent PASSES are not supported, only PASSINDEX 0 is rendered' });
+        }
+        if (/\bFRAMEINDEX\b/.test(body)) {
+            uniforms.push('uniform float frame;');
+            defines.push('#define FRAMEINDEX int(frame)');
+        }
+        if (/\bTIMEDELTA\b/.test(body)) {
+            report.push({ level: 'warning', message: `TIMEDELTA assumes a constant ${IMPORT_CONFIG.assumedFrameRate} fps` });
+        }
+        if (/\bDATE\b/.test(body)) {
+            report.push({ level: 'warning', message: 'DATE is not available and is always 0' });
+        }
+        if (/\bIMG_PIXEL\b|\bIMG_SIZE\b/.test(body)) {
+            report.push({ level: 'warning', message: 'IMG_PIXEL/IMG_SIZE assume images at the render size' });
+        }
+        if (header.ISFVSN === undefined || String(header.ISFVSN).startsWith('1')) {
+            report.push({ level: 'info', message: 'ISF v1 file, v2 behaviour is assumed' });
+        }
+
+        // The ISF main() is renamed and wrapped so the layer opacity applies
+        const mainPattern = /\bvoid\s+main\s*\(\s*(?:void)?\s*\)/;
+        if (!mainPattern.test(body)) {
+            throw new Error('ISF shader has no main() function');
+        }
+        const convertedBody = body
+            .replace(mainPattern, 'void isf_main()')
+            .replace(/\bgl_FragCoord\b/g, 'isf_FragCoord')
+            .trim();
+
+        const description = header.DESCRIPTION || 'Imported ISF shader';
+        const credit = header.CREDIT ? ` (${header.CREDIT})` : '';
+        const fragmentShader = [
+            `// ${name} - imported from ISF${credit}`,
+            `// ${description}`,
+            'precision highp float;',
+            '',
+            ...uniforms,
+            '',
+            'varying vec2 vUv;',
+            '',
+            '#define TIME time',
+            '#define RENDERSIZE resolution',
+            '#define isf_FragNormCoord vUv',
+            '#define isf_FragCoord vec4(vUv * resolution, 0.0, 1.0)',
+            `#define TIMEDELTA ${(1 / IMPORT_CONFIG.assumedFrameRate).toFixed(6)}`,
+            '#define DATE vec4(0.0)',
+            '#define PASSINDEX 0',
+            '#define IMG_NORM_PIXEL(image, coord) texture2D(image, coord)',
+            '#define IMG_PIXEL(image, coord) texture2D(image, (coord) / resolution)',
+            '#define IMG_THIS_NORM_PIXEL(image) texture2D(image, vUv)',
+            '#define IMG_THIS_PIXEL(image) texture2D(image, vUv)',
+            '#define IMG_SIZE(image) resolution',
+            ...defines,
+            '',
+            convertedBody,
+            '',
+            'void main() {',
+            '    isf_main();',
+            '    gl_FragColor.a *= opacity;',
+            '}',
+            ''
+        ].join('\n');
+
+        return { format: 'isf', name, description, fragmentShader, report };
+    }
+
+    /**
+     * Declaration of one ISF input
+     * @param {Object} input - ISF INPUTS entry
+     * @param {Array} report - Import report to add notes to
+     * @returns {{uniforms: string[], defines: string[]}|null} Uniform and macro lines
+     */
+    createISFInput(input, report) {
+        const name = input.NAME;
+        if (!name || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            report.push({ level: 'warning', message: `Skipped input with invalid name "${name}"` });
+            return null;
+        }
+
+        const label = input.LABEL || name;
+        const list = (values) => values.map(value => this.formatNumber(value)).join(', ');
+
+        switch (input.TYPE) {
+            case 'float': {
+                const min = typeof input.MIN === 'number' ? input.MIN : 0;
+                const max = typeof input.MAX === 'number' ? input.MAX : 1;
+                const value = typeof input.DEFAULT === 'number' ? input.DEFAULT : (min + max) / 2;
+                return {
+                    uniforms: [`uniform float ${name}; // ${label} [${this.formatNumber(min)}..${this.formatNumber(max)}] default ${this.formatNumber(value)}`],
+                    defines: []
+                };
+            }
+            case 'bool':
+            case 'event': {
+                if (input.TYPE === 'event') {
+                    report.push({ level: 'info', message: `Event "${name}" is an on/off switch and stays on until switched off` });
+                }
+                return {
+                    uniforms: [`uniform bool ${name}; // ${label} default ${input.DEFAULT ? 'true' : 'false'}`],
+                    defines: []
+                };
+            }
+            case 'long': {
+                // Float slider over the value range, rounded to the int the ISF code expects
+                const values = Array.isArray(input.VALUES) && input.VALUES.length > 0 ? input.VALUES : null;
+                const min = values ? Math.min(...values) : (typeof input.MIN === 'number' ? input.MIN : 0);
+                const max = values ? Math.max(...values) : (typeof input.MAX === 'number' ? input.MAX : 1);
+                const value = typeof input.DEFAULT === 'number' ? input.DEFAULT : min;
+                if (Array.isArray(input.LABELS) && values) {
+                    const choices = values.map((choice, index) => `${choice} = ${input.LABELS[index]}`).join(', ');
+                    report.push({ level: 'info', message: `"${name}" is a slider, its choices are ${choices}` });
+                }
+                return {
+                    uniforms: [`uniform float ${name}Index; // ${label} [${this.formatNumber(min)}..${this.formatNumber(max)}] default ${this.formatNumber(value)}`],
+                    defines: [`#define ${name} int(floor(${name}Index + 0.5))`]
+                };
+            }
+            case 'color': {
+                const value = Array.isArray(input.DEFAULT) && input.DEFAULT.length >= 3 ? input.DEFAULT : [1, 1, 1, 1];
+                return {
+                    uniforms: [`uniform vec4 ${name}; // ${label} default ${list([...value.slice(0, 3), value[3] !== undefined ? value[3] : 1])}`],
+                    defines: []
+                };
+            }
+            case 'point2D': {
+                const value = Array.isArray(input.DEFAULT) && input.DEFAULT.length >= 2 ? input.DEFAULT : [0, 0];
+                if (input.MIN !== undefined || input.MAX !== undefined) {
+                    report.push({ level: 'warning', message: `Point "${name}" ignores its MIN/MAX range` });
+                }
+                return {
+                    uniforms: [`uniform vec2 ${name}; // ${label} default ${list(value.slice(0, 2))}`],
+                    defines: []
+                };
+            }
+            case 'image':
+                report.push({ level: 'info', message: `Image input "${name}" is a texture input, bind an image, video or layer in the parameter panel` });
+                return { uniforms: [`uniform sampler2D ${name};`], defines: [] };
+            case 'audio':
+            case 'audioFFT':
+                report.push({ level: 'warning', message: `Audio input "${name}" is a texture input, the audio texture has the spectrum in row 0 and the waveform in row 1` });
+                return { uniforms: [`uniform sampler2D ${name};`], defines: [] };
+            default:
+                report.push({ level: 'warning', message: `Input "${name}" has the unsupported type "${input.TYPE}"` });
+                return null;
+        }
+    }
+
+    formatNumber(value) {
+        const number = Number(value);
+        return Number.isInteger(number) ? number.toFixed(1) : String(number);
+    }
+
+    /**
+     * Build a presets.json entry for an imported shader
+     * @param {Object} result - Import result
+     * @returns {Object} Preset entry (url points to public/shaders/<key>.frag)
+     */
+    createPresetEntry(result) {
+        const key = result.name.toLowerCase().replace(/\.(fs|frag|glsl|txt)$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'imported';
+        return {
+            key,
+            name: result.name,
+            description: result.description,
+            url: `/shaders/${key}.frag`,
+            category: IMPORT_CONFIG.presetCategory,
+            source: result.format
+        };
+    }
+}
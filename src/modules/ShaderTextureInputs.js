@@ -0,0 +1,298 @@
+/**
+ * ShaderTextureInputs.js - Texture Sources for Shader Samplers
+ * This module binds the sampler2D uniforms of a ShaderLayer to texture sources: an uploaded
+ * image, a video file, the output of another layer (its own texture, e.g. a P5 layer, or its
+ * compositor render target) or an audio texture built from AudioManager.getRawFrequencyData().
+ * The audio texture follows the Shadertoy layout: row 0 (v = 0.25) holds the FFT spectrum and
+ * row 1 (v = 0.75) the waveform. Images and small videos are kept as data URLs so the sources
+ * are saved with the layer config.
+ */
+
+import * as THREE from 'three';
+import { LAYER_CONSTANTS } from '../config/index.js';
+
+const TEXTURE_CONFIG = LAYER_CONSTANTS.shaderTextures;
+
+export class ShaderTextureInputs {
+    /**
+     * @param {ShaderLayer} layer - Shader layer owning the samplers
+     */
+    constructor(layer) {
+        this.layer = layer;
+
+        // Samplers declared by the shader code that are not buffer passes
+        this.samplerNames = [];
+
+        // Sampler name -> { source, texture, video, objectUrl }. Kept while a sampler is
+        // temporarily missing from the code so an edit does not drop an uploaded file.
+        this.inputs = new Map();
+
+        // Latest assignment per sampler, so a slow media load cannot override a newer choice
+        this.pendingRequests = new Map();
+        this.nextRequest = 0;
+
+        this.audioTexture = null;
+        this.textureLoader = new THREE.TextureLoader();
+    }
+
+    /**
+     * Set the samplers declared by the shader code
+     * @param {string[]} names - Sampler uniform names
+     */
+    setSamplerNames(names) {
+        this.samplerNames = [...names];
+    }
+
+    /**
+     * Get the declared samplers with their sources. A file source is missing when its media
+     * was not saved with the scene (large videos) and has to be picked again.
+     * @returns {Array<{name: string, source: Object, missing: boolean}>} Texture inputs
+     */
+    getInputs() {
+        return this.samplerNames.map(name => {
+            const input = this.inputs.get(name);
+            const isFile = !!input && (input.source.type === 'image' || input.source.type === 'video');
+            return { name, source: this.getSource(name), missing: isFile && !input.texture };
+        });
+    }
+
+    /**
+     * Get the source of a sampler
+     * @param {string} name - Sampler name
+     * @returns {Object} Source config ({ type: 'none' } if unassigned)
+     */
+    getSource(name) {
+        const input = this.inputs.get(name);
+        return input ? { ...input.source } : { type: 'none' };
+    }
+
+    /**
+     * Assign a source to a sampler
+     * @param {string} name - Sampler name
+     * @param {Object} source - { type: 'none' } | { type: 'image', name, src } | { type: 'video', name, src }
+     *   | { type: 'layer', layerId } | { type: 'audio' }
+     */
+    async setSource(name, source = { type: 'none' }) {
+        if (!TEXTURE_CONFIG.sourceTypes.includes(source.type)) {
+            throw new Error(`Unknown texture source type "${source.type}"`);
+        }
+
+        const request = ++this.nextRequest;
+        this.pendingRequests.set(name, request);
+        if (source.type === 'none') {
+            this.releaseInput(name);
+            return;
+        }
+
+        const input = { source: { ...source }, texture: null, video: null, objectUrl: null };
+        if (source.type === 'image' && source.src) {
+            input.texture = await this.textureLoader.loadAsync(source.src);
+        } else if (source.type === 'video' && (source.src || source.objectUrl)) {
+            input.objectUrl = source.objectUrl || null;
+            delete input.source.objectUrl;
+            input.video = await this.createVideo(source.src || source.objectUrl);
+            input.texture = new THREE.VideoTexture(input.video);
+        }
+
+        if (this.pendingRequests.get(name) !== request) {
+            this.releaseMedia(input);
+            return;
+        }
+        this.releaseInput(name);
+        this.inputs.set(name, input);
+        console.log(`ShaderTextureInputs: ${this.layer.id}.${name} bound to ${source.type}`);
+    }
+
+    /**
+     * Assign an image or video file to a sampler
+     * @param {string} name - Sampler name
+     * @param {File} file - Image or video file
+     */
+    async setSourceFromFile(name, file) {
+        if (file.type.startsWith('image/')) {
+            await this.setSource(name, { type: 'image', name: file.name, src: await this.readDataUrl(file) });
+        } else if (file.type.startsWith('video/')) {
+            // Large videos only play for this session, a data URL would bloat the scene file
+            if (file.size <= TEXTURE_CONFIG.maxEmbeddedVideoBytes) {
+                await this.setSource(name, { type: 'video', name: file.name, src: await this.readDataUrl(file) });
+            } else {
+                console.warn(`ShaderTextureInputs: ${file.name} is too large to save with the scene`);
+                await this.setSource(name, { type: 'video', name: file.name, src: null, objectUrl: URL.createObjectURL(file) });
+            }
+        } else {
+            throw new Error(`${file.name} is not an image or video file`);
+        }
+    }
+
+    readDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Create a looping, muted video element and wait until it can play
+     * @param {string} src - Video URL
+     * @returns {Promise<HTMLVideoElement>} Video element
+     */
+    createVideo(src) {
+        const video = document.createElement('video');
+        video.loop = true;
+        video.muted = true;
+        video.playsInline = true;
+        video.crossOrigin = 'anonymous';
+        video.src = src;
+
+        return new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', () => {
+                video.play().catch(error => {
+                    console.warn('ShaderTextureInputs: Video playback was blocked:', error.message);
+                });
+                resolve(video);
+            }, { once: true });
+            video.addEventListener('error', () => reject(new Error('Failed to load the video')), { once: true });
+        });
+    }
+
+    releaseInput(name) {
+        const input = this.inputs.get(name);
+        if (input) {
+            this.releaseMedia(input);
+            this.inputs.delete(name);
+        }
+    }
+
+    releaseMedia(input) {
+        if (input.texture) {
+            input.texture.dispose();
+        }
+        if (input.video) {
+            input.video.pause();
+            input.video.removeAttribute('src');
+            input.video.load();
+        }
+        if (input.objectUrl) {
+            URL.revokeObjectURL(input.objectUrl);
+        }
+    }
+
+    /**
+     * Texture currently shown by a source
+     * @param {Object} input - Texture input
+     * @returns {THREE.Texture|null} Texture
+     */
+    resolveTexture(input) {
+        switch (input.source.type) {
+            case 'layer':
+                return this.getLayerTexture(input.source.layerId);
+            case 'audio':
+                return this.updateAudioTexture();
+            default:
+                return input.texture;
+        }
+    }
+
+    /**
+     * Output of another layer: its own texture if it has one (P5 layers), otherwise its
+     * compositor render target. Layers composited after this one show their previous frame.
+     * @param {string} layerId - Source layer ID
+     * @returns {THREE.Texture|null} Texture
+     */
+    getLayerTexture(layerId) {
+        const layerManager = this.layer.layerManager;
+        const source = layerManager ? layerManager.getLayer(layerId) : null;
+        if (!source || source === this.layer) return null;
+
+        if (source.texture && source.texture.isTexture) {
+            return source.texture;
+        }
+        const renderTarget = layerManager.compositor ? layerManager.compositor.renderTargets.get(layerId) : null;
+        return renderTarget ? renderTarget.texture : null;
+    }
+
+    /**
+     * Upload the current spectrum and waveform into the audio texture
+     * @returns {THREE.DataTexture} Audio texture
+     */
+    updateAudioTexture() {
+        const app = this.layer.context ? this.layer.context.app : null;
+        const raw = app && app.audioManager ? app.audioManager.getRawFrequencyData() : null;
+        const bins = raw && raw.frequencyData ? raw.frequencyData.length : 0;
+
+        if (!this.audioTexture || (bins > 0 && this.audioTexture.image.width !== bins)) {
+            if (this.audioTexture) {
+                this.audioTexture.dispose();
+            }
+            const width = bins || 1;
+            this.audioTexture = new THREE.DataTexture(
+                new Uint8Array(width * TEXTURE_CONFIG.audioRows), width, TEXTURE_CONFIG.audioRows,
+                THREE.RedFormat, THREE.UnsignedByteType
+            );
+            this.audioTexture.minFilter = THREE.LinearFilter;
+            this.audioTexture.magFilter = THREE.LinearFilter;
+        }
+
+        if (bins > 0) {
+            const data = this.audioTexture.image.data;
+            data.set(raw.frequencyData, 0);
+            if (raw.timeData) {
+                data.set(raw.timeData.subarray(0, bins), bins);
+            }
+        }
+        this.audioTexture.needsUpdate = true;
+        return this.audioTexture;
+    }
+
+    /**
+     * Bind the current source textures to the material uniforms (once per frame)
+     * @param {Object} uniforms - Material uniforms
+     */
+    bind(uniforms) {
+        this.samplerNames.forEach(name => {
+            const uniform = uniforms[name];
+            if (!uniform) return;
+            const input = this.inputs.get(name);
+            uniform.value = input ? this.resolveTexture(input) : null;
+        });
+    }
+
+    /**
+     * Get the sources of the declared samplers for the layer config
+     * @returns {Object} Sampler name -> source config
+     */
+    getConfig() {
+        const config = {};
+        this.samplerNames.forEach(name => {
+            const input = this.inputs.get(name);
+            if (input) {
+                config[name] = { ...input.source };
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Restore sampler sources from a layer config
+     * @param {Object} config - Sampler name -> source config
+     */
+    async setConfig(config = {}) {
+        for (const [name, source] of Object.entries(config)) {
+            try {
+                await this.setSource(name, source);
+            } catch (error) {
+                console.warn(`ShaderTextureInputs: Failed to restore ${name}:`, error.message);
+            }
+        }
+    }
+
+    dispose() {
+        [...this.inputs.keys()].forEach(name => this.releaseInput(name));
+        if (this.audioTexture) {
+            this.audioTexture.dispose();
+            this.audioTexture = null;
+        }
+    }
+}
@@ -69,20 +69,8 @@ export class ShapeAnimationManager {
                         isAnimated = true;
                     }
                     
-                    // Size/movement animations (using manual calculations for now)
-                    if (this.state.get('enableMovementAnimation') || 
-                        this.state.get('enableRotationAnimation') || 
-                        this.state.get('enableScaleAnimation')) {
-                        this.animateShapeTransformations(mesh, x, y, animationTime, globalBPM);
-                        isAnimated = true;
-                    } else {
-                        // Reset to original positions when no animations are enabled
-                        this.resetShapeToBasePosition(mesh, x, y, gridWidth, gridHeight, cellSize);
-                    }
-                    
-                    // Always apply center scaling animation when enabled (independent of other animations)
-                    if (this.state.get('centerScalingEnabled')) {
-                        this.applyCenterScaling(mesh, x, y, gridWidth, gridHeight, cellSize, animationTime, globalBPM);
+                    // Size/movement animations and center scaling
+                    if (this.applyCellTransform(mesh, x, y, gridWidth, gridHeight, cellSize, animationTime, globalBPM)) {
                         isAnimated = true;
                     }
                     
@@ -104,6 +92,42 @@ export class ShapeAnimationManager {
         };
     }
 
+    /**
+     * Apply the movement, rotation and scale animations of a grid cell to an object
+     * Also used by layers that place their own objects on the grid (e.g. ModelLayer)
+     * @param {THREE.Object3D} mesh - The object to transform
+     * @param {number} x - Grid X position
+     * @param {number} y - Grid Y position
+     * @param {number} gridWidth - Grid width
+     * @param {number} gridHeight - Grid height
+     * @param {number} cellSize - Cell size
+     * @param {number} animationTime - Current animation time
+     * @param {number} globalBPM - Current BPM
+     * @returns {boolean} True if an animation was applied
+     */
+    applyCellTransform(mesh, x, y, gridWidth, gridHeight, cellSize, animationTime, globalBPM) {
+        let isAnimated = false;
+
+        // Size/movement animations (using manual calculations for now)
+        if (this.state.get('enableMovementAnimation') || 
+            this.state.get('enableRotationAnimation') || 
+            this.state.get('enableScaleAnimation')) {
+            this.animateShapeTransformations(mesh, x, y, animationTime, globalBPM);
+            isAnimated = true;
+        } else {
+            // Reset to original positions when no animations are enabled
+            this.resetShapeToBasePosition(mesh, x, y, gridWidth, gridHeight, cellSize);
+        }
+        
+        // Always apply center scaling animation when enabled (independent of other animations)
+        if (this.state.get('centerScalingEnabled')) {
+            this.applyCenterScaling(mesh, x, y, gridWidth, gridHeight, cellSize, animationTime, globalBPM);
+            isAnimated = true;
+        }
+
+        return isAnimated;
+    }
+
     /**
      * Reset shape to its base grid position
      * @param {THREE.Mesh} mesh - The mesh to reset
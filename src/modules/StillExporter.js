@@ -0,0 +1,196 @@
+/**
+ * StillExporter.js - High-Resolution Still Image Export
+ * This module renders the current frame at a multiple of the render size (the window, or the scene's
+ * fixed render resolution). Outputs larger than the GPU can render in one pass are split into tiles
+ * using the camera's view offset, and the tiles are assembled on a 2D canvas. Full-frame
+ * post-processing effects cannot be split into tiles, tiled stills are exported without them.
+ * The PNG is saved with the scene JSON embedded in a tEXt chunk so a print file always carries
+ * the settings that produced it.
+ */
+
+import { EXPORT_CONSTANTS } from '../config/index.js';
+import { crc32 } from './ZipWriter.js';
+
+const STILL_CONFIG = EXPORT_CONSTANTS.still;
+
+const PNG_SIGNATURE_LENGTH = 8;
+
+/**
+ * Insert a tEXt chunk into PNG data, right after the IHDR chunk
+ * @param {ArrayBuffer} pngBuffer - PNG file data
+ * @param {string} keyword - Chunk keyword (Latin-1, 1-79 characters)
+ * @param {string} text - Chunk text (Latin-1)
+ * @returns {Blob} PNG with the text chunk
+ */
+export function embedPngTextChunk(pngBuffer, keyword, text) {
+    const bytes = new Uint8Array(pngBuffer);
+    const view = new DataView(pngBuffer);
+
+    // IHDR is always the first chunk: length(4) + type(4) + data + crc(4)
+    const ihdrLength = view.getUint32(PNG_SIGNATURE_LENGTH);
+    const insertAt = PNG_SIGNATURE_LENGTH + 12 + ihdrLength;
+
+    const data = new Uint8Array(keyword.length + 1 + text.length);
+    for (let i = 0; i < keyword.length; i++) {
+        data[i] = keyword.charCodeAt(i) & 0xFF;
+    }
+    data[keyword.length] = 0; // Null separator
+    for (let i = 0; i < text.length; i++) {
+        data[keyword.length + 1 + i] = text.charCodeAt(i) & 0xFF;
+    }
+
+    // CRC covers the chunk type and data
+    const typeAndData = new Uint8Array(4 + data.length);
+    typeAndData.set([0x74, 0x45, 0x58, 0x74]); // 'tEXt'
+    typeAndData.set(data, 4);
+
+    const chunk = new DataView(new ArrayBuffer(12 + data.length));
+    chunk.setUint32(0, data.length);
+    new Uint8Array(chunk.buffer).set(typeAndData, 4);
+    chunk.setUint32(8 + data.length, crc32(typeAndData));
+
+    return new Blob([bytes.subarray(0, insertAt), chunk.buffer, bytes.subarray(insertAt)], { type: 'image/png' });
+}
+
+export class StillExporter {
+    constructor(app) {
+        this.app = app;
+        this.isExporting = false;
+    }
+
+    /**
+     * Largest tile the GPU can render in one pass
+     * @returns {number} Tile size in pixels
+     */
+    getMaxTileSize() {
+        const renderer = this.app.scene.renderer;
+        const gl = renderer.getContext();
+        const viewportDims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        return Math.min(
+            renderer.capabilities.maxTextureSize,
+            viewportDims[0],
+            viewportDims[1],
+            STILL_CONFIG.maxTileSize
+        );
+    }
+
+    /**
+     * Render the current frame at a multiple of the render size and download it as PNG
+     * @param {number} scale - Size multiple (2-8)
+     * @returns {Promise<Object>} Export summary, postProcessingSkipped is set when tiling dropped the effects
+     */
+    async exportStill(scale = STILL_CONFIG.defaultScale) {
+        if (this.isExporting) {
+            throw new Error('A still export is already running');
+        }
+
+        const multiple = Math.max(STILL_CONFIG.minScale, Math.min(STILL_CONFIG.maxScale, Math.round(scale)));
+        const baseSize = this.app.scene.getRenderResolution();
+        const width = Math.round(baseSize.width * multiple);
+        const height = Math.round(baseSize.height * multiple);
+
+        this.isExporting = true;
+        try {
+            const { canvas, postProcessingSkipped } = this.renderTiled(width, height);
+            const pngBlob = await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode PNG')), 'image/png');
+            });
+
+            const output = embedPngTextChunk(await pngBlob.arrayBuffer(), STILL_CONFIG.sceneKeyword, this.getSceneText());
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(output);
+            link.download = `${STILL_CONFIG.filePrefix}-${width}x${height}-${Date.now()}.png`;
+            link.click();
+
+            // Clean up the URL object
+            setTimeout(() => URL.revokeObjectURL(link.href), 100);
+
+            console.log(`StillExporter: Exported ${width}x${height} still (${(output.size / (1024 * 1024)).toFixed(1)} MB)`);
+            return { width, height, size: output.size, postProcessingSkipped };
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * Render the frame tile by tile into a 2D canvas. Runs synchronously so no animation
+     * frame can change the scene between tiles, and the tiles are rendered as a held frame so
+     * layers, recordings and the previous frame history do not advance from tile to tile.
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {{canvas: HTMLCanvasElement, postProcessingSkipped: boolean}} Assembled image, and
+     * whether post-processing was left out because the image needed more than one tile
+     */
+    renderTiled(width, height) {
+        const scene = this.app.scene;
+        const camera = scene.camera;
+        const renderer = scene.renderer;
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        if (!context) {
+            throw new Error(`Canvas of ${width}x${height} is too large for this browser`);
+        }
+
+        const tileSize = this.getMaxTileSize();
+        const columns = Math.ceil(width / tileSize);
+        const rows = Math.ceil(height / tileSize);
+        const tiled = columns * rows > 1;
+
+        // Full-frame effects (vignette, bloom, chromatic aberration) would show seams between tiles
+        const postProcessingSkipped = tiled && this.app.state.get('postProcessingEnabled');
+        if (postProcessingSkipped) {
+            console.warn('StillExporter: Post-processing is skipped for tiled exports');
+            scene.postProcessingSuspended = true;
+        }
+
+        scene.outputStageSuspended = true;
+        
+        // Same aspect as the render size, so layers sized to the view need no resize
+        scene.setCameraAspect(width / height);
+
+        try {
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const x = column * tileSize;
+                    const y = row * tileSize;
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+
+                    scene.setDrawingBufferSize(tileWidth, tileHeight);
+                    camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                    scene.render(true);
+
+                    // The drawing buffer is still valid within this task
+                    context.drawImage(renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                }
+            }
+        } finally {
+            camera.clearViewOffset();
+            scene.postProcessingSuspended = false;
+            scene.outputStageSuspended = false;
+            scene.onWindowResize();
+        }
+
+        console.log(`StillExporter: Rendered ${columns}x${rows} tiles of up to ${tileSize}px`);
+        return { canvas: output, postProcessingSkipped };
+    }
+
+    /**
+     * Scene JSON for the PNG text chunk. tEXt is Latin-1, so non-ASCII characters are
+     * written as JSON unicode escapes (the text stays valid JSON).
+     * @returns {string} Scene JSON
+     */
+    getSceneText() {
+        const sceneData = this.app.state.exportScene();
+        sceneData.name = 'Visual Settings';
+        sceneData.timestamp = new Date().toISOString();
+
+        return JSON.stringify(sceneData).replace(/[\u007f-\uffff]/g, char =>
+            '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0')
+        );
+    }
+}
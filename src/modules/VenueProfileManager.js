@@ -0,0 +1,114 @@
+/**
+ * VenueProfileManager.js - Venue Profile Save/Load
+ * This module saves the output calibration of a venue (projection mapping warp and output slice
+ * layouts) as a profile file
+ * that is independent of scenes, so the same calibration can be used with any scene at that venue
+ * and a scene can be taken to another venue without carrying the old calibration along.
+ */
+
+import { OUTPUT_CONSTANTS } from '../config/index.js';
+
+const PROFILE_CONFIG = OUTPUT_CONSTANTS.venueProfile;
+
+export class VenueProfileManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Build a venue profile from the current output settings
+     * @param {string} name - Venue name
+     * @returns {Object} Venue profile
+     */
+    createProfile(name = 'Venue') {
+        const profile = {
+            type: PROFILE_CONFIG.type,
+            version: PROFILE_CONFIG.version,
+            name,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.app.projectionMapper) {
+            profile.projectionMapping = this.app.projectionMapper.getConfig();
+        }
+        if (this.app.outputSlicer) {
+            profile.outputSlicing = this.app.outputSlicer.getConfig();
+        }
+
+        return profile;
+    }
+
+    /**
+     * Apply a venue profile
+     * @param {Object} profile - Venue profile
+     */
+    applyProfile(profile) {
+        if (!profile || profile.type !== PROFILE_CONFIG.type) {
+            throw new Error('Not a venue profile');
+        }
+
+        if (profile.projectionMapping && this.app.projectionMapper) {
+            this.app.projectionMapper.setConfig(profile.projectionMapping);
+        }
+        if (profile.outputSlicing && this.app.outputSlicer) {
+            this.app.outputSlicer.setConfig(profile.outputSlicing);
+        }
+
+        console.log(`VenueProfileManager: Applied venue profile "${profile.name}"`);
+    }
+
+    /**
+     * Download the current output settings as a venue profile file
+     * @param {string} name - Venue name
+     */
+    saveProfile(name = 'Venue') {
+        const profile = this.createProfile(name);
+        const dataStr = JSON.stringify(profile, null, 2);
+        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'venue';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `${PROFILE_CONFIG.filePrefix}-${slug}-${Date.now()}.json`;
+        link.click();
+
+        // Clean up the URL object
+        setTimeout(() => URL.revokeObjectURL(link.href), 100);
+    }
+
+    /**
+     * Ask for a venue profile file and apply it
+     */
+    loadProfile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) {
+                this.loadProfileFile(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    /**
+     * Apply a venue profile file
+     * @param {File} file - Venue profile file
+     */
+    loadProfileFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.applyProfile(JSON.parse(e.target.result));
+            } catch (error) {
+                console.error('Failed to load venue profile:', error);
+                alert(`Failed to load venue profile: ${error.message}`);
+            }
+        };
+        reader.onerror = () => {
+            console.error('File reading error');
+            alert('Failed to read the venue profile file.');
+        };
+        reader.readAsText(file);
+    }
+}
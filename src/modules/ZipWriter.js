@@ -0,0 +1,156 @@
+/**
+ * ZipWriter.js - Minimal ZIP Archive Writer
+ * This module builds uncompressed (stored) ZIP archives in the browser. It is used to bundle
+ * exported frame sequences into a single download. PNG data is already compressed, so storing
+ * entries keeps export fast without losing size.
+ */
+
+// Without ZIP64 extensions entry counts are 16 bit and offsets 32 bit
+const MAX_ENTRIES = 0xFFFF;
+const MAX_ARCHIVE_SIZE = 0xFFFFFFFF;
+
+let crcTable = null;
+
+/**
+ * Build the CRC-32 lookup table on first use
+ * @returns {Uint32Array} CRC table
+ */
+function getCrcTable() {
+    if (crcTable) return crcTable;
+
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+    }
+    return crcTable;
+}
+
+/**
+ * Compute the CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export class ZipWriter {
+    constructor() {
+        // Blob parts of the archive body (local headers + data)
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.textEncoder = new TextEncoder();
+    }
+
+    /**
+     * Get the DOS time and date fields for the current time
+     * @returns {{time: number, date: number}} DOS time and date
+     */
+    getDosDateTime() {
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        return { time, date };
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - File name inside the archive
+     * @param {Blob|ArrayBuffer|Uint8Array} data - File contents
+     */
+    async addFile(name, data) {
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} files`);
+        }
+
+        let bytes;
+        if (data instanceof Blob) {
+            bytes = new Uint8Array(await data.arrayBuffer());
+        } else if (data instanceof ArrayBuffer) {
+            bytes = new Uint8Array(data);
+        } else {
+            bytes = data;
+        }
+
+        const nameBytes = this.textEncoder.encode(name);
+        if (this.offset + 30 + nameBytes.length + bytes.length > MAX_ARCHIVE_SIZE) {
+            throw new Error('ZIP archives are limited to 4 GB, export to a folder instead');
+        }
+
+        const crc = crc32(bytes);
+        const { time, date } = this.getDosDateTime();
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);   // Local file header signature
+        header.setUint16(4, 20, true);           // Version needed to extract
+        header.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+        header.setUint16(8, 0, true);            // Compression: stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true); // Compressed size
+        header.setUint32(22, bytes.length, true); // Uncompressed size
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);           // Extra field length
+
+        // Keep Blob data as a Blob so the browser can page it out instead of holding raw bytes
+        this.parts.push(header.buffer, nameBytes, data instanceof Blob ? data : bytes);
+        this.entries.push({ nameBytes, crc, size: bytes.length, offset: this.offset, time, date });
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} ZIP file
+     */
+    finalize() {
+        const centralParts = [];
+        let centralSize = 0;
+
+        this.entries.forEach(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);  // Central directory signature
+            record.setUint16(4, 20, true);          // Version made by
+            record.setUint16(6, 20, true);          // Version needed to extract
+            record.setUint16(8, 0x0800, true);      // Flags: UTF-8 file names
+            record.setUint16(10, 0, true);          // Compression: stored
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint16(30, 0, true);          // Extra field length
+            record.setUint16(32, 0, true);          // Comment length
+            record.setUint16(34, 0, true);          // Disk number
+            record.setUint16(36, 0, true);          // Internal attributes
+            record.setUint32(38, 0, true);          // External attributes
+            record.setUint32(42, entry.offset, true);
+
+            centralParts.push(record.buffer, entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(4, 0, true);
+        end.setUint16(6, 0, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+        end.setUint16(20, 0, true);
+
+        return new Blob([...this.parts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+}
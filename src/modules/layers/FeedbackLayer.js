@@ -0,0 +1,255 @@
+/**
+ * FeedbackLayer.js - Video Feedback Layer Implementation
+ * This layer draws the previous composited frame back into the composition, transformed by
+ * zoom, rotation and offset, hue shifted and faded by the decay. Placed under the other layers it
+ * turns everything drawn above it into trails. The previous frame is kept by the LayerCompositor
+ * while this layer is visible, so the layer only works with the compositor enabled.
+ */
+
+import { LayerBase } from './LayerBase.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
+import * as THREE from 'three';
+
+const FEEDBACK_CONFIG = LAYER_CONSTANTS.feedback;
+
+// Feedback parameters with their constant ranges: name -> range config key
+const FEEDBACK_PARAMETERS = {
+    zoom: 'zoom',
+    rotation: 'rotation',
+    offsetX: 'offset',
+    offsetY: 'offset',
+    hueShift: 'hueShift',
+    decay: 'decay'
+};
+
+const FeedbackShader = {
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D tPrevious;
+        uniform bool hasPrevious;
+        uniform float zoom;
+        uniform float rotation;
+        uniform vec2 offset;
+        uniform float hueShift;
+        uniform float decay;
+        uniform float opacity;
+        uniform float aspect;
+        varying vec2 vUv;
+
+        // Rotate the chroma around the luma axis in YIQ space
+        vec3 shiftHue(vec3 color, float angle) {
+            const mat3 toYIQ = mat3(0.299, 0.596, 0.211, 0.587, -0.274, -0.523, 0.114, -0.322, 0.312);
+            const mat3 toRGB = mat3(1.0, 1.0, 1.0, 0.956, -0.272, -1.106, 0.621, -0.647, 1.703);
+            vec3 yiq = toYIQ * color;
+            float c = cos(angle);
+            float s = sin(angle);
+            yiq.yz = vec2(yiq.y * c - yiq.z * s, yiq.y * s + yiq.z * c);
+            return toRGB * yiq;
+        }
+
+        void main() {
+            if (!hasPrevious) {
+                gl_FragColor = vec4(0.0);
+                return;
+            }
+
+            // Inverse transform: find where this pixel was in the previous frame
+            vec2 p = vUv - 0.5 - offset;
+            p.x *= aspect;
+            float c = cos(rotation);
+            float s = sin(rotation);
+            p = mat2(c, -s, s, c) * p / zoom;
+            p.x /= aspect;
+            vec2 uv = p + 0.5;
+
+            if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+                gl_FragColor = vec4(0.0);
+                return;
+            }
+
+            // The composited frame is premultiplied
+            vec4 previous = texture2D(tPrevious, uv);
+            vec3 color = previous.a > 0.0 ? previous.rgb / previous.a : vec3(0.0);
+            color = max(shiftHue(color, hueShift), 0.0);
+
+            gl_FragColor = vec4(color, previous.a * (1.0 - decay) * opacity);
+        }
+    `
+};
+
+export class FeedbackLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        this.material = null;
+        this.mesh = null;
+
+        // Per-frame feedback transform
+        this.params = {};
+        Object.entries(FEEDBACK_PARAMETERS).forEach(([name, rangeKey]) => {
+            this.params[name] = config[name] !== undefined ? config[name] : FEEDBACK_CONFIG[rangeKey].default;
+        });
+
+        // Tells the LayerCompositor to keep the previous frame while this layer is visible
+        this.usesPreviousFrame = true;
+    }
+
+    async onInitialize(context) {
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                tPrevious: { value: null },
+                hasPrevious: { value: false },
+                zoom: { value: 1.0 },
+                rotation: { value: 0.0 },
+                offset: { value: new THREE.Vector2() },
+                hueShift: { value: 0.0 },
+                decay: { value: 0.0 },
+                opacity: { value: this.getMaterialOpacity() },
+                aspect: { value: 1.0 }
+            },
+            vertexShader: FeedbackShader.vertexShader,
+            fragmentShader: FeedbackShader.fragmentShader,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.material.toneMapped = false;
+        this.applyBlendModeToMaterial();
+
+        this.mesh = new THREE.Mesh(this.createGeometry(), this.material);
+        this.updateUniforms();
+
+        if (!this.isComposited()) {
+            console.warn(`FeedbackLayer ${this.id}: No compositor available, feedback will stay empty`);
+        }
+        console.log(`FeedbackLayer ${this.id}: Initialized`);
+    }
+
+    /**
+     * Create a plane covering the camera view
+     * @returns {THREE.PlaneGeometry} Full-view geometry
+     */
+    createGeometry() {
+        const camera = this.context && this.context.camera;
+        if (camera && camera.isOrthographicCamera) {
+            return new THREE.PlaneGeometry(Math.abs(camera.right - camera.left), Math.abs(camera.top - camera.bottom));
+        }
+        return new THREE.PlaneGeometry(2, 2);
+    }
+
+    /**
+     * Copy the feedback parameters into the shader uniforms
+     */
+    updateUniforms() {
+        if (!this.material) return;
+
+        const uniforms = this.material.uniforms;
+        uniforms.zoom.value = Math.max(0.01, this.params.zoom);
+        uniforms.rotation.value = THREE.MathUtils.degToRad(this.params.rotation);
+        uniforms.offset.value.set(this.params.offsetX, this.params.offsetY);
+        uniforms.hueShift.value = THREE.MathUtils.degToRad(this.params.hueShift);
+        uniforms.decay.value = THREE.MathUtils.clamp(this.params.decay, 0, 1);
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        if (!this.material) return;
+
+        const compositor = this.layerManager && this.layerManager.compositor;
+        const previous = compositor ? compositor.getPreviousFrameTexture() : null;
+        const uniforms = this.material.uniforms;
+        uniforms.tPrevious.value = previous;
+        uniforms.hasPrevious.value = !!previous;
+
+        if (camera && camera.isOrthographicCamera) {
+            const height = Math.abs(camera.top - camera.bottom);
+            uniforms.aspect.value = height > 0 ? Math.abs(camera.right - camera.left) / height : 1.0;
+        }
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        if (FEEDBACK_PARAMETERS[name] !== undefined) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return;
+            this.params[name] = number;
+            this.updateUniforms();
+        }
+    }
+
+    onGetParameter(name) {
+        if (FEEDBACK_PARAMETERS[name] !== undefined) {
+            return this.params[name];
+        }
+        return super.onGetParameter(name);
+    }
+
+    onGetExposedParameters() {
+        const parameter = (name, label, description, step) => {
+            const range = FEEDBACK_CONFIG[FEEDBACK_PARAMETERS[name]];
+            return {
+                type: 'number',
+                label,
+                description,
+                min: range.min,
+                max: range.max,
+                step,
+                default: range.default
+            };
+        };
+
+        return {
+            ...super.onGetExposedParameters(),
+            zoom: parameter('zoom', 'Zoom', 'Scale applied to the trail each frame (above 1 grows outwards)', 0.001),
+            rotation: parameter('rotation', 'Rotation', 'Degrees the trail turns each frame', 0.1),
+            offsetX: parameter('offsetX', 'Offset X', 'Horizontal drift per frame as a fraction of the view', 0.001),
+            offsetY: parameter('offsetY', 'Offset Y', 'Vertical drift per frame as a fraction of the view', 0.001),
+            hueShift: parameter('hueShift', 'Hue Shift', 'Degrees the trail color rotates each frame', 0.1),
+            decay: parameter('decay', 'Decay', 'Fraction of the trail that fades each frame', 0.001)
+        };
+    }
+
+    updateOpacityState(newOpacity) {
+        if (!this.material) return;
+
+        // Keep blending on, the compositor expects premultiplied layer targets
+        this.material.uniforms.opacity.value = this.getMaterialOpacity();
+        this.material.transparent = true;
+    }
+
+    onWindowResize() {
+        if (!this.mesh) return;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = this.createGeometry();
+    }
+
+    onGetConfig() {
+        return { ...this.params };
+    }
+
+    onSetConfig(config) {
+        Object.keys(FEEDBACK_PARAMETERS).forEach(name => {
+            if (config[name] !== undefined) {
+                this.params[name] = Number(config[name]);
+            }
+        });
+        this.updateUniforms();
+    }
+
+    onDispose() {
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+        this.mesh = null;
+        this.material = null;
+    }
+}
@@ -136,17 +136,18 @@ export class GridLayer extends LayerBase {
         shapes.forEach((mesh, index) => {
             if (mesh) {
                 const wasVisible = mesh.visible;
-                mesh.visible = this.visible && this.shapesVisible;
+                mesh.visible = this.isDrawn() && this.shapesVisible;
                 if (wasVisible !== mesh.visible) {
                     console.log(`GridLayer: Updated shape ${index} visibility: ${wasVisible} -> ${mesh.visible}`);
                 }
-                if (this.opacity !== 1.0) {
-                    mesh.material.opacity = this.opacity;
-                    mesh.material.transparent = this.opacity < 1.0;
+                const materialOpacity = this.getMaterialOpacity();
+                if (materialOpacity !== 1.0) {
+                    mesh.material.opacity = materialOpacity;
+                    mesh.material.transparent = materialOpacity < 1.0;
                 }
                 
                 // Apply layer blend mode to individual shapes
-                if (this.blendMode && this.blendMode !== 'normal') {
+                if (this.getMaterialBlendMode() !== 'normal') {
                     this.applyBlendModeToObject(mesh);
                 }
             }
@@ -156,7 +157,7 @@ export class GridLayer extends LayerBase {
         gridLines.forEach((line, index) => {
             if (line) {
                 const wasVisible = line.visible;
-                line.visible = this.visible && this.gridLinesVisible;
+                line.visible = this.isDrawn() && this.gridLinesVisible;
                 if (wasVisible !== line.visible) {
                     console.log(`GridLayer: Updated grid line ${index} visibility: ${wasVisible} -> ${line.visible}`);
                 }
@@ -213,10 +213,11 @@ export class GridLinesLayer extends LayerBase {
 
     setOpacity(opacity) {
         this.opacity = opacity;
+        const materialOpacity = this.getMaterialOpacity();
         this.gridLines.forEach(line => {
             if (line.material) {
-                line.material.opacity = opacity;
-                line.material.transparent = opacity < 1.0;
+                line.material.opacity = materialOpacity;
+                line.material.transparent = materialOpacity < 1.0;
             }
         });
     }
@@ -0,0 +1,162 @@
+/**
+ * GroupLayer.js - Layer Group Implementation
+ * A group holds other layers (groups included) and draws nothing itself. The LayerCompositor
+ * blends the children into a group target that is then blended with the group's opacity and
+ * blend mode, so one opacity fader fades the whole stack. Hiding or muting a group hides its
+ * children; while any group is soloed only layers inside soloed groups are drawn. The group's
+ * z-offset is added to the z position of every child. Membership is kept here as child IDs, the
+ * order of the children follows the LayerManager layer order.
+ */
+
+import { LayerBase } from './LayerBase.js';
+
+export class GroupLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        // Tells the LayerManager and LayerCompositor to treat this layer as a container
+        this.isGroup = true;
+
+        this.childIds = Array.isArray(config.children) ? [...config.children] : [];
+        this.collapsed = Boolean(config.collapsed);
+        this.solo = Boolean(config.solo);
+        this.muted = Boolean(config.muted);
+    }
+
+    async onInitialize(context) {
+        console.log(`GroupLayer ${this.id}: Initialized with ${this.childIds.length} layers`);
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        // Groups have nothing to draw, the compositor blends their children
+    }
+
+    /**
+     * Child layers in layer order
+     * @returns {LayerBase[]} Child layers
+     */
+    getChildLayers() {
+        return this.layerManager ? this.layerManager.getGroupChildren(this.id) : [];
+    }
+
+    hasChild(layerId) {
+        return this.childIds.includes(layerId);
+    }
+
+    addChild(layerId) {
+        if (!this.hasChild(layerId)) {
+            this.childIds.push(layerId);
+        }
+    }
+
+    removeChild(layerId) {
+        this.childIds = this.childIds.filter(id => id !== layerId);
+    }
+
+    /**
+     * Let the LayerManager pick up changes to what the group draws and where
+     * @param {string} name - Changed parameter
+     */
+    notifyLayerManager(name) {
+        if (!this.layerManager) return;
+
+        this.layerManager.needsVisibilityUpdate = true;
+        if (name === 'zOffset') {
+            this.layerManager.updateLayerPositions();
+        }
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        switch (name) {
+            case 'solo':
+                this.solo = Boolean(value);
+                break;
+            case 'muted':
+                this.muted = Boolean(value);
+                break;
+            case 'collapsed':
+                this.collapsed = Boolean(value);
+                return;
+        }
+        this.notifyLayerManager(name);
+    }
+
+    onGetParameter(name) {
+        switch (name) {
+            case 'solo':
+            case 'muted':
+            case 'collapsed':
+                return this[name];
+            default:
+                return super.onGetParameter(name);
+        }
+    }
+
+    onGetExposedParameters() {
+        return {
+            ...super.onGetExposedParameters(),
+            zOffset: {
+                type: 'number',
+                label: 'Z Offset',
+                description: 'Distance added to the z position of every layer in the group',
+                min: -10,
+                max: 10,
+                step: 0.01,
+                default: 0
+            },
+            solo: {
+                type: 'boolean',
+                label: 'Solo',
+                description: 'Only draw soloed groups while any group is soloed',
+                default: false
+            },
+            muted: {
+                type: 'boolean',
+                label: 'Mute',
+                description: 'Hide every layer in the group',
+                default: false
+            }
+        };
+    }
+
+    /**
+     * The group's z-offset is a user offset for its children, the LayerManager does not
+     * position groups themselves
+     * @param {number} zOffset - New z-offset value
+     */
+    setZOffset(zOffset) {
+        super.setZOffset(zOffset);
+        this.notifyLayerManager('zOffset');
+    }
+
+    getRenderObjects() {
+        return [];
+    }
+
+    onGetConfig() {
+        return {
+            children: [...this.childIds],
+            collapsed: this.collapsed,
+            solo: this.solo,
+            muted: this.muted
+        };
+    }
+
+    onSetConfig(config) {
+        if (Array.isArray(config.children)) {
+            this.childIds = [...config.children];
+        }
+        ['collapsed', 'solo', 'muted'].forEach(name => {
+            if (config[name] !== undefined) {
+                this[name] = Boolean(config[name]);
+            }
+        });
+        this.notifyLayerManager('zOffset');
+    }
+
+    onDispose() {
+        this.childIds = [];
+    }
+}
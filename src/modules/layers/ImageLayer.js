@@ -0,0 +1,478 @@
+/**
+ * ImageLayer.js - Image and Sprite Sheet Layer Implementation
+ * This layer shows a PNG, JPG or SVG image either full frame or tiled once per cell of the
+ * GridManager grid. An image can be split into a sprite sheet of columns x rows frames; the frame
+ * then advances on a musical division of the BPMTimingManager (following the external MIDI clock
+ * when it is active) or is picked with the frame parameter. Images are kept as data URLs so they
+ * are saved with the scene.
+ */
+
+import { LayerBase } from './LayerBase.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
+import * as THREE from 'three';
+
+const IMAGE_CONFIG = LAYER_CONSTANTS.image;
+
+const ImageShader = {
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform sampler2D map;
+        uniform vec2 tiles;
+        uniform vec2 fitScale;
+        uniform float tileScale;
+        uniform vec2 frameOffset;
+        uniform vec2 frameSize;
+        uniform float opacity;
+        varying vec2 vUv;
+
+        void main() {
+            // Position inside the tile, scaled around its center for the fit and the tile size
+            vec2 local = (fract(vUv * tiles) - 0.5) * fitScale / tileScale + 0.5;
+            if (any(lessThan(local, vec2(0.0))) || any(greaterThan(local, vec2(1.0)))) {
+                gl_FragColor = vec4(0.0);
+                return;
+            }
+
+            vec4 color = texture2D(map, frameOffset + local * frameSize);
+            gl_FragColor = vec4(color.rgb, color.a * opacity);
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+export class ImageLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        this.material = null;
+        this.mesh = null;
+        this.texture = null;
+
+        // { name, src } with the image as a data URL
+        this.source = null;
+        this.sourceRequest = 0;
+        this.textureLoader = new THREE.TextureLoader();
+
+        this.mode = IMAGE_CONFIG.modes.includes(config.mode) ? config.mode : IMAGE_CONFIG.defaultMode;
+        this.fitMode = IMAGE_CONFIG.fitModes.includes(config.fitMode) ? config.fitMode : IMAGE_CONFIG.defaultFitMode;
+        this.tileScale = config.tileScale !== undefined ? Number(config.tileScale) : IMAGE_CONFIG.tileScale.default;
+
+        // Sprite sheet layout
+        this.columns = 1;
+        this.rows = 1;
+        this.frameCount = 1;
+        this.setSheetLayout(config.columns, config.rows, config.frameCount);
+        this.frameDivision = IMAGE_CONFIG.frameDivisions.includes(config.frameDivision)
+            ? config.frameDivision
+            : IMAGE_CONFIG.defaultFrameDivision;
+        this.frame = config.frame !== undefined ? Number(config.frame) : 0;
+
+        // Grid extent the tiled geometry was built for
+        this.gridKey = null;
+
+        // Image from a saved scene, loaded once the layer is initialized
+        this.pendingSource = config.source || null;
+    }
+
+    async onInitialize(context) {
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: null },
+                tiles: { value: new THREE.Vector2(1, 1) },
+                fitScale: { value: new THREE.Vector2(1, 1) },
+                tileScale: { value: 1.0 },
+                frameOffset: { value: new THREE.Vector2(0, 0) },
+                frameSize: { value: new THREE.Vector2(1, 1) },
+                opacity: { value: this.getMaterialOpacity() }
+            },
+            vertexShader: ImageShader.vertexShader,
+            fragmentShader: ImageShader.fragmentShader,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            visible: false
+        });
+        this.material.toneMapped = false;
+
+        this.mesh = new THREE.Mesh(this.createGeometry(), this.material);
+        this.applyBlendModeToMaterial();
+
+        if (this.pendingSource) {
+            const source = this.pendingSource;
+            this.pendingSource = null;
+            try {
+                await this.setSource(source);
+            } catch (error) {
+                console.warn(`ImageLayer ${this.id}: Failed to restore the image:`, error.message);
+            }
+        }
+
+        console.log(`ImageLayer ${this.id}: Initialized`);
+    }
+
+    /**
+     * Grid dimensions of the GridManager, if the scene has one
+     * @returns {Object|null} Grid dimensions
+     */
+    getGridDimensions() {
+        const app = this.context && this.context.app;
+        const gridManager = app && app.scene ? app.scene.gridManager : null;
+        return gridManager ? gridManager.getGridDimensions() : null;
+    }
+
+    /**
+     * Create the plane: the camera view in full mode, the grid extent in tiled mode
+     * @returns {THREE.PlaneGeometry} Layer geometry
+     */
+    createGeometry() {
+        const grid = this.mode === 'tiled' ? this.getGridDimensions() : null;
+        if (grid) {
+            this.gridKey = `${grid.gridWidth}x${grid.gridHeight}x${grid.cellSize}`;
+            return new THREE.PlaneGeometry(grid.gridWidth * grid.cellSize, grid.gridHeight * grid.cellSize);
+        }
+
+        this.gridKey = null;
+        const camera = this.context && this.context.camera;
+        if (camera && camera.isOrthographicCamera) {
+            return new THREE.PlaneGeometry(Math.abs(camera.right - camera.left), Math.abs(camera.top - camera.bottom));
+        }
+        return new THREE.PlaneGeometry(2, 2);
+    }
+
+    rebuildGeometry() {
+        if (!this.mesh) return;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = this.createGeometry();
+        this.updateUniforms();
+    }
+
+    /**
+     * Load an image file
+     * @param {File} file - PNG, JPG or SVG file
+     */
+    async setImageFile(file) {
+        if (!file.type.startsWith('image/')) {
+            throw new Error(`${file.name} is not an image file`);
+        }
+        await this.setSource({ name: file.name, src: await this.readDataUrl(file) });
+    }
+
+    /**
+     * Switch to another image (null clears the layer)
+     * @param {Object|null} source - { name, src } with the image URL
+     */
+    async setSource(source) {
+        const request = ++this.sourceRequest;
+        const texture = source && source.src ? await this.textureLoader.loadAsync(source.src) : null;
+
+        if (request !== this.sourceRequest) {
+            if (texture) texture.dispose();
+            return;
+        }
+
+        if (this.texture) {
+            this.texture.dispose();
+        }
+        this.source = source;
+        this.texture = texture;
+        if (texture) {
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.wrapS = THREE.ClampToEdgeWrapping;
+            texture.wrapT = THREE.ClampToEdgeWrapping;
+        }
+
+        if (this.material) {
+            this.material.uniforms.map.value = texture;
+            this.material.visible = !!texture;
+        }
+        this.updateUniforms();
+
+        console.log(`ImageLayer ${this.id}: Image set to ${source ? source.name : 'none'}`);
+    }
+
+    readDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Name of the current image
+     * @returns {string} File name, or an empty string
+     */
+    getSourceName() {
+        const source = this.source || this.pendingSource;
+        return source ? source.name || '' : '';
+    }
+
+    /**
+     * Set the sprite sheet layout
+     * @param {number} columns - Frames per row
+     * @param {number} rows - Rows of frames
+     * @param {number} [frameCount] - Used frames (the last row may be partly empty), all cells when omitted
+     */
+    setSheetLayout(columns = this.columns, rows = this.rows, frameCount) {
+        this.columns = THREE.MathUtils.clamp(Math.round(Number(columns)) || 1, 1, IMAGE_CONFIG.maxSheetColumns);
+        this.rows = THREE.MathUtils.clamp(Math.round(Number(rows)) || 1, 1, IMAGE_CONFIG.maxSheetRows);
+        // A changed grid uses all of its cells unless a frame count is given
+        const count = frameCount === undefined ? this.columns * this.rows : Math.round(Number(frameCount)) || 1;
+        this.frameCount = THREE.MathUtils.clamp(count, 1, this.columns * this.rows);
+        this.updateUniforms();
+    }
+
+    /**
+     * Sprite frame shown now
+     * @returns {number} Frame index
+     */
+    getCurrentFrame() {
+        if (this.frameCount <= 1) return 0;
+
+        if (this.frameDivision !== 'off') {
+            const bpmTimingManager = this.getBPMTimingManager();
+            const beats = this.getTransportBeats();
+            if (bpmTimingManager && beats !== null) {
+                const step = Math.floor(beats / bpmTimingManager.getDivisionBeats(this.frameDivision));
+                return ((step % this.frameCount) + this.frameCount) % this.frameCount;
+            }
+        }
+        return THREE.MathUtils.clamp(Math.round(this.frame), 0, this.frameCount - 1);
+    }
+
+    /**
+     * Point the shader at a sprite frame
+     * @param {number} frame - Frame index
+     */
+    updateFrameUniforms(frame) {
+        if (!this.material) return;
+
+        const column = frame % this.columns;
+        const row = Math.floor(frame / this.columns);
+        const uniforms = this.material.uniforms;
+        uniforms.frameSize.value.set(1 / this.columns, 1 / this.rows);
+        // Textures are flipped, so the first sheet row is at the top of the uv range
+        uniforms.frameOffset.value.set(column / this.columns, 1 - (row + 1) / this.rows);
+    }
+
+    /**
+     * Copy the layout, fit and tiling into the shader uniforms
+     */
+    updateUniforms() {
+        if (!this.material || !this.mesh) return;
+
+        const uniforms = this.material.uniforms;
+        const grid = this.mode === 'tiled' ? this.getGridDimensions() : null;
+        uniforms.tiles.value.set(grid ? grid.gridWidth : 1, grid ? grid.gridHeight : 1);
+        uniforms.tileScale.value = grid
+            ? THREE.MathUtils.clamp(this.tileScale, IMAGE_CONFIG.tileScale.min, IMAGE_CONFIG.tileScale.max)
+            : 1.0;
+
+        // Fit one sprite frame into a grid cell (square) or the view
+        const { width, height } = this.mesh.geometry.parameters;
+        const areaAspect = grid ? 1 : width / height;
+        const image = this.texture ? this.texture.image : null;
+        const imageWidth = image ? image.width || image.naturalWidth : 0;
+        const imageHeight = image ? image.height || image.naturalHeight : 0;
+        uniforms.fitScale.value.set(1, 1);
+        if (imageWidth && imageHeight && this.fitMode !== 'stretch') {
+            const ratio = (imageWidth / this.columns) / (imageHeight / this.rows) / areaAspect;
+            const wide = ratio > 1;
+            if (this.fitMode === 'contain') {
+                uniforms.fitScale.value.set(wide ? 1 : 1 / ratio, wide ? ratio : 1);
+            } else {
+                uniforms.fitScale.value.set(wide ? 1 / ratio : 1, wide ? 1 : ratio);
+            }
+        }
+
+        this.updateFrameUniforms(this.getCurrentFrame());
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        if (!this.texture) return;
+
+        // Follow grid size changes made in the GUI
+        if (this.mode === 'tiled') {
+            const grid = this.getGridDimensions();
+            const key = grid ? `${grid.gridWidth}x${grid.gridHeight}x${grid.cellSize}` : null;
+            if (key !== this.gridKey) {
+                this.rebuildGeometry();
+            }
+        }
+
+        this.updateFrameUniforms(this.getCurrentFrame());
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        switch (name) {
+            case 'mode':
+                if (IMAGE_CONFIG.modes.includes(value)) {
+                    this.mode = value;
+                    this.rebuildGeometry();
+                }
+                break;
+            case 'fitMode':
+                if (IMAGE_CONFIG.fitModes.includes(value)) {
+                    this.fitMode = value;
+                    this.updateUniforms();
+                }
+                break;
+            case 'frameDivision':
+                if (IMAGE_CONFIG.frameDivisions.includes(value)) {
+                    this.frameDivision = value;
+                }
+                break;
+            case 'columns':
+                this.setSheetLayout(value, this.rows);
+                break;
+            case 'rows':
+                this.setSheetLayout(this.columns, value);
+                break;
+            case 'frameCount':
+                this.setSheetLayout(this.columns, this.rows, value);
+                break;
+            case 'tileScale':
+            case 'frame': {
+                const number = Number(value);
+                if (!Number.isFinite(number)) return;
+                this[name] = number;
+                this.updateUniforms();
+                break;
+            }
+        }
+    }
+
+    onGetParameter(name) {
+        switch (name) {
+            case 'mode':
+            case 'fitMode':
+            case 'frameDivision':
+            case 'columns':
+            case 'rows':
+            case 'frameCount':
+            case 'tileScale':
+            case 'frame':
+                return this[name];
+            default:
+                return super.onGetParameter(name);
+        }
+    }
+
+    onGetExposedParameters() {
+        const select = (label, description, options, defaultValue) => ({
+            type: 'select',
+            label,
+            description,
+            options,
+            default: defaultValue
+        });
+        const integer = (label, description, max) => ({
+            type: 'number',
+            label,
+            description,
+            min: 1,
+            max,
+            step: 1,
+            default: 1
+        });
+
+        return {
+            ...super.onGetExposedParameters(),
+            mode: select('Mode', 'Full frame, or one copy per grid cell', IMAGE_CONFIG.modes, IMAGE_CONFIG.defaultMode),
+            fitMode: select('Fit', 'How a frame fills the view or its cell', IMAGE_CONFIG.fitModes, IMAGE_CONFIG.defaultFitMode),
+            tileScale: {
+                type: 'number',
+                label: 'Tile Scale',
+                description: 'Image size as a fraction of its grid cell',
+                min: IMAGE_CONFIG.tileScale.min,
+                max: IMAGE_CONFIG.tileScale.max,
+                step: 0.01,
+                default: IMAGE_CONFIG.tileScale.default
+            },
+            columns: integer('Columns', 'Sprite sheet frames per row', IMAGE_CONFIG.maxSheetColumns),
+            rows: integer('Rows', 'Sprite sheet rows', IMAGE_CONFIG.maxSheetRows),
+            frameCount: integer('Frames', 'Frames used from the sprite sheet', this.columns * this.rows),
+            frameDivision: select('Advance', 'Division the sprite frame advances on', IMAGE_CONFIG.frameDivisions, IMAGE_CONFIG.defaultFrameDivision),
+            frame: {
+                type: 'number',
+                label: 'Frame',
+                description: 'Sprite frame shown while advancing is off',
+                min: 0,
+                max: Math.max(0, this.frameCount - 1),
+                step: 1,
+                default: 0
+            }
+        };
+    }
+
+    updateOpacityState(newOpacity) {
+        if (!this.material) return;
+
+        // Keep blending on so transparent areas of the image stay see-through
+        this.material.uniforms.opacity.value = this.getMaterialOpacity();
+        this.material.transparent = true;
+    }
+
+    onWindowResize() {
+        this.rebuildGeometry();
+    }
+
+    setZOffset(zOffset) {
+        super.setZOffset(zOffset);
+
+        if (this.mesh) {
+            this.mesh.position.z = zOffset;
+        }
+    }
+
+    onGetConfig() {
+        const source = this.source || this.pendingSource;
+        return {
+            source: source ? { name: source.name, src: source.src } : null,
+            mode: this.mode,
+            fitMode: this.fitMode,
+            tileScale: this.tileScale,
+            columns: this.columns,
+            rows: this.rows,
+            frameCount: this.frameCount,
+            frameDivision: this.frameDivision,
+            frame: this.frame
+        };
+    }
+
+    onSetConfig(config) {
+        ['mode', 'fitMode', 'frameDivision', 'tileScale', 'frame'].forEach(name => {
+            if (config[name] !== undefined) {
+                this.onSetParameter(name, config[name]);
+            }
+        });
+        if (config.columns !== undefined || config.rows !== undefined) {
+            this.setSheetLayout(config.columns, config.rows, config.frameCount);
+        }
+    }
+
+    onDispose() {
+        this.sourceRequest++;
+        if (this.texture) {
+            this.texture.dispose();
+        }
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+        this.texture = null;
+        this.mesh = null;
+        this.material = null;
+    }
+}
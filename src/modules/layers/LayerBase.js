@@ -11,6 +11,42 @@ import {
     applyBlendModeToMaterial,
     getBlendModeOptions
 } from '../../config/BlendModeConstants.js';
+import { LAYER_CONSTANTS } from '../../config/LayerConstants.js';
+
+const MASK = LAYER_CONSTANTS.mask;
+
+// Mask parameters and the mask properties they set
+const MASK_PARAMETERS = {
+    maskSource: 'source',
+    maskLayer: 'layerId',
+    maskChannel: 'channel',
+    maskShape: 'shape',
+    maskInvert: 'invert',
+    maskFeather: 'feather',
+    maskSize: 'size',
+    maskX: 'x',
+    maskY: 'y',
+    maskAngle: 'angle'
+};
+
+/**
+ * Create the default mask of a layer (no mask)
+ * @returns {Object} Mask settings
+ */
+function createDefaultMask() {
+    return {
+        source: MASK.defaultSource,
+        layerId: null,
+        channel: MASK.defaultChannel,
+        shape: MASK.defaultShape,
+        invert: false,
+        feather: MASK.feather.default,
+        size: MASK.size.default,
+        x: MASK.x.default,
+        y: MASK.y.default,
+        angle: MASK.angle.default
+    };
+}
 
 export class LayerBase {
     constructor(id, config = {}) {
@@ -20,6 +56,11 @@ export class LayerBase {
         this.blendMode = config.blendMode || BLEND_MODES.NORMAL;
         this.zOffset = config.zOffset !== undefined ? config.zOffset : 0; // Z-space distance from camera
         
+        // Mask applied by the LayerCompositor when this layer is blended
+        this.mask = { ...createDefaultMask(), ...(config.mask || {}) };
+        // Hidden, but drawn this frame because it masks another layer (set by the LayerManager)
+        this.drawnAsMask = false;
+        
         // Three.js mesh for 3D positioning (will be set by subclasses)
         this.mesh = null;
         
@@ -87,8 +128,9 @@ export class LayerBase {
         
         // Apply material properties if available
         if (this.mesh.material) {
-            this.mesh.material.opacity = this.opacity;
-            this.mesh.material.transparent = this.opacity < 1.0;
+            const materialOpacity = this.getMaterialOpacity();
+            this.mesh.material.opacity = materialOpacity;
+            this.mesh.material.transparent = materialOpacity < 1.0;
             
             // Apply blend mode if available
             if (this.blendMode) {
@@ -104,9 +146,10 @@ export class LayerBase {
      * @param {THREE.WebGLRenderer} renderer - Three.js renderer
      * @param {THREE.Camera} camera - Three.js camera
      * @param {number} deltaTime - Time since last frame
+     * @param {boolean} force - Render while hidden (the layer masks another layer)
      */
-    render2D(renderer, camera, deltaTime) {
-        if (!this.visible || !this.initialized || this.disposed) {
+    render2D(renderer, camera, deltaTime, force = false) {
+        if ((!this.visible && !force) || !this.initialized || this.disposed) {
             return;
         }
         
@@ -190,6 +233,11 @@ export class LayerBase {
     setParameter(name, value) {
         if (this.disposed) return;
         
+        if (MASK_PARAMETERS[name]) {
+            this.setMaskParameter(name, value);
+            return;
+        }
+        
         try {
             this.onSetParameter(name, value);
             
@@ -230,8 +278,8 @@ export class LayerBase {
             case 'opacity':
                 this.opacity = Math.max(0.0, Math.min(1.0, Number(value)));
                 if (this.mesh && this.mesh.material) {
-                    this.mesh.material.opacity = this.opacity;
-                    this.mesh.material.transparent = this.opacity < 1.0;
+                    this.mesh.material.opacity = this.getMaterialOpacity();
+                    this.mesh.material.transparent = this.getMaterialOpacity() < 1.0;
                 }
                 this.onOpacityChanged(this.opacity);
                 break;
@@ -255,6 +303,10 @@ export class LayerBase {
     getParameter(name) {
         if (this.disposed) return null;
         
+        if (MASK_PARAMETERS[name]) {
+            return this.mask[MASK_PARAMETERS[name]];
+        }
+        
         try {
             return this.onGetParameter(name);
         } catch (error) {
@@ -274,7 +326,7 @@ export class LayerBase {
             case 'visible':
                 return this.mesh ? this.mesh.visible : this.visible;
             case 'opacity':
-                return this.mesh && this.mesh.material ? this.mesh.material.opacity : this.opacity;
+                return this.opacity;
             case 'blendMode':
                 return this.blendMode;
             case 'zOffset':
@@ -292,7 +344,10 @@ export class LayerBase {
         if (this.disposed) return {};
         
         try {
-            return this.onGetExposedParameters();
+            return {
+                ...this.onGetExposedParameters(),
+                ...this.getMaskExposedParameters()
+            };
         } catch (error) {
             console.error(`Error getting exposed parameters for layer ${this.id}:`, error);
             return {};
@@ -339,6 +394,98 @@ export class LayerBase {
         };
     }
 
+    /**
+     * Set a mask parameter, shared by all layer types
+     * @param {string} name - Mask parameter name
+     * @param {*} value - Parameter value
+     */
+    setMaskParameter(name, value) {
+        const property = MASK_PARAMETERS[name];
+        switch (property) {
+            case 'source':
+                if (MASK.sources.includes(value)) this.mask.source = value;
+                break;
+            case 'channel':
+                if (MASK.channels.includes(value)) this.mask.channel = value;
+                break;
+            case 'shape':
+                if (MASK.shapes.includes(value)) this.mask.shape = value;
+                break;
+            case 'layerId':
+                this.mask.layerId = value ? String(value) : null;
+                break;
+            case 'invert':
+                this.mask.invert = Boolean(value);
+                break;
+            default: {
+                const range = MASK[property];
+                const number = Number(value);
+                if (Number.isFinite(number)) {
+                    this.mask[property] = Math.max(range.min, Math.min(range.max, number));
+                }
+            }
+        }
+    }
+
+    /**
+     * Mask parameters offered for every layer (the mask layer is chosen by ID, not exposed)
+     * @returns {Object} Object with parameter names as keys and metadata as values
+     */
+    getMaskExposedParameters() {
+        const numberParameter = (property, label, description, step) => ({
+            type: 'number',
+            label,
+            description,
+            min: MASK[property].min,
+            max: MASK[property].max,
+            step,
+            default: MASK[property].default
+        });
+
+        return {
+            maskSource: {
+                type: 'select',
+                label: 'Mask',
+                description: 'Mask this layer with another layer or a generated shape',
+                options: MASK.sources,
+                default: MASK.defaultSource
+            },
+            maskChannel: {
+                type: 'select',
+                label: 'Matte',
+                description: 'Use the alpha or the luminance of the mask layer',
+                options: MASK.channels,
+                default: MASK.defaultChannel
+            },
+            maskShape: {
+                type: 'select',
+                label: 'Shape',
+                description: 'Generated mask shape',
+                options: MASK.shapes,
+                default: MASK.defaultShape
+            },
+            maskInvert: {
+                type: 'boolean',
+                label: 'Invert Mask',
+                description: 'Show the layer outside the mask instead',
+                default: false
+            },
+            maskFeather: numberParameter('feather', 'Feather', 'Softness of the mask edge', 0.005),
+            maskSize: numberParameter('size', 'Mask Size', 'Size of the mask shape', 0.01),
+            maskX: numberParameter('x', 'Mask X', 'Horizontal center of the mask shape', 0.01),
+            maskY: numberParameter('y', 'Mask Y', 'Vertical center of the mask shape', 0.01),
+            maskAngle: numberParameter('angle', 'Mask Angle', 'Direction of the gradient mask in degrees', 1)
+        };
+    }
+
+    /**
+     * ID of the layer whose output masks this layer
+     * @returns {string|null} Mask layer ID, or null without a layer mask
+     */
+    getMaskLayerId() {
+        return this.mask.source === 'layer' && this.mask.layerId !== this.id ? this.mask.layerId : null;
+    }
+
     /**
      * Handle visibility changes
      * @param {boolean} isVisible - New visibility state
@@ -375,8 +522,8 @@ export class LayerBase {
                 : this.mesh.material;
                 
             if (material) {
-                material.opacity = newOpacity;
-                material.transparent = newOpacity < 1.0;
+                material.opacity = this.getMaterialOpacity();
+                material.transparent = material.opacity < 1.0;
                 material.needsUpdate = true;
             }
         }
@@ -405,6 +552,7 @@ export class LayerBase {
             opacity: this.opacity,
             blendMode: this.blendMode,
             zOffset: this.zOffset,
+            mask: { ...this.mask },
             ...this.onGetConfig()
         };
     }
@@ -426,6 +574,7 @@ export class LayerBase {
         if (config.opacity !== undefined) this.opacity = config.opacity;
         if (config.blendMode !== undefined) this.blendMode = config.blendMode;
         if (config.zOffset !== undefined) this.zOffset = config.zOffset;
+        if (config.mask) this.mask = { ...createDefaultMask(), ...config.mask };
         
         this.onSetConfig(config);
     }
@@ -501,7 +650,7 @@ export class LayerBase {
             : this.mesh.material;
             
         if (material) {
-            applyBlendModeToMaterial(material, this.blendMode);
+            applyBlendModeToMaterial(material, this.getMaterialBlendMode());
             this.needsBlendModeUpdate = false;
         }
         
@@ -514,19 +663,20 @@ export class LayerBase {
      * This ensures all objects within a layer inherit the parent's blend mode
      */
     applyBlendModeToChildren() {
-        if (!this.blendMode || this.blendMode === 'normal') return;
+        const blendMode = this.getMaterialBlendMode();
+        if (!blendMode || (blendMode === 'normal' && !this.isComposited())) return;
         
         // Get all child objects from the layer
         const childObjects = this.getChildObjects();
         
         if (childObjects.length > 0) {
-            console.log(`LayerBase ${this.id}: Applying ${this.blendMode} blend mode to ${childObjects.length} child objects`);
+            console.log(`LayerBase ${this.id}: Applying ${blendMode} blend mode to ${childObjects.length} child objects`);
             
             childObjects.forEach(obj => {
                 if (obj.material) {
                     const material = Array.isArray(obj.material) ? obj.material[0] : obj.material;
                     if (material) {
-                        applyBlendModeToMaterial(material, this.blendMode);
+                        applyBlendModeToMaterial(material, blendMode);
                     }
                 }
             });
@@ -543,6 +693,74 @@ export class LayerBase {
         return [];
     }
 
+    /**
+     * Get every scene object that is drawn as part of this layer
+     * Used by the LayerCompositor to render the layer into its own render target
+     * @returns {Array} Layer mesh and child objects
+     */
+    getRenderObjects() {
+        const objects = this.getChildObjects();
+        return this.mesh ? [this.mesh, ...objects] : objects;
+    }
+
+    /**
+     * Check if the layer's content is drawn this frame
+     * @returns {boolean} True while visible or used as a mask by another layer
+     */
+    isDrawn() {
+        return this.visible || this.drawnAsMask;
+    }
+
+    /**
+     * Check if this layer is blended by the LayerCompositor
+     * @returns {boolean} True if opacity and blend mode are applied at composite time
+     */
+    isComposited() {
+        return !!(this.layerManager && this.layerManager.compositor);
+    }
+
+    /**
+     * Get the opacity materials should use
+     * The compositor applies layer opacity itself, so materials stay opaque
+     * @returns {number} Material opacity
+     */
+    getMaterialOpacity() {
+        return this.isComposited() ? 1.0 : this.opacity;
+    }
+
+    /**
+     * Get the blend mode materials should use
+     * The compositor blends layer targets itself, so materials use normal blending
+     * @returns {string} Material blend mode
+     */
+    getMaterialBlendMode() {
+        return this.isComposited() ? BLEND_MODES.NORMAL : this.blendMode;
+    }
+
+    /**
+     * Beats elapsed on the transport, for layers that step on musical divisions. Follows the
+     * external MIDI clock (counted in quarter notes) when it is active.
+     * @returns {number|null} Transport position in beats, or null without a timing source
+     */
+    getTransportBeats() {
+        const app = this.context && this.context.app;
+        const clockManager = app ? app.midiClockManager : null;
+        if (clockManager && clockManager.isExternalClockActive()) {
+            return clockManager.getClockTime();
+        }
+        // The animation time only runs with shape animations enabled, the beat time always runs
+        return app && app.animationLoop ? app.animationLoop.getBeatTime() : null;
+    }
+
+    /**
+     * Get the BPMTimingManager for division lengths
+     * @returns {BPMTimingManager|null} Timing manager
+     */
+    getBPMTimingManager() {
+        const app = this.context && this.context.app;
+        return app && app.midiClockManager ? app.midiClockManager.getBPMTimingManager() : null;
+    }
+
 
 
     /**
@@ -0,0 +1,640 @@
+/**
+ * ModelLayer.js - 3D Model Layer Implementation
+ * This layer shows a glTF/GLB or OBJ model, either once in the middle of the view or as one copy
+ * per GridManager cell moved, rotated and scaled by the same ShapeAnimationManager animations as
+ * the grid shapes. Models keep their own materials or use the MaterialManager shape or refractive
+ * sphere material, and are lit and shadowed by the LightingManager lights like the other scene
+ * objects. Embedded animation clips play at their own speed or stretched to a musical length so
+ * they loop on the beat. The file is kept as a data URL so it is saved with the scene.
+ */
+
+import { LayerBase } from './LayerBase.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+
+const MODEL_CONFIG = LAYER_CONSTANTS.model;
+
+// Numeric model parameters with their constant ranges
+const MODEL_PARAMETERS = ['size', 'spin', 'tilt', 'animationSpeed', 'stagger'];
+
+export class ModelLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        // Root group in the layer scene, the copies hang below it
+        this.mesh = null;
+
+        // Loaded model scaled to a unit size and centered, never added to the scene itself
+        this.template = null;
+        this.clips = [];
+        this.copies = [];
+        // Meshes of all copies with the material they came with
+        this.meshes = [];
+        this.originalMaterials = new Map();
+
+        // { name, src } with the model file as a data URL
+        this.source = null;
+        this.sourceRequest = 0;
+
+        this.layout = MODEL_CONFIG.layouts.includes(config.layout) ? config.layout : MODEL_CONFIG.defaultLayout;
+        this.materialMode = MODEL_CONFIG.materialModes.includes(config.materialMode)
+            ? config.materialMode
+            : MODEL_CONFIG.defaultMaterialMode;
+        this.animationMode = MODEL_CONFIG.animationModes.includes(config.animationMode)
+            ? config.animationMode
+            : MODEL_CONFIG.defaultAnimationMode;
+        this.clipLength = MODEL_CONFIG.clipLengths.includes(config.clipLength) ? config.clipLength : MODEL_CONFIG.defaultClipLength;
+        this.clipIndex = config.clipIndex !== undefined ? Number(config.clipIndex) : 0;
+        this.shadows = config.shadows !== undefined ? Boolean(config.shadows) : true;
+
+        this.params = {};
+        MODEL_PARAMETERS.forEach(name => {
+            this.params[name] = config[name] !== undefined ? Number(config[name]) : MODEL_CONFIG[name].default;
+        });
+
+        // Grid extent the copies were built for
+        this.gridKey = null;
+        // Stand-in the ShapeAnimationManager animates for each cell
+        this.cellTransform = new THREE.Object3D();
+
+        // Model from a saved scene, loaded once the layer is initialized
+        this.pendingSource = config.source || null;
+    }
+
+    async onInitialize(context) {
+        this.mesh = new THREE.Group();
+        this.mesh.position.z = this.zOffset || 0;
+
+        if (this.pendingSource) {
+            const source = this.pendingSource;
+            this.pendingSource = null;
+            try {
+                await this.setSource(source);
+            } catch (error) {
+                console.warn(`ModelLayer ${this.id}: Failed to restore the model:`, error.message);
+            }
+        }
+
+        console.log(`ModelLayer ${this.id}: Initialized`);
+    }
+
+    /**
+     * Load a model file
+     * @param {File} file - GLB, glTF (with embedded resources) or OBJ file
+     */
+    async setModelFile(file) {
+        const extension = this.getExtension(file.name);
+        if (!MODEL_CONFIG.fileTypes.split(',').includes(`.${extension}`)) {
+            throw new Error(`${file.name} is not a glTF, GLB or OBJ file`);
+        }
+        await this.setSource({ name: file.name, src: await this.readDataUrl(file) });
+    }
+
+    /**
+     * Switch to another model (null clears the layer)
+     * @param {Object|null} source - { name, src } with the model URL
+     */
+    async setSource(source) {
+        const request = ++this.sourceRequest;
+        const loaded = source && source.src ? await this.loadModel(source) : null;
+
+        if (request !== this.sourceRequest) {
+            if (loaded) this.disposeObject(loaded.object);
+            return;
+        }
+
+        this.clearCopies();
+        if (this.template) {
+            this.disposeObject(this.template);
+        }
+        this.source = source;
+        this.template = loaded ? this.createTemplate(loaded.object) : null;
+        this.clips = loaded ? loaded.clips : [];
+        this.clipIndex = THREE.MathUtils.clamp(Math.round(this.clipIndex) || 0, 0, Math.max(0, this.clips.length - 1));
+        this.gridKey = null;
+        this.rebuildCopies();
+
+        console.log(`ModelLayer ${this.id}: Model set to ${source ? source.name : 'none'} (${this.clips.length} clips)`);
+    }
+
+    /**
+     * Parse a model with the loader for its file type
+     * @param {Object} source - { name, src }
+     * @returns {Promise<{object: THREE.Object3D, clips: THREE.AnimationClip[]}>} Model and clips
+     */
+    async loadModel(source) {
+        if (this.getExtension(source.name) === 'obj') {
+            const object = await new OBJLoader().loadAsync(source.src);
+            return { object, clips: [] };
+        }
+        const gltf = await new GLTFLoader().loadAsync(source.src);
+        return { object: gltf.scene, clips: gltf.animations || [] };
+    }
+
+    getExtension(name) {
+        return (name || '').split('.').pop().toLowerCase();
+    }
+
+    readDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Center a model and scale it to a unit size, so sizes do not depend on the file's units
+     * @param {THREE.Object3D} object - Loaded model
+     * @returns {THREE.Group} Normalized model
+     */
+    createTemplate(object) {
+        const box = new THREE.Box3().setFromObject(object);
+        const template = new THREE.Group();
+        template.add(object);
+        if (!box.isEmpty()) {
+            const size = box.getSize(new THREE.Vector3());
+            object.position.sub(box.getCenter(new THREE.Vector3()));
+            template.scale.setScalar(1 / (Math.max(size.x, size.y, size.z) || 1));
+        }
+        return template;
+    }
+
+    /**
+     * Name of the current model
+     * @returns {string} File name, or an empty string
+     */
+    getSourceName() {
+        const source = this.source || this.pendingSource;
+        return source ? source.name || '' : '';
+    }
+
+    /**
+     * Names of the animation clips in the model
+     * @returns {string[]} Clip names
+     */
+    getClipNames() {
+        return this.clips.map((clip, index) => clip.name || `Clip ${index + 1}`);
+    }
+
+    /**
+     * Grid dimensions of the GridManager, if the scene has one
+     * @returns {Object|null} Grid dimensions
+     */
+    getGridDimensions() {
+        const app = this.context && this.context.app;
+        const gridManager = app && app.scene ? app.scene.gridManager : null;
+        return gridManager ? gridManager.getGridDimensions() : null;
+    }
+
+    /**
+     * Cells a copy is placed in: the view center, or every grid cell up to the instance limit
+     * @returns {Array<{x: number, y: number}|null>} Grid cells (null for the single model)
+     */
+    getCells() {
+        const grid = this.layout === 'grid' ? this.getGridDimensions() : null;
+        if (!grid) return [null];
+
+        const cells = [];
+        for (let x = 0; x < grid.gridWidth; x++) {
+            for (let y = 0; y < grid.gridHeight; y++) {
+                if (cells.length >= MODEL_CONFIG.maxInstances) return cells;
+                cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Create the copies of the model for the current layout
+     */
+    rebuildCopies() {
+        this.clearCopies();
+        if (!this.template || !this.mesh) return;
+
+        const grid = this.getGridDimensions();
+        this.gridKey = this.layout === 'grid' && grid ? `${grid.gridWidth}x${grid.gridHeight}` : null;
+
+        this.getCells().forEach(cell => {
+            // Clones share geometry and materials, skinned meshes get their own skeleton
+            const model = SkeletonUtils.clone(this.template);
+            const holder = new THREE.Group();
+            holder.add(model);
+            this.mesh.add(holder);
+
+            const copy = { holder, model, cell, mixer: null, action: null };
+            if (this.clips.length > 0) {
+                copy.mixer = new THREE.AnimationMixer(model);
+            }
+            this.copies.push(copy);
+
+            model.traverse(object => {
+                if (object.isMesh) {
+                    this.meshes.push(object);
+                    this.originalMaterials.set(object, object.material);
+                }
+            });
+        });
+
+        this.updateClipActions();
+        this.updateMaterials();
+        this.updateShadows();
+        this.updateOpacityState(this.opacity);
+        this.applyBlendModeToChildren();
+    }
+
+    clearCopies() {
+        this.copies.forEach(copy => {
+            if (copy.mixer) {
+                copy.mixer.stopAllAction();
+                copy.mixer.uncacheRoot(copy.model);
+            }
+            if (this.mesh) {
+                this.mesh.remove(copy.holder);
+            }
+        });
+        this.copies = [];
+        this.meshes = [];
+        this.originalMaterials.clear();
+    }
+
+    /**
+     * Start the selected clip on every copy (or stop playback)
+     */
+    updateClipActions() {
+        const clip = this.clips[this.clipIndex] || null;
+        this.copies.forEach((copy, index) => {
+            if (!copy.mixer) return;
+
+            copy.mixer.stopAllAction();
+            copy.action = null;
+            if (!clip || this.animationMode === 'off') return;
+
+            copy.action = copy.mixer.clipAction(clip);
+            copy.action.play();
+            // Free playback starts the copies apart by the stagger
+            copy.mixer.setTime(this.getStaggerOffset(index) * clip.duration);
+        });
+    }
+
+    /**
+     * Clip offset of a copy as a fraction of the clip
+     * @param {number} index - Copy index
+     * @returns {number} Offset (0-1)
+     */
+    getStaggerOffset(index) {
+        const offset = this.params.stagger * index;
+        return offset - Math.floor(offset);
+    }
+
+    /**
+     * Assign the material of the material mode to every mesh
+     */
+    updateMaterials() {
+        let material = null;
+        if (this.materialMode !== 'original') {
+            const app = this.context && this.context.app;
+            const materialManager = app && app.scene ? app.scene.materialManager : null;
+            const state = this.context && this.context.state;
+            if (materialManager && state) {
+                material = this.materialMode === 'sphere'
+                    ? materialManager.getSphereMaterial(state)
+                    : materialManager.getBasicMaterial(state.get('shapeColor'));
+            }
+        }
+
+        this.meshes.forEach(mesh => {
+            const target = material || this.originalMaterials.get(mesh);
+            if (mesh.material !== target) {
+                mesh.material = target;
+            }
+        });
+    }
+
+    updateShadows() {
+        this.meshes.forEach(mesh => {
+            mesh.castShadow = this.shadows;
+            mesh.receiveShadow = this.shadows;
+        });
+    }
+
+    /**
+     * Advance the clips: free playback by the frame time, beat playback locked to the transport
+     * @param {number} deltaTime - Time since the last frame in seconds
+     * @param {number|null} beats - Transport position in beats
+     */
+    updateAnimation(deltaTime, beats) {
+        const clip = this.clips[this.clipIndex];
+        if (!clip || this.animationMode === 'off') return;
+
+        const bpmTimingManager = this.getBPMTimingManager();
+        const beatLocked = this.animationMode === 'bpm' && bpmTimingManager && beats !== null;
+        const lengthBeats = beatLocked ? bpmTimingManager.getDivisionBeats(this.clipLength) : 0;
+
+        this.copies.forEach((copy, index) => {
+            if (!copy.mixer || !copy.action) return;
+
+            if (beatLocked) {
+                // Stretch the clip to the musical length so it loops on the beat
+                const phase = beats / lengthBeats + this.getStaggerOffset(index);
+                copy.mixer.setTime((phase - Math.floor(phase)) * clip.duration);
+            } else {
+                copy.mixer.update((deltaTime || 0) * this.params.animationSpeed);
+            }
+        });
+    }
+
+    /**
+     * Place the copies: the single model in the view center, grid copies in their cells with
+     * the shape movement, rotation and scale animations
+     * @param {number|null} beats - Transport position in beats
+     */
+    updateTransforms(beats) {
+        const spin = THREE.MathUtils.degToRad(this.params.spin) * (beats || 0);
+        const tilt = THREE.MathUtils.degToRad(this.params.tilt);
+
+        const app = this.context && this.context.app;
+        const state = this.context && this.context.state;
+        const shapeAnimationManager = app && app.scene ? app.scene.shapeAnimationManager : null;
+        const grid = this.layout === 'grid' ? this.getGridDimensions() : null;
+        const animationTime = app && app.animationLoop ? app.animationLoop.getAnimationTime() : 0;
+        const globalBPM = (state && state.get('globalBPM')) || 120;
+        const cellTransform = this.cellTransform;
+
+        this.copies.forEach(copy => {
+            const holder = copy.holder;
+            if (!copy.cell || !grid) {
+                holder.position.set(0, 0, 0);
+                holder.rotation.set(tilt, spin, 0, 'ZXY');
+                holder.scale.setScalar(this.params.size * this.getViewHeight());
+                return;
+            }
+
+            const { x, y } = copy.cell;
+            const cellSize = grid.cellSize;
+            cellTransform.position.set(0, 0, 0);
+            cellTransform.rotation.set(0, 0, 0);
+            cellTransform.scale.setScalar(cellSize);
+            if (shapeAnimationManager) {
+                shapeAnimationManager.applyCellTransform(
+                    cellTransform, x, y, grid.gridWidth, grid.gridHeight, cellSize, animationTime, globalBPM
+                );
+            } else {
+                cellTransform.position.set((x - grid.gridWidth / 2 + 0.5) * cellSize, (y - grid.gridHeight / 2 + 0.5) * cellSize, 0);
+            }
+
+            // Shape animations work in the view plane: spin and tilt first, then the cell rotation
+            holder.position.set(cellTransform.position.x, cellTransform.position.y, 0);
+            holder.rotation.set(tilt, spin, cellTransform.rotation.z, 'ZXY');
+            holder.scale.setScalar(cellTransform.scale.x * this.params.size);
+        });
+    }
+
+    /**
+     * Height of the camera view in world units
+     * @returns {number} View height
+     */
+    getViewHeight() {
+        const camera = this.context && this.context.camera;
+        if (camera && camera.isOrthographicCamera) {
+            return Math.abs(camera.top - camera.bottom) || 2;
+        }
+        return 2;
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        if (!this.mesh || this.copies.length === 0) return;
+
+        // Follow grid size changes
+        if (this.layout === 'grid') {
+            const grid = this.getGridDimensions();
+            const gridKey = grid ? `${grid.gridWidth}x${grid.gridHeight}` : null;
+            if (gridKey !== this.gridKey) {
+                this.rebuildCopies();
+            }
+        }
+
+        // The MaterialManager caches materials per setting, pick up shape color and sphere changes
+        if (this.materialMode !== 'original') {
+            this.updateMaterials();
+        }
+
+        const beats = this.getTransportBeats();
+        this.updateAnimation(deltaTime, beats);
+        this.updateTransforms(beats);
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        if (MODEL_PARAMETERS.includes(name)) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return;
+            this.params[name] = number;
+            if (name === 'stagger' && this.animationMode === 'free') {
+                this.updateClipActions();
+            }
+            return;
+        }
+
+        switch (name) {
+            case 'layout':
+                if (MODEL_CONFIG.layouts.includes(value)) {
+                    this.layout = value;
+                    this.rebuildCopies();
+                }
+                break;
+            case 'materialMode':
+                if (MODEL_CONFIG.materialModes.includes(value)) {
+                    this.materialMode = value;
+                    this.updateMaterials();
+                    this.updateOpacityState(this.opacity);
+                    this.applyBlendModeToChildren();
+                }
+                break;
+            case 'animationMode':
+                if (MODEL_CONFIG.animationModes.includes(value)) {
+                    this.animationMode = value;
+                    this.updateClipActions();
+                }
+                break;
+            case 'clipLength':
+                if (MODEL_CONFIG.clipLengths.includes(value)) {
+                    this.clipLength = value;
+                }
+                break;
+            case 'clip': {
+                const index = Math.round(Number(value));
+                if (!Number.isFinite(index)) return;
+                this.clipIndex = THREE.MathUtils.clamp(index, 0, Math.max(0, this.clips.length - 1));
+                this.updateClipActions();
+                break;
+            }
+            case 'shadows':
+                this.shadows = Boolean(value);
+                this.updateShadows();
+                break;
+        }
+    }
+
+    onGetParameter(name) {
+        if (MODEL_PARAMETERS.includes(name)) {
+            return this.params[name];
+        }
+        switch (name) {
+            case 'clip':
+                return this.clipIndex;
+            case 'layout':
+            case 'materialMode':
+            case 'animationMode':
+            case 'clipLength':
+            case 'shadows':
+                return this[name];
+            default:
+                return super.onGetParameter(name);
+        }
+    }
+
+    onGetExposedParameters() {
+        const parameter = (name, label, description, step) => ({
+            type: 'number',
+            label,
+            description,
+            min: MODEL_CONFIG[name].min,
+            max: MODEL_CONFIG[name].max,
+            step,
+            default: MODEL_CONFIG[name].default
+        });
+        const select = (label, description, options, defaultValue) => ({
+            type: 'select',
+            label,
+            description,
+            options,
+            default: defaultValue
+        });
+
+        return {
+            ...super.onGetExposedParameters(),
+            size: parameter('size', 'Size', 'Model size as a fraction of the view height, or of a cell in the grid', 0.01),
+            spin: parameter('spin', 'Spin', 'Degrees turned per beat around the vertical axis', 1),
+            tilt: parameter('tilt', 'Tilt', 'Degrees tilted towards the camera', 1),
+            animationSpeed: parameter('animationSpeed', 'Clip Speed', 'Playback rate of free clip playback', 0.01),
+            stagger: parameter('stagger', 'Stagger', 'Clip offset between grid copies', 0.01),
+            clip: {
+                type: 'number',
+                label: 'Clip',
+                description: 'Index of the animation clip played',
+                min: 0,
+                max: Math.max(0, this.clips.length - 1),
+                step: 1,
+                default: 0
+            },
+            shadows: {
+                type: 'boolean',
+                label: 'Shadows',
+                description: 'Cast and receive shadows of the scene lights',
+                default: true
+            },
+            layout: select('Layout', 'One model, or one copy per grid cell', MODEL_CONFIG.layouts, MODEL_CONFIG.defaultLayout),
+            materialMode: select('Material', 'Materials of the file, the shape material or the refractive sphere material', MODEL_CONFIG.materialModes, MODEL_CONFIG.defaultMaterialMode),
+            animationMode: select('Animation', 'Clip playback: off, at its own speed, or stretched to the clip length', MODEL_CONFIG.animationModes, MODEL_CONFIG.defaultAnimationMode),
+            clipLength: select('Clip Length', 'Musical length one clip loop is stretched to', MODEL_CONFIG.clipLengths, MODEL_CONFIG.defaultClipLength)
+        };
+    }
+
+    updateOpacityState(newOpacity) {
+        // Only the file's own materials follow the layer opacity, the MaterialManager ones are shared
+        const opacity = this.getMaterialOpacity();
+        new Set(this.originalMaterials.values()).forEach(material => {
+            const materials = Array.isArray(material) ? material : [material];
+            materials.forEach(item => {
+                if (item.userData.baseOpacity === undefined) {
+                    item.userData.baseOpacity = item.opacity;
+                    item.userData.baseTransparent = item.transparent;
+                }
+                item.opacity = item.userData.baseOpacity * opacity;
+                item.transparent = item.userData.baseTransparent || opacity < 1.0;
+            });
+        });
+    }
+
+    setZOffset(zOffset) {
+        super.setZOffset(zOffset);
+
+        if (this.mesh) {
+            this.mesh.position.z = zOffset;
+        }
+    }
+
+    /**
+     * Meshes of all copies, drawn in the layer's compositor pass and given its blend mode
+     * @returns {THREE.Mesh[]} Model meshes
+     */
+    getChildObjects() {
+        return this.meshes;
+    }
+
+    onGetConfig() {
+        const source = this.source || this.pendingSource;
+        return {
+            ...this.params,
+            source: source ? { name: source.name, src: source.src } : null,
+            layout: this.layout,
+            materialMode: this.materialMode,
+            animationMode: this.animationMode,
+            clipLength: this.clipLength,
+            clipIndex: this.clipIndex,
+            shadows: this.shadows
+        };
+    }
+
+    onSetConfig(config) {
+        MODEL_PARAMETERS.forEach(name => {
+            if (config[name] !== undefined) {
+                this.params[name] = Number(config[name]);
+            }
+        });
+        ['layout', 'materialMode', 'animationMode', 'clipLength', 'shadows'].forEach(name => {
+            if (config[name] !== undefined) {
+                this.onSetParameter(name, config[name]);
+            }
+        });
+        if (config.clipIndex !== undefined) {
+            this.onSetParameter('clip', config.clipIndex);
+        }
+    }
+
+    /**
+     * Dispose the geometries, materials and textures of a model
+     * @param {THREE.Object3D} object - Model root
+     */
+    disposeObject(object) {
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value && value.isTexture) value.dispose();
+                });
+                material.dispose();
+            });
+        });
+    }
+
+    onDispose() {
+        this.sourceRequest++;
+        // Copies share the template's geometry and materials, disposing the template frees them
+        this.clearCopies();
+        if (this.template) {
+            this.disposeObject(this.template);
+        }
+        this.template = null;
+        this.clips = [];
+        this.mesh = null;
+    }
+}
@@ -37,6 +37,9 @@ export class P5TextureLayer extends LayerBase {
         this.targetFPS = config.targetFPS || 60;
         this.pauseWhenHidden = config.pauseWhenHidden !== undefined ? config.pauseWhenHidden : true;
         
+        // Frame stepping: draw once per rendered frame instead of on p5's own loop (offline rendering)
+        this.frameStepping = false;
+        
         // Canvas dimensions (will be set from camera viewport)
         this.canvasWidth = 800;
         this.canvasHeight = 600;
@@ -124,14 +127,15 @@ function draw() {
     }
 
     /**
-     * Calculate canvas dimensions from camera viewport
+     * Calculate canvas dimensions from the render size and camera viewport
      */
     calculateCanvasDimensions() {
-        if (this.context && this.context.camera && this.context.camera.isOrthographicCamera) {
-            // Use camera viewport for orthographic cameras
+        if (this.context && this.context.renderer && this.context.camera && this.context.camera.isOrthographicCamera) {
+            // Render height (the fixed render resolution or the window) at the camera viewport aspect
             const cam = this.context.camera;
-            this.canvasWidth = Math.abs(cam.right - cam.left) * 100; // Scale up for better resolution
-            this.canvasHeight = Math.abs(cam.top - cam.bottom) * 100;
+            const size = this.context.renderer.getSize(new THREE.Vector2());
+            this.canvasHeight = Math.round(size.y);
+            this.canvasWidth = Math.round(size.y * Math.abs(cam.right - cam.left) / Math.abs(cam.top - cam.bottom));
         } else if (this.context && this.context.renderer) {
             // Use renderer size for perspective cameras
             const size = this.context.renderer.getSize(new THREE.Vector2());
@@ -184,7 +188,7 @@ function draw() {
             this.material = new THREE.MeshBasicMaterial({
                 map: this.texture, // Re-enable texture
                 transparent: true,
-                opacity: this.opacity,
+                opacity: this.getMaterialOpacity(),
                 side: THREE.DoubleSide, // Ensure it's visible from both sides
                 // Remove color so texture shows through
                 // color: 0xff0000 
@@ -250,6 +254,9 @@ function draw() {
             console.log('P5TextureLayer: Initializing P5 instance with container...', this.p5Container);
             // Initialize P5 instance with container div (P5 will create its own canvas)
             this.p5Instance = new p5(sketch, this.p5Container);
+            if (this.frameStepping) {
+                this.p5Instance.noLoop();
+            }
             
             // Verify P5 is using our canvas
             setTimeout(() => {
@@ -406,11 +413,12 @@ function draw() {
      * @param {number} deltaTime - Time since last frame
      */
     onUpdate(deltaTime) {
-        if (!this.visible || !this.isRunning || this.hasError) return;
+        // Hidden mask layers keep drawing
+        if (!this.isDrawn() || !this.isRunning || this.hasError) return;
         
         // Update material opacity
         if (this.material) {
-            this.material.opacity = this.opacity;
+            this.material.opacity = this.getMaterialOpacity();
         }
         
         // Apply blend mode if it needs updating
@@ -434,18 +442,38 @@ function draw() {
         // The mesh is rendered by Three.js in the main render loop
         // This method exists to satisfy the LayerBase interface
         
-        if (!this.visible || !this.isRunning || this.hasError) return;
+        if (!this.isDrawn() || !this.isRunning || this.hasError) return;
         
         // Update material properties if needed
         if (this.material) {
-            this.material.opacity = this.opacity;
-            this.material.visible = this.visible;
+            this.material.opacity = this.getMaterialOpacity();
+            this.material.visible = this.isDrawn();
         }
         
         // Apply blend mode if it needs updating
         if (this.needsBlendModeUpdate) {
             this.applyBlendModeToMaterial();
         }
+        
+        // Draw exactly one sketch frame per rendered frame while stepping
+        if (this.frameStepping && this.p5Instance) {
+            this.p5Instance.redraw();
+        }
+    }
+
+    /**
+     * Switch between p5's own draw loop and drawing once per rendered frame
+     * @param {boolean} enabled - True to draw once per rendered frame
+     */
+    setFrameStepping(enabled) {
+        this.frameStepping = enabled;
+        if (!this.p5Instance) return;
+        
+        if (enabled) {
+            this.p5Instance.noLoop();
+        } else {
+            this.p5Instance.loop();
+        }
     }
 
     /**
@@ -455,8 +483,7 @@ function draw() {
     updateOpacityState(newOpacity) {
         // Update material opacity immediately
         if (this.material) {
-            this.material.opacity = newOpacity;
-            this.material.transparent = newOpacity < 1.0;
+            this.material.opacity = this.getMaterialOpacity();
             this.material.needsUpdate = true;
         }
     }
@@ -0,0 +1,611 @@
+/**
+ * ParticleLayer.js - Particle System Layer Implementation
+ * This layer simulates particles on the CPU and draws them as one instanced quad mesh. Particles
+ * leave a point, a circle or random cells of the GridManager grid, are moved by gravity, curl
+ * noise, attraction to the view center and drag, and fade from the start to the end color over
+ * their life. Emission is continuous or quantized to a BPMTimingManager division. Bursts fire
+ * from the burstLevel parameter crossing its threshold (mapped to an audio band through the
+ * AudioMappingManager) or from the burst trigger (a MIDI note), optionally held for the next
+ * division. Distances are fractions of the view height so the look survives resizes.
+ */
+
+import { LayerBase } from './LayerBase.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
+import * as THREE from 'three';
+
+const PARTICLE_CONFIG = LAYER_CONSTANTS.particles;
+
+// Numeric particle parameters with their constant ranges
+const PARTICLE_PARAMETERS = [
+    'rate', 'beatCount', 'burstCount', 'burstThreshold', 'lifetime', 'lifetimeVariation',
+    'speed', 'spread', 'emitterX', 'emitterY', 'radius', 'gravity', 'curlStrength', 'curlScale',
+    'attraction', 'drag', 'startSize', 'endSize'
+];
+
+// Beat emission needs a division, bursts can also fire immediately
+const BEAT_DIVISIONS = PARTICLE_CONFIG.divisions.filter(division => division !== 'off');
+
+const ParticleShader = {
+    vertexShader: `
+        attribute vec3 instancePosition;
+        attribute vec4 instanceColor;
+        attribute float instanceSize;
+        varying vec2 vUv;
+        varying vec4 vColor;
+        void main() {
+            vUv = uv;
+            vColor = instanceColor;
+            vec3 p = instancePosition + position * instanceSize;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+        }
+    `,
+    fragmentShader: `
+        uniform float opacity;
+        varying vec2 vUv;
+        varying vec4 vColor;
+        void main() {
+            // Soft round sprite
+            float d = length(vUv - 0.5) * 2.0;
+            float alpha = (1.0 - smoothstep(0.5, 1.0, d)) * vColor.a * opacity;
+            if (alpha <= 0.0) discard;
+            gl_FragColor = vec4(vColor.rgb, alpha);
+            #include <colorspace_fragment>
+        }
+    `
+};
+
+export class ParticleLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        this.material = null;
+        this.mesh = null;
+        this.geometry = null;
+
+        this.emitterShape = PARTICLE_CONFIG.emitterShapes.includes(config.emitterShape)
+            ? config.emitterShape
+            : PARTICLE_CONFIG.defaultEmitterShape;
+        this.emissionMode = PARTICLE_CONFIG.emissionModes.includes(config.emissionMode)
+            ? config.emissionMode
+            : PARTICLE_CONFIG.defaultEmissionMode;
+        this.beatDivision = BEAT_DIVISIONS.includes(config.beatDivision) ? config.beatDivision : PARTICLE_CONFIG.defaultBeatDivision;
+        this.burstQuantize = PARTICLE_CONFIG.divisions.includes(config.burstQuantize) ? config.burstQuantize : 'off';
+        this.startColor = new THREE.Color(config.startColor || PARTICLE_CONFIG.defaultStartColor);
+        this.endColor = new THREE.Color(config.endColor || PARTICLE_CONFIG.defaultEndColor);
+
+        this.params = {};
+        PARTICLE_PARAMETERS.forEach(name => {
+            this.params[name] = config[name] !== undefined ? Number(config[name]) : PARTICLE_CONFIG[name].default;
+        });
+
+        // Simulation state, particle i lives at index i of every array
+        const max = PARTICLE_CONFIG.maxParticles;
+        this.count = 0;
+        this.positions = new Float32Array(max * 2);
+        this.velocities = new Float32Array(max * 2);
+        this.ages = new Float32Array(max);
+        this.lives = new Float32Array(max);
+        this.time = 0;
+
+        // Fractional particles carried over between frames of continuous emission
+        this.emitCarry = 0;
+        // Last division index seen for beat emission and quantized bursts
+        this.lastBeatStep = null;
+        this.lastBurstStep = null;
+        this.pendingBursts = 0;
+        // Transport position of the previous frame and how long it has not moved (seconds)
+        this.lastTransportBeats = null;
+        this.transportStall = 0;
+        // Level of the burst parameter, bursts fire when it rises over the threshold
+        this.burstLevel = 0;
+        this.burstArmed = true;
+    }
+
+    async onInitialize(context) {
+        const max = PARTICLE_CONFIG.maxParticles;
+        const quad = new THREE.PlaneGeometry(1, 1);
+        this.geometry = new THREE.InstancedBufferGeometry();
+        this.geometry.index = quad.index;
+        this.geometry.setAttribute('position', quad.getAttribute('position'));
+        this.geometry.setAttribute('uv', quad.getAttribute('uv'));
+
+        const instanceAttribute = (itemSize) => {
+            const attribute = new THREE.InstancedBufferAttribute(new Float32Array(max * itemSize), itemSize);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            return attribute;
+        };
+        this.geometry.setAttribute('instancePosition', instanceAttribute(3));
+        this.geometry.setAttribute('instanceColor', instanceAttribute(4));
+        this.geometry.setAttribute('instanceSize', instanceAttribute(1));
+        this.geometry.instanceCount = 0;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                opacity: { value: this.getMaterialOpacity() }
+            },
+            vertexShader: ParticleShader.vertexShader,
+            fragmentShader: ParticleShader.fragmentShader,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.material.toneMapped = false;
+        this.applyBlendModeToMaterial();
+
+        this.mesh = new THREE.Mesh(this.geometry, this.material);
+        // Particles move anywhere, the quad bounds say nothing about them
+        this.mesh.frustumCulled = false;
+
+        console.log(`ParticleLayer ${this.id}: Initialized`);
+    }
+
+    /**
+     * Height of the camera view in world units, the unit of all particle distances
+     * @returns {number} View height
+     */
+    getViewHeight() {
+        const camera = this.context && this.context.camera;
+        if (camera && camera.isOrthographicCamera) {
+            return Math.abs(camera.top - camera.bottom) || 2;
+        }
+        return 2;
+    }
+
+    getGridManager() {
+        const app = this.context && this.context.app;
+        return app && app.scene ? app.scene.gridManager : null;
+    }
+
+    /**
+     * Spawn particles at the emitter
+     * @param {number} amount - Number of particles (capped by the free slots)
+     */
+    emit(amount) {
+        const count = Math.min(Math.floor(amount), PARTICLE_CONFIG.maxParticles - this.count);
+        if (count <= 0) return;
+
+        const height = this.getViewHeight();
+        const centerX = this.params.emitterX * height;
+        const centerY = this.params.emitterY * height;
+        const speed = this.params.speed * height;
+        const spread = THREE.MathUtils.clamp(this.params.spread, 0, 1);
+        const lifetime = Math.max(0.01, this.params.lifetime);
+        const variation = THREE.MathUtils.clamp(this.params.lifetimeVariation, 0, 1);
+
+        let grid = null;
+        if (this.emitterShape === 'grid') {
+            const gridManager = this.getGridManager();
+            const dimensions = gridManager ? gridManager.getGridDimensions() : null;
+            if (dimensions && dimensions.gridWidth > 0 && dimensions.gridHeight > 0) {
+                grid = { gridManager, ...dimensions };
+            }
+        }
+
+        for (let n = 0; n < count; n++) {
+            const i = this.count++;
+            let x = centerX;
+            let y = centerY;
+            // Base direction: up for points and cells, outwards on the circle
+            let direction = Math.PI / 2;
+
+            if (this.emitterShape === 'circle') {
+                direction = Math.random() * Math.PI * 2;
+                const radius = this.params.radius * height * 0.5;
+                x += Math.cos(direction) * radius;
+                y += Math.sin(direction) * radius;
+            } else if (grid) {
+                const cellX = Math.floor(Math.random() * grid.gridWidth);
+                const cellY = Math.floor(Math.random() * grid.gridHeight);
+                const cell = grid.gridManager.getWorldPosition(cellX, cellY);
+                x = cell.x + (Math.random() - 0.5) * grid.cellSize;
+                y = cell.y + (Math.random() - 0.5) * grid.cellSize;
+            }
+
+            direction += (Math.random() - 0.5) * Math.PI * 2 * spread;
+            const particleSpeed = speed * (0.5 + Math.random() * 0.5);
+            this.positions[i * 2] = x;
+            this.positions[i * 2 + 1] = y;
+            this.velocities[i * 2] = Math.cos(direction) * particleSpeed;
+            this.velocities[i * 2 + 1] = Math.sin(direction) * particleSpeed;
+            this.ages[i] = 0;
+            this.lives[i] = lifetime * (1 - Math.random() * variation);
+        }
+    }
+
+    /**
+     * Fire a burst now, or on the next quantize division
+     */
+    burst() {
+        if (this.burstQuantize === 'off') {
+            this.emit(this.params.burstCount);
+        } else {
+            this.pendingBursts++;
+        }
+    }
+
+    /**
+     * Follow the burst level and fire a burst each time it rises over the threshold
+     * @param {number} level - Level (0-1), usually an audio band through an audio mapping
+     */
+    setBurstLevel(level) {
+        this.burstLevel = THREE.MathUtils.clamp(Number(level) || 0, 0, 1);
+        const threshold = this.params.burstThreshold;
+        if (this.burstArmed && this.burstLevel >= threshold) {
+            this.burstArmed = false;
+            this.burst();
+        } else if (!this.burstArmed && this.burstLevel < threshold * 0.8) {
+            // Hysteresis so a level hovering at the threshold does not machine-gun bursts
+            this.burstArmed = true;
+        }
+    }
+
+    /**
+     * Fire the bursts held for the next quantize division
+     */
+    flushBursts() {
+        if (this.pendingBursts > 0) {
+            this.emit(this.params.burstCount * this.pendingBursts);
+            this.pendingBursts = 0;
+        }
+    }
+
+    /**
+     * Emit on division boundaries: beat emission and held bursts
+     * @param {number} dt - Step in seconds
+     */
+    updateBeatEmission(dt) {
+        const bpmTimingManager = this.getBPMTimingManager();
+        const beats = this.getTransportBeats();
+        if (!bpmTimingManager || beats === null) {
+            // No transport, do not hold bursts forever
+            this.flushBursts();
+            return;
+        }
+
+        // An external clock that stopped sending pulses holds the position
+        this.transportStall = beats === this.lastTransportBeats ? this.transportStall + dt : 0;
+        this.lastTransportBeats = beats;
+
+        if (this.emissionMode === 'beat') {
+            const step = Math.floor(beats / bpmTimingManager.getDivisionBeats(this.beatDivision));
+            if (this.lastBeatStep !== null && step !== this.lastBeatStep) {
+                this.emit(this.params.beatCount);
+            }
+            this.lastBeatStep = step;
+        }
+
+        if (this.burstQuantize !== 'off') {
+            const step = Math.floor(beats / bpmTimingManager.getDivisionBeats(this.burstQuantize));
+            if (this.lastBurstStep !== null && step !== this.lastBurstStep) {
+                this.flushBursts();
+            }
+            this.lastBurstStep = step;
+
+            // The division cannot arrive while the transport stands still, do not hold bursts forever
+            if (this.transportStall > bpmTimingManager.getTimeForDivision(this.burstQuantize)) {
+                this.flushBursts();
+            }
+        } else {
+            this.flushBursts();
+        }
+    }
+
+    /**
+     * Age, move and retire the particles
+     * @param {number} dt - Step in seconds
+     */
+    simulate(dt) {
+        const height = this.getViewHeight();
+        const gravity = this.params.gravity * height;
+        const attraction = this.params.attraction;
+        const curl = this.params.curlStrength * height;
+        const frequency = this.params.curlScale / height;
+        const damping = Math.exp(-this.params.drag * dt);
+        const t = this.time;
+        const positions = this.positions;
+        const velocities = this.velocities;
+
+        let i = 0;
+        while (i < this.count) {
+            this.ages[i] += dt;
+            if (this.ages[i] >= this.lives[i]) {
+                this.removeParticle(i);
+                continue;
+            }
+
+            const x = positions[i * 2];
+            const y = positions[i * 2 + 1];
+            let ax = -x * attraction;
+            let ay = gravity - y * attraction;
+
+            if (curl !== 0) {
+                // Curl of a moving sine potential: a swirling field without sources or sinks
+                const px = x * frequency;
+                const py = y * frequency;
+                const a = px + t * 0.5;
+                const b = py * 1.3 - t * 0.3;
+                const c = py * 2.1 + px * 0.7 + t * 0.7;
+                const dPdx = Math.cos(a) * Math.cos(b) + 0.35 * Math.cos(c);
+                const dPdy = -1.3 * Math.sin(a) * Math.sin(b) + 1.05 * Math.cos(c);
+                ax += dPdy * curl;
+                ay -= dPdx * curl;
+            }
+
+            velocities[i * 2] = (velocities[i * 2] + ax * dt) * damping;
+            velocities[i * 2 + 1] = (velocities[i * 2 + 1] + ay * dt) * damping;
+            positions[i * 2] = x + velocities[i * 2] * dt;
+            positions[i * 2 + 1] = y + velocities[i * 2 + 1] * dt;
+            i++;
+        }
+    }
+
+    /**
+     * Remove a particle by moving the last one into its slot
+     * @param {number} i - Particle index
+     */
+    removeParticle(i) {
+        const last = --this.count;
+        if (i === last) return;
+        this.positions[i * 2] = this.positions[last * 2];
+        this.positions[i * 2 + 1] = this.positions[last * 2 + 1];
+        this.velocities[i * 2] = this.velocities[last * 2];
+        this.velocities[i * 2 + 1] = this.velocities[last * 2 + 1];
+        this.ages[i] = this.ages[last];
+        this.lives[i] = this.lives[last];
+    }
+
+    /**
+     * Write positions, colors and sizes over life into the instance attributes
+     */
+    updateInstances() {
+        const height = this.getViewHeight();
+        const positionArray = this.geometry.getAttribute('instancePosition');
+        const colorArray = this.geometry.getAttribute('instanceColor');
+        const sizeArray = this.geometry.getAttribute('instanceSize');
+        const positions = positionArray.array;
+        const colors = colorArray.array;
+        const sizes = sizeArray.array;
+        const start = this.startColor;
+        const end = this.endColor;
+        const startSize = this.params.startSize * height;
+        const endSize = this.params.endSize * height;
+
+        for (let i = 0; i < this.count; i++) {
+            const life = this.ages[i] / this.lives[i];
+            positions[i * 3] = this.positions[i * 2];
+            positions[i * 3 + 1] = this.positions[i * 2 + 1];
+            positions[i * 3 + 2] = 0;
+            colors[i * 4] = start.r + (end.r - start.r) * life;
+            colors[i * 4 + 1] = start.g + (end.g - start.g) * life;
+            colors[i * 4 + 2] = start.b + (end.b - start.b) * life;
+            // Quick fade in, fade out over the last quarter of the life
+            colors[i * 4 + 3] = Math.min(1, life * 20, (1 - life) * 4);
+            sizes[i] = startSize + (endSize - startSize) * life;
+        }
+
+        this.geometry.instanceCount = this.count;
+        positionArray.needsUpdate = true;
+        colorArray.needsUpdate = true;
+        sizeArray.needsUpdate = true;
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        if (!this.geometry) return;
+
+        const dt = THREE.MathUtils.clamp(deltaTime || 0, 0, PARTICLE_CONFIG.maxDelta);
+        this.time += dt;
+
+        if (this.emissionMode === 'continuous') {
+            this.emitCarry += this.params.rate * dt;
+            const amount = Math.floor(this.emitCarry);
+            this.emitCarry -= amount;
+            this.emit(amount);
+        }
+        this.updateBeatEmission(dt);
+
+        this.simulate(dt);
+        this.updateInstances();
+    }
+
+    /**
+     * Remove all particles
+     */
+    clear() {
+        this.count = 0;
+        this.pendingBursts = 0;
+        if (this.geometry) {
+            this.geometry.instanceCount = 0;
+        }
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        if (PARTICLE_PARAMETERS.includes(name)) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return;
+            this.params[name] = number;
+            return;
+        }
+
+        switch (name) {
+            case 'burst':
+                if (value) this.burst();
+                break;
+            case 'burstLevel':
+                this.setBurstLevel(value);
+                break;
+            case 'clear':
+                if (value) this.clear();
+                break;
+            case 'emitterShape':
+                if (PARTICLE_CONFIG.emitterShapes.includes(value)) {
+                    this.emitterShape = value;
+                }
+                break;
+            case 'emissionMode':
+                if (PARTICLE_CONFIG.emissionModes.includes(value)) {
+                    this.emissionMode = value;
+                    this.emitCarry = 0;
+                    this.lastBeatStep = null;
+                }
+                break;
+            case 'beatDivision':
+                if (BEAT_DIVISIONS.includes(value)) {
+                    this.beatDivision = value;
+                    this.lastBeatStep = null;
+                }
+                break;
+            case 'burstQuantize':
+                if (PARTICLE_CONFIG.divisions.includes(value)) {
+                    this.burstQuantize = value;
+                    this.lastBurstStep = null;
+                }
+                break;
+            case 'startColor':
+                this.startColor.set(value);
+                break;
+            case 'endColor':
+                this.endColor.set(value);
+                break;
+        }
+    }
+
+    onGetParameter(name) {
+        if (PARTICLE_PARAMETERS.includes(name)) {
+            return this.params[name];
+        }
+        switch (name) {
+            case 'burstLevel':
+                return this.burstLevel;
+            case 'startColor':
+            case 'endColor':
+                return `#${this[name].getHexString()}`;
+            case 'emitterShape':
+            case 'emissionMode':
+            case 'beatDivision':
+            case 'burstQuantize':
+                return this[name];
+            default:
+                return super.onGetParameter(name);
+        }
+    }
+
+    onGetExposedParameters() {
+        const parameter = (name, label, description, step) => ({
+            type: 'number',
+            label,
+            description,
+            min: PARTICLE_CONFIG[name].min,
+            max: PARTICLE_CONFIG[name].max,
+            step,
+            default: PARTICLE_CONFIG[name].default
+        });
+        const select = (label, description, options, defaultValue) => ({
+            type: 'select',
+            label,
+            description,
+            options,
+            default: defaultValue
+        });
+
+        return {
+            ...super.onGetExposedParameters(),
+            burst: {
+                type: 'trigger',
+                label: 'Burst',
+                description: 'Fire a burst of particles'
+            },
+            clear: {
+                type: 'trigger',
+                label: 'Clear',
+                description: 'Remove all particles'
+            },
+            burstLevel: {
+                type: 'number',
+                label: 'Burst Level',
+                description: 'Map an audio band here, a burst fires each time it rises over the threshold',
+                min: 0,
+                max: 1,
+                step: 0.01,
+                default: 0
+            },
+            burstThreshold: parameter('burstThreshold', 'Burst Threshold', 'Burst level that fires a burst', 0.01),
+            burstCount: parameter('burstCount', 'Burst Count', 'Particles per burst', 1),
+            rate: parameter('rate', 'Rate', 'Particles per second in continuous emission', 1),
+            beatCount: parameter('beatCount', 'Beat Count', 'Particles per division in beat emission', 1),
+            lifetime: parameter('lifetime', 'Lifetime', 'Seconds a particle lives', 0.01),
+            lifetimeVariation: parameter('lifetimeVariation', 'Life Variation', 'Random fraction taken off the lifetime', 0.01),
+            speed: parameter('speed', 'Speed', 'Launch speed in view heights per second', 0.01),
+            spread: parameter('spread', 'Spread', 'Launch angle spread (0 = one direction, 1 = all directions)', 0.01),
+            emitterX: parameter('emitterX', 'Emitter X', 'Emitter center, horizontal', 0.001),
+            emitterY: parameter('emitterY', 'Emitter Y', 'Emitter center, vertical', 0.001),
+            radius: parameter('radius', 'Radius', 'Circle emitter radius as a fraction of the view height', 0.001),
+            gravity: parameter('gravity', 'Gravity', 'Vertical pull (negative falls)', 0.01),
+            curlStrength: parameter('curlStrength', 'Curl', 'Strength of the swirling noise force', 0.01),
+            curlScale: parameter('curlScale', 'Curl Scale', 'Noise swirls per view height', 0.1),
+            attraction: parameter('attraction', 'Attraction', 'Pull towards the view center (negative pushes away)', 0.01),
+            drag: parameter('drag', 'Drag', 'Velocity lost per second', 0.01),
+            startSize: parameter('startSize', 'Start Size', 'Particle size at birth', 0.001),
+            endSize: parameter('endSize', 'End Size', 'Particle size at death', 0.001),
+            emitterShape: select('Emitter', 'Where particles are born', PARTICLE_CONFIG.emitterShapes, PARTICLE_CONFIG.defaultEmitterShape),
+            emissionMode: select('Emission', 'Emit continuously or on every beat division', PARTICLE_CONFIG.emissionModes, PARTICLE_CONFIG.defaultEmissionMode),
+            beatDivision: select('Beat Division', 'Division beat emission fires on', BEAT_DIVISIONS, PARTICLE_CONFIG.defaultBeatDivision),
+            burstQuantize: select('Burst Quantize', 'Hold bursts for the next division (off fires at once)', PARTICLE_CONFIG.divisions, 'off')
+        };
+    }
+
+    updateOpacityState(newOpacity) {
+        if (!this.material) return;
+
+        // Keep blending on, the sprites are soft edged
+        this.material.uniforms.opacity.value = this.getMaterialOpacity();
+        this.material.transparent = true;
+    }
+
+    setZOffset(zOffset) {
+        super.setZOffset(zOffset);
+
+        if (this.mesh) {
+            this.mesh.position.z = zOffset;
+        }
+    }
+
+    onGetConfig() {
+        return {
+            ...this.params,
+            emitterShape: this.emitterShape,
+            emissionMode: this.emissionMode,
+            beatDivision: this.beatDivision,
+            burstQuantize: this.burstQuantize,
+            startColor: `#${this.startColor.getHexString()}`,
+            endColor: `#${this.endColor.getHexString()}`
+        };
+    }
+
+    onSetConfig(config) {
+        PARTICLE_PARAMETERS.forEach(name => {
+            if (config[name] !== undefined) {
+                this.params[name] = Number(config[name]);
+            }
+        });
+        ['emitterShape', 'emissionMode', 'beatDivision', 'burstQuantize', 'startColor', 'endColor'].forEach(name => {
+            if (config[name] !== undefined) {
+                this.onSetParameter(name, config[name]);
+            }
+        });
+    }
+
+    onDispose() {
+        if (this.geometry) {
+            this.geometry.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+        this.geometry = null;
+        this.mesh = null;
+        this.material = null;
+        this.count = 0;
+    }
+}
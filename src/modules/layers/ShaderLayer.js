@@ -2,10 +2,20 @@
  * ShaderLayer.js - GLSL Shader Layer Implementation
  * This layer renders GLSL shaders directly in the Three.js scene using ShaderMaterial.
  * It provides real-time shader compilation, parameter exposure, and emergent behavior support.
+ * Named buffer passes (Shadertoy-style Buffer A-D) render into ping-pong targets before the
+ * image shader; any pass declaring `uniform sampler2D <bufferName>;` reads that buffer, and a
+ * buffer reading itself gets its previous frame, so state carries over between frames.
+ * Other sampler2D uniforms are texture inputs bound through ShaderTextureInputs (image, video,
+ * another layer's output or the audio spectrum).
  */
 
 import { LayerBase } from './LayerBase.js';
+import { ShaderTextureInputs } from '../ShaderTextureInputs.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
 import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+
+const BUFFER_CONFIG = LAYER_CONSTANTS.shaderBuffers;
 
 export class ShaderLayer extends LayerBase {
     constructor(id, config = {}) {
@@ -19,7 +29,19 @@ export class ShaderLayer extends LayerBase {
         // Shader material and mesh
         this.material = null;
         this.mesh = null;
-        this.renderTarget = null;
+        
+        // Buffer passes rendered before the image shader, in order
+        // { name, fragmentShader, scale, iterations, material, targets, readIndex }
+        this.bufferPasses = [];
+        this.bufferQuad = null;
+        this.frame = 0; // Frames since the buffers were reset (frame uniform)
+        this.needsBufferClear = true;
+        this.drawingBufferSize = new THREE.Vector2();
+        this.savedClearColor = new THREE.Color();
+        (config.bufferPasses || []).forEach(definition => this.createBufferPass(definition));
+        
+        // Sources of the sampler2D uniforms that are not buffer passes
+        this.textureInputs = new ShaderTextureInputs(this);
         
         // Shader state
         this.isCompiled = false;
@@ -32,7 +54,7 @@ export class ShaderLayer extends LayerBase {
         // Parameter registry (shader uniforms)
         this.uniforms = new Map(); // name -> { value, type, min, max, step, label, defaultValue }
         this.exposedParameters = {}; // for LayerBase compatibility
-        this.reservedUniforms = new Set(['time', 'resolution', 'opacity']);
+        this.reservedUniforms = new Set(['time', 'resolution', 'opacity', 'frame']);
         
         // Emergent behavior support
         this.emergentType = config.emergentType || 'custom';
@@ -128,9 +150,6 @@ export class ShaderLayer extends LayerBase {
             console.log(`ShaderLayer ${this.id}: Starting initialization...`);
             console.log('Context received:', context);
             
-            // Create render target for off-screen rendering
-            this.createRenderTarget();
-            
             // Create shader material
             await this.createShaderMaterial();
             
@@ -149,7 +168,7 @@ export class ShaderLayer extends LayerBase {
             
             // Set up default uniforms and discover any in default shader
             this.setupDefaultUniforms();
-            this.discoverAndRegisterUniforms(this.fragmentShader);
+            this.discoverAndRegisterUniforms(this.getCombinedShaderCode());
             
             console.log(`ShaderLayer ${this.id}: Initialization completed successfully`);
             
@@ -175,33 +194,6 @@ export class ShaderLayer extends LayerBase {
         }
     }
 
-    /**
-     * Create render target for off-screen rendering
-     */
-    createRenderTarget() {
-        // Debug context structure
-        console.log('ShaderLayer context:', this.context);
-        console.log('Context keys:', Object.keys(this.context || {}));
-        
-        if (!this.context || !this.context.renderer) {
-            console.warn('ShaderLayer: No renderer in context, skipping render target creation');
-            return;
-        }
-        
-        try {
-            const size = new THREE.Vector2();
-            this.context.renderer.getSize(size);
-            
-            this.renderTarget = new THREE.WebGLRenderTarget(size.x, size.y, {
-                format: THREE.RGBAFormat,
-                type: THREE.UnsignedByteType,
-                generateMipmaps: false
-            });
-        } catch (error) {
-            console.warn('ShaderLayer: Failed to create render target:', error);
-        }
-    }
-
     /**
      * Create shader material
      */
@@ -221,7 +213,7 @@ export class ShaderLayer extends LayerBase {
             });
             
             // Set material properties
-            this.material.opacity = this.opacity;
+            this.material.opacity = this.getMaterialOpacity();
             this.material.toneMapped = false; // avoid post tone-mapping dimming the shader
             
             // Apply initial blend mode
@@ -240,12 +232,13 @@ export class ShaderLayer extends LayerBase {
         const uniforms = {
             time: { value: 0.0 },
             resolution: { value: new THREE.Vector2() },
-            opacity: { value: this.opacity }
+            opacity: { value: this.getMaterialOpacity() },
+            frame: { value: 0 }
         };
         
         // Add custom uniforms from registry
         this.uniforms.forEach((param, name) => {
-            uniforms[name] = { value: param.value };
+            uniforms[name] = { value: this.createThreeValueForUniform(name) };
         });
         
         return uniforms;
@@ -373,8 +366,8 @@ export class ShaderLayer extends LayerBase {
             // Validate shader syntax first
             await this.validateShader(fragmentShaderCode);
             
-            // Discover and register uniforms declared in the shader code
-            this.discoverAndRegisterUniforms(fragmentShaderCode);
+            // Discover and register uniforms declared in the shader code (and the buffer passes)
+            this.discoverAndRegisterUniforms(this.getCombinedShaderCode(fragmentShaderCode));
             
             // Test compile the shader by creating a temporary material (disabled for now to avoid WebGL issues)
             // await this.testShaderCompilation(fragmentShaderCode);
@@ -732,6 +725,12 @@ export class ShaderLayer extends LayerBase {
                     target.value = new THREE.Vector2();
                 }
                 target.value.set(v.x, v.y);
+            } else if (param.type === 'color' && param.alpha) {
+                const c = param.value || { r: 0, g: 0, b: 0, a: 1 };
+                if (!(target.value instanceof THREE.Vector4)) {
+                    target.value = new THREE.Vector4();
+                }
+                target.value.set(c.r, c.g, c.b, c.a !== undefined ? c.a : 1);
             } else {
                 target.value = param.value;
             }
@@ -777,20 +776,344 @@ export class ShaderLayer extends LayerBase {
         
         // Update time uniform
         if (this.material.uniforms.time) {
-            this.time = (Date.now() - this.startTime) / 1000.0;
+            // Follow the virtual clock while rendering offline so frames are reproducible
+            const animationLoop = this.context && this.context.app ? this.context.app.animationLoop : null;
+            this.time = animationLoop && animationLoop.isFixedTimestep()
+                ? animationLoop.getFixedTime()
+                : (Date.now() - this.startTime) / 1000.0;
             this.material.uniforms.time.value = this.time;
         }
         
         // Update opacity uniform
         if (this.material.uniforms.opacity) {
-            this.material.uniforms.opacity.value = this.opacity;
+            this.material.uniforms.opacity.value = this.getMaterialOpacity();
         }
         
+        // Bind texture inputs first, buffer passes share the image material's uniforms
+        this.textureInputs.bind(this.material.uniforms);
+        
+        // Advance the simulation buffers, the image shader reads their new state
+        this.renderBufferPasses(renderer);
+        
         // Render shader to scene
         // Note: The mesh is already in the scene, so Three.js will render it automatically
         // We just need to ensure our uniforms are updated
     }
 
+    /**
+     * Get the sampler2D uniforms that take a texture input, with their sources
+     * @returns {Array<{name: string, source: Object, missing: boolean}>} Texture inputs
+     */
+    getTextureInputs() {
+        return this.textureInputs.getInputs();
+    }
+
+    /**
+     * Bind a sampler2D uniform to a texture source
+     * @param {string} name - Sampler name
+     * @param {Object} source - Source config, see ShaderTextureInputs.setSource()
+     */
+    async setTextureInput(name, source) {
+        await this.textureInputs.setSource(name, source);
+        this.emitEvent('textureInputsChanged', { inputs: this.getTextureInputs() });
+    }
+
+    /**
+     * Bind a sampler2D uniform to an image or video file
+     * @param {string} name - Sampler name
+     * @param {File} file - Image or video file
+     */
+    async setTextureInputFromFile(name, file) {
+        await this.textureInputs.setSourceFromFile(name, file);
+        this.emitEvent('textureInputsChanged', { inputs: this.getTextureInputs() });
+    }
+
+    /**
+     * Shader code of the image pass followed by every buffer pass, used for uniform discovery so
+     * the controls cover uniforms declared in any pass
+     * @param {string} imageCode - Image pass code (defaults to the current fragment shader)
+     * @returns {string} Combined code
+     */
+    getCombinedShaderCode(imageCode = this.fragmentShader) {
+        return [imageCode || '', ...this.bufferPasses.map(pass => pass.fragmentShader)].join('\n');
+    }
+
+    /**
+     * Find a buffer pass by name
+     * @param {string} name - Buffer name (e.g. 'bufferA')
+     * @returns {Object|undefined} Buffer pass
+     */
+    getBufferPass(name) {
+        return this.bufferPasses.find(pass => pass.name === name);
+    }
+
+    /**
+     * Get the buffer pass definitions in render order
+     * @returns {Array<{name: string, fragmentShader: string, scale: number, iterations: number}>}
+     */
+    getBufferPasses() {
+        return this.bufferPasses.map(({ name, fragmentShader, scale, iterations }) => ({
+            name,
+            fragmentShader,
+            scale,
+            iterations
+        }));
+    }
+
+    /**
+     * Create a buffer pass with its ping-pong targets. The targets start at 1x1 and are sized
+     * to the drawing buffer on the next render.
+     * @param {Object} definition - { name, fragmentShader, scale, iterations }
+     * @returns {Object} Buffer pass
+     */
+    createBufferPass(definition) {
+        const pass = {
+            name: definition.name,
+            fragmentShader: definition.fragmentShader,
+            scale: THREE.MathUtils.clamp(Number(definition.scale) || BUFFER_CONFIG.defaultScale, BUFFER_CONFIG.minScale, BUFFER_CONFIG.maxScale),
+            iterations: THREE.MathUtils.clamp(Math.round(Number(definition.iterations) || BUFFER_CONFIG.defaultIterations), 1, BUFFER_CONFIG.maxIterations),
+            material: null,
+            targets: [0, 1].map(() => new THREE.WebGLRenderTarget(1, 1, {
+                type: THREE.HalfFloatType,
+                format: THREE.RGBAFormat,
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter,
+                depthBuffer: false
+            })),
+            readIndex: 0
+        };
+        pass.material = this.createBufferMaterial(pass.fragmentShader);
+        this.bufferPasses.push(pass);
+        this.needsBufferClear = true;
+        return pass;
+    }
+
+    /**
+     * Create the material of a buffer pass. Its uniform slots are created for every uniform the
+     * code declares and are pointed at the image material's uniforms before each render, so all
+     * passes share the same parameters, time and buffer textures.
+     * @param {string} fragmentShader - Buffer pass code
+     * @returns {THREE.ShaderMaterial} Buffer material
+     */
+    createBufferMaterial(fragmentShader) {
+        const uniforms = {};
+        const declarationRegex = /uniform\s+(?:(?:lowp|mediump|highp)\s+)?\w+\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*;/g;
+        let match;
+        while ((match = declarationRegex.exec(fragmentShader)) !== null) {
+            uniforms[match[1]] = { value: null };
+        }
+        // Buffers render at their own size
+        uniforms.resolution = { value: new THREE.Vector2(1, 1) };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: this.getDefaultVertexShader(),
+            fragmentShader,
+            blending: THREE.NoBlending,
+            depthTest: false,
+            depthWrite: false
+        });
+        material.toneMapped = false;
+        return material;
+    }
+
+    disposeBufferPass(pass) {
+        pass.material.dispose();
+        pass.targets.forEach(target => target.dispose());
+    }
+
+    /**
+     * Add a buffer pass or replace its code. Buffer passes render before the image shader in the
+     * order they were added; every pass can read the previous frame of any buffer through a
+     * sampler2D uniform named after it.
+     * @param {string} name - Buffer name, one of LAYER_CONSTANTS.shaderBuffers.names
+     * @param {string} fragmentShader - Buffer pass code
+     * @param {Object} options - { scale, iterations }
+     * @returns {Promise<Object>} Buffer pass
+     */
+    async setBufferPass(name, fragmentShader, options = {}) {
+        if (!BUFFER_CONFIG.names.includes(name)) {
+            throw new Error(`Unknown buffer "${name}", expected one of ${BUFFER_CONFIG.names.join(', ')}`);
+        }
+        await this.validateShader(fragmentShader);
+
+        let pass = this.getBufferPass(name);
+        if (!pass) {
+            if (this.bufferPasses.length >= BUFFER_CONFIG.maxPasses) {
+                throw new Error(`A shader layer can have at most ${BUFFER_CONFIG.maxPasses} buffer passes`);
+            }
+            pass = this.createBufferPass({ name, fragmentShader, ...options });
+            console.log(`ShaderLayer ${this.id}: Added buffer pass ${name}`);
+        } else {
+            if (pass.fragmentShader !== fragmentShader) {
+                pass.material.dispose();
+                pass.fragmentShader = fragmentShader;
+                pass.material = this.createBufferMaterial(fragmentShader);
+                this.resetBuffers();
+            }
+            if (options.scale !== undefined) {
+                pass.scale = THREE.MathUtils.clamp(Number(options.scale) || BUFFER_CONFIG.defaultScale, BUFFER_CONFIG.minScale, BUFFER_CONFIG.maxScale);
+            }
+            if (options.iterations !== undefined) {
+                pass.iterations = THREE.MathUtils.clamp(Math.round(Number(options.iterations) || 1), 1, BUFFER_CONFIG.maxIterations);
+            }
+        }
+
+        this.discoverAndRegisterUniforms(this.getCombinedShaderCode());
+        this.updateExposedParameters();
+        this.emitEvent('buffersChanged', { buffers: this.getBufferPasses() });
+        return pass;
+    }
+
+    /**
+     * Remove a buffer pass
+     * @param {string} name - Buffer name
+     * @returns {boolean} True if the pass existed
+     */
+    removeBufferPass(name) {
+        const pass = this.getBufferPass(name);
+        if (!pass) return false;
+
+        this.disposeBufferPass(pass);
+        this.bufferPasses.splice(this.bufferPasses.indexOf(pass), 1);
+        if (this.material && this.material.uniforms[name]) {
+            this.material.uniforms[name].value = null;
+        }
+
+        this.discoverAndRegisterUniforms(this.getCombinedShaderCode());
+        this.updateExposedParameters();
+        this.emitEvent('buffersChanged', { buffers: this.getBufferPasses() });
+        console.log(`ShaderLayer ${this.id}: Removed buffer pass ${name}`);
+        return true;
+    }
+
+    /**
+     * Replace all buffer passes (scene and preset loading). Passes identical to the current ones
+     * are kept so a running simulation is not reset.
+     * @param {Array<Object>} definitions - Buffer pass definitions from getBufferPasses()
+     */
+    setBufferPasses(definitions = []) {
+        const valid = definitions
+            .filter(definition => definition && BUFFER_CONFIG.names.includes(definition.name) && typeof definition.fragmentShader === 'string')
+            .slice(0, BUFFER_CONFIG.maxPasses);
+        if (JSON.stringify(valid.map(definition => this.createBufferDefinitionKey(definition))) ===
+            JSON.stringify(this.bufferPasses.map(pass => this.createBufferDefinitionKey(pass)))) {
+            return;
+        }
+
+        this.bufferPasses.forEach(pass => this.disposeBufferPass(pass));
+        this.bufferPasses = [];
+        valid.forEach(definition => this.createBufferPass(definition));
+        this.resetBuffers();
+
+        this.discoverAndRegisterUniforms(this.getCombinedShaderCode());
+        this.updateExposedParameters();
+        this.emitEvent('buffersChanged', { buffers: this.getBufferPasses() });
+    }
+
+    createBufferDefinitionKey({ name, fragmentShader, scale, iterations }) {
+        return [name, fragmentShader, Number(scale) || BUFFER_CONFIG.defaultScale, Math.round(Number(iterations) || BUFFER_CONFIG.defaultIterations)];
+    }
+
+    /**
+     * Clear all buffers and restart the frame counter, so simulations seed again
+     */
+    resetBuffers() {
+        this.frame = 0;
+        this.needsBufferClear = true;
+    }
+
+    /**
+     * Render the buffer passes for this frame. Each pass reads the previous frame of the
+     * buffers from one target and writes into the other, then the two are swapped.
+     * @param {THREE.WebGLRenderer} renderer - Renderer
+     */
+    renderBufferPasses(renderer) {
+        if (this.material.uniforms.frame) {
+            this.material.uniforms.frame.value = this.frame;
+        }
+        if (this.bufferPasses.length === 0 || !renderer) {
+            this.frame++;
+            return;
+        }
+
+        this.updateBufferSizes(renderer);
+        if (!this.bufferQuad) {
+            this.bufferQuad = new FullScreenQuad(null);
+        }
+
+        const previousTarget = renderer.getRenderTarget();
+        if (this.needsBufferClear) {
+            this.clearBuffers(renderer);
+        }
+
+        const sharedUniforms = this.material.uniforms;
+        this.bufferPasses.forEach(pass => {
+            const uniforms = pass.material.uniforms;
+            Object.keys(uniforms).forEach(name => {
+                if (name !== 'resolution' && sharedUniforms[name]) {
+                    uniforms[name] = sharedUniforms[name];
+                }
+            });
+            uniforms.resolution.value.set(pass.targets[0].width, pass.targets[0].height);
+
+            this.bufferQuad.material = pass.material;
+            for (let iteration = 0; iteration < pass.iterations; iteration++) {
+                this.bindBufferTextures();
+                renderer.setRenderTarget(pass.targets[1 - pass.readIndex]);
+                this.bufferQuad.render(renderer);
+                pass.readIndex = 1 - pass.readIndex;
+            }
+        });
+
+        renderer.setRenderTarget(previousTarget);
+        this.bindBufferTextures();
+        this.frame++;
+    }
+
+    /**
+     * Point each buffer's sampler uniform at the target holding its latest state
+     */
+    bindBufferTextures() {
+        this.bufferPasses.forEach(pass => {
+            const uniform = this.material.uniforms[pass.name];
+            if (uniform) {
+                uniform.value = pass.targets[pass.readIndex].texture;
+            }
+        });
+    }
+
+    /**
+     * Size the buffer targets to the drawing buffer times their scale. Resizing drops the
+     * buffer contents, so the simulation is reset.
+     * @param {THREE.WebGLRenderer} renderer - Renderer
+     */
+    updateBufferSizes(renderer) {
+        renderer.getDrawingBufferSize(this.drawingBufferSize);
+        this.bufferPasses.forEach(pass => {
+            const width = Math.max(1, Math.floor(this.drawingBufferSize.x * pass.scale));
+            const height = Math.max(1, Math.floor(this.drawingBufferSize.y * pass.scale));
+            if (pass.targets[0].width !== width || pass.targets[0].height !== height) {
+                pass.targets.forEach(target => target.setSize(width, height));
+                this.resetBuffers();
+            }
+        });
+    }
+
+    clearBuffers(renderer) {
+        renderer.getClearColor(this.savedClearColor);
+        const clearAlpha = renderer.getClearAlpha();
+        renderer.setClearColor(0x000000, 0);
+        this.bufferPasses.forEach(pass => {
+            pass.targets.forEach(target => {
+                renderer.setRenderTarget(target);
+                renderer.clear(true, false, false);
+            });
+        });
+        renderer.setClearColor(this.savedClearColor, clearAlpha);
+        this.needsBufferClear = false;
+    }
+
     /**
      * Update the shader layer
      */
@@ -868,15 +1191,16 @@ export class ShaderLayer extends LayerBase {
      * @param {number} newOpacity - New opacity value (0.0 to 1.0)
      */
     updateOpacityState(newOpacity) {
+        const materialOpacity = this.getMaterialOpacity();
+        
         // Update shader uniform for opacity
         if (this.material && this.material.uniforms.opacity) {
-            this.material.uniforms.opacity.value = newOpacity;
+            this.material.uniforms.opacity.value = materialOpacity;
         }
         
         // Also update material opacity for proper blending
         if (this.material) {
-            this.material.opacity = newOpacity;
-            this.material.transparent = newOpacity < 1.0;
+            this.material.opacity = materialOpacity;
             this.material.needsUpdate = true;
         }
     }
@@ -905,11 +1229,15 @@ export class ShaderLayer extends LayerBase {
     discoverAndRegisterUniforms(shaderCode) {
         const uniformRegex = /uniform\s+(?:lowp|mediump|highp\s+)?(float|int|bool|vec2|vec3|vec4|sampler2D)\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*;/g;
         const found = new Set();
+        const samplers = [];
         let match;
         while ((match = uniformRegex.exec(shaderCode)) !== null) {
             const type = match[1];
             const name = match[2];
             found.add(name);
+            if (type === 'sampler2D' && !this.getBufferPass(name) && !samplers.includes(name)) {
+                samplers.push(name);
+            }
             if (this.reservedUniforms.has(name)) continue;
             if (!this.uniforms.has(name)) {
                 const paramConfig = this.generateParameterConfig(name, type, shaderCode);
@@ -965,7 +1293,7 @@ export class ShaderLayer extends LayerBase {
                         });
                         break;
                     default:
-                        // Skip samplers for now
+                        // Samplers are bound by buffer passes and texture inputs
                         break;
                 }
             }
@@ -976,6 +1304,8 @@ export class ShaderLayer extends LayerBase {
             }
         }
 
+        this.textureInputs.setSamplerNames(samplers);
+
         // Remove uniforms that are no longer present in shader code (and not reserved)
         const toDelete = [];
         this.uniforms.forEach((_, name) => {
@@ -1015,6 +1345,7 @@ export class ShaderLayer extends LayerBase {
         // Look for inline comments with parameter hints
         const paramHintRegex = new RegExp(`uniform\\s+${type}\\s+${name}\\s*;\\s*//\\s*(.+)`, 'i');
         const hintMatch = shaderCode.match(paramHintRegex);
+        let defaultHint = null;
         if (hintMatch) {
             const hint = hintMatch[1].trim();
             config.description = hint;
@@ -1027,6 +1358,12 @@ export class ShaderLayer extends LayerBase {
                 config.step = (config.max - config.min) / 1000;
                 config.defaultValue = (config.min + config.max) / 2;
             }
+            
+            // Parse default hints like "default 0.5", "default true" or "default 1.0, 0.5, 0.0"
+            const defaultMatch = hint.match(/\bdefault\s*[:=]?\s*(true|false|-?[0-9.]+(?:\s*,\s*-?[0-9.]+)*)/i);
+            if (defaultMatch) {
+                defaultHint = defaultMatch[1];
+            }
         }
         
         // For shader parameters, we generally want to use 0-1 normalized ranges
@@ -1076,6 +1413,22 @@ export class ShaderLayer extends LayerBase {
             config.category = 'color';
         }
         
+        // An explicit default hint wins over the name based defaults
+        if (defaultHint !== null) {
+            const numbers = defaultHint.split(',').map(part => parseFloat(part));
+            if (type === 'bool') {
+                config.defaultValue = defaultHint.toLowerCase() === 'true' || numbers[0] > 0.5;
+            } else if (type === 'vec2' && numbers.length >= 2) {
+                config.defaultValue = { x: numbers[0], y: numbers[1] };
+            } else if (type === 'vec3' && numbers.length >= 3) {
+                config.defaultValue = { r: numbers[0], g: numbers[1], b: numbers[2] };
+            } else if (type === 'vec4' && numbers.length >= 4) {
+                config.defaultValue = { r: numbers[0], g: numbers[1], b: numbers[2], a: numbers[3] };
+            } else if ((type === 'float' || type === 'int') && Number.isFinite(numbers[0])) {
+                config.defaultValue = numbers[0];
+            }
+        }
+        
         return config;
     }
     
@@ -1126,6 +1479,11 @@ export class ShaderLayer extends LayerBase {
         if (meta.type === 'bool') {
             return meta.value || false;
         }
+        if (meta.type === 'color' && meta.alpha) {
+            // vec4 uniforms need a Vector4, three.js reads .x/.y/.z/.w
+            const c = meta.value || { r: 0, g: 0, b: 0, a: 1 };
+            return new THREE.Vector4(c.r, c.g, c.b, c.a !== undefined ? c.a : 1);
+        }
         return meta.value;
     }
 
@@ -1159,6 +1517,8 @@ export class ShaderLayer extends LayerBase {
             sensorDistance: this.sensorDistance,
             targetFPS: this.targetFPS,
             useComputeShaders: this.useComputeShaders,
+            bufferPasses: this.getBufferPasses(),
+            textureInputs: this.textureInputs.getConfig(),
             uniforms: Object.fromEntries(this.uniforms)
         };
     }
@@ -1177,6 +1537,11 @@ export class ShaderLayer extends LayerBase {
         if (config.targetFPS) this.targetFPS = config.targetFPS;
         if (config.useComputeShaders !== undefined) this.useComputeShaders = config.useComputeShaders;
         
+        // Restore buffer passes before compiling so their uniforms are discovered too
+        if (Array.isArray(config.bufferPasses)) {
+            this.setBufferPasses(config.bufferPasses);
+        }
+        
         // Compile shader if provided (this will discover uniforms)
         if (config.fragmentShader && config.fragmentShader !== this.fragmentShader) {
             await this.compileShader(config.fragmentShader);
@@ -1204,11 +1569,16 @@ export class ShaderLayer extends LayerBase {
                     }
                 }
             });
+            this.updateMaterialUniforms();
             
             // Update exposed parameters for UI
             this.updateExposedParameters();
         }
         
+        if (config.textureInputs) {
+            await this.textureInputs.setConfig(config.textureInputs);
+        }
+        
         console.log(`ShaderLayer ${this.id}: Configuration restored with ${Object.keys(config.uniforms || {}).length} uniforms`);
     }
     
@@ -1243,8 +1613,12 @@ export class ShaderLayer extends LayerBase {
             this.material.dispose();
         }
         
-        if (this.renderTarget) {
-            this.renderTarget.dispose();
+        this.bufferPasses.forEach(pass => this.disposeBufferPass(pass));
+        this.bufferPasses = [];
+        this.textureInputs.dispose();
+        if (this.bufferQuad) {
+            this.bufferQuad.dispose();
+            this.bufferQuad = null;
         }
         
         this.uniforms.clear();
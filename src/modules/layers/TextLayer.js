@@ -0,0 +1,602 @@
+/**
+ * TextLayer.js - Text and Typography Layer Implementation
+ * This layer draws a phrase into a canvas texture shown on the layer plane. Phrases come from a
+ * list: a MIDI note on the nextPhrase trigger steps through them and the phrase parameter picks
+ * one directly. Each phrase can appear at once or word by word / character by character on a
+ * musical division of the BPMTimingManager. Characters jitter and grow with the audio level.
+ * Fonts are CSS font families (web fonts included once the page has loaded them) or a font file
+ * that is kept as a data URL so it is saved with the scene.
+ */
+
+import { LayerBase } from './LayerBase.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
+import * as THREE from 'three';
+
+const TEXT_CONFIG = LAYER_CONSTANTS.text;
+
+// Numeric text parameters with their constant ranges
+const TEXT_PARAMETERS = ['fontSize', 'letterSpacing', 'jitter', 'audioScale'];
+
+export class TextLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        this.material = null;
+        this.mesh = null;
+        this.texture = null;
+        this.canvas = null;
+        this.ctx = null;
+
+        this.phrases = Array.isArray(config.phrases) && config.phrases.length > 0
+            ? config.phrases.map(String)
+            : [...TEXT_CONFIG.defaultPhrases];
+        this.phraseIndex = 0;
+
+        this.font = config.font || TEXT_CONFIG.defaultFont;
+        this.fontWeight = TEXT_CONFIG.fontWeights.includes(config.fontWeight) ? config.fontWeight : 'bold';
+        this.color = config.color || TEXT_CONFIG.defaultColor;
+        this.align = TEXT_CONFIG.aligns.includes(config.align) ? config.align : 'center';
+        this.revealMode = TEXT_CONFIG.revealModes.includes(config.revealMode) ? config.revealMode : TEXT_CONFIG.defaultRevealMode;
+        this.revealDivision = TEXT_CONFIG.revealDivisions.includes(config.revealDivision)
+            ? config.revealDivision
+            : TEXT_CONFIG.defaultRevealDivision;
+
+        this.params = {};
+        TEXT_PARAMETERS.forEach(name => {
+            this.params[name] = config[name] !== undefined ? Number(config[name]) : TEXT_CONFIG[name].default;
+        });
+
+        // Uploaded font: { family, name, src } with the file as a data URL
+        this.customFont = null;
+        this.pendingCustomFont = config.customFont || null;
+
+        // Character positions of the current phrase, rebuilt when the text or font changes
+        this.layout = null;
+        this.needsLayout = true;
+        this.needsRedraw = true;
+
+        // Transport beat the current reveal started on, and units shown at the last draw
+        this.revealStartBeats = null;
+        this.drawnUnits = -1;
+        this.lastLevel = 0;
+
+        this.setPhraseIndex(config.phraseIndex !== undefined ? config.phraseIndex : 0);
+    }
+
+    async onInitialize(context) {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.colorSpace = THREE.SRGBColorSpace;
+
+        this.material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            opacity: this.getMaterialOpacity(),
+            depthTest: false,
+            depthWrite: false
+        });
+        this.material.toneMapped = false;
+
+        this.mesh = new THREE.Mesh(this.createGeometry(), this.material);
+        this.applyBlendModeToMaterial();
+        this.resizeCanvas();
+
+        if (this.pendingCustomFont) {
+            const font = this.pendingCustomFont;
+            this.pendingCustomFont = null;
+            try {
+                await this.setCustomFont(font);
+            } catch (error) {
+                console.warn(`TextLayer ${this.id}: Failed to restore the font:`, error.message);
+            }
+        } else {
+            this.loadFont();
+        }
+
+        console.log(`TextLayer ${this.id}: Initialized`);
+    }
+
+    /**
+     * Create a plane covering the camera view
+     * @returns {THREE.PlaneGeometry} Full-view geometry
+     */
+    createGeometry() {
+        const camera = this.context && this.context.camera;
+        if (camera && camera.isOrthographicCamera) {
+            return new THREE.PlaneGeometry(Math.abs(camera.right - camera.left), Math.abs(camera.top - camera.bottom));
+        }
+        return new THREE.PlaneGeometry(2, 2);
+    }
+
+    /**
+     * Size the canvas to the view aspect
+     */
+    resizeCanvas() {
+        if (!this.canvas || !this.mesh) return;
+
+        const { width, height } = this.mesh.geometry.parameters;
+        const canvasHeight = TEXT_CONFIG.canvasHeight;
+        const canvasWidth = Math.max(1, Math.round(canvasHeight * width / height));
+        if (this.canvas.width !== canvasWidth || this.canvas.height !== canvasHeight) {
+            this.canvas.width = canvasWidth;
+            this.canvas.height = canvasHeight;
+            // Canvas textures keep their GPU size, a new texture is needed for the new size
+            this.texture.dispose();
+            this.texture = new THREE.CanvasTexture(this.canvas);
+            this.texture.colorSpace = THREE.SRGBColorSpace;
+            this.material.map = this.texture;
+            this.material.needsUpdate = true;
+        }
+        this.invalidateLayout();
+    }
+
+    invalidateLayout() {
+        this.needsLayout = true;
+        this.needsRedraw = true;
+    }
+
+    /**
+     * CSS font shorthand at a pixel size
+     * @param {number} size - Font size in pixels
+     * @returns {string} Canvas font
+     */
+    getFontString(size) {
+        const family = this.customFont ? `"${this.customFont.family}"` : this.font;
+        return `${this.fontWeight} ${size}px ${family}`;
+    }
+
+    /**
+     * Wait for a web font named by the font family, then redraw with it
+     */
+    loadFont() {
+        if (this.customFont || !document.fonts) return;
+
+        const font = this.font;
+        document.fonts.load(this.getFontString(32)).then(() => {
+            if (this.font === font) {
+                this.invalidateLayout();
+            }
+        }).catch(error => {
+            console.warn(`TextLayer ${this.id}: Font ${font} could not be loaded:`, error.message);
+        });
+    }
+
+    /**
+     * Use a CSS font family (drops an uploaded font)
+     * @param {string} font - Font family, e.g. 'Impact' or a web font loaded by the page
+     */
+    setFont(font) {
+        if (!font) return;
+        this.font = font;
+        this.customFont = null;
+        this.loadFont();
+        this.invalidateLayout();
+    }
+
+    /**
+     * Use a font file
+     * @param {File} file - WOFF, WOFF2, TTF or OTF file
+     */
+    async setFontFile(file) {
+        const src = await this.readDataUrl(file);
+        const name = file.name.replace(/\.[^.]+$/, '');
+        await this.setCustomFont({ name, src });
+    }
+
+    /**
+     * Register an uploaded font with the document and draw with it
+     * @param {Object} font - { name, src } with the font file as a data URL
+     */
+    async setCustomFont(font) {
+        // Prefixed so an upload cannot shadow a font of the page
+        const family = `text-layer-${font.name.replace(/[^a-zA-Z0-9_-]+/g, '-')}`;
+        const face = new FontFace(family, `url(${font.src})`);
+        await face.load();
+        document.fonts.add(face);
+
+        this.customFont = { family, name: font.name, src: font.src };
+        this.invalidateLayout();
+        console.log(`TextLayer ${this.id}: Font ${font.name} loaded`);
+    }
+
+    readDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Name of the font in use
+     * @returns {string} Font family or uploaded font name
+     */
+    getFontName() {
+        if (this.customFont) return this.customFont.name;
+        if (this.pendingCustomFont) return this.pendingCustomFont.name;
+        return this.font;
+    }
+
+    /**
+     * Replace the phrase list
+     * @param {string[]} phrases - Phrases, empty entries are dropped
+     */
+    setPhrases(phrases) {
+        const list = phrases.map(phrase => String(phrase).trim()).filter(phrase => phrase.length > 0);
+        this.phrases = list.length > 0 ? list : [''];
+        this.setPhraseIndex(Math.min(this.phraseIndex, this.phrases.length - 1));
+    }
+
+    /**
+     * Show a phrase and start its reveal
+     * @param {number} index - Phrase index (wraps around the list)
+     */
+    setPhraseIndex(index) {
+        const count = this.phrases.length;
+        const rounded = Math.round(Number(index)) || 0;
+        this.phraseIndex = ((rounded % count) + count) % count;
+        this.revealStartBeats = null;
+        this.invalidateLayout();
+    }
+
+    nextPhrase() {
+        this.setPhraseIndex(this.phraseIndex + 1);
+    }
+
+    getCurrentPhrase() {
+        return this.phrases[this.phraseIndex] || '';
+    }
+
+    /**
+     * Lay out the characters of the current phrase, wrapping lines at the maximum width
+     */
+    updateLayout() {
+        const ctx = this.ctx;
+        const size = this.params.fontSize * this.canvas.height;
+        const spacing = this.params.letterSpacing * size;
+        ctx.font = this.getFontString(size);
+
+        const measure = (text) => Array.from(text).reduce((width, char) => width + ctx.measureText(char).width + spacing, 0);
+        const maxWidth = this.canvas.width * TEXT_CONFIG.maxWidth;
+
+        // Greedy wrap; words keep their index so the reveal can count them
+        const words = this.getCurrentPhrase().split(/\s+/).filter(word => word.length > 0);
+        const spaceWidth = ctx.measureText(' ').width + spacing;
+        const lines = [];
+        let line = { words: [], width: 0 };
+        words.forEach((word, wordIndex) => {
+            const width = measure(word);
+            if (line.words.length > 0 && line.width + spaceWidth + width > maxWidth) {
+                lines.push(line);
+                line = { words: [], width: 0 };
+            }
+            line.width += (line.words.length > 0 ? spaceWidth : 0) + width;
+            line.words.push({ text: word, index: wordIndex });
+        });
+        if (line.words.length > 0) lines.push(line);
+
+        const lineHeight = size * TEXT_CONFIG.lineHeight;
+        const margin = (this.canvas.width - maxWidth) / 2;
+        let y = this.canvas.height / 2 - (lines.length - 1) * lineHeight / 2;
+        const chars = [];
+        lines.forEach(current => {
+            let x = margin;
+            if (this.align === 'center') x = (this.canvas.width - current.width) / 2;
+            if (this.align === 'right') x = this.canvas.width - margin - current.width;
+
+            current.words.forEach((word, position) => {
+                if (position > 0) x += spaceWidth;
+                Array.from(word.text).forEach(char => {
+                    const width = ctx.measureText(char).width;
+                    chars.push({ char, x: x + width / 2, y, word: word.index, weight: Math.random() });
+                    x += width + spacing;
+                });
+            });
+            y += lineHeight;
+        });
+
+        this.layout = { size, chars, wordCount: words.length };
+        this.needsLayout = false;
+    }
+
+    /**
+     * Number of words or characters revealed so far
+     * @returns {number} Revealed units (Infinity when the whole phrase shows)
+     */
+    getRevealedUnits() {
+        if (this.revealMode === 'all') return Infinity;
+
+        const bpmTimingManager = this.getBPMTimingManager();
+        const beats = this.getTransportBeats();
+        if (!bpmTimingManager || beats === null) return Infinity;
+
+        const divisionBeats = bpmTimingManager.getDivisionBeats(this.revealDivision);
+        if (this.revealStartBeats === null || beats < this.revealStartBeats) {
+            // Start on the current division so words land on the beat grid
+            this.revealStartBeats = Math.floor(beats / divisionBeats) * divisionBeats;
+        }
+        return Math.floor((beats - this.revealStartBeats) / divisionBeats) + 1;
+    }
+
+    /**
+     * Current audio level for the character animation
+     * @returns {number} Level (0-1)
+     */
+    getAudioLevel() {
+        const app = this.context && this.context.app;
+        if (!app || !app.audioManager) return 0;
+        return THREE.MathUtils.clamp(app.audioManager.getVolume() || 0, 0, 1);
+    }
+
+    /**
+     * Draw the revealed characters, jittered and scaled by the audio level
+     * @param {number} units - Revealed words or characters
+     * @param {number} level - Audio level (0-1)
+     */
+    draw(units, level) {
+        const ctx = this.ctx;
+        const { size, chars } = this.layout;
+        const jitter = this.params.jitter * level * size;
+        const scaleAmount = this.params.audioScale * level;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = this.getFontString(size);
+        ctx.fillStyle = this.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        chars.forEach((item, index) => {
+            const shown = this.revealMode === 'word' ? item.word < units : index < units;
+            if (!shown) return;
+
+            const x = item.x + (jitter > 0 ? (Math.random() * 2 - 1) * jitter : 0);
+            const y = item.y + (jitter > 0 ? (Math.random() * 2 - 1) * jitter : 0);
+            const scale = 1 + scaleAmount * (0.5 + item.weight * 0.5);
+            if (scale !== 1) {
+                ctx.save();
+                ctx.translate(x, y);
+                ctx.scale(scale, scale);
+                ctx.fillText(item.char, 0, 0);
+                ctx.restore();
+            } else {
+                ctx.fillText(item.char, x, y);
+            }
+        });
+
+        this.texture.needsUpdate = true;
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        if (!this.ctx) return;
+
+        if (this.needsLayout) {
+            this.updateLayout();
+        }
+
+        // Only redraw when the reveal advances or the audio animation is on
+        const units = this.getRevealedUnits();
+        const animated = this.params.jitter > 0 || this.params.audioScale > 0;
+        const level = animated ? this.getAudioLevel() : 0;
+        if (this.needsRedraw || units !== this.drawnUnits || level > 0 || this.lastLevel > 0) {
+            this.draw(units, level);
+            this.drawnUnits = units;
+            this.lastLevel = level;
+            this.needsRedraw = false;
+        }
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        if (TEXT_PARAMETERS.includes(name)) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return;
+            this.params[name] = number;
+            if (name === 'fontSize' || name === 'letterSpacing') {
+                this.invalidateLayout();
+            }
+            return;
+        }
+
+        switch (name) {
+            case 'phrase':
+                this.setPhraseIndex(value);
+                break;
+            case 'nextPhrase':
+                if (value) this.nextPhrase();
+                break;
+            case 'restartReveal':
+                if (value) {
+                    this.revealStartBeats = null;
+                    this.needsRedraw = true;
+                }
+                break;
+            case 'font':
+                this.setFont(value);
+                break;
+            case 'fontWeight':
+                if (TEXT_CONFIG.fontWeights.includes(value)) {
+                    this.fontWeight = value;
+                    this.invalidateLayout();
+                }
+                break;
+            case 'color':
+                this.color = value;
+                this.needsRedraw = true;
+                break;
+            case 'align':
+                if (TEXT_CONFIG.aligns.includes(value)) {
+                    this.align = value;
+                    this.invalidateLayout();
+                }
+                break;
+            case 'revealMode':
+                if (TEXT_CONFIG.revealModes.includes(value)) {
+                    this.revealMode = value;
+                    this.revealStartBeats = null;
+                    this.needsRedraw = true;
+                }
+                break;
+            case 'revealDivision':
+                if (TEXT_CONFIG.revealDivisions.includes(value)) {
+                    this.revealDivision = value;
+                    this.revealStartBeats = null;
+                }
+                break;
+        }
+    }
+
+    onGetParameter(name) {
+        if (TEXT_PARAMETERS.includes(name)) {
+            return this.params[name];
+        }
+        switch (name) {
+            case 'phrase':
+                return this.phraseIndex;
+            case 'font':
+            case 'fontWeight':
+            case 'color':
+            case 'align':
+            case 'revealMode':
+            case 'revealDivision':
+                return this[name];
+            default:
+                return super.onGetParameter(name);
+        }
+    }
+
+    onGetExposedParameters() {
+        const parameter = (name, label, description, step) => ({
+            type: 'number',
+            label,
+            description,
+            min: TEXT_CONFIG[name].min,
+            max: TEXT_CONFIG[name].max,
+            step,
+            default: TEXT_CONFIG[name].default
+        });
+        const select = (label, description, options, defaultValue) => ({
+            type: 'select',
+            label,
+            description,
+            options,
+            default: defaultValue
+        });
+
+        return {
+            ...super.onGetExposedParameters(),
+            nextPhrase: {
+                type: 'trigger',
+                label: 'Next Phrase',
+                description: 'Show the next phrase of the list'
+            },
+            restartReveal: {
+                type: 'trigger',
+                label: 'Restart Reveal',
+                description: 'Reveal the current phrase again from its first word'
+            },
+            phrase: {
+                type: 'number',
+                label: 'Phrase',
+                description: 'Index of the phrase shown',
+                min: 0,
+                max: Math.max(0, this.phrases.length - 1),
+                step: 1,
+                default: 0
+            },
+            fontSize: parameter('fontSize', 'Font Size', 'Text height as a fraction of the view', 0.001),
+            letterSpacing: parameter('letterSpacing', 'Spacing', 'Extra space between characters', 0.001),
+            jitter: parameter('jitter', 'Jitter', 'Character shake at full audio level', 0.001),
+            audioScale: parameter('audioScale', 'Audio Scale', 'Character growth at full audio level', 0.01),
+            fontWeight: select('Weight', 'Font weight', TEXT_CONFIG.fontWeights, 'bold'),
+            align: select('Align', 'Line alignment', TEXT_CONFIG.aligns, 'center'),
+            revealMode: select('Reveal', 'Show the phrase at once, word by word or character by character', TEXT_CONFIG.revealModes, TEXT_CONFIG.defaultRevealMode),
+            revealDivision: select('Reveal Step', 'Division each word or character appears on', TEXT_CONFIG.revealDivisions, TEXT_CONFIG.defaultRevealDivision)
+        };
+    }
+
+    updateOpacityState(newOpacity) {
+        if (!this.material) return;
+
+        // Keep blending on, the canvas is transparent around the text
+        this.material.opacity = this.getMaterialOpacity();
+        this.material.transparent = true;
+    }
+
+    onWindowResize() {
+        if (!this.mesh) return;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = this.createGeometry();
+        this.resizeCanvas();
+    }
+
+    setZOffset(zOffset) {
+        super.setZOffset(zOffset);
+
+        if (this.mesh) {
+            this.mesh.position.z = zOffset;
+        }
+    }
+
+    onGetConfig() {
+        const customFont = this.customFont || this.pendingCustomFont;
+        return {
+            ...this.params,
+            phrases: [...this.phrases],
+            phraseIndex: this.phraseIndex,
+            font: this.font,
+            customFont: customFont ? { name: customFont.name, src: customFont.src } : null,
+            fontWeight: this.fontWeight,
+            color: this.color,
+            align: this.align,
+            revealMode: this.revealMode,
+            revealDivision: this.revealDivision
+        };
+    }
+
+    onSetConfig(config) {
+        if (Array.isArray(config.phrases)) {
+            this.setPhrases(config.phrases);
+        }
+        TEXT_PARAMETERS.forEach(name => {
+            if (config[name] !== undefined) {
+                this.params[name] = Number(config[name]);
+            }
+        });
+        ['fontWeight', 'color', 'align', 'revealMode', 'revealDivision'].forEach(name => {
+            if (config[name] !== undefined) {
+                this.onSetParameter(name, config[name]);
+            }
+        });
+        if (config.phraseIndex !== undefined) {
+            this.setPhraseIndex(config.phraseIndex);
+        }
+        if (config.customFont) {
+            this.setCustomFont(config.customFont).catch(error => {
+                console.warn(`TextLayer ${this.id}: Failed to restore the font:`, error.message);
+            });
+        } else if (config.font !== undefined) {
+            this.setFont(config.font);
+        }
+        this.invalidateLayout();
+    }
+
+    onDispose() {
+        if (this.texture) {
+            this.texture.dispose();
+        }
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+        this.texture = null;
+        this.mesh = null;
+        this.material = null;
+        this.canvas = null;
+        this.ctx = null;
+    }
+}
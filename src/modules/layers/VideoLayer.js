@@ -0,0 +1,573 @@
+/**
+ * VideoLayer.js - Video Layer Implementation
+ * This layer plays a local video file or a webcam stream as a THREE.VideoTexture on the layer
+ * plane. Files play between the loop in and out points at the playback speed and can be scrubbed,
+ * or restarted from the loop in point on every musical division of the BPMTimingManager (following
+ * the external MIDI clock when it is active). The fit mode decides how the clip fills the view.
+ * Small files are kept as data URLs so the clip is saved with the scene.
+ */
+
+import { LayerBase } from './LayerBase.js';
+import { LAYER_CONSTANTS } from '../../config/index.js';
+import * as THREE from 'three';
+
+const VIDEO_CONFIG = LAYER_CONSTANTS.video;
+
+// Numeric video parameters with their constant ranges
+const VIDEO_PARAMETERS = ['speed', 'loopIn', 'loopOut'];
+
+export class VideoLayer extends LayerBase {
+    constructor(id, config = {}) {
+        super(id, config);
+
+        this.material = null;
+        this.mesh = null;
+        this.texture = null;
+        this.video = null;
+
+        // { type: 'file', name, src, objectUrl } or { type: 'webcam', deviceId }
+        this.source = null;
+        this.stream = null;
+
+        // Latest source request, so a slow load cannot override a newer choice
+        this.sourceRequest = 0;
+
+        this.params = {};
+        VIDEO_PARAMETERS.forEach(name => {
+            this.params[name] = config[name] !== undefined ? Number(config[name]) : VIDEO_CONFIG[name].default;
+        });
+        this.fitMode = VIDEO_CONFIG.fitModes.includes(config.fitMode) ? config.fitMode : VIDEO_CONFIG.defaultFitMode;
+        this.retrigger = VIDEO_CONFIG.retriggerDivisions.includes(config.retrigger) ? config.retrigger : VIDEO_CONFIG.defaultRetrigger;
+        this.playing = config.playing !== undefined ? !!config.playing : true;
+
+        // Index of the last division the clip was restarted on
+        this.lastRetriggerIndex = null;
+
+        // Video size the fit was last computed for
+        this.fittedWidth = 0;
+        this.fittedHeight = 0;
+
+        // Source from a saved scene, loaded once the layer is initialized
+        this.pendingSource = config.source || null;
+    }
+
+    async onInitialize(context) {
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: this.getMaterialOpacity(),
+            depthTest: false,
+            depthWrite: false,
+            visible: false
+        });
+        this.material.toneMapped = false;
+
+        this.mesh = new THREE.Mesh(this.createGeometry(), this.material);
+        this.applyBlendModeToMaterial();
+
+        // Do not hold up scene loading while a clip decodes or the camera permission is asked
+        if (this.pendingSource) {
+            const source = this.pendingSource;
+            this.setSource(source).catch(error => {
+                console.warn(`VideoLayer ${this.id}: Failed to restore the video source:`, error.message);
+            }).finally(() => {
+                if (this.pendingSource === source) {
+                    this.pendingSource = null;
+                }
+            });
+        }
+
+        console.log(`VideoLayer ${this.id}: Initialized`);
+    }
+
+    /**
+     * Create a plane covering the camera view
+     * @returns {THREE.PlaneGeometry} Full-view geometry
+     */
+    createGeometry() {
+        const camera = this.context && this.context.camera;
+        if (camera && camera.isOrthographicCamera) {
+            return new THREE.PlaneGeometry(Math.abs(camera.right - camera.left), Math.abs(camera.top - camera.bottom));
+        }
+        return new THREE.PlaneGeometry(2, 2);
+    }
+
+    /**
+     * Play a video file
+     * @param {File} file - Video file
+     */
+    async setVideoFile(file) {
+        if (!file.type.startsWith('video/')) {
+            throw new Error(`${file.name} is not a video file`);
+        }
+
+        // Large videos only play for this session, a data URL would bloat the scene file
+        if (file.size <= VIDEO_CONFIG.maxEmbeddedBytes) {
+            await this.setSource({ type: 'file', name: file.name, src: await this.readDataUrl(file) });
+        } else {
+            console.warn(`VideoLayer ${this.id}: ${file.name} is too large to save with the scene`);
+            await this.setSource({ type: 'file', name: file.name, src: null, objectUrl: URL.createObjectURL(file) });
+        }
+    }
+
+    /**
+     * Show a webcam stream
+     * @param {string|null} deviceId - Camera device ID, or null for the default camera
+     */
+    async setWebcam(deviceId = null) {
+        await this.setSource({ type: 'webcam', deviceId });
+    }
+
+    /**
+     * Switch to a file or webcam source (null clears the layer)
+     * @param {Object|null} source - Video source
+     */
+    async setSource(source) {
+        const request = ++this.sourceRequest;
+
+        let video = null;
+        let stream = null;
+        if (source && source.type === 'webcam') {
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                throw new Error('Camera access is not available in this browser');
+            }
+            const constraints = source.deviceId ? { deviceId: { exact: source.deviceId } } : true;
+            stream = await navigator.mediaDevices.getUserMedia({ video: constraints, audio: false });
+            video = await this.createVideo(stream);
+        } else if (source && (source.src || source.objectUrl)) {
+            video = await this.createVideo(source.src || source.objectUrl);
+        }
+
+        if (request !== this.sourceRequest) {
+            this.releaseMedia(video, stream, source);
+            return;
+        }
+
+        this.releaseMedia(this.video, this.stream, this.source);
+        if (this.texture) {
+            this.texture.dispose();
+        }
+
+        this.source = source;
+        this.pendingSource = null;
+        this.video = video;
+        this.stream = stream;
+        this.texture = video ? new THREE.VideoTexture(video) : null;
+        if (this.texture) {
+            this.texture.colorSpace = THREE.SRGBColorSpace;
+        }
+        this.lastRetriggerIndex = null;
+
+        if (this.material) {
+            this.material.map = this.texture;
+            this.material.visible = !!this.texture;
+            this.material.needsUpdate = true;
+        }
+        this.applyPlayback();
+        this.updateFit();
+
+        console.log(`VideoLayer ${this.id}: Source set to ${source ? source.type : 'none'}`);
+    }
+
+    readDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Create a muted video element and wait until its first frame is available
+     * @param {string|MediaStream} media - Video URL or camera stream
+     * @returns {Promise<HTMLVideoElement>} Video element
+     */
+    createVideo(media) {
+        const video = document.createElement('video');
+        // Loop points are handled per frame, native looping would skip the loop in point
+        video.loop = false;
+        video.muted = true;
+        video.playsInline = true;
+        if (typeof media === 'string') {
+            video.crossOrigin = 'anonymous';
+            video.src = media;
+        } else {
+            video.srcObject = media;
+        }
+
+        return new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', () => resolve(video), { once: true });
+            video.addEventListener('error', () => reject(new Error('Failed to load the video')), { once: true });
+        });
+    }
+
+    releaseMedia(video, stream, source) {
+        if (video) {
+            video.pause();
+            video.removeAttribute('src');
+            video.srcObject = null;
+            video.load();
+        }
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        if (source && source.objectUrl) {
+            URL.revokeObjectURL(source.objectUrl);
+        }
+    }
+
+    /**
+     * Describe the current source for the UI
+     * @returns {{type: string, name: string, missing: boolean}} Source info
+     */
+    getSourceInfo() {
+        const source = this.source || this.pendingSource;
+        if (!source) {
+            return { type: 'none', name: '', missing: false };
+        }
+        if (source.type === 'webcam') {
+            return { type: 'webcam', name: 'Webcam', missing: !this.video };
+        }
+        return { type: 'file', name: source.name || '', missing: !this.video };
+    }
+
+    /**
+     * Check whether the source is a clip with a timeline (webcams have none)
+     * @returns {boolean} True for a loaded video file
+     */
+    isSeekable() {
+        return !!this.video && !this.stream && Number.isFinite(this.video.duration) && this.video.duration > 0;
+    }
+
+    /**
+     * Loop in and out points in seconds
+     * @returns {{start: number, end: number}} Loop range
+     */
+    getLoopRange() {
+        const duration = this.video.duration;
+        const loopIn = THREE.MathUtils.clamp(Math.min(this.params.loopIn, this.params.loopOut), 0, 1);
+        const loopOut = THREE.MathUtils.clamp(Math.max(this.params.loopIn, this.params.loopOut), 0, 1);
+        return {
+            start: loopIn * duration,
+            end: Math.max(loopIn + VIDEO_CONFIG.minLoopLength, loopOut) * duration
+        };
+    }
+
+    /**
+     * Apply the speed and play state to the video element
+     */
+    applyPlayback() {
+        if (!this.video) return;
+
+        if (!this.stream) {
+            this.video.playbackRate = THREE.MathUtils.clamp(this.params.speed, VIDEO_CONFIG.speed.min, VIDEO_CONFIG.speed.max);
+        }
+        if (this.playing) {
+            this.video.play().catch(error => {
+                console.warn(`VideoLayer ${this.id}: Video playback was blocked:`, error.message);
+            });
+        } else {
+            this.video.pause();
+        }
+    }
+
+    /**
+     * Jump to a position of the clip
+     * @param {number} position - Position as a fraction of the duration (0-1)
+     */
+    seek(position) {
+        if (!this.isSeekable()) return;
+        this.video.currentTime = THREE.MathUtils.clamp(position, 0, 1) * this.video.duration;
+    }
+
+    /**
+     * Restart the clip from the loop in point
+     */
+    restart() {
+        if (!this.isSeekable()) return;
+        this.video.currentTime = this.getLoopRange().start;
+        if (this.playing && this.video.paused) {
+            this.applyPlayback();
+        }
+    }
+
+    /**
+     * Transport position in seconds, following the same clock as the animations
+     * @returns {number|null} Transport time, or null without a timing source
+     */
+    getTransportTime() {
+        const app = this.context && this.context.app;
+        const clockManager = app ? app.midiClockManager : null;
+        if (!clockManager) return null;
+
+        if (clockManager.isExternalClockActive()) {
+            return clockManager.getClockTimeInSeconds();
+        }
+
+        // The internal beat clock runs every frame, also with the shape animations off
+        const beats = this.getTransportBeats();
+        const bpmTimingManager = this.getBPMTimingManager();
+        return beats !== null && bpmTimingManager ? beats * 60 / bpmTimingManager.getBPM() : null;
+    }
+
+    /**
+     * Restart the clip when the transport enters a new division
+     */
+    updateRetrigger() {
+        if (this.retrigger === 'off') return;
+
+        const bpmTimingManager = this.getBPMTimingManager();
+        const time = this.getTransportTime();
+        if (!bpmTimingManager || time === null) return;
+
+        const divisionTime = bpmTimingManager.getTimeForDivision(this.retrigger);
+        if (!(divisionTime > 0)) return;
+
+        const index = Math.floor(time / divisionTime);
+        if (index !== this.lastRetriggerIndex) {
+            // The first division after a change only sets the phase, it does not jump
+            if (this.lastRetriggerIndex !== null) {
+                this.restart();
+            }
+            this.lastRetriggerIndex = index;
+        }
+    }
+
+    /**
+     * Jump back to the loop in point when playback reaches the loop out point. Scrubbing may
+     * leave the loop, playback then continues from there until it reaches the out point.
+     */
+    updateLoop() {
+        if (!this.playing || !this.isSeekable()) return;
+
+        if (this.video.currentTime >= this.getLoopRange().end || this.video.ended) {
+            this.restart();
+        }
+    }
+
+    /**
+     * Size the plane or the texture window so the clip fills the view in the fit mode
+     */
+    updateFit() {
+        if (!this.mesh) return;
+
+        this.mesh.scale.set(1, 1, 1);
+        if (!this.texture || !this.video || !this.video.videoWidth || !this.video.videoHeight) return;
+
+        this.texture.repeat.set(1, 1);
+        this.texture.offset.set(0, 0);
+
+        const { width, height } = this.mesh.geometry.parameters;
+        const viewAspect = width / height;
+        const videoAspect = this.video.videoWidth / this.video.videoHeight;
+
+        if (this.fitMode === 'contain') {
+            // Shrink the plane, the rest of the view stays transparent
+            this.mesh.scale.set(Math.min(1, videoAspect / viewAspect), Math.min(1, viewAspect / videoAspect), 1);
+        } else if (this.fitMode === 'cover') {
+            // Show the centered part of the clip that has the view aspect
+            if (videoAspect > viewAspect) {
+                this.texture.repeat.x = viewAspect / videoAspect;
+            } else {
+                this.texture.repeat.y = videoAspect / viewAspect;
+            }
+            this.texture.offset.set((1 - this.texture.repeat.x) / 2, (1 - this.texture.repeat.y) / 2);
+        }
+    }
+
+    onRender2D(renderer, camera, deltaTime) {
+        if (!this.video) return;
+
+        this.updateRetrigger();
+        this.updateLoop();
+
+        // The video size is known once metadata arrives and changes when a camera rotates
+        if (this.video.videoWidth !== this.fittedWidth || this.video.videoHeight !== this.fittedHeight) {
+            this.fittedWidth = this.video.videoWidth;
+            this.fittedHeight = this.video.videoHeight;
+            this.updateFit();
+        }
+    }
+
+    /**
+     * Set the fit mode
+     * @param {string} fitMode - 'contain', 'cover' or 'stretch'
+     */
+    setFitMode(fitMode) {
+        if (!VIDEO_CONFIG.fitModes.includes(fitMode)) return;
+        this.fitMode = fitMode;
+        this.updateFit();
+    }
+
+    /**
+     * Set the division the clip restarts on
+     * @param {string} division - Division name, or 'off'
+     */
+    setRetrigger(division) {
+        if (!VIDEO_CONFIG.retriggerDivisions.includes(division)) return;
+        this.retrigger = division;
+        this.lastRetriggerIndex = null;
+    }
+
+    onSetParameter(name, value) {
+        super.onSetParameter(name, value);
+
+        if (VIDEO_PARAMETERS.includes(name)) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return;
+            this.params[name] = number;
+            if (name === 'speed') {
+                this.applyPlayback();
+            }
+        } else if (name === 'position') {
+            const number = Number(value);
+            if (Number.isFinite(number)) {
+                this.seek(number);
+            }
+        } else if (name === 'playing') {
+            this.playing = !!value;
+            this.applyPlayback();
+        } else if (name === 'fitMode') {
+            this.setFitMode(value);
+        } else if (name === 'retrigger') {
+            this.setRetrigger(value);
+        }
+    }
+
+    onGetParameter(name) {
+        if (VIDEO_PARAMETERS.includes(name)) {
+            return this.params[name];
+        }
+        switch (name) {
+            case 'position':
+                return this.isSeekable() ? this.video.currentTime / this.video.duration : 0;
+            case 'playing':
+                return this.playing;
+            case 'fitMode':
+                return this.fitMode;
+            case 'retrigger':
+                return this.retrigger;
+            default:
+                return super.onGetParameter(name);
+        }
+    }
+
+    onGetExposedParameters() {
+        const parameter = (name, label, description, step) => ({
+            type: 'number',
+            label,
+            description,
+            min: VIDEO_CONFIG[name].min,
+            max: VIDEO_CONFIG[name].max,
+            step,
+            default: VIDEO_CONFIG[name].default
+        });
+
+        return {
+            ...super.onGetExposedParameters(),
+            playing: {
+                type: 'boolean',
+                label: 'Playing',
+                description: 'Play or pause the clip',
+                default: true
+            },
+            speed: parameter('speed', 'Speed', 'Playback rate of the clip', 0.01),
+            loopIn: parameter('loopIn', 'Loop In', 'Start of the loop as a fraction of the clip', 0.001),
+            loopOut: parameter('loopOut', 'Loop Out', 'End of the loop as a fraction of the clip', 0.001),
+            position: parameter('position', 'Position', 'Scrub to a position of the clip', 0.001),
+            fitMode: {
+                type: 'select',
+                label: 'Fit',
+                description: 'How the clip fills the view',
+                options: VIDEO_CONFIG.fitModes,
+                default: VIDEO_CONFIG.defaultFitMode
+            },
+            retrigger: {
+                type: 'select',
+                label: 'Retrigger',
+                description: 'Restart the clip from the loop in point on every division',
+                options: VIDEO_CONFIG.retriggerDivisions,
+                default: VIDEO_CONFIG.defaultRetrigger
+            }
+        };
+    }
+
+    updateOpacityState(newOpacity) {
+        if (!this.material) return;
+
+        // Keep blending on so transparent areas of the contain fit stay see-through
+        this.material.opacity = this.getMaterialOpacity();
+        this.material.transparent = true;
+    }
+
+    onWindowResize() {
+        if (!this.mesh) return;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = this.createGeometry();
+        this.updateFit();
+    }
+
+    setZOffset(zOffset) {
+        super.setZOffset(zOffset);
+
+        if (this.mesh) {
+            this.mesh.position.z = zOffset;
+        }
+    }
+
+    onGetConfig() {
+        const config = {
+            ...this.params,
+            fitMode: this.fitMode,
+            retrigger: this.retrigger,
+            playing: this.playing
+        };
+
+        const source = this.source || this.pendingSource;
+        if (source && source.type === 'webcam') {
+            config.source = { type: 'webcam', deviceId: source.deviceId || null };
+        } else if (source) {
+            // Session-only files are saved by name so the UI can ask for them again
+            config.source = { type: 'file', name: source.name, src: source.src || null };
+        }
+        return config;
+    }
+
+    onSetConfig(config) {
+        VIDEO_PARAMETERS.forEach(name => {
+            if (config[name] !== undefined) {
+                this.params[name] = Number(config[name]);
+            }
+        });
+        if (config.fitMode !== undefined) {
+            this.setFitMode(config.fitMode);
+        }
+        if (config.retrigger !== undefined) {
+            this.setRetrigger(config.retrigger);
+        }
+        if (config.playing !== undefined) {
+            this.playing = !!config.playing;
+        }
+        this.applyPlayback();
+    }
+
+    onDispose() {
+        this.sourceRequest++;
+        this.releaseMedia(this.video, this.stream, this.source);
+        if (this.texture) {
+            this.texture.dispose();
+        }
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+        this.video = null;
+        this.stream = null;
+        this.texture = null;
+        this.mesh = null;
+        this.material = null;
+    }
+}
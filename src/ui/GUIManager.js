@@ -8,7 +8,7 @@
  */
 
 import { GUI } from 'dat.gui';
-import { GUI_CONTROL_CONFIGS, ConfigHelpers } from '../config/index.js';
+import { GUI_CONTROL_CONFIGS, ConfigHelpers, EXPORT_CONSTANTS, OUTPUT_CONSTANTS } from '../config/index.js';
 
 export class GUIManager {
     constructor(state, app) {
@@ -84,6 +84,14 @@ export class GUIManager {
             try { this.setupLightingControls(); console.log('Lighting controls OK'); } catch (e) { console.error('Lighting controls failed:', e); }
             try { this.setupCameraControls(); console.log('Camera controls OK'); } catch (e) { console.error('Camera controls failed:', e); }
             try { this.setupLayerControls(); console.log('Layer controls OK'); } catch (e) { console.error('Layer controls failed:', e); }
+            try { this.setupRenderResolutionControls(); console.log('Render resolution controls OK'); } catch (e) { console.error('Render resolution controls failed:', e); }
+            try { this.setupExportControls(); console.log('Export controls OK'); } catch (e) { console.error('Export controls failed:', e); }
+            
+            // Setup projection mapping GUI controls
+            try { this.setupProjectionMappingControls(); console.log('Projection mapping controls OK'); } catch (e) { console.error('Projection mapping controls failed:', e); }
+            
+            // Setup output slicing controls
+            try { this.setupOutputSlicingControls(); console.log('Output slicing controls OK'); } catch (e) { console.error('Output slicing controls failed:', e); }
             
             // Setup grid lines GUI controls
             try { this.setupGridLinesControls(); console.log('Grid lines controls OK'); } catch (e) { console.error('Grid lines controls failed:', e); }
@@ -619,7 +627,9 @@ export class GUIManager {
             cullingRatio: '0%',
             fps: 0,
             pooledGeometries: 0,
-            pooledMeshes: 0
+            pooledMeshes: 0,
+            outputPasses: 0,
+            outputStageTime: '0.00 ms'
         };
         
         // Update metrics every second
@@ -632,6 +642,8 @@ export class GUIManager {
                 metrics.cullingRatio = (sceneMetrics.cullingRatio * 100).toFixed(1) + '%';
                 metrics.pooledGeometries = sceneMetrics.poolStats?.totalGeometries || 0;
                 metrics.pooledMeshes = sceneMetrics.poolStats?.totalMeshes || 0;
+                metrics.outputPasses = sceneMetrics.outputPasses || 0;
+                metrics.outputStageTime = (sceneMetrics.outputStageTime || 0).toFixed(2) + ' ms';
                 
                 if (this.app.animationLoop) {
                     const fps = this.app.animationLoop.getFPS();
@@ -648,6 +660,8 @@ export class GUIManager {
         performanceFolder.add(metrics, 'fps').name('FPS').listen();
         performanceFolder.add(metrics, 'pooledGeometries').name('Pooled Geometries').listen();
         performanceFolder.add(metrics, 'pooledMeshes').name('Pooled Meshes').listen();
+        performanceFolder.add(metrics, 'outputPasses').name('Output Passes').listen();
+        performanceFolder.add(metrics, 'outputStageTime').name('Output Stage').listen();
         
         // Add optimization toggles
         performanceFolder.add({ enableFrustumCulling: true }, 'enableFrustumCulling')
@@ -1324,6 +1338,349 @@ export class GUIManager {
         }
     }
     
+    setupRenderResolutionControls() {
+        const resolutionConfig = OUTPUT_CONSTANTS.resolution;
+        const resolutionFolder = this.mainGui.addFolder('Render Resolution');
+        const presetNames = ['Window', ...Object.keys(resolutionConfig.presets), 'Custom'];
+        
+        // Name of the preset matching a render resolution setting
+        const getPresetName = setting => {
+            if (!setting || setting.mode !== 'fixed') return 'Window';
+            const match = Object.entries(resolutionConfig.presets)
+                .find(([, [width, height]]) => width === setting.width && height === setting.height);
+            return match ? match[0] : 'Custom';
+        };
+        
+        const current = this.state.get('renderResolution') || {};
+        const resolutionSettings = {
+            preset: getPresetName(current),
+            width: current.width || resolutionConfig.presets['HD 16:9'][0],
+            height: current.height || resolutionConfig.presets['HD 16:9'][1],
+            fit: current.fit || resolutionConfig.fits[0]
+        };
+        
+        const applySetting = (mode) => {
+            this.state.set('renderResolution', {
+                mode,
+                width: resolutionSettings.width,
+                height: resolutionSettings.height,
+                fit: resolutionSettings.fit
+            });
+        };
+        
+        const controllers = [
+            resolutionFolder.add(resolutionSettings, 'preset', presetNames).name('Preset').onChange(value => {
+                if (value === 'Window') {
+                    applySetting('window');
+                    return;
+                }
+                if (resolutionConfig.presets[value]) {
+                    [resolutionSettings.width, resolutionSettings.height] = resolutionConfig.presets[value];
+                }
+                applySetting('fixed');
+            }),
+            resolutionFolder.add(resolutionSettings, 'width', resolutionConfig.minSize, resolutionConfig.maxSize, 1).name('Width').onFinishChange(() => {
+                applySetting('fixed');
+            }),
+            resolutionFolder.add(resolutionSettings, 'height', resolutionConfig.minSize, resolutionConfig.maxSize, 1).name('Height').onFinishChange(() => {
+                applySetting('fixed');
+            }),
+            resolutionFolder.add(resolutionSettings, 'fit', resolutionConfig.fits).name('Fit in Window').onChange(() => {
+                const setting = this.state.get('renderResolution');
+                applySetting(setting ? setting.mode : 'window');
+            })
+        ];
+        
+        // Reflect scene loads
+        this.state.subscribe('renderResolution', setting => {
+            if (!setting) return;
+            resolutionSettings.preset = getPresetName(setting);
+            resolutionSettings.width = setting.width;
+            resolutionSettings.height = setting.height;
+            resolutionSettings.fit = setting.fit;
+            controllers.forEach(controller => controller.updateDisplay());
+        });
+    }
+    
+    setupExportControls() {
+        const exportFolder = this.mainGui.addFolder('Export');
+        const offlineConfig = EXPORT_CONSTANTS.offline;
+        
+        // Offline PNG sequence rendering
+        const sequenceFolder = exportFolder.addFolder('PNG Sequence (Offline)');
+        const sequenceSettings = {
+            width: offlineConfig.width,
+            height: offlineConfig.height,
+            fps: offlineConfig.fps,
+            bars: offlineConfig.bars,
+            bpm: this.app.midiClockManager ? Math.round(this.app.midiClockManager.getBPM()) : 120,
+            seed: offlineConfig.seed,
+            output: offlineConfig.outputOptions[0],
+            status: 'Idle'
+        };
+        
+        const sizeControllers = [
+            sequenceFolder.add(sequenceSettings, 'width', 16, offlineConfig.maxDimension, 1).name('Width'),
+            sequenceFolder.add(sequenceSettings, 'height', 16, offlineConfig.maxDimension, 1).name('Height')
+        ];
+        
+        // Scenes with a fixed render resolution render at that format by default
+        const useRenderResolution = () => {
+            const fixedResolution = this.app.scene ? this.app.scene.getFixedRenderResolution() : null;
+            if (!fixedResolution) return;
+            sequenceSettings.width = fixedResolution.width;
+            sequenceSettings.height = fixedResolution.height;
+            sizeControllers.forEach(controller => controller.updateDisplay());
+        };
+        useRenderResolution();
+        this.state.subscribe('renderResolution', useRenderResolution);
+        sequenceFolder.add(sequenceSettings, 'fps', offlineConfig.fpsOptions).name('FPS');
+        sequenceFolder.add(sequenceSettings, 'bars', 1, 64, 1).name('Bars');
+        sequenceFolder.add(sequenceSettings, 'bpm', 1, 300, 1).name('BPM');
+        sequenceFolder.add(sequenceSettings, 'seed', 0, 99999, 1).name('Random Seed');
+        sequenceFolder.add(sequenceSettings, 'output', offlineConfig.outputOptions).name('Output');
+        sequenceFolder.add(sequenceSettings, 'status').name('Status').listen();
+        
+        const renderSequence = async () => {
+            const offlineRenderer = this.app.offlineRenderer;
+            if (!offlineRenderer || offlineRenderer.isRendering) return;
+            
+            try {
+                const result = await offlineRenderer.render({
+                    ...sequenceSettings,
+                    fps: Number(sequenceSettings.fps),
+                    onProgress: ({ frame, frameCount }) => {
+                        sequenceSettings.status = `Frame ${frame}/${frameCount}`;
+                    }
+                });
+                sequenceSettings.status = result.cancelled
+                    ? `Cancelled (${result.framesWritten} frames)`
+                    : `Done (${result.framesWritten} frames)`;
+            } catch (error) {
+                console.error('Offline render failed:', error);
+                sequenceSettings.status = 'Failed';
+                alert(`Offline render failed: ${error.message}`);
+            }
+        };
+        
+        const cancelSequence = () => {
+            if (this.app.offlineRenderer) {
+                this.app.offlineRenderer.cancel();
+            }
+        };
+        
+        sequenceFolder.add({ renderSequence }, 'renderSequence').name('Render PNG Sequence');
+        sequenceFolder.add({ cancelSequence }, 'cancelSequence').name('Cancel Render');
+        
+        // High-resolution still image
+        const stillConfig = EXPORT_CONSTANTS.still;
+        const stillFolder = exportFolder.addFolder('Still Image');
+        const stillSettings = { scale: stillConfig.defaultScale };
+        
+        stillFolder.add(stillSettings, 'scale', stillConfig.minScale, stillConfig.maxScale, 1).name('Size (x Window)');
+        
+        const exportStill = async () => {
+            if (!this.app.stillExporter) return;
+            try {
+                const result = await this.app.stillExporter.exportStill(stillSettings.scale);
+                if (result.postProcessingSkipped) {
+                    alert(`The ${result.width}x${result.height} still was rendered in tiles and exported without post-processing effects. Choose a smaller size to keep them.`);
+                }
+            } catch (error) {
+                console.error('Still export failed:', error);
+                alert(`Still export failed: ${error.message}`);
+            }
+        };
+        
+        stillFolder.add({ exportStill }, 'exportStill').name('Export Still');
+        
+        // Vector export of the grid
+        const svgFolder = exportFolder.addFolder('SVG (Vector)');
+        const svgSettings = {
+            includeGridLines: !!this.state.get('showGrid'),
+            includeBackground: true
+        };
+        
+        svgFolder.add(svgSettings, 'includeGridLines').name('Grid Lines');
+        svgFolder.add(svgSettings, 'includeBackground').name('Background');
+        
+        const exportSVG = () => {
+            if (!this.app.svgExporter) return;
+            try {
+                this.app.svgExporter.exportSVG(svgSettings);
+            } catch (error) {
+                console.error('SVG export failed:', error);
+                alert(`SVG export failed: ${error.message}`);
+            }
+        };
+        
+        svgFolder.add({ exportSVG }, 'exportSVG').name('Export SVG');
+    }
+
+    setupProjectionMappingControls() {
+        const projectionMapper = this.app.projectionMapper;
+        if (!projectionMapper) return;
+        
+        const mappingConfig = OUTPUT_CONSTANTS.projectionMapping;
+        const mappingFolder = this.mainGui.addFolder('Projection Mapping');
+        const mappingSettings = {
+            enabled: projectionMapper.config.enabled,
+            editMode: projectionMapper.editMode,
+            meshWarp: projectionMapper.config.meshWarp.enabled,
+            meshColumns: projectionMapper.config.meshWarp.columns,
+            meshRows: projectionMapper.config.meshWarp.rows,
+            venueName: 'Venue'
+        };
+        
+        const controllers = [
+            mappingFolder.add(mappingSettings, 'enabled').name('Enable Mapping').onChange(value => {
+                projectionMapper.setEnabled(value);
+            }),
+            mappingFolder.add(mappingSettings, 'editMode').name('Edit Handles').onChange(value => {
+                projectionMapper.setEditMode(value);
+            }),
+            mappingFolder.add(mappingSettings, 'meshWarp').name('Mesh Warp').onChange(value => {
+                projectionMapper.setMeshWarpEnabled(value);
+            }),
+            mappingFolder.add(mappingSettings, 'meshColumns', mappingConfig.minMeshSize, mappingConfig.maxMeshSize, 1).name('Mesh Columns').onFinishChange(value => {
+                projectionMapper.setMeshSize(value, mappingSettings.meshRows);
+            }),
+            mappingFolder.add(mappingSettings, 'meshRows', mappingConfig.minMeshSize, mappingConfig.maxMeshSize, 1).name('Mesh Rows').onFinishChange(value => {
+                projectionMapper.setMeshSize(mappingSettings.meshColumns, value);
+            })
+        ];
+        
+        mappingFolder.add({ resetCorners: () => projectionMapper.resetCorners() }, 'resetCorners').name('Reset Corners');
+        mappingFolder.add({ resetMesh: () => projectionMapper.resetMesh() }, 'resetMesh').name('Reset Mesh');
+        
+        // Venue profiles keep the calibration separate from scenes
+        const venueFolder = mappingFolder.addFolder('Venue Profile');
+        venueFolder.add(mappingSettings, 'venueName').name('Venue Name');
+        venueFolder.add({
+            saveVenue: () => this.app.venueProfileManager.saveProfile(mappingSettings.venueName)
+        }, 'saveVenue').name('Save Venue Profile');
+        venueFolder.add({
+            loadVenue: () => this.app.venueProfileManager.loadProfile()
+        }, 'loadVenue').name('Load Venue Profile');
+        
+        // Reflect changes from scene loads, venue profiles and the edit handles
+        projectionMapper.addListener(mapper => {
+            mappingSettings.enabled = mapper.config.enabled;
+            mappingSettings.editMode = mapper.editMode;
+            mappingSettings.meshWarp = mapper.config.meshWarp.enabled;
+            mappingSettings.meshColumns = mapper.config.meshWarp.columns;
+            mappingSettings.meshRows = mapper.config.meshWarp.rows;
+            controllers.forEach(controller => controller.updateDisplay());
+        });
+    }
+
+    setupOutputSlicingControls() {
+        const outputSlicer = this.app.outputSlicer;
+        if (!outputSlicer) return;
+        
+        const slicingConfig = OUTPUT_CONSTANTS.slicing;
+        const slicingFolder = this.mainGui.addFolder('Output Slicing');
+        const slicingSettings = {
+            enabled: outputSlicer.enabled,
+            layout: outputSlicer.activeLayoutName,
+            direction: outputSlicer.layout.direction,
+            arrangement: outputSlicer.layout.arrangement,
+            sliceCount: outputSlicer.layout.slices.length,
+            blendCurve: outputSlicer.layout.blendCurve,
+            overlap: outputSlicer.layout.slices[0].overlap,
+            gamma: outputSlicer.layout.slices[0].gamma,
+            layoutName: 'Layout 2'
+        };
+        
+        const controllers = [
+            slicingFolder.add(slicingSettings, 'enabled').name('Enable Slicing').onChange(value => {
+                outputSlicer.setEnabled(value);
+            }),
+            slicingFolder.add(slicingSettings, 'direction', ['horizontal', 'vertical']).name('Direction').onChange(value => {
+                outputSlicer.setDirection(value);
+            }),
+            slicingFolder.add(slicingSettings, 'arrangement', ['matching', 'stacked']).name('Arrangement').onChange(value => {
+                outputSlicer.setArrangement(value);
+            }),
+            slicingFolder.add(slicingSettings, 'sliceCount', 1, slicingConfig.maxSlices, 1).name('Slices').onFinishChange(value => {
+                outputSlicer.setSliceCount(value);
+            }),
+            slicingFolder.add(slicingSettings, 'blendCurve', slicingConfig.minBlendCurve, slicingConfig.maxBlendCurve, 0.1).name('Blend Curve').onChange(value => {
+                outputSlicer.setBlendCurve(value);
+            }),
+            // Apply to every slice, the per-slice folders fine tune
+            slicingFolder.add(slicingSettings, 'overlap', 0, slicingConfig.maxOverlap, 0.01).name('Overlap (All)').onChange(value => {
+                outputSlicer.setSliceOverlap(-1, value);
+            }),
+            slicingFolder.add(slicingSettings, 'gamma', slicingConfig.minGamma, slicingConfig.maxGamma, 0.05).name('Gamma (All)').onChange(value => {
+                outputSlicer.setSliceGamma(-1, value);
+            })
+        ];
+        
+        // Layouts are saved with venue profiles
+        const layoutFolder = slicingFolder.addFolder('Layouts');
+        const bindLayoutController = controller => controller.name('Layout').onChange(value => outputSlicer.selectLayout(value));
+        let layoutNames = outputSlicer.getLayoutNames().join('\n');
+        let layoutController = bindLayoutController(layoutFolder.add(slicingSettings, 'layout', outputSlicer.getLayoutNames()));
+        layoutFolder.add(slicingSettings, 'layoutName').name('New Layout Name');
+        layoutFolder.add({
+            saveLayout: () => outputSlicer.saveLayoutAs(slicingSettings.layoutName)
+        }, 'saveLayout').name('Save Layout As');
+        layoutFolder.add({
+            deleteLayout: () => outputSlicer.deleteLayout(outputSlicer.activeLayoutName)
+        }, 'deleteLayout').name('Delete Layout');
+        
+        // One folder per slice, rebuilt when the slice count changes
+        let sliceFolders = [];
+        const buildSliceFolders = () => {
+            sliceFolders.forEach(folder => slicingFolder.removeFolder(folder));
+            sliceFolders = outputSlicer.layout.slices.map((slice, index) => {
+                const folder = slicingFolder.addFolder(`Slice ${index + 1}`);
+                if (index < outputSlicer.layout.slices.length - 1) {
+                    folder.add(slice, 'overlap', 0, slicingConfig.maxOverlap, 0.01).name('Overlap Next').onChange(value => {
+                        outputSlicer.setSliceOverlap(index, value);
+                    });
+                }
+                folder.add(slice, 'gamma', slicingConfig.minGamma, slicingConfig.maxGamma, 0.05).name('Gamma').onChange(value => {
+                    outputSlicer.setSliceGamma(index, value);
+                });
+                return folder;
+            });
+        };
+        buildSliceFolders();
+        
+        // Reflect changes from venue profiles and layout switches
+        let shownLayout = null;
+        outputSlicer.addListener(slicer => {
+            const layout = slicer.layout;
+            slicingSettings.enabled = slicer.enabled;
+            slicingSettings.direction = layout.direction;
+            slicingSettings.arrangement = layout.arrangement;
+            slicingSettings.sliceCount = layout.slices.length;
+            slicingSettings.blendCurve = layout.blendCurve;
+            controllers.forEach(controller => controller.updateDisplay());
+            
+            // The dropdown is replaced in place to pick up added and removed layouts
+            slicingSettings.layout = slicer.activeLayoutName;
+            const names = slicer.getLayoutNames();
+            if (names.join('\n') !== layoutNames) {
+                layoutNames = names.join('\n');
+                layoutController = bindLayoutController(layoutController.options(names));
+            } else {
+                layoutController.updateDisplay();
+            }
+            
+            const sliceCount = sliceFolders.length;
+            if (layout !== shownLayout || layout.slices.length !== sliceCount) {
+                shownLayout = layout;
+                buildSliceFolders();
+            } else {
+                sliceFolders.forEach(folder => folder.__controllers.forEach(controller => controller.updateDisplay()));
+            }
+        });
+        shownLayout = outputSlicer.layout;
+    }
+
     setupGridLinesControls() {
         const gridLinesFolder = this.gridLinesGui.addFolder('Grid Lines');
         
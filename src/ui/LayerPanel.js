@@ -4,7 +4,9 @@
  * It displays layer information, controls, and allows layer manipulation.
  */
 
-import { getBlendModeOptions, THREE_BLEND_MAPPING } from '../config/BlendModeConstants.js';
+import { getBlendModeOptions, THREE_BLEND_MAPPING, BLEND_MODE_SHADER_IDS } from '../config/BlendModeConstants.js';
+import { TextureInputSelector } from './TextureInputSelector.js';
+import { LAYER_CONSTANTS } from '../config/index.js';
 
 export class LayerPanel {
     constructor(app) {
@@ -35,6 +37,20 @@ export class LayerPanel {
                 return '⚡';
             case 'GridLayer':
                 return '📐';
+            case 'FeedbackLayer':
+                return '🌀';
+            case 'VideoLayer':
+                return '🎬';
+            case 'ImageLayer':
+                return '🖼️';
+            case 'TextLayer':
+                return '🔤';
+            case 'ParticleLayer':
+                return '✨';
+            case 'ModelLayer':
+                return '🧊';
+            case 'GroupLayer':
+                return '🗂️';
             default:
                 return '🔷';
         }
@@ -53,6 +69,20 @@ export class LayerPanel {
                 return 'GLSL Shader';
             case 'GridLayer':
                 return 'Grid System';
+            case 'FeedbackLayer':
+                return 'Feedback';
+            case 'VideoLayer':
+                return 'Video';
+            case 'ImageLayer':
+                return 'Image';
+            case 'TextLayer':
+                return 'Text';
+            case 'ParticleLayer':
+                return 'Particles';
+            case 'ModelLayer':
+                return '3D Model';
+            case 'GroupLayer':
+                return 'Group';
             default:
                 return layerType;
         }
@@ -132,11 +162,14 @@ export class LayerPanel {
     }
 
     /**
-     * Check if a blend mode is supported by Three.js
+     * Check if a blend mode is supported by Three.js or the layer compositor
      * @param {string} blendMode - Blend mode to check
      * @returns {boolean} True if supported
      */
     isBlendModeSupported(blendMode) {
+        if (this.app.layerManager && this.app.layerManager.compositor) {
+            return BLEND_MODE_SHADER_IDS.hasOwnProperty(blendMode);
+        }
         return THREE_BLEND_MAPPING.hasOwnProperty(blendMode);
     }
 
@@ -184,16 +217,13 @@ export class LayerPanel {
 
         // Get all layers
         const layers = this.app.layerManager.getAllLayers();
-        const layerOrder = this.app.layerManager.getLayerOrder();
-
-        // Create layer items
-        layerOrder.forEach(layerId => {
-            const layer = layers.get(layerId);
-            if (layer) {
-                const layerItem = this.createLayerItem(layer);
-                this.layerList.appendChild(layerItem);
-            }
-        });
+
+        // Create layer items, group children indented below their group
+        this.appendLayerItems(this.app.layerManager.getTopLevelLayers(), 0);
+
+        // Groups can always be added, any number of them
+        const addGroupButton = this.createAddGroupButton();
+        this.layerList.appendChild(addGroupButton);
         
         // P5 layer creation temporarily hidden - functionality preserved in code
         // if (!layers.has('p5')) {
@@ -207,19 +237,71 @@ export class LayerPanel {
             this.layerList.appendChild(addShaderButton);
         }
 
+        // Add button to create feedback layer if none exists
+        if (!layers.has('feedback')) {
+            const addFeedbackButton = this.createAddFeedbackButton();
+            this.layerList.appendChild(addFeedbackButton);
+        }
+
+        // Add button to create video layer if none exists
+        if (!layers.has('video')) {
+            const addVideoButton = this.createAddVideoButton();
+            this.layerList.appendChild(addVideoButton);
+        }
+
+        // Add button to create image layer if none exists
+        if (!layers.has('image')) {
+            const addImageButton = this.createAddImageButton();
+            this.layerList.appendChild(addImageButton);
+        }
+
+        // Add button to create text layer if none exists
+        if (!layers.has('text')) {
+            const addTextButton = this.createAddTextButton();
+            this.layerList.appendChild(addTextButton);
+        }
+
+        // Add button to create particle layer if none exists
+        if (!layers.has('particles')) {
+            const addParticleButton = this.createAddParticleButton();
+            this.layerList.appendChild(addParticleButton);
+        }
+
+        // Add button to create model layer if none exists
+        if (!layers.has('model')) {
+            const addModelButton = this.createAddModelButton();
+            this.layerList.appendChild(addModelButton);
+        }
+
         // Update performance info
         this.updatePerformanceInfo();
     }
 
+    /**
+     * Add items for layers and, below expanded groups, their children
+     * @param {LayerBase[]} layers - Layers in layer order
+     * @param {number} depth - Group nesting depth
+     */
+    appendLayerItems(layers, depth) {
+        layers.forEach(layer => {
+            this.layerList.appendChild(this.createLayerItem(layer, depth));
+            if (layer.isGroup && !layer.collapsed) {
+                this.appendLayerItems(layer.getChildLayers(), depth + 1);
+            }
+        });
+    }
+
     /**
      * Create a layer item element
      * @param {LayerBase} layer - Layer instance
+     * @param {number} depth - Group nesting depth, indents the item
      * @returns {HTMLElement} Layer item element
      */
-    createLayerItem(layer) {
+    createLayerItem(layer, depth = 0) {
         const item = document.createElement('div');
         item.className = 'layer-item';
         item.style.cssText = `
+            margin-left: ${depth * 16}px;
             margin-bottom: 8px;
             padding: 8px;
             background: rgba(255, 255, 255, 0.1);
@@ -556,11 +638,65 @@ export class LayerPanel {
             item.appendChild(shaderControls);
         }
         
+        // Add feedback-specific controls
+        if (layer.constructor.name === 'FeedbackLayer') {
+            const feedbackControls = this.createFeedbackControls(layer);
+            item.appendChild(feedbackControls);
+        }
+        
+        // Add video-specific controls
+        if (layer.constructor.name === 'VideoLayer') {
+            const videoControls = this.createVideoControls(layer);
+            item.appendChild(videoControls);
+        }
+        
+        // Add image-specific controls
+        if (layer.constructor.name === 'ImageLayer') {
+            const imageControls = this.createImageControls(layer);
+            item.appendChild(imageControls);
+        }
+        
+        // Add text-specific controls
+        if (layer.constructor.name === 'TextLayer') {
+            const textControls = this.createTextControls(layer);
+            item.appendChild(textControls);
+        }
+        
+        // Add particle-specific controls
+        if (layer.constructor.name === 'ParticleLayer') {
+            const particleControls = this.createParticleControls(layer);
+            item.appendChild(particleControls);
+        }
+        
+        // Add model-specific controls
+        if (layer.constructor.name === 'ModelLayer') {
+            const modelControls = this.createModelControls(layer);
+            item.appendChild(modelControls);
+        }
+        
         // Add grid-specific controls
         if (layer.constructor.name === 'GridLayer') {
             const gridControls = this.createGridControls(layer);
             item.appendChild(gridControls);
         }
+        
+        // Add group-specific controls
+        if (layer.constructor.name === 'GroupLayer') {
+            const groupControls = this.createGroupControls(layer);
+            item.appendChild(groupControls);
+        }
+        
+        // Masks are applied by the compositor
+        if (this.app.layerManager.compositor) {
+            const maskControls = this.createMaskControls(layer);
+            item.appendChild(maskControls);
+        }
+        
+        // Move the layer into or out of a group once groups exist
+        const groupSelect = this.createGroupMembershipSelect(layer);
+        if (groupSelect) {
+            item.appendChild(groupSelect);
+        }
 
         return item;
     }
@@ -673,324 +809,1692 @@ export class LayerPanel {
     }
 
     /**
-     * Create P5-specific controls
-     * @param {P5TextureLayer} layer - P5 layer instance
-     * @returns {HTMLElement} P5 controls element
+     * Create button to add feedback layer
+     * @returns {HTMLElement} Add feedback button element
      */
-    createP5Controls(layer) {
-        const controls = document.createElement('div');
-        controls.style.cssText = `
-            margin-top: 10px;
-            padding-top: 10px;
-            border-top: 1px solid rgba(255, 255, 255, 0.2);
+    createAddFeedbackButton() {
+        const button = document.createElement('button');
+        button.className = 'add-feedback-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(170, 80, 255, 0.2);
+            border: 2px dashed rgba(170, 80, 255, 0.5);
+            border-radius: 8px;
+            color: #b366ff;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
         `;
+        button.innerHTML = '🌀 + Add Feedback Layer';
+        
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(170, 80, 255, 0.3)';
+            button.style.borderColor = 'rgba(170, 80, 255, 0.8)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(170, 80, 255, 0.2)';
+            button.style.borderColor = 'rgba(170, 80, 255, 0.5)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
+                
+                await this.app.addFeedbackLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add feedback layer:', error);
+                alert('Failed to add feedback layer. Check console for details.');
+            }
+        };
+        
+        return button;
+    }
 
-        // Sketch status
-        const status = document.createElement('div');
-        status.style.cssText = `
-            font-size: 10px;
-            margin-bottom: 5px;
+    /**
+     * Create button to add video layer
+     * @returns {HTMLElement} Add video button element
+     */
+    createAddVideoButton() {
+        const button = document.createElement('button');
+        button.className = 'add-video-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(255, 140, 60, 0.2);
+            border: 2px dashed rgba(255, 140, 60, 0.5);
+            border-radius: 8px;
+            color: #ff9a4d;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
         `;
+        button.innerHTML = '🎬 + Add Video Layer';
         
-        if (layer.hasSketchError()) {
-            status.innerHTML = `<span style="color: #ff6b6b;">❌ Error: ${layer.getLastError()}</span>`;
-        } else if (layer.isSketchRunning()) {
-            status.innerHTML = `<span style="color: #51cf66;">✅ Running</span>`;
-        } else {
-            status.innerHTML = `<span style="color: #ffd43b;">⏸️ Stopped</span>`;
-        }
-        controls.appendChild(status);
-
-        // Parameters list
-        const params = layer.getAllParameters();
-        if (Object.keys(params).length > 0) {
-            const paramsList = document.createElement('div');
-            paramsList.style.cssText = `
-                margin-top: 5px;
-                font-size: 10px;
-            `;
-            
-            const paramsTitle = document.createElement('div');
-            paramsTitle.textContent = 'P5 Parameters:';
-            paramsTitle.style.cssText = `
-                font-weight: bold;
-                margin-bottom: 5px;
-                color: #00aaff;
-            `;
-            paramsList.appendChild(paramsTitle);
-            
-            Object.entries(params).forEach(([name, param]) => {
-                const paramRow = document.createElement('div');
-                paramRow.style.cssText = `
-                    display: flex;
-                    justify-content: between;
-                    align-items: center;
-                    margin-bottom: 3px;
-                    padding: 2px 5px;
-                    background: rgba(255, 255, 255, 0.05);
-                    border-radius: 3px;
-                `;
-                
-                const paramInfo = document.createElement('span');
-                paramInfo.textContent = `${param.label}: ${param.value.toFixed(2)}`;
-                paramInfo.style.flex = '1';
-                
-                const midiTarget = document.createElement('span');
-                midiTarget.textContent = `p5:${name}`;
-                midiTarget.style.cssText = `
-                    font-family: monospace;
-                    font-size: 9px;
-                    color: #888;
-                `;
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(255, 140, 60, 0.3)';
+            button.style.borderColor = 'rgba(255, 140, 60, 0.8)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(255, 140, 60, 0.2)';
+            button.style.borderColor = 'rgba(255, 140, 60, 0.5)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
                 
-                paramRow.appendChild(paramInfo);
-                paramRow.appendChild(midiTarget);
-                paramsList.appendChild(paramRow);
-            });
-            
-            controls.appendChild(paramsList);
-        }
+                await this.app.addVideoLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add video layer:', error);
+                alert('Failed to add video layer. Check console for details.');
+            }
+        };
+        
+        return button;
+    }
 
-        // Code editor button
-        const editButton = document.createElement('button');
-        editButton.textContent = 'Edit Sketch';
-        editButton.style.cssText = `
-            margin-top: 5px;
-            padding: 5px 10px;
-            background: rgba(0, 150, 255, 0.3);
-            border: 1px solid rgba(0, 150, 255, 0.5);
-            border-radius: 4px;
-            color: white;
-            font-size: 10px;
+    /**
+     * Create button to add image layer
+     * @returns {HTMLElement} Add image button element
+     */
+    createAddImageButton() {
+        const button = document.createElement('button');
+        button.className = 'add-image-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(60, 200, 140, 0.2);
+            border: 2px dashed rgba(60, 200, 140, 0.5);
+            border-radius: 8px;
+            color: #4dd9a0;
+            font-size: 14px;
+            font-weight: bold;
             cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
         `;
+        button.innerHTML = '🖼️ + Add Image Layer';
         
-        editButton.onclick = () => {
-            this.openP5Editor(layer);
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(60, 200, 140, 0.3)';
+            button.style.borderColor = 'rgba(60, 200, 140, 0.8)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(60, 200, 140, 0.2)';
+            button.style.borderColor = 'rgba(60, 200, 140, 0.5)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
+                
+                await this.app.addImageLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add image layer:', error);
+                alert('Failed to add image layer. Check console for details.');
+            }
         };
         
-        controls.appendChild(editButton);
-
-        return controls;
+        return button;
     }
 
     /**
-     * Create compact P5-specific controls
-     * @param {P5TextureLayer} layer - P5 layer instance
-     * @returns {HTMLElement} Compact P5 controls element
+     * Create button to add text layer
+     * @returns {HTMLElement} Add text button element
      */
-    createCompactP5Controls(layer) {
-        const controls = document.createElement('div');
-        controls.style.cssText = `
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            margin-top: 6px;
-            padding-top: 6px;
-            border-top: 1px solid rgba(255, 255, 255, 0.1);
+    createAddTextButton() {
+        const button = document.createElement('button');
+        button.className = 'add-text-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(255, 220, 60, 0.2);
+            border: 2px dashed rgba(255, 220, 60, 0.5);
+            border-radius: 8px;
+            color: #ffd84d;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
         `;
-
-        // Status indicator for P5TextureLayer
-        const hasError = layer.hasError;
-        const isRunning = layer.isRunning;
+        button.innerHTML = '🔤 + Add Text Layer';
         
-        const statusIndicator = document.createElement('div');
-        statusIndicator.style.cssText = `
-            width: 8px;
-            height: 8px;
-            border-radius: 50%;
-            background: ${hasError ? '#ff6b6b' : (isRunning ? '#51cf66' : '#ffd43b')};
-            flex-shrink: 0;
-        `;
-        statusIndicator.title = hasError ? 'Error' : (isRunning ? 'Running' : 'Stopped');
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(255, 220, 60, 0.3)';
+            button.style.borderColor = 'rgba(255, 220, 60, 0.8)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(255, 220, 60, 0.2)';
+            button.style.borderColor = 'rgba(255, 220, 60, 0.5)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
+                
+                await this.app.addTextLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add text layer:', error);
+                alert('Failed to add text layer. Check console for details.');
+            }
+        };
+        
+        return button;
+    }
+
+    /**
+     * Create button to add particle layer
+     * @returns {HTMLElement} Add particle button element
+     */
+    createAddParticleButton() {
+        const button = document.createElement('button');
+        button.className = 'add-particle-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(255, 120, 200, 0.2);
+            border: 2px dashed rgba(255, 120, 200, 0.5);
+            border-radius: 8px;
+            color: #ff8ad0;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
+        `;
+        button.innerHTML = '✨ + Add Particle Layer';
+        
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(255, 120, 200, 0.3)';
+            button.style.borderColor = 'rgba(255, 120, 200, 0.8)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(255, 120, 200, 0.2)';
+            button.style.borderColor = 'rgba(255, 120, 200, 0.5)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
+                
+                await this.app.addParticleLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add particle layer:', error);
+                alert('Failed to add particle layer. Check console for details.');
+            }
+        };
+        
+        return button;
+    }
+
+    /**
+     * Create button to add group layer
+     * @returns {HTMLElement} Add group button element
+     */
+    createAddGroupButton() {
+        const button = document.createElement('button');
+        button.className = 'add-group-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(200, 200, 200, 0.15);
+            border: 2px dashed rgba(200, 200, 200, 0.4);
+            border-radius: 8px;
+            color: #cccccc;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
+        `;
+        button.innerHTML = '🗂️ + Add Layer Group';
+        
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(200, 200, 200, 0.25)';
+            button.style.borderColor = 'rgba(200, 200, 200, 0.7)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(200, 200, 200, 0.15)';
+            button.style.borderColor = 'rgba(200, 200, 200, 0.4)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
+                
+                await this.app.addGroupLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add group layer:', error);
+                alert('Failed to add group layer. Check console for details.');
+            }
+        };
+        
+        return button;
+    }
+
+    /**
+     * Create button to add model layer
+     * @returns {HTMLElement} Add model button element
+     */
+    createAddModelButton() {
+        const button = document.createElement('button');
+        button.className = 'add-model-layer-btn';
+        button.style.cssText = `
+            width: 100%;
+            padding: 15px;
+            background: rgba(120, 220, 160, 0.2);
+            border: 2px dashed rgba(120, 220, 160, 0.5);
+            border-radius: 8px;
+            color: #7ddca0;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            margin-bottom: 10px;
+        `;
+        button.innerHTML = '🧊 + Add 3D Model Layer';
+        
+        button.addEventListener('mouseover', () => {
+            button.style.background = 'rgba(120, 220, 160, 0.3)';
+            button.style.borderColor = 'rgba(120, 220, 160, 0.8)';
+        });
+        
+        button.addEventListener('mouseout', () => {
+            button.style.background = 'rgba(120, 220, 160, 0.2)';
+            button.style.borderColor = 'rgba(120, 220, 160, 0.5)';
+        });
+        
+        button.onclick = async () => {
+            try {
+                // Check if LayerManager is ready
+                if (!this.app.layerManager || !this.app.layerManager.context) {
+                    alert('Please wait for the application to fully load before adding layers.');
+                    return;
+                }
+                
+                await this.app.addModelLayer();
+                this.updatePanel(); // Refresh to show new layer
+            } catch (error) {
+                console.error('Failed to add model layer:', error);
+                alert('Failed to add model layer. Check console for details.');
+            }
+        };
+        
+        return button;
+    }
+
+    /**
+     * Create P5-specific controls
+     * @param {P5TextureLayer} layer - P5 layer instance
+     * @returns {HTMLElement} P5 controls element
+     */
+    createP5Controls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 10px;
+            padding-top: 10px;
+            border-top: 1px solid rgba(255, 255, 255, 0.2);
+        `;
+
+        // Sketch status
+        const status = document.createElement('div');
+        status.style.cssText = `
+            font-size: 10px;
+            margin-bottom: 5px;
+        `;
+        
+        if (layer.hasSketchError()) {
+            status.innerHTML = `<span style="color: #ff6b6b;">❌ Error: ${layer.getLastError()}</span>`;
+        } else if (layer.isSketchRunning()) {
+            status.innerHTML = `<span style="color: #51cf66;">✅ Running</span>`;
+        } else {
+            status.innerHTML = `<span style="color: #ffd43b;">⏸️ Stopped</span>`;
+        }
+        controls.appendChild(status);
+
+        // Parameters list
+        const params = layer.getAllParameters();
+        if (Object.keys(params).length > 0) {
+            const paramsList = document.createElement('div');
+            paramsList.style.cssText = `
+                margin-top: 5px;
+                font-size: 10px;
+            `;
+            
+            const paramsTitle = document.createElement('div');
+            paramsTitle.textContent = 'P5 Parameters:';
+            paramsTitle.style.cssText = `
+                font-weight: bold;
+                margin-bottom: 5px;
+                color: #00aaff;
+            `;
+            paramsList.appendChild(paramsTitle);
+            
+            Object.entries(params).forEach(([name, param]) => {
+                const paramRow = document.createElement('div');
+                paramRow.style.cssText = `
+                    display: flex;
+                    justify-content: between;
+                    align-items: center;
+                    margin-bottom: 3px;
+                    padding: 2px 5px;
+                    background: rgba(255, 255, 255, 0.05);
+                    border-radius: 3px;
+                `;
+                
+                const paramInfo = document.createElement('span');
+                paramInfo.textContent = `${param.label}: ${param.value.toFixed(2)}`;
+                paramInfo.style.flex = '1';
+                
+                const midiTarget = document.createElement('span');
+                midiTarget.textContent = `p5:${name}`;
+                midiTarget.style.cssText = `
+                    font-family: monospace;
+                    font-size: 9px;
+                    color: #888;
+                `;
+                
+                paramRow.appendChild(paramInfo);
+                paramRow.appendChild(midiTarget);
+                paramsList.appendChild(paramRow);
+            });
+            
+            controls.appendChild(paramsList);
+        }
+
+        // Code editor button
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit Sketch';
+        editButton.style.cssText = `
+            margin-top: 5px;
+            padding: 5px 10px;
+            background: rgba(0, 150, 255, 0.3);
+            border: 1px solid rgba(0, 150, 255, 0.5);
+            border-radius: 4px;
+            color: white;
+            font-size: 10px;
+            cursor: pointer;
+        `;
+        
+        editButton.onclick = () => {
+            this.openP5Editor(layer);
+        };
+        
+        controls.appendChild(editButton);
+
+        return controls;
+    }
+
+    /**
+     * Create compact P5-specific controls
+     * @param {P5TextureLayer} layer - P5 layer instance
+     * @returns {HTMLElement} Compact P5 controls element
+     */
+    createCompactP5Controls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+        `;
+
+        // Status indicator for P5TextureLayer
+        const hasError = layer.hasError;
+        const isRunning = layer.isRunning;
+        
+        const statusIndicator = document.createElement('div');
+        statusIndicator.style.cssText = `
+            width: 8px;
+            height: 8px;
+            border-radius: 50%;
+            background: ${hasError ? '#ff6b6b' : (isRunning ? '#51cf66' : '#ffd43b')};
+            flex-shrink: 0;
+        `;
+        statusIndicator.title = hasError ? 'Error' : (isRunning ? 'Running' : 'Stopped');
+
+        // Status text
+        const statusText = document.createElement('span');
+        statusText.textContent = hasError ? '❌ Error' : (isRunning ? '✅ Running' : '⏸️ Stopped');
+        statusText.style.cssText = `
+            font-size: 9px;
+            color: ${hasError ? '#ff6b6b' : (isRunning ? '#51cf66' : '#ffd43b')};
+        `;
+
+        // Add status indicator and text
+        controls.appendChild(statusIndicator);
+        controls.appendChild(statusText);
+
+        // Parameters list
+        const params = layer.getAllParameters();
+        if (Object.keys(params).length > 0) {
+            const paramsList = document.createElement('div');
+            paramsList.style.cssText = `
+                font-size: 9px;
+                color: #888;
+            `;
+            
+            const paramsTitle = document.createElement('div');
+            paramsTitle.textContent = 'P5 Params:';
+            paramsTitle.style.cssText = `
+                font-weight: bold;
+                margin-bottom: 3px;
+                color: #00aaff;
+            `;
+            paramsList.appendChild(paramsTitle);
+            
+            Object.entries(params).forEach(([name, param]) => {
+                const paramRow = document.createElement('div');
+                paramRow.style.cssText = `
+                    display: flex;
+                    justify-content: between;
+                    align-items: center;
+                    margin-bottom: 2px;
+                    padding: 1px 5px;
+                    background: rgba(255, 255, 255, 0.05);
+                    border-radius: 2px;
+                `;
+                
+                const paramInfo = document.createElement('span');
+                paramInfo.textContent = `${param.label}: ${param.value.toFixed(2)}`;
+                paramInfo.style.flex = '1';
+                
+                const midiTarget = document.createElement('span');
+                midiTarget.textContent = `p5:${name}`;
+                midiTarget.style.cssText = `
+                    font-family: monospace;
+                    font-size: 8px;
+                    color: #888;
+                `;
+                
+                paramRow.appendChild(paramInfo);
+                paramRow.appendChild(midiTarget);
+                paramsList.appendChild(paramRow);
+            });
+            
+            controls.appendChild(paramsList);
+        }
+
+        // Code editor button
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit Sketch';
+        editButton.style.cssText = `
+            padding: 3px 8px;
+            background: rgba(0, 150, 255, 0.3);
+            border: 1px solid rgba(0, 150, 255, 0.5);
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            cursor: pointer;
+        `;
+        
+        editButton.onclick = () => {
+            this.openP5Editor(layer);
+        };
+        
+        controls.appendChild(editButton);
+
+        return controls;
+    }
+
+    /**
+     * Create compact shader-specific controls
+     * @param {ShaderLayer} layer - Shader layer instance
+     * @returns {HTMLElement} Compact shader controls element
+     */
+    createCompactShaderControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+        `;
+
+        // Status indicator
+        const statusIndicator = document.createElement('div');
+        statusIndicator.style.cssText = `
+            width: 8px;
+            height: 8px;
+            border-radius: 50%;
+            background: ${layer.hasShaderError() ? '#ff6b6b' : (layer.isShaderCompiled() ? '#51cf66' : '#ffd43b')};
+            flex-shrink: 0;
+        `;
+        statusIndicator.title = layer.hasShaderError() ? 'Error' : (layer.isShaderCompiled() ? 'Compiled' : 'Not Compiled');
+
+        // Status text
+        const statusText = document.createElement('span');
+        statusText.textContent = layer.hasShaderError() ? '❌ Error' : (layer.isShaderCompiled() ? '✅ Compiled' : '⏸️ Not Compiled');
+        statusText.style.cssText = `
+            font-size: 9px;
+            color: ${layer.hasShaderError() ? '#ff6b6b' : (layer.isShaderCompiled() ? '#51cf66' : '#ffd43b')};
+        `;
+
+        // Parameters list
+        const params = layer.getExposedParameters();
+        if (Object.keys(params).length > 0) {
+            const paramsList = document.createElement('div');
+            paramsList.style.cssText = `
+                font-size: 9px;
+                color: #888;
+            `;
+            
+            const paramsTitle = document.createElement('div');
+            paramsTitle.textContent = 'Shader Params:';
+            paramsTitle.style.cssText = `
+                font-weight: bold;
+                margin-bottom: 3px;
+                color: #ff6600;
+            `;
+            paramsList.appendChild(paramsTitle);
+            
+            Object.entries(params).forEach(([name, param]) => {
+                const paramRow = document.createElement('div');
+                paramRow.style.cssText = `
+                    display: flex;
+                    justify-content: between;
+                    align-items: center;
+                    margin-bottom: 2px;
+                    padding: 1px 5px;
+                    background: rgba(255, 255, 255, 0.05);
+                    border-radius: 2px;
+                `;
+                
+                const paramInfo = document.createElement('span');
+                paramInfo.textContent = `${param.label || name}: ${param.default}`;
+                paramInfo.style.flex = '1';
+                
+                const midiTarget = document.createElement('span');
+                midiTarget.textContent = `shader:${name}`;
+                midiTarget.style.cssText = `
+                    font-family: monospace;
+                    font-size: 8px;
+                    color: #888;
+                `;
+                
+                paramRow.appendChild(paramInfo);
+                paramRow.appendChild(midiTarget);
+                paramsList.appendChild(paramRow);
+            });
+            
+            controls.appendChild(paramsList);
+        }
+
+        // Texture sources of the sampler2D uniforms
+        const textureInputs = layer.getTextureInputs();
+        if (textureInputs.length > 0) {
+            const texturesList = document.createElement('div');
+            texturesList.style.cssText = `
+                font-size: 9px;
+                color: #888;
+                flex: 1;
+                min-width: 0;
+            `;
+
+            const texturesTitle = document.createElement('div');
+            texturesTitle.textContent = 'Textures:';
+            texturesTitle.style.cssText = `
+                font-weight: bold;
+                margin-bottom: 3px;
+                color: #ff6600;
+            `;
+            texturesList.appendChild(texturesTitle);
+
+            textureInputs.forEach(({ name }) => {
+                new TextureInputSelector(texturesList, layer, name, { compact: true });
+            });
+
+            controls.appendChild(texturesList);
+        }
+
+        // Code editor button
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit Shader';
+        editButton.style.cssText = `
+            padding: 3px 8px;
+            background: rgba(255, 100, 0, 0.3);
+            border: 1px solid rgba(255, 100, 0, 0.5);
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            cursor: pointer;
+        `;
+        
+        editButton.onclick = () => {
+            this.openShaderEditor(layer);
+        };
+        
+        controls.appendChild(editButton);
+
+        return controls;
+    }
+
+    /**
+     * Create a slider row for a numeric layer parameter, labelled with its MIDI/audio target
+     * @param {LayerBase} layer - Layer instance
+     * @param {string} name - Parameter name
+     * @param {Object} param - Exposed parameter definition
+     * @param {Function} onChange - Called when the slider is released (optional)
+     * @returns {HTMLElement} Parameter row element
+     */
+    createParameterSlider(layer, name, param, onChange = null) {
+        const paramRow = document.createElement('div');
+        paramRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 2px;
+        `;
+
+        const label = document.createElement('span');
+        label.textContent = param.label || name;
+        label.style.minWidth = '55px';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(param.min);
+        slider.max = String(param.max);
+        slider.step = String(param.step);
+        slider.value = layer.getParameter(name);
+        slider.title = param.description || '';
+        slider.style.cssText = `
+            flex: 1;
+            height: 3px;
+            cursor: pointer;
+        `;
+
+        // Whole-number parameters (e.g. sprite sheet columns) show no decimals
+        const decimals = param.step >= 1 ? 0 : 3;
+        const value = document.createElement('span');
+        value.textContent = Number(slider.value).toFixed(decimals);
+        value.style.cssText = `
+            min-width: 38px;
+            text-align: right;
+            font-family: monospace;
+        `;
+
+        slider.oninput = (e) => {
+            layer.setParameter(name, parseFloat(e.target.value));
+            value.textContent = Number(e.target.value).toFixed(decimals);
+        };
+        if (onChange) {
+            slider.onchange = (e) => onChange(parseFloat(e.target.value));
+        }
+
+        const midiTarget = document.createElement('span');
+        midiTarget.textContent = `layer:${layer.id}:${name}`;
+        midiTarget.style.cssText = `
+            font-family: monospace;
+            font-size: 8px;
+            color: #666;
+        `;
+
+        paramRow.appendChild(label);
+        paramRow.appendChild(slider);
+        paramRow.appendChild(value);
+        paramRow.appendChild(midiTarget);
+        return paramRow;
+    }
+
+    /**
+     * Create a labelled dropdown for a select layer parameter
+     * @param {LayerBase} layer - Layer instance
+     * @param {string} name - Parameter name
+     * @param {Object} param - Exposed parameter definition
+     * @param {Function} onChange - Called after the parameter was set (optional)
+     * @returns {HTMLElement} Label and dropdown element
+     */
+    createParameterSelect(layer, name, param, onChange = null) {
+        const wrapper = document.createElement('span');
+        wrapper.style.cssText = `
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+        `;
+
+        const label = document.createElement('span');
+        label.textContent = param.label || name;
+
+        const select = document.createElement('select');
+        select.title = param.description || '';
+        select.style.cssText = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            padding: 1px 4px;
+        `;
+        param.options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option;
+            element.textContent = option;
+            select.appendChild(element);
+        });
+        select.value = layer.getParameter(name);
+        select.onchange = () => {
+            layer.setParameter(name, select.value);
+            if (onChange) onChange(select.value);
+        };
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(select);
+        return wrapper;
+    }
+
+    /**
+     * Create group-specific controls: collapse toggle, solo and mute buttons and the z-offset
+     * added to every child
+     * @param {GroupLayer} layer - Group layer instance
+     * @returns {HTMLElement} Group controls element
+     */
+    createGroupControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+
+        const buttonStyle = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+
+        const childCount = layer.getChildLayers().length;
+        const collapseButton = document.createElement('button');
+        collapseButton.textContent = `${layer.collapsed ? '▸' : '▾'} ${childCount} layer${childCount === 1 ? '' : 's'}`;
+        collapseButton.title = layer.collapsed ? 'Show the layers in this group' : 'Hide the layers in this group';
+        collapseButton.style.cssText = buttonStyle;
+        collapseButton.onclick = () => {
+            layer.setParameter('collapsed', !layer.collapsed);
+            this.updatePanel();
+        };
+        buttonRow.appendChild(collapseButton);
+
+        // Solo and mute light up while active
+        const createToggle = (name, text, activeColor) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = `${layer.getExposedParameters()[name].description} (layer:${layer.id}:${name})`;
+            const updateStyle = () => {
+                button.style.cssText = buttonStyle + (layer.getParameter(name) ?
+                    `background: ${activeColor}; border-color: ${activeColor}; color: black;` : '');
+            };
+            updateStyle();
+            button.onclick = () => {
+                layer.setParameter(name, !layer.getParameter(name));
+                updateStyle();
+            };
+            return button;
+        };
+        buttonRow.appendChild(createToggle('solo', 'S', '#ffd43b'));
+        buttonRow.appendChild(createToggle('muted', 'M', '#ff6b6b'));
+
+        controls.appendChild(buttonRow);
+
+        const params = layer.getExposedParameters();
+        controls.appendChild(this.createParameterSlider(layer, 'zOffset', params.zOffset));
+
+        return controls;
+    }
+
+    /**
+     * Create mask controls: mask source, the mask layer and its matte channel or the generated
+     * shape, invert, and sliders for the feather and shape placement
+     * @param {LayerBase} layer - Layer instance
+     * @returns {HTMLElement} Mask controls element
+     */
+    createMaskControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const selectRow = document.createElement('div');
+        selectRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-bottom: 4px;
+        `;
+
+        const params = layer.getExposedParameters();
+        const mask = layer.mask;
+
+        // The rows below depend on the source and shape
+        selectRow.appendChild(this.createParameterSelect(layer, 'maskSource', params.maskSource, () => this.updatePanel()));
+
+        if (mask.source === 'layer') {
+            const layerSelect = document.createElement('select');
+            layerSelect.title = 'Layer whose output masks this layer (it is drawn even while hidden)';
+            layerSelect.style.cssText = `
+                background: #374151;
+                border: 1px solid #4b5563;
+                border-radius: 3px;
+                color: white;
+                font-size: 9px;
+                padding: 1px 4px;
+            `;
+
+            const noneOption = document.createElement('option');
+            noneOption.value = '';
+            noneOption.textContent = 'Choose layer';
+            layerSelect.appendChild(noneOption);
+            this.app.layerManager.getLayerOrder().forEach(layerId => {
+                const source = this.app.layerManager.getLayer(layerId);
+                if (!source || source === layer || source.isGroup) return;
+                const option = document.createElement('option');
+                option.value = layerId;
+                option.textContent = layerId;
+                layerSelect.appendChild(option);
+            });
+            layerSelect.value = mask.layerId || '';
+            layerSelect.onchange = () => layer.setParameter('maskLayer', layerSelect.value || null);
+
+            selectRow.appendChild(layerSelect);
+            selectRow.appendChild(this.createParameterSelect(layer, 'maskChannel', params.maskChannel));
+        } else if (mask.source === 'shape') {
+            selectRow.appendChild(this.createParameterSelect(layer, 'maskShape', params.maskShape, () => this.updatePanel()));
+        }
+
+        if (mask.source !== 'none') {
+            const invertLabel = document.createElement('label');
+            invertLabel.style.cssText = `
+                display: inline-flex;
+                align-items: center;
+                gap: 3px;
+                cursor: pointer;
+            `;
+            const invertToggle = document.createElement('input');
+            invertToggle.type = 'checkbox';
+            invertToggle.checked = mask.invert;
+            invertToggle.title = `${params.maskInvert.description} (layer:${layer.id}:maskInvert)`;
+            invertToggle.onchange = () => layer.setParameter('maskInvert', invertToggle.checked);
+            invertLabel.appendChild(invertToggle);
+            invertLabel.appendChild(document.createTextNode('Invert'));
+            selectRow.appendChild(invertLabel);
+        }
+        controls.appendChild(selectRow);
+
+        const sliders = [];
+        if (mask.source !== 'none') {
+            sliders.push('maskFeather');
+        }
+        if (mask.source === 'shape') {
+            sliders.push(mask.shape === 'gradient' ? 'maskAngle' : 'maskSize', 'maskX', 'maskY');
+        }
+        sliders.forEach(name => {
+            controls.appendChild(this.createParameterSlider(layer, name, params[name]));
+        });
+
+        return controls;
+    }
+
+    /**
+     * Create a dropdown that moves a layer into a group or back to the top level
+     * @param {LayerBase} layer - Layer instance
+     * @returns {HTMLElement|null} Group dropdown element, or null while there are no other groups
+     */
+    createGroupMembershipSelect(layer) {
+        const layerManager = this.app.layerManager;
+
+        // A group cannot go into itself or into a group it holds
+        const groups = Array.from(layerManager.getAllLayers().values()).filter(group =>
+            group.isGroup && group !== layer && !layerManager.getLayerAncestors(group.id).includes(layer));
+        if (groups.length === 0) return null;
+
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-top: 6px;
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const label = document.createElement('span');
+        label.textContent = 'Group';
+
+        const select = document.createElement('select');
+        select.title = 'Move this layer into a group';
+        select.style.cssText = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            padding: 1px 4px;
+        `;
+
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'None';
+        select.appendChild(noneOption);
+        groups.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group.id;
+            option.textContent = group.id;
+            select.appendChild(option);
+        });
+
+        const currentGroup = layerManager.getLayerGroup(layer.id);
+        select.value = currentGroup ? currentGroup.id : '';
+        select.onchange = () => {
+            layerManager.setLayerGroup(layer.id, select.value || null);
+            this.updatePanel();
+        };
+
+        row.appendChild(label);
+        row.appendChild(select);
+        return row;
+    }
+
+    /**
+     * Create feedback-specific controls: a slider per feedback parameter
+     * @param {FeedbackLayer} layer - Feedback layer instance
+     * @returns {HTMLElement} Feedback controls element
+     */
+    createFeedbackControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const params = layer.getExposedParameters();
+        ['zoom', 'rotation', 'offsetX', 'offsetY', 'hueShift', 'decay'].forEach(name => {
+            const param = params[name];
+            if (param) {
+                controls.appendChild(this.createParameterSlider(layer, name, param));
+            }
+        });
+
+        return controls;
+    }
+
+    /**
+     * Create video-specific controls: source buttons, fit and retrigger selects and a slider per
+     * playback parameter
+     * @param {VideoLayer} layer - Video layer instance
+     * @returns {HTMLElement} Video controls element
+     */
+    createVideoControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const buttonStyle = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+
+        // Source row: current clip and file/webcam buttons
+        const sourceRow = document.createElement('div');
+        sourceRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+
+        const sourceLabel = document.createElement('span');
+        sourceLabel.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        `;
+        const updateSourceLabel = () => {
+            const info = layer.getSourceInfo();
+            if (info.type === 'none') {
+                sourceLabel.textContent = 'No video';
+            } else {
+                sourceLabel.textContent = info.missing ? `${info.name} (re-select)` : info.name;
+            }
+            sourceLabel.style.color = info.missing ? '#ff9a4d' : '#888';
+        };
+        updateSourceLabel();
+
+        const applySource = async (action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.error('Failed to set video source:', error);
+                alert(`Failed to set video source: ${error.message}`);
+            }
+            updateSourceLabel();
+        };
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'video/*';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                applySource(() => layer.setVideoFile(file));
+            }
+        });
+
+        const fileButton = document.createElement('button');
+        fileButton.textContent = '📁 File';
+        fileButton.title = 'Play a video file';
+        fileButton.style.cssText = buttonStyle;
+        fileButton.onclick = () => fileInput.click();
+
+        const webcamButton = document.createElement('button');
+        webcamButton.textContent = '📷 Webcam';
+        webcamButton.title = 'Show the webcam';
+        webcamButton.style.cssText = buttonStyle;
+        webcamButton.onclick = () => applySource(() => layer.setWebcam());
+
+        const playButton = document.createElement('button');
+        const updatePlayButton = () => {
+            playButton.textContent = layer.getParameter('playing') ? '⏸' : '▶';
+        };
+        playButton.title = 'Play or pause the clip';
+        playButton.style.cssText = buttonStyle;
+        playButton.onclick = () => {
+            layer.setParameter('playing', !layer.getParameter('playing'));
+            updatePlayButton();
+        };
+        updatePlayButton();
+
+        sourceRow.appendChild(sourceLabel);
+        sourceRow.appendChild(playButton);
+        sourceRow.appendChild(fileButton);
+        sourceRow.appendChild(webcamButton);
+        sourceRow.appendChild(fileInput);
+        controls.appendChild(sourceRow);
+
+        // Fit and retrigger selects
+        const params = layer.getExposedParameters();
+        const selectRow = document.createElement('div');
+        selectRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+        ['fitMode', 'retrigger'].forEach(name => {
+            selectRow.appendChild(this.createParameterSelect(layer, name, params[name]));
+        });
+        controls.appendChild(selectRow);
+
+        ['speed', 'loopIn', 'loopOut', 'position'].forEach(name => {
+            const param = params[name];
+            if (param) {
+                controls.appendChild(this.createParameterSlider(layer, name, param));
+            }
+        });
+
+        return controls;
+    }
+
+    /**
+     * Create image-specific controls: file button, mode/fit/advance selects and sliders for the
+     * tiling and the sprite sheet layout
+     * @param {ImageLayer} layer - Image layer instance
+     * @returns {HTMLElement} Image controls element
+     */
+    createImageControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const sourceRow = document.createElement('div');
+        sourceRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+
+        const sourceLabel = document.createElement('span');
+        sourceLabel.textContent = layer.getSourceName() || 'No image';
+        sourceLabel.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        `;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = LAYER_CONSTANTS.image.acceptedTypes;
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                await layer.setImageFile(file);
+            } catch (error) {
+                console.error('Failed to load image:', error);
+                alert(`Failed to load image: ${error.message}`);
+            }
+            sourceLabel.textContent = layer.getSourceName() || 'No image';
+        });
+
+        const fileButton = document.createElement('button');
+        fileButton.textContent = '📁 Image';
+        fileButton.title = 'Load a PNG, JPG or SVG image or sprite sheet';
+        fileButton.style.cssText = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+        fileButton.onclick = () => fileInput.click();
+
+        sourceRow.appendChild(sourceLabel);
+        sourceRow.appendChild(fileButton);
+        sourceRow.appendChild(fileInput);
+        controls.appendChild(sourceRow);
+
+        const params = layer.getExposedParameters();
+        const selectRow = document.createElement('div');
+        selectRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+        ['mode', 'fitMode', 'frameDivision'].forEach(name => {
+            selectRow.appendChild(this.createParameterSelect(layer, name, params[name]));
+        });
+        controls.appendChild(selectRow);
+
+        // The frame sliders depend on the sheet layout, rebuild them when it changes
+        const refresh = () => this.updatePanel();
+        ['tileScale', 'columns', 'rows', 'frameCount', 'frame'].forEach(name => {
+            const param = params[name];
+            if (param) {
+                const isLayout = name === 'columns' || name === 'rows' || name === 'frameCount';
+                controls.appendChild(this.createParameterSlider(layer, name, param, isLayout ? refresh : null));
+            }
+        });
+
+        return controls;
+    }
+
+    /**
+     * Create text-specific controls: phrase list, font and color, reveal selects and sliders for
+     * the size and the audio animation
+     * @param {TextLayer} layer - Text layer instance
+     * @returns {HTMLElement} Text controls element
+     */
+    createTextControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
 
-        // Status text
-        const statusText = document.createElement('span');
-        statusText.textContent = hasError ? '❌ Error' : (isRunning ? '✅ Running' : '⏸️ Stopped');
-        statusText.style.cssText = `
+        const inputStyle = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
             font-size: 9px;
-            color: ${hasError ? '#ff6b6b' : (isRunning ? '#51cf66' : '#ffd43b')};
+            padding: 2px 6px;
         `;
 
-        // Add status indicator and text
-        controls.appendChild(statusIndicator);
-        controls.appendChild(statusText);
+        // Phrase list, one phrase per line
+        const phrases = document.createElement('textarea');
+        phrases.value = layer.phrases.join('\n');
+        phrases.rows = 3;
+        phrases.placeholder = 'One phrase per line';
+        phrases.title = 'Phrases, one per line. A MIDI note on Next Phrase steps through them.';
+        phrases.style.cssText = `
+            ${inputStyle}
+            width: 100%;
+            box-sizing: border-box;
+            resize: vertical;
+            font-family: inherit;
+            margin-bottom: 4px;
+        `;
+        phrases.addEventListener('change', () => {
+            layer.setPhrases(phrases.value.split('\n'));
+            // The phrase slider range follows the list length
+            this.updatePanel();
+        });
+        controls.appendChild(phrases);
 
-        // Parameters list
-        const params = layer.getAllParameters();
-        if (Object.keys(params).length > 0) {
-            const paramsList = document.createElement('div');
-            paramsList.style.cssText = `
-                font-size: 9px;
-                color: #888;
-            `;
-            
-            const paramsTitle = document.createElement('div');
-            paramsTitle.textContent = 'P5 Params:';
-            paramsTitle.style.cssText = `
-                font-weight: bold;
-                margin-bottom: 3px;
-                color: #00aaff;
-            `;
-            paramsList.appendChild(paramsTitle);
-            
-            Object.entries(params).forEach(([name, param]) => {
-                const paramRow = document.createElement('div');
-                paramRow.style.cssText = `
-                    display: flex;
-                    justify-content: between;
-                    align-items: center;
-                    margin-bottom: 2px;
-                    padding: 1px 5px;
-                    background: rgba(255, 255, 255, 0.05);
-                    border-radius: 2px;
-                `;
-                
-                const paramInfo = document.createElement('span');
-                paramInfo.textContent = `${param.label}: ${param.value.toFixed(2)}`;
-                paramInfo.style.flex = '1';
-                
-                const midiTarget = document.createElement('span');
-                midiTarget.textContent = `p5:${name}`;
-                midiTarget.style.cssText = `
-                    font-family: monospace;
-                    font-size: 8px;
-                    color: #888;
-                `;
-                
-                paramRow.appendChild(paramInfo);
-                paramRow.appendChild(midiTarget);
-                paramsList.appendChild(paramRow);
-            });
-            
-            controls.appendChild(paramsList);
+        const fontRow = document.createElement('div');
+        fontRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+
+        const nextButton = document.createElement('button');
+        nextButton.textContent = '⏭ Next';
+        nextButton.title = `Show the next phrase (note target layer:${layer.id}:nextPhrase)`;
+        nextButton.style.cssText = `${inputStyle} cursor: pointer;`;
+        nextButton.onclick = () => layer.setParameter('nextPhrase', true);
+
+        // Font families plus the uploaded font, if any
+        const fontSelect = document.createElement('select');
+        fontSelect.title = 'Font family';
+        fontSelect.style.cssText = inputStyle;
+        const fontNames = [...LAYER_CONSTANTS.text.fonts];
+        if (!fontNames.includes(layer.font)) {
+            fontNames.push(layer.font);
         }
+        fontNames.forEach(font => {
+            const option = document.createElement('option');
+            option.value = font;
+            option.textContent = font;
+            fontSelect.appendChild(option);
+        });
+        if (layer.customFont) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = layer.getFontName();
+            fontSelect.appendChild(option);
+        }
+        fontSelect.value = layer.customFont ? '' : layer.font;
+        fontSelect.onchange = () => {
+            if (fontSelect.value) {
+                layer.setParameter('font', fontSelect.value);
+            }
+        };
 
-        // Code editor button
-        const editButton = document.createElement('button');
-        editButton.textContent = 'Edit Sketch';
-        editButton.style.cssText = `
-            padding: 3px 8px;
-            background: rgba(0, 150, 255, 0.3);
-            border: 1px solid rgba(0, 150, 255, 0.5);
+        const fontInput = document.createElement('input');
+        fontInput.type = 'file';
+        fontInput.accept = LAYER_CONSTANTS.text.fontFileTypes;
+        fontInput.style.display = 'none';
+        fontInput.addEventListener('change', async () => {
+            const file = fontInput.files && fontInput.files[0];
+            fontInput.value = '';
+            if (!file) return;
+            try {
+                await layer.setFontFile(file);
+                this.updatePanel();
+            } catch (error) {
+                console.error('Failed to load font:', error);
+                alert(`Failed to load font: ${error.message}`);
+            }
+        });
+
+        const fontButton = document.createElement('button');
+        fontButton.textContent = '📁 Font';
+        fontButton.title = 'Load a font file (saved with the scene)';
+        fontButton.style.cssText = `${inputStyle} cursor: pointer;`;
+        fontButton.onclick = () => fontInput.click();
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = layer.color;
+        colorInput.title = 'Text color';
+        colorInput.style.cssText = `
+            width: 22px;
+            height: 16px;
+            padding: 0;
+            border: none;
+            background: none;
+            cursor: pointer;
+        `;
+        colorInput.oninput = () => layer.setParameter('color', colorInput.value);
+
+        fontRow.appendChild(nextButton);
+        fontRow.appendChild(fontSelect);
+        fontRow.appendChild(fontButton);
+        fontRow.appendChild(fontInput);
+        fontRow.appendChild(colorInput);
+        controls.appendChild(fontRow);
+
+        const params = layer.getExposedParameters();
+        const selectRow = document.createElement('div');
+        selectRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+        ['fontWeight', 'align', 'revealMode', 'revealDivision'].forEach(name => {
+            selectRow.appendChild(this.createParameterSelect(layer, name, params[name]));
+        });
+        controls.appendChild(selectRow);
+
+        ['phrase', 'fontSize', 'letterSpacing', 'jitter', 'audioScale'].forEach(name => {
+            const param = params[name];
+            if (param) {
+                controls.appendChild(this.createParameterSlider(layer, name, param));
+            }
+        });
+
+        return controls;
+    }
+
+    /**
+     * Create particle-specific controls: emitter and emission selects, colors over life, a burst
+     * button and sliders for emission, forces and size
+     * @param {ParticleLayer} layer - Particle layer instance
+     * @returns {HTMLElement} Particle controls element
+     */
+    createParticleControls(layer) {
+        const controls = document.createElement('div');
+        controls.style.cssText = `
+            margin-top: 6px;
+            padding-top: 6px;
+            border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
+        `;
+
+        const inputStyle = `
+            background: #374151;
+            border: 1px solid #4b5563;
             border-radius: 3px;
             color: white;
             font-size: 9px;
+            padding: 2px 6px;
+        `;
+        const colorStyle = `
+            width: 22px;
+            height: 16px;
+            padding: 0;
+            border: none;
+            background: none;
             cursor: pointer;
         `;
-        
-        editButton.onclick = () => {
-            this.openP5Editor(layer);
-        };
-        
-        controls.appendChild(editButton);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+
+        const burstButton = document.createElement('button');
+        burstButton.textContent = '💥 Burst';
+        burstButton.title = `Fire a burst (note target layer:${layer.id}:burst)`;
+        burstButton.style.cssText = `${inputStyle} cursor: pointer;`;
+        burstButton.onclick = () => layer.setParameter('burst', true);
+
+        const clearButton = document.createElement('button');
+        clearButton.textContent = 'Clear';
+        clearButton.title = 'Remove all particles';
+        clearButton.style.cssText = `${inputStyle} cursor: pointer;`;
+        clearButton.onclick = () => layer.setParameter('clear', true);
+
+        // Color over life
+        const startColor = document.createElement('input');
+        startColor.type = 'color';
+        startColor.value = layer.getParameter('startColor');
+        startColor.title = 'Color at birth';
+        startColor.style.cssText = colorStyle;
+        startColor.oninput = () => layer.setParameter('startColor', startColor.value);
+
+        const endColor = document.createElement('input');
+        endColor.type = 'color';
+        endColor.value = layer.getParameter('endColor');
+        endColor.title = 'Color at death';
+        endColor.style.cssText = colorStyle;
+        endColor.oninput = () => layer.setParameter('endColor', endColor.value);
+
+        buttonRow.appendChild(burstButton);
+        buttonRow.appendChild(clearButton);
+        buttonRow.appendChild(startColor);
+        buttonRow.appendChild(document.createTextNode('→'));
+        buttonRow.appendChild(endColor);
+        controls.appendChild(buttonRow);
+
+        const params = layer.getExposedParameters();
+        const selectRow = document.createElement('div');
+        selectRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+        ['emitterShape', 'emissionMode', 'beatDivision', 'burstQuantize'].forEach(name => {
+            selectRow.appendChild(this.createParameterSelect(layer, name, params[name]));
+        });
+        controls.appendChild(selectRow);
+
+        [
+            'rate', 'beatCount', 'burstLevel', 'burstThreshold', 'burstCount', 'lifetime', 'lifetimeVariation',
+            'speed', 'spread', 'emitterX', 'emitterY', 'radius', 'gravity', 'curlStrength', 'curlScale',
+            'attraction', 'drag', 'startSize', 'endSize'
+        ].forEach(name => {
+            const param = params[name];
+            if (param) {
+                controls.appendChild(this.createParameterSlider(layer, name, param));
+            }
+        });
 
         return controls;
     }
 
     /**
-     * Create compact shader-specific controls
-     * @param {ShaderLayer} layer - Shader layer instance
-     * @returns {HTMLElement} Compact shader controls element
+     * Create model-specific controls: file button, clip select, layout/material/animation selects,
+     * shadow toggle and sliders for size, spin and clip playback
+     * @param {ModelLayer} layer - Model layer instance
+     * @returns {HTMLElement} Model controls element
      */
-    createCompactShaderControls(layer) {
+    createModelControls(layer) {
         const controls = document.createElement('div');
         controls.style.cssText = `
-            display: flex;
-            align-items: center;
-            gap: 8px;
             margin-top: 6px;
             padding-top: 6px;
             border-top: 1px solid rgba(255, 255, 255, 0.1);
+            font-size: 9px;
+            color: #888;
         `;
 
-        // Status indicator
-        const statusIndicator = document.createElement('div');
-        statusIndicator.style.cssText = `
-            width: 8px;
-            height: 8px;
-            border-radius: 50%;
-            background: ${layer.hasShaderError() ? '#ff6b6b' : (layer.isShaderCompiled() ? '#51cf66' : '#ffd43b')};
-            flex-shrink: 0;
+        const inputStyle = `
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: 9px;
+            padding: 2px 6px;
         `;
-        statusIndicator.title = layer.hasShaderError() ? 'Error' : (layer.isShaderCompiled() ? 'Compiled' : 'Not Compiled');
 
-        // Status text
-        const statusText = document.createElement('span');
-        statusText.textContent = layer.hasShaderError() ? '❌ Error' : (layer.isShaderCompiled() ? '✅ Compiled' : '⏸️ Not Compiled');
-        statusText.style.cssText = `
-            font-size: 9px;
-            color: ${layer.hasShaderError() ? '#ff6b6b' : (layer.isShaderCompiled() ? '#51cf66' : '#ffd43b')};
+        const sourceRow = document.createElement('div');
+        sourceRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 4px;
         `;
 
-        // Parameters list
+        const sourceLabel = document.createElement('span');
+        sourceLabel.textContent = layer.getSourceName() || 'No model';
+        sourceLabel.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        `;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = LAYER_CONSTANTS.model.fileTypes;
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                await layer.setModelFile(file);
+                // The clip list and slider range follow the model
+                this.updatePanel();
+            } catch (error) {
+                console.error('Failed to load model:', error);
+                alert(`Failed to load model: ${error.message}`);
+            }
+        });
+
+        const fileButton = document.createElement('button');
+        fileButton.textContent = '📁 Model';
+        fileButton.title = 'Load a GLB, glTF (embedded) or OBJ model (saved with the scene)';
+        fileButton.style.cssText = `${inputStyle} cursor: pointer;`;
+        fileButton.onclick = () => fileInput.click();
+
+        sourceRow.appendChild(sourceLabel);
+        sourceRow.appendChild(fileButton);
+        sourceRow.appendChild(fileInput);
+        controls.appendChild(sourceRow);
+
         const params = layer.getExposedParameters();
-        if (Object.keys(params).length > 0) {
-            const paramsList = document.createElement('div');
-            paramsList.style.cssText = `
-                font-size: 9px;
-                color: #888;
-            `;
-            
-            const paramsTitle = document.createElement('div');
-            paramsTitle.textContent = 'Shader Params:';
-            paramsTitle.style.cssText = `
-                font-weight: bold;
-                margin-bottom: 3px;
-                color: #ff6600;
-            `;
-            paramsList.appendChild(paramsTitle);
-            
-            Object.entries(params).forEach(([name, param]) => {
-                const paramRow = document.createElement('div');
-                paramRow.style.cssText = `
-                    display: flex;
-                    justify-content: between;
-                    align-items: center;
-                    margin-bottom: 2px;
-                    padding: 1px 5px;
-                    background: rgba(255, 255, 255, 0.05);
-                    border-radius: 2px;
-                `;
-                
-                const paramInfo = document.createElement('span');
-                paramInfo.textContent = `${param.label || name}: ${param.default}`;
-                paramInfo.style.flex = '1';
-                
-                const midiTarget = document.createElement('span');
-                midiTarget.textContent = `shader:${name}`;
-                midiTarget.style.cssText = `
-                    font-family: monospace;
-                    font-size: 8px;
-                    color: #888;
-                `;
-                
-                paramRow.appendChild(paramInfo);
-                paramRow.appendChild(midiTarget);
-                paramsList.appendChild(paramRow);
+        const selectRow = document.createElement('div');
+        selectRow.style.cssText = `
+            display: flex;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 4px;
+        `;
+        ['layout', 'materialMode', 'animationMode', 'clipLength'].forEach(name => {
+            selectRow.appendChild(this.createParameterSelect(layer, name, params[name]));
+        });
+
+        // Clips by name, the clip parameter is their index
+        const clipNames = layer.getClipNames();
+        if (clipNames.length > 0) {
+            const clipSelect = document.createElement('select');
+            clipSelect.title = `Animation clip (target layer:${layer.id}:clip)`;
+            clipSelect.style.cssText = inputStyle;
+            clipNames.forEach((name, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = name;
+                clipSelect.appendChild(option);
             });
-            
-            controls.appendChild(paramsList);
+            clipSelect.value = String(layer.getParameter('clip'));
+            clipSelect.onchange = () => layer.setParameter('clip', Number(clipSelect.value));
+            selectRow.appendChild(clipSelect);
         }
 
-        // Code editor button
-        const editButton = document.createElement('button');
-        editButton.textContent = 'Edit Shader';
-        editButton.style.cssText = `
-            padding: 3px 8px;
-            background: rgba(255, 100, 0, 0.3);
-            border: 1px solid rgba(255, 100, 0, 0.5);
-            border-radius: 3px;
-            color: white;
-            font-size: 9px;
+        const shadowLabel = document.createElement('label');
+        shadowLabel.style.cssText = `
+            display: inline-flex;
+            align-items: center;
+            gap: 3px;
             cursor: pointer;
         `;
-        
-        editButton.onclick = () => {
-            this.openShaderEditor(layer);
-        };
-        
-        controls.appendChild(editButton);
+        const shadowToggle = document.createElement('input');
+        shadowToggle.type = 'checkbox';
+        shadowToggle.checked = layer.getParameter('shadows');
+        shadowToggle.onchange = () => layer.setParameter('shadows', shadowToggle.checked);
+        shadowLabel.appendChild(shadowToggle);
+        shadowLabel.appendChild(document.createTextNode('Shadows'));
+        selectRow.appendChild(shadowLabel);
+        controls.appendChild(selectRow);
+
+        ['size', 'spin', 'tilt', 'animationSpeed', 'stagger'].forEach(name => {
+            const param = params[name];
+            if (param) {
+                controls.appendChild(this.createParameterSlider(layer, name, param));
+            }
+        });
 
         return controls;
     }
@@ -1400,48 +2904,28 @@ export class LayerPanel {
     }
 
     /**
-     * Move a layer up in the order
+     * Move a layer up in the order, among the layers of its group
      * @param {string} layerId - ID of the layer to move up
      */
     moveLayerUp(layerId) {
         if (!this.app.layerManager) return;
         
-        const currentOrder = this.app.layerManager.getLayerOrder();
-        const currentIndex = currentOrder.indexOf(layerId);
-        
-        // Can't move up if already at the top
-        if (currentIndex <= 0) return;
-        
-        // Swap with the layer above
-        const newOrder = [...currentOrder];
-        [newOrder[currentIndex], newOrder[currentIndex - 1]] = [newOrder[currentIndex - 1], newOrder[currentIndex]];
-        
-        // Update layer order
-        this.app.layerManager.setLayerOrder(newOrder);
+        // Swap with the layer above in the same group
+        this.app.layerManager.moveLayer(layerId, -1);
         
         // Refresh the panel to show new order
         this.updatePanel();
     }
 
     /**
-     * Move a layer down in the order
+     * Move a layer down in the order, among the layers of its group
      * @param {string} layerId - ID of the layer to move down
      */
     moveLayerDown(layerId) {
         if (!this.app.layerManager) return;
         
-        const currentOrder = this.app.layerManager.getLayerOrder();
-        const currentIndex = currentOrder.indexOf(layerId);
-        
-        // Can't move down if already at the bottom
-        if (currentIndex === currentOrder.length - 1) return;
-        
-        // Swap with the layer below
-        const newOrder = [...currentOrder];
-        [newOrder[currentIndex], newOrder[currentIndex + 1]] = [newOrder[currentIndex + 1], newOrder[currentIndex]];
-        
-        // Update layer order
-        this.app.layerManager.setLayerOrder(newOrder);
+        // Swap with the layer below in the same group
+        this.app.layerManager.moveLayer(layerId, 1);
         
         // Refresh the panel to show new order
         this.updatePanel();
@@ -0,0 +1,270 @@
+/**
+ * ProjectionMappingOverlay.js - Projection Mapping Edit Handles
+ * This component shows draggable handles over the output canvas while the ProjectionMapper is in
+ * edit mode: square handles for the four corner pin corners and round handles for the bezier mesh
+ * control points. The selected handle can be nudged with the arrow keys (Shift for larger steps).
+ * While output slicing is on, handles are shown where their point appears in the sliced output.
+ */
+
+import { OUTPUT_CONSTANTS } from '../config/index.js';
+
+const MAPPING_CONFIG = OUTPUT_CONSTANTS.projectionMapping;
+
+export class ProjectionMappingOverlay {
+    constructor(app) {
+        this.app = app;
+        this.element = null;
+
+        // Handle descriptors: { type: 'corner'|'mesh', index, element }
+        this.handles = [];
+        this.dragHandle = null;
+        this.selectedHandle = null;
+
+        this.onResize = () => this.updatePositions();
+        this.onKeyDown = (event) => this.handleKeyDown(event);
+    }
+
+    get mapper() {
+        return this.app.projectionMapper;
+    }
+
+    init() {
+        this.element = document.createElement('div');
+        this.element.id = 'projection-mapping-overlay';
+        this.element.style.cssText = `
+            position: fixed;
+            inset: 0;
+            pointer-events: none;
+            z-index: 40;
+            display: none;
+        `;
+        document.body.appendChild(this.element);
+
+        this.mapper.addListener(() => this.update());
+        if (this.app.outputSlicer) {
+            this.app.outputSlicer.addListener(() => this.updatePositions());
+        }
+        // The output window and the render resolution change the canvas letterboxing
+        if (this.app.outputWindowManager) {
+            this.app.outputWindowManager.addListener(() => this.updatePositions());
+        }
+        this.app.state.subscribe('renderResolution', () => this.updatePositions());
+        window.addEventListener('resize', this.onResize);
+        window.addEventListener('keydown', this.onKeyDown);
+        this.update();
+    }
+
+    /**
+     * Area of the window showing the output frame (the canvas letterboxes or crops while an
+     * output window or a fixed render resolution has another aspect)
+     * @returns {{left: number, top: number, width: number, height: number}} Client rectangle
+     */
+    getContentRect() {
+        const canvas = this.app.scene.renderer.domElement;
+        const rect = canvas.getBoundingClientRect();
+        const objectFit = canvas.style.objectFit;
+        if ((objectFit !== 'contain' && objectFit !== 'cover') || !canvas.width || !canvas.height) {
+            return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+        }
+
+        // Cropping scales the frame up to cover the canvas, the rectangle reaches past its edges
+        const fitScale = objectFit === 'cover' ? Math.max : Math.min;
+        const scale = fitScale(rect.width / canvas.width, rect.height / canvas.height);
+        const width = canvas.width * scale;
+        const height = canvas.height * scale;
+        return {
+            left: rect.left + (rect.width - width) / 2,
+            top: rect.top + (rect.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    /**
+     * Convert a normalized output position (y up) to client coordinates
+     * @param {number[]} point - Normalized [x, y]
+     * @param {Object} rect - Content rectangle
+     * @returns {number[]} Client [x, y]
+     */
+    toClient(point, rect) {
+        const [x, y] = this.isSliced() ? this.app.outputSlicer.mapSourceToOutput(point) : point;
+        return [rect.left + x * rect.width, rect.top + (1 - y) * rect.height];
+    }
+
+    fromClient(clientX, clientY, rect) {
+        const point = [(clientX - rect.left) / rect.width, 1 - (clientY - rect.top) / rect.height];
+        return this.isSliced() ? this.app.outputSlicer.mapOutputToSource(point) : point;
+    }
+
+    /**
+     * Check whether the output is split into slices (handles then map through the slice layout)
+     * @returns {boolean} True if slicing is on
+     */
+    isSliced() {
+        return !!this.app.outputSlicer && this.app.outputSlicer.isActive();
+    }
+
+    /**
+     * Show, hide or rebuild the handles after a mapper change
+     */
+    update() {
+        if (!this.element) return;
+
+        const mapper = this.mapper;
+        if (!mapper.editMode) {
+            this.element.style.display = 'none';
+            this.dragHandle = null;
+            return;
+        }
+        this.element.style.display = 'block';
+
+        const { meshWarp } = mapper.config;
+        const meshCount = meshWarp.enabled ? meshWarp.points.length : 0;
+        if (this.handles.length !== 4 + meshCount) {
+            this.createHandles(meshCount);
+        }
+        this.updatePositions();
+    }
+
+    createHandles(meshCount) {
+        this.element.replaceChildren();
+        this.handles = [];
+        this.selectedHandle = null;
+
+        // Mesh points first so the corner handles stay on top where they overlap
+        for (let index = 0; index < meshCount; index++) {
+            this.handles.push(this.createHandle('mesh', index));
+        }
+        for (let index = 0; index < 4; index++) {
+            this.handles.push(this.createHandle('corner', index));
+        }
+    }
+
+    createHandle(type, index) {
+        const size = MAPPING_CONFIG.handleRadius * 2;
+        const element = document.createElement('div');
+        element.title = type === 'corner' ? `Corner ${index + 1}` : `Mesh point ${index + 1}`;
+        element.style.cssText = `
+            position: absolute;
+            width: ${size}px;
+            height: ${size}px;
+            margin: ${-size / 2}px 0 0 ${-size / 2}px;
+            border: 2px solid ${MAPPING_CONFIG.guideColor};
+            border-radius: ${type === 'corner' ? '2px' : '50%'};
+            background: rgba(0, 0, 0, 0.4);
+            box-sizing: border-box;
+            cursor: move;
+            pointer-events: auto;
+            touch-action: none;
+        `;
+
+        const handle = { type, index, element };
+        element.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            element.setPointerCapture(event.pointerId);
+            this.dragHandle = handle;
+            this.selectHandle(handle);
+        });
+        element.addEventListener('pointermove', (event) => {
+            if (this.dragHandle !== handle) return;
+            const rect = this.getContentRect();
+            this.moveHandle(handle, this.fromClient(event.clientX, event.clientY, rect));
+        });
+        const endDrag = () => {
+            if (this.dragHandle === handle) {
+                this.dragHandle = null;
+            }
+        };
+        element.addEventListener('pointerup', endDrag);
+        element.addEventListener('pointercancel', endDrag);
+
+        this.element.appendChild(element);
+        return handle;
+    }
+
+    selectHandle(handle) {
+        this.selectedHandle = handle;
+        this.handles.forEach(({ element }) => {
+            element.style.background = 'rgba(0, 0, 0, 0.4)';
+        });
+        handle.element.style.background = MAPPING_CONFIG.guideColor;
+    }
+
+    /**
+     * Normalized output position of a handle
+     * @param {Object} handle - Handle descriptor
+     * @returns {number[]} [x, y]
+     */
+    getHandlePoint(handle) {
+        const config = this.mapper.config;
+        if (handle.type === 'corner') {
+            return config.corners[handle.index];
+        }
+        const point = config.meshWarp.points[handle.index];
+        return this.mapper.pinPoint(point[0], point[1]);
+    }
+
+    /**
+     * Move a handle to a normalized output position
+     * @param {Object} handle - Handle descriptor
+     * @param {number[]} point - Normalized [x, y]
+     */
+    moveHandle(handle, point) {
+        if (handle.type === 'corner') {
+            this.mapper.setCorner(handle.index, point[0], point[1]);
+            return;
+        }
+
+        // Mesh points live in the space before the corner pin
+        const unpinned = this.mapper.unpinPoint(point[0], point[1]);
+        if (unpinned) {
+            this.mapper.setMeshPoint(handle.index, unpinned[0], unpinned[1]);
+        }
+    }
+
+    updatePositions() {
+        if (!this.mapper.editMode) return;
+
+        const rect = this.getContentRect();
+        this.handles.forEach(handle => {
+            const [x, y] = this.toClient(this.getHandlePoint(handle), rect);
+            handle.element.style.left = `${x}px`;
+            handle.element.style.top = `${y}px`;
+        });
+    }
+
+    handleKeyDown(event) {
+        if (!this.mapper.editMode || !this.selectedHandle) return;
+
+        // Leave arrow keys to text fields and code editors
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+            return;
+        }
+
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        const direction = directions[event.key];
+        if (!direction) return;
+
+        event.preventDefault();
+        const step = MAPPING_CONFIG.nudgeStep * (event.shiftKey ? MAPPING_CONFIG.nudgeMultiplier : 1);
+        const rect = this.getContentRect();
+        const [x, y] = this.toClient(this.getHandlePoint(this.selectedHandle), rect);
+        this.moveHandle(this.selectedHandle, this.fromClient(x + direction[0] * step, y + direction[1] * step, rect));
+    }
+
+    dispose() {
+        window.removeEventListener('resize', this.onResize);
+        window.removeEventListener('keydown', this.onKeyDown);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.handles = [];
+    }
+}
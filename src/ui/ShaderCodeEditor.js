@@ -2,8 +2,18 @@
  * ShaderCodeEditor.js - GLSL Shader Code Editor
  * This component provides a Monaco Editor for editing GLSL shader code with syntax highlighting,
  * real-time compilation, and parameter exposure for the shader layer system.
+ * The pass selector switches the editor between the image shader and the layer's buffer passes.
+ * Shadertoy and ISF shaders can be imported through ShaderImporter and saved as presets.
  */
 
+import { LAYER_CONSTANTS } from '../config/index.js';
+import { ShaderImporter } from '../modules/ShaderImporter.js';
+import { ZipWriter } from '../modules/ZipWriter.js';
+import { TextureInputSelector } from './TextureInputSelector.js';
+
+const BUFFER_CONFIG = LAYER_CONSTANTS.shaderBuffers;
+const IMPORT_CONFIG = LAYER_CONSTANTS.shaderImport;
+
 export class ShaderCodeEditor {
     constructor(app) {
         this.app = app;
@@ -20,6 +30,14 @@ export class ShaderCodeEditor {
         // Shader presets - will be loaded dynamically from public/shaders
         this.shaderPresets = {};
         
+        // Pass shown in the editor: 'image' or a buffer pass name
+        this.activePass = 'image';
+        
+        // Shadertoy/ISF import
+        this.shaderImporter = new ShaderImporter();
+        this.importDialog = null;
+        this.lastImport = null;
+        
         // Don't auto-initialize, wait for open() call
         this.isInitialized = false;
     }
@@ -47,7 +65,7 @@ export class ShaderCodeEditor {
         // Set up code change handler
         this.onCodeChange = (code) => {
             if (this.shaderLayer) {
-                this.shaderLayer.compileShader(code)
+                this.compileActivePass(code)
                     .then(() => {
                         this.updateParameterPanel();
                         this.showStatus('Auto-compiled', 'success');
@@ -107,6 +125,15 @@ export class ShaderCodeEditor {
                             </button>
                         </div>
                         
+                        <button id="shader-editor-import" class="btn btn-secondary btn-sm" title="Import a Shadertoy (mainImage) or ISF (.fs) shader">
+                            <svg class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M12 3v12"/>
+                                <path d="M7 10l5 5 5-5"/>
+                                <path d="M5 21h14"/>
+                            </svg>
+                            Import
+                        </button>
+                        
                         <button id="shader-editor-compile" class="btn btn-success btn-sm">
                             <svg class="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polygon points="5,3 19,12 5,21"></polygon>
@@ -139,7 +166,16 @@ export class ShaderCodeEditor {
                     <!-- Code Editor -->
                     <div class="flex-1 flex flex-col">
                         <div class="px-4 py-2 bg-gray-800 border-b border-gray-600">
-                            <h3 class="text-sm font-medium text-gray-300">Fragment Shader</h3>
+                            <div class="flex items-center justify-between gap-2">
+                                <h3 class="text-sm font-medium text-gray-300">Fragment Shader</h3>
+                                <div class="flex items-center gap-2">
+                                    <select id="shader-pass-selector" class="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs text-white" title="Pass shown in the editor">
+                                        <option value="image">Image</option>
+                                    </select>
+                                    <button id="shader-editor-add-buffer" class="btn btn-secondary btn-sm" title="Add a buffer pass that keeps its previous frame">+ Buffer</button>
+                                    <button id="shader-editor-remove-buffer" class="btn btn-danger btn-sm" title="Remove the selected buffer pass">Remove</button>
+                                </div>
+                            </div>
                         </div>
                         <div id="shader-monaco-editor" class="flex-1"></div>
                     </div>
@@ -159,6 +195,8 @@ export class ShaderCodeEditor {
                                 <div class="text-xs text-gray-500 space-y-1">
                                     <div><code class="text-orange-400">uniform float time;</code></div>
                                     <div><code class="text-orange-400">uniform vec2 resolution;</code></div>
+                                    <div><code class="text-orange-400">uniform float frame;</code></div>
+                                    <div><code class="text-orange-400">uniform sampler2D bufferA;</code></div>
                                     <div><code class="text-orange-400">varying vec2 vUv;</code></div>
                                     <div><code class="text-orange-400">void main() { gl_FragColor = ...; }</code></div>
                                 </div>
@@ -188,7 +226,15 @@ export class ShaderCodeEditor {
             const resetBtn = document.getElementById('shader-editor-reset');
             const loadPresetBtn = document.getElementById('shader-editor-load-preset');
             const presetSelector = document.getElementById('shader-preset-selector');
+            const passSelector = document.getElementById('shader-pass-selector');
+            const addBufferBtn = document.getElementById('shader-editor-add-buffer');
+            const removeBufferBtn = document.getElementById('shader-editor-remove-buffer');
+            const importBtn = document.getElementById('shader-editor-import');
             
+            if (importBtn) importBtn.addEventListener('click', () => this.openImportDialog());
+            if (passSelector) passSelector.addEventListener('change', () => this.selectPass(passSelector.value));
+            if (addBufferBtn) addBufferBtn.addEventListener('click', () => this.addBufferPass());
+            if (removeBufferBtn) removeBufferBtn.addEventListener('click', () => this.removeActiveBufferPass());
             if (closeBtn) closeBtn.addEventListener('click', () => this.hide());
             if (compileBtn) compileBtn.addEventListener('click', () => this.compileShader());
             if (resetBtn) resetBtn.addEventListener('click', () => this.resetShader());
@@ -219,6 +265,7 @@ export class ShaderCodeEditor {
             
             // Load initial shader code
             await this.loadInitialShaderCode();
+            this.updatePassSelector();
             
             // Populate parameter panel for current shader
             this.updateParameterPanel();
@@ -643,6 +690,8 @@ export class ShaderCodeEditor {
             }
 
             presets.forEach(preset => {
+                // Keep the full entries, presets.json can list buffer passes
+                this.shaderPresets[preset.key] = preset;
                 const option = document.createElement('option');
                 option.value = preset.key;
                 option.textContent = preset.name;
@@ -894,6 +943,22 @@ export class ShaderCodeEditor {
             const res = await fetch(preset.url, { cache: 'no-cache' });
             if (!res.ok) throw new Error(`Failed to load ${preset.url}`);
             const code = await res.text();
+            
+            // Replace the buffer passes (single-pass presets remove them)
+            const buffers = await Promise.all((preset.buffers || []).map(async buffer => {
+                const bufferRes = await fetch(buffer.url, { cache: 'no-cache' });
+                if (!bufferRes.ok) throw new Error(`Failed to load ${buffer.url}`);
+                return {
+                    name: buffer.name,
+                    fragmentShader: await bufferRes.text(),
+                    scale: buffer.scale,
+                    iterations: buffer.iterations
+                };
+            }));
+            this.shaderLayer.setBufferPasses(buffers);
+            this.activePass = 'image';
+            this.updatePassSelector();
+            
             this.editor.setValue(code);
             this.showStatus(`Loaded preset: ${preset.name}`, 'success');
             setTimeout(() => this.compileShader(), 50);
@@ -903,6 +968,157 @@ export class ShaderCodeEditor {
         }
     }
 
+    /**
+     * Show the import dialog for Shadertoy and ISF shaders
+     */
+    openImportDialog() {
+        if (!this.container) return;
+        if (this.importDialog) {
+            this.importDialog.style.display = 'flex';
+            return;
+        }
+
+        const dialog = document.createElement('div');
+        dialog.className = 'absolute inset-0 bg-black bg-opacity-60 flex items-center justify-center p-4';
+        dialog.style.zIndex = '10';
+        dialog.innerHTML = `
+            <div class="bg-gray-900 border border-gray-600 rounded-lg shadow-2xl w-full max-w-3xl flex flex-col gap-3 p-4">
+                <div class="flex items-center justify-between">
+                    <h3 class="text-base font-semibold text-white">Import Shadertoy / ISF Shader</h3>
+                    <button data-action="close" class="btn btn-secondary btn-sm">Close</button>
+                </div>
+                <div class="flex items-center gap-2">
+                    <label class="text-sm text-gray-300">Name:</label>
+                    <input data-field="name" type="text" value="Imported Shader" class="flex-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white">
+                    <button data-action="open-file" class="btn btn-secondary btn-sm">Open File…</button>
+                    <input data-field="file" type="file" accept=".fs,.frag,.glsl,.txt" style="display: none;">
+                </div>
+                <textarea data-field="code" spellcheck="false" placeholder="Paste Shadertoy mainImage() code or an ISF .fs file (with its JSON header)"
+                          class="w-full h-64 bg-gray-800 border border-gray-600 rounded p-2 text-xs text-gray-200 font-mono"></textarea>
+                <div data-field="report" class="text-xs space-y-1 max-h-40 overflow-auto"></div>
+                <div class="flex items-center justify-end gap-2">
+                    <button data-action="save" class="btn btn-secondary btn-sm" disabled title="Download the shader and an updated presets.json for public/shaders">Save as Preset</button>
+                    <button data-action="import" class="btn btn-success btn-sm">Import</button>
+                </div>
+            </div>
+        `;
+
+        const field = (name) => dialog.querySelector(`[data-field="${name}"]`);
+        const action = (name) => dialog.querySelector(`[data-action="${name}"]`);
+
+        action('close').addEventListener('click', () => {
+            dialog.style.display = 'none';
+        });
+        action('open-file').addEventListener('click', () => field('file').click());
+        field('file').addEventListener('change', async () => {
+            const file = field('file').files && field('file').files[0];
+            field('file').value = '';
+            if (!file) return;
+            field('code').value = await file.text();
+            field('name').value = this.formatShaderName(file.name.replace(/\.[^.]+$/, ''));
+        });
+        action('import').addEventListener('click', () => {
+            this.importShader(field('code').value, field('name').value.trim() || 'Imported Shader');
+        });
+        action('save').addEventListener('click', () => this.saveImportedPreset());
+
+        this.container.firstElementChild.style.position = 'relative';
+        this.container.firstElementChild.appendChild(dialog);
+        this.importDialog = dialog;
+    }
+
+    /**
+     * Convert Shadertoy/ISF code, load it into the image pass and show the import report
+     * @param {string} code - Shadertoy or ISF source
+     * @param {string} name - Shader name
+     */
+    importShader(code, name) {
+        if (!this.editor || !this.importDialog) return;
+
+        const reportElement = this.importDialog.querySelector('[data-field="report"]');
+        const saveButton = this.importDialog.querySelector('[data-action="save"]');
+        let result;
+        try {
+            result = this.shaderImporter.import(code, name);
+        } catch (error) {
+            console.error('Shader import failed:', error);
+            this.lastImport = null;
+            saveButton.disabled = true;
+            this.renderImportReport(reportElement, [{ level: 'error', message: error.message }]);
+            return;
+        }
+
+        this.lastImport = result;
+        saveButton.disabled = false;
+        this.renderImportReport(reportElement, result.report);
+
+        if (this.activePass !== 'image') {
+            this.selectPass('image');
+        }
+        this.editor.setValue(result.fragmentShader);
+        this.showStatus(`Imported ${result.format === 'isf' ? 'ISF' : 'Shadertoy'} shader: ${result.name}`, 'success');
+        setTimeout(() => this.compileShader(), 50);
+    }
+
+    renderImportReport(element, report) {
+        const styles = {
+            error: ['❌', 'text-red-400'],
+            warning: ['⚠️', 'text-yellow-400'],
+            info: ['ℹ️', 'text-gray-400']
+        };
+        element.replaceChildren(...report.map(({ level, message }) => {
+            const [icon, className] = styles[level] || styles.info;
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = `${icon} ${message}`;
+            return line;
+        }));
+        if (report.length === 0) {
+            element.textContent = '✅ All features mapped';
+        }
+    }
+
+    /**
+     * Download the imported shader with a presets.json that lists it. Both files go into
+     * public/shaders to make the shader a regular preset.
+     */
+    async saveImportedPreset() {
+        if (!this.lastImport) return;
+
+        const entry = this.shaderImporter.createPresetEntry(this.lastImport);
+        // Keep fixes made in the editor after the import
+        const code = this.activePass === 'image' && this.editor ? this.editor.getValue() : this.lastImport.fragmentShader;
+
+        let presets = [];
+        try {
+            const response = await fetch('/shaders/presets.json', { cache: 'no-cache' });
+            if (response.ok) {
+                presets = await response.json();
+            }
+        } catch (error) {
+            console.warn('ShaderCodeEditor: presets.json not available, saving a new one');
+        }
+        presets = presets.filter(preset => preset.key !== entry.key);
+        presets.push(entry);
+
+        try {
+            const zip = new ZipWriter();
+            await zip.addFile(`${entry.key}.frag`, new Blob([code]));
+            await zip.addFile('presets.json', new Blob([`${JSON.stringify(presets, null, 2)}\n`]));
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(zip.finalize());
+            link.download = `${IMPORT_CONFIG.archivePrefix}-${entry.key}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 100);
+
+            this.showStatus(`Saved preset ${entry.key}, extract it into public/shaders`, 'success');
+        } catch (error) {
+            console.error('Failed to save imported preset:', error);
+            this.showError('Failed to save preset: ' + error.message);
+        }
+    }
+
     /**
      * Compile the current shader code
      */
@@ -919,7 +1135,7 @@ export class ShaderCodeEditor {
             this.showStatus('Compiling shader...', 'compiling');
             
             // Compile shader through the layer
-            await this.shaderLayer.compileShader(code);
+            await this.compileActivePass(code);
             
             // Update status
             this.showStatus('Shader compiled successfully!', 'success');
@@ -940,6 +1156,126 @@ export class ShaderCodeEditor {
         }
     }
 
+    /**
+     * Compile code into the pass shown in the editor
+     * @param {string} code - Fragment shader code
+     */
+    async compileActivePass(code) {
+        if (this.activePass === 'image') {
+            return this.shaderLayer.compileShader(code);
+        }
+        return this.shaderLayer.setBufferPass(this.activePass, code);
+    }
+
+    /**
+     * Rebuild the pass selector from the layer's buffer passes
+     */
+    updatePassSelector() {
+        const select = document.getElementById('shader-pass-selector');
+        if (!select || !this.shaderLayer) return;
+
+        const buffers = this.shaderLayer.getBufferPasses();
+        if (this.activePass !== 'image' && !buffers.some(buffer => buffer.name === this.activePass)) {
+            this.activePass = 'image';
+        }
+
+        while (select.options.length > 1) select.remove(1);
+        buffers.forEach(buffer => {
+            const option = document.createElement('option');
+            option.value = buffer.name;
+            option.textContent = this.formatBufferName(buffer.name);
+            select.appendChild(option);
+        });
+        select.value = this.activePass;
+
+        const addBtn = document.getElementById('shader-editor-add-buffer');
+        const removeBtn = document.getElementById('shader-editor-remove-buffer');
+        if (addBtn) addBtn.disabled = buffers.length >= BUFFER_CONFIG.maxPasses;
+        if (removeBtn) removeBtn.disabled = this.activePass === 'image';
+    }
+
+    /**
+     * Format a buffer name for display ('bufferA' -> 'Buffer A')
+     */
+    formatBufferName(name) {
+        return name.replace(/^buffer/, 'Buffer ');
+    }
+
+    /**
+     * Show a pass in the editor
+     * @param {string} pass - 'image' or a buffer pass name
+     */
+    selectPass(pass) {
+        if (!this.editor || !this.shaderLayer) return;
+
+        const code = pass === 'image'
+            ? this.shaderLayer.getShaderCode()
+            : this.shaderLayer.getBufferPasses().find(buffer => buffer.name === pass)?.fragmentShader;
+        if (code === undefined) return;
+
+        // Switch first, setValue() compiles into the active pass
+        this.activePass = pass;
+        this.updatePassSelector();
+        this.editor.setValue(code || '');
+        this.showStatus(`Editing ${pass === 'image' ? 'image shader' : this.formatBufferName(pass)}`, 'info');
+    }
+
+    /**
+     * Add the next free buffer pass with a starter shader and show it
+     */
+    async addBufferPass() {
+        if (!this.shaderLayer) return;
+
+        const used = this.shaderLayer.getBufferPasses().map(buffer => buffer.name);
+        const name = BUFFER_CONFIG.names.find(candidate => !used.includes(candidate));
+        if (!name) {
+            this.showError(`At most ${BUFFER_CONFIG.maxPasses} buffer passes`);
+            return;
+        }
+
+        try {
+            await this.shaderLayer.setBufferPass(name, this.getBufferTemplate(name));
+            this.updatePassSelector();
+            this.selectPass(name);
+            this.updateParameterPanel();
+        } catch (error) {
+            console.error('Failed to add buffer pass:', error);
+            this.showError('Failed to add buffer pass: ' + error.message);
+        }
+    }
+
+    /**
+     * Remove the buffer pass shown in the editor and go back to the image shader
+     */
+    removeActiveBufferPass() {
+        if (!this.shaderLayer || this.activePass === 'image') return;
+
+        this.shaderLayer.removeBufferPass(this.activePass);
+        this.selectPass('image');
+        this.updateParameterPanel();
+    }
+
+    /**
+     * Starter code for a new buffer pass: keeps its previous frame with a slow fade
+     */
+    getBufferTemplate(name) {
+        return `precision highp float;
+
+uniform float time;
+uniform float frame;
+uniform vec2 resolution;
+uniform sampler2D ${name}; // Previous frame of this buffer
+
+varying vec2 vUv;
+
+void main() {
+    vec4 previous = texture2D(${name}, vUv);
+    float spot = smoothstep(0.02, 0.0, length(vUv - 0.5 - 0.3 * vec2(cos(time), sin(time))));
+    gl_FragColor = vec4(max(previous.rgb * 0.98, vec3(spot)), 1.0);
+}
+`;
+    }
+
     /**
      * Auto-compile shader (called after typing stops)
      */
@@ -950,7 +1286,7 @@ export class ShaderCodeEditor {
         if (!code.trim()) return;
         
         try {
-            await this.shaderLayer.compileShader(code);
+            await this.compileActivePass(code);
             this.showStatus('Auto-compiled successfully', 'success');
             this.hideError();
             this.updateParameterPanel();
@@ -985,18 +1321,20 @@ export class ShaderCodeEditor {
             
             if (Object.keys(parameters).length === 0) {
                 parametersContainer.innerHTML = '<p>No parameters exposed</p>';
-                return;
+            } else {
+                let html = '';
+                Object.entries(parameters).forEach(([name, param]) => {
+                    html += this.createParameterHTML(name, param);
+                });
+                
+                parametersContainer.innerHTML = html;
+                
+                // Set up parameter change listeners
+                this.setupParameterListeners();
             }
             
-            let html = '';
-            Object.entries(parameters).forEach(([name, param]) => {
-                html += this.createParameterHTML(name, param);
-            });
-            
-            parametersContainer.innerHTML = html;
-            
-            // Set up parameter change listeners
-            this.setupParameterListeners();
+            // Texture sources for the sampler2D uniforms
+            this.appendTextureInputs(parametersContainer);
             
         } catch (error) {
             console.error('Failed to update parameter panel:', error);
@@ -1004,6 +1342,26 @@ export class ShaderCodeEditor {
         }
     }
 
+    /**
+     * Add a texture source picker for each sampler2D uniform of the shader
+     * @param {HTMLElement} container - Parameter list element
+     */
+    appendTextureInputs(container) {
+        const inputs = this.shaderLayer.getTextureInputs();
+        if (inputs.length === 0) return;
+
+        const title = document.createElement('h4');
+        title.className = 'text-xs font-medium text-gray-400 mt-3 mb-2';
+        title.textContent = 'Texture Inputs';
+        container.appendChild(title);
+
+        inputs.forEach(({ name }) => {
+            new TextureInputSelector(container, this.shaderLayer, name, {
+                onChange: () => this.showStatus(`Texture input ${name} updated`, 'success')
+            });
+        });
+    }
+
     /**
      * Create HTML for a parameter
      */
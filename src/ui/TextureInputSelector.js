@@ -0,0 +1,156 @@
+/**
+ * TextureInputSelector.js - Texture Source Picker for Shader Samplers
+ * This component shows a dropdown for one sampler2D uniform of a ShaderLayer with the texture
+ * sources it can be bound to: an image or video file, another layer's output or the audio
+ * spectrum/waveform texture. Used in the shader editor parameter panel and the layer panel.
+ */
+
+export class TextureInputSelector {
+    constructor(container, layer, name, options = {}) {
+        this.container = container;
+        this.layer = layer;
+        this.name = name;
+        this.options = {
+            compact: false,
+            onChange: null,
+            ...options
+        };
+
+        this.createSelector();
+        this.update();
+    }
+
+    createSelector() {
+        const fontSize = this.options.compact ? '9px' : '12px';
+
+        this.element = document.createElement('div');
+        this.element.className = 'texture-input-selector';
+        this.element.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: ${this.options.compact ? '2px' : '6px'};
+            font-size: ${fontSize};
+        `;
+
+        const label = document.createElement('span');
+        label.textContent = this.name;
+        label.style.cssText = `
+            font-family: monospace;
+            min-width: ${this.options.compact ? '55px' : '80px'};
+            color: ${this.options.compact ? '#888' : '#d1d5db'};
+        `;
+
+        this.select = document.createElement('select');
+        this.select.title = `Texture bound to sampler2D ${this.name}`;
+        this.select.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            background: #374151;
+            border: 1px solid #4b5563;
+            border-radius: 3px;
+            color: white;
+            font-size: ${fontSize};
+            padding: 1px 4px;
+        `;
+        this.select.addEventListener('change', () => this.handleChange(this.select.value));
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = 'image/*,video/*';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files && this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.apply(() => this.layer.setTextureInputFromFile(this.name, file));
+            }
+        });
+        // Picking no file keeps the previous source
+        this.fileInput.addEventListener('cancel', () => this.update());
+
+        this.element.appendChild(label);
+        this.element.appendChild(this.select);
+        this.element.appendChild(this.fileInput);
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Rebuild the options and select the current source
+     */
+    update() {
+        const input = this.layer.getTextureInputs().find(candidate => candidate.name === this.name);
+        const source = input ? input.source : { type: 'none' };
+        const missing = !!input && input.missing;
+
+        const options = [['none', 'None']];
+        if (source.type === 'image' || source.type === 'video') {
+            options.push(['current', `${source.type === 'image' ? '🖼️' : '🎞️'} ${source.name || source.type}${missing ? ' (re-select)' : ''}`]);
+        }
+        options.push(['file', 'Image / video file…']);
+
+        const layerManager = this.layer.layerManager;
+        if (layerManager) {
+            layerManager.getAllLayers().forEach((layer, layerId) => {
+                if (layer !== this.layer) {
+                    options.push([`layer:${layerId}`, `Layer: ${layerId}`]);
+                }
+            });
+        }
+        options.push(['audio', '🔊 Audio spectrum / waveform']);
+
+        this.select.replaceChildren(...options.map(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            return option;
+        }));
+
+        let value = source.type;
+        if (source.type === 'image' || source.type === 'video') {
+            value = 'current';
+        } else if (source.type === 'layer') {
+            value = `layer:${source.layerId}`;
+            if (!options.some(([optionValue]) => optionValue === value)) {
+                // The source layer is not loaded (yet), keep showing the assignment
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = `Layer: ${source.layerId} (missing)`;
+                this.select.appendChild(option);
+            }
+        }
+        this.select.value = value;
+    }
+
+    handleChange(value) {
+        if (value === 'current') return;
+        if (value === 'file') {
+            this.fileInput.click();
+            return;
+        }
+
+        let source = { type: 'none' };
+        if (value === 'audio') {
+            source = { type: 'audio' };
+        } else if (value.startsWith('layer:')) {
+            source = { type: 'layer', layerId: value.slice('layer:'.length) };
+        }
+        this.apply(() => this.layer.setTextureInput(this.name, source));
+    }
+
+    async apply(assign) {
+        try {
+            this.select.disabled = true;
+            await assign();
+            if (this.options.onChange) {
+                this.options.onChange(this.name);
+            }
+        } catch (error) {
+            console.error(`TextureInputSelector: Failed to set texture for ${this.name}:`, error);
+            alert(`Failed to set texture: ${error.message}`);
+        } finally {
+            this.select.disabled = false;
+            this.update();
+        }
+    }
+}
@@ -5,12 +5,13 @@
  * and related UI elements. It delegates all clock operations to the MIDIClockManager.
  */
 
-import { MIDI_CONSTANTS } from '../config/index.js';
+import { MIDI_CONSTANTS, EXPORT_CONSTANTS } from '../config/index.js';
 
 export class TransportBar {
     constructor(midiClockManager) {
         this.midiClockManager = midiClockManager;
         this.transportBar = null;
+        this.positionTimer = null;
         
         this.init();
     }
@@ -20,6 +21,16 @@ export class TransportBar {
         if (!document.getElementById('transport-bottom-bar')) {
             this.createTransportBar();
             this.setupEventListeners();
+            
+            // MIDI clock pulses update the displays, the internal clock and timecode are followed a few times per second
+            this.positionTimer = setInterval(() => {
+                if (this.midiClockManager.isPlaying && !this.midiClockManager.isExternalClockActive()) {
+                    this.updatePositionDisplay();
+                }
+                if (this.midiClockManager.isTimecodeActive()) {
+                    this.updateTimecodeDisplay();
+                }
+            }, 250);
         }
     }
 
@@ -78,6 +89,23 @@ export class TransportBar {
                         </svg>
                     </button>
                     
+                    <button id="bpm-tap" class="btn btn-secondary btn-xs" title="Tap tempo">
+                        <span>Tap</span>
+                    </button>
+                    
+                    <button id="clock-master" class="btn btn-secondary btn-xs" title="Send MIDI clock and transport to the clock outputs selected in the MIDI drawer">
+                        <span>Master</span>
+                    </button>
+                    
+                    <div id="position-display" class="flex items-center gap-1 px-2 py-1 bg-black bg-opacity-30 rounded-full border border-gray-600" title="Transport position (bar.beat.sixteenth), follows MIDI Song Position Pointer">
+                        <span class="text-xs font-medium text-white">Pos: <span id="position-value" class="font-mono">1.1.1</span></span>
+                    </div>
+                    
+                    <div id="timecode-display" class="flex items-center gap-1 px-2 py-1 bg-black bg-opacity-30 rounded-full border border-gray-600" title="MIDI Time Code position (SMPTE), chased from incoming quarter frames">
+                        <div class="w-1.5 h-1.5 rounded-full bg-gray-500 transition-all duration-300"></div>
+                        <span class="text-xs font-medium text-white">TC: <span id="timecode-value" class="font-mono">00:00:00:00</span> <span id="timecode-rate" class="text-gray-400"></span></span>
+                    </div>
+                    
                     <button id="sync-toggle" class="btn btn-secondary btn-xs">
                         <svg class="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M12 2v4"/>
@@ -95,10 +123,35 @@ export class TransportBar {
                     <div id="sync-mode" class="flex items-center gap-1 px-2 py-1 bg-black bg-opacity-30 rounded-full border border-gray-600">
                         <span class="text-xs font-medium text-white">Sync: <span id="sync-value">Auto</span></span>
                     </div>
+                    
+                    <button id="transport-record" class="btn btn-secondary btn-sm" title="Record on next bar (Shift+click to start immediately)">
+                        <svg class="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="7"></circle>
+                        </svg>
+                        <span id="record-button-text">Rec</span>
+                    </button>
+                    
+                    <select id="record-bars" class="px-1 py-0.5 bg-black bg-opacity-30 border border-gray-600 text-white rounded text-xs" title="Stop recording after">
+                        ${this.createRecordBarOptions()}
+                    </select>
+                    
+                    <div id="record-status" class="flex items-center gap-1 px-2 py-1 bg-black bg-opacity-30 rounded-full border border-gray-600">
+                        <div class="w-1.5 h-1.5 rounded-full bg-gray-500 transition-all duration-300"></div>
+                        <span class="text-xs font-medium text-white hidden sm:inline">Idle</span>
+                    </div>
                 </div>
                 
                 <!-- Right side - P5 Code Editor and Help buttons -->
                 <div class="flex items-center justify-end gap-2 md:gap-4 mb-1 md:mb-0">
+                    <button id="output-window" class="btn btn-secondary btn-sm" title="Open the output in a separate window (e.g. on a projector)">
+                        <svg class="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="2" y="4" width="20" height="13" rx="1"/>
+                            <path d="M8 21h8"/>
+                            <path d="M12 17v4"/>
+                        </svg>
+                        <span id="output-window-text">Output</span>
+                    </button>
+                    
                     <button id="p5-code-editor" class="btn btn-secondary btn-sm">
                         <svg class="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M16 3h5v5"/>
@@ -135,6 +188,14 @@ export class TransportBar {
         this.transportBar = transportBar;
     }
 
+    createRecordBarOptions() {
+        return EXPORT_CONSTANTS.recording.barOptions.map(bars => {
+            const label = bars === 0 ? 'Manual' : `${bars} bar${bars === 1 ? '' : 's'}`;
+            const selected = bars === EXPORT_CONSTANTS.recording.defaultBars ? ' selected' : '';
+            return `<option value="${bars}"${selected}>${label}</option>`;
+        }).join('');
+    }
+
     setupEventListeners() {
         // Transport controls
         document.getElementById('transport-play').addEventListener('click', () => {
@@ -163,6 +224,49 @@ export class TransportBar {
             this.midiClockManager.decreaseBPM();
         });
         
+        document.getElementById('bpm-tap').addEventListener('click', () => {
+            this.midiClockManager.onMIDITempoTap();
+        });
+        
+        // Clock master mode
+        document.getElementById('clock-master').addEventListener('click', () => {
+            this.midiClockManager.toggleMasterMode();
+        });
+        
+        // Recording controls - delegate to the Scene's RecordingManager
+        const recordingManager = this.getRecordingManager();
+        
+        document.getElementById('transport-record').addEventListener('click', (event) => {
+            const recorder = this.getRecordingManager();
+            if (!recorder) {
+                console.error('TransportBar: RecordingManager not available');
+                return;
+            }
+            // Shift+click starts immediately instead of waiting for the next bar
+            recorder.toggleRecording(!event.shiftKey);
+        });
+        
+        document.getElementById('record-bars').addEventListener('change', (event) => {
+            const recorder = this.getRecordingManager();
+            if (recorder) {
+                recorder.setStopAfterBars(event.target.value);
+            }
+        });
+        
+        if (recordingManager) {
+            recordingManager.addListener(status => this.updateRecordDisplay(status));
+        }
+        
+        // Output window button - delegate to the App's OutputWindowManager
+        document.getElementById('output-window').addEventListener('click', () => {
+            const app = this.midiClockManager.app;
+            if (app && app.outputWindowManager) {
+                app.outputWindowManager.toggle();
+            } else {
+                console.error('TransportBar: OutputWindowManager not available');
+            }
+        });
+        
         // P5 Code Editor button - delegate to P5CodeEditor component
         document.getElementById('p5-code-editor').addEventListener('click', (event) => {
             console.log('TransportBar: P5 Code Editor button clicked');
@@ -213,7 +317,11 @@ export class TransportBar {
         const statusDot = clockStatus.querySelector('.w-1\\.5');
         const statusText = clockStatus.querySelector('span');
         
-        if (this.midiClockManager.isClockActive) {
+        if (this.midiClockManager.isMaster) {
+            const sending = this.midiClockManager.clockOutput.isRunning;
+            statusDot.className = `w-1.5 h-1.5 rounded-full ${sending ? 'bg-purple-500' : 'bg-red-500'} transition-all duration-300`;
+            statusText.textContent = sending ? 'Clock Master' : 'Master Stopped';
+        } else if (this.midiClockManager.isClockActive) {
             if (this.midiClockManager.clockSource === 'external') {
                 statusDot.className = 'w-1.5 h-1.5 rounded-full bg-green-500 transition-all duration-300';
                 statusText.textContent = 'External Clock';
@@ -234,6 +342,44 @@ export class TransportBar {
         }
     }
 
+    updatePositionDisplay() {
+        const positionValue = document.getElementById('position-value');
+        if (positionValue) {
+            positionValue.textContent = this.midiClockManager.formatSongPosition();
+        }
+    }
+
+    updateMasterDisplay() {
+        const masterButton = document.getElementById('clock-master');
+        if (!masterButton) return;
+        
+        if (this.midiClockManager.isMaster) {
+            masterButton.classList.add('active');
+        } else {
+            masterButton.classList.remove('active');
+        }
+    }
+
+    updateTimecodeDisplay() {
+        const timecodeDisplay = document.getElementById('timecode-display');
+        if (!timecodeDisplay) return;
+        
+        const timecodeSync = this.midiClockManager.timecodeSync;
+        const statusDot = timecodeDisplay.querySelector('.w-1\\.5');
+        const statusColors = {
+            stopped: 'bg-gray-500',
+            locking: 'bg-blue-500',
+            locked: 'bg-green-500',
+            freewheel: 'bg-yellow-500'
+        };
+        const status = timecodeSync.getStatus();
+        
+        statusDot.className = `w-1.5 h-1.5 rounded-full ${statusColors[status]} transition-all duration-300`;
+        timecodeDisplay.title = `MIDI Time Code position (SMPTE): ${status}`;
+        document.getElementById('timecode-value').textContent = timecodeSync.formatTimecode();
+        document.getElementById('timecode-rate').textContent = status === 'stopped' ? '' : timecodeSync.getFrameRateLabel();
+    }
+
     updateSyncModeDisplay() {
         const syncValue = document.getElementById('sync-value');
         const syncButtonText = document.getElementById('sync-button-text');
@@ -246,11 +392,60 @@ export class TransportBar {
         }
     }
 
+    updateRecordDisplay(status) {
+        const recordButton = document.getElementById('transport-record');
+        const recordButtonText = document.getElementById('record-button-text');
+        const recordStatus = document.getElementById('record-status');
+        if (!recordButton || !recordStatus) return;
+        
+        const statusDot = recordStatus.querySelector('.w-1\\.5');
+        const statusText = recordStatus.querySelector('span');
+        
+        if (status.status === 'recording') {
+            recordButton.classList.add('active');
+            recordButtonText.textContent = 'Stop Rec';
+            statusDot.className = 'w-1.5 h-1.5 rounded-full bg-red-500 animate-pulse transition-all duration-300';
+            statusText.textContent = status.stopAfterBars > 0 ? `Recording ${status.stopAfterBars} bars` : 'Recording';
+        } else if (status.status === 'armed') {
+            recordButton.classList.add('active');
+            recordButtonText.textContent = 'Disarm';
+            statusDot.className = 'w-1.5 h-1.5 rounded-full bg-yellow-500 transition-all duration-300';
+            statusText.textContent = 'Armed';
+        } else {
+            recordButton.classList.remove('active');
+            recordButtonText.textContent = 'Rec';
+            statusDot.className = 'w-1.5 h-1.5 rounded-full bg-gray-500 transition-all duration-300';
+            statusText.textContent = 'Idle';
+        }
+    }
+
+    updateOutputDisplay(status) {
+        const outputButton = document.getElementById('output-window');
+        const outputButtonText = document.getElementById('output-window-text');
+        if (!outputButton || !outputButtonText) return;
+        
+        if (status.open) {
+            outputButton.classList.add('active');
+            outputButtonText.textContent = 'Close Output';
+        } else {
+            outputButton.classList.remove('active');
+            outputButtonText.textContent = 'Output';
+        }
+    }
+
+    getRecordingManager() {
+        const app = this.midiClockManager.app;
+        return app && app.scene ? app.scene.recordingManager : null;
+    }
+
     // Public method to update all displays
     updateAllDisplays() {
         this.updateTransportDisplay();
         this.updateClockDisplay();
         this.updateBPMDisplay();
+        this.updatePositionDisplay();
+        this.updateMasterDisplay();
+        this.updateTimecodeDisplay();
         this.updateSyncModeDisplay();
     }
 
@@ -258,4 +453,14 @@ export class TransportBar {
     getTransportBar() {
         return this.transportBar;
     }
+
+    /**
+     * Stop following the internal clock and timecode
+     */
+    dispose() {
+        if (this.positionTimer) {
+            clearInterval(this.positionTimer);
+            this.positionTimer = null;
+        }
+    }
 }